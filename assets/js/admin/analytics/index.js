@@ -0,0 +1,583 @@
+/**
+ * WooCommerce Discount Analytics - WooCommerce Analytics JS
+ *
+ * Registers the Discount Summary and Discount History reports as
+ * WooCommerce > Analytics pages, and adds a sale discount column and
+ * filter to the Products and Orders reports. Built on the wp and wc
+ * script globals, so it runs without a build step.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+( function( wp, wc, wdaAnalytics ) {
+	'use strict';
+
+	const el = wp.element.createElement;
+	const { Fragment, useState, useEffect } = wp.element;
+	const { addFilter } = wp.hooks;
+	const { Chart, EmptyContent, ReportFilters, SummaryList, SummaryListPlaceholder, SummaryNumber, TableCard } = wc.components;
+	const { getNewPath, onQueryChange } = wc.navigation;
+
+	const HOOK_NAMESPACE = 'woo-discount-analytics';
+	const DEFAULT_DATE_RANGE = wdaAnalytics.defaultDateRange || 'period=month&compare=previous_year';
+
+	// Intervals the summary series can be bucketed by.
+	const SERIES_INTERVALS = [ 'day', 'week', 'month' ];
+
+	const storeCurrency = wc.wcSettings && wc.wcSettings.getSetting ? wc.wcSettings.getSetting( 'currency' ) : undefined;
+	const currencyFormatters = {};
+
+	/**
+	 * Format currency value in the given currency (store currency by default).
+	 */
+	function formatCurrency( value, currency ) {
+		const num = parseFloat( value ) || 0;
+		const code = currency || wdaAnalytics.currency;
+
+		if ( ! currencyFormatters.hasOwnProperty( code ) ) {
+			try {
+				currencyFormatters[ code ] = new Intl.NumberFormat( wdaAnalytics.locale || undefined, { style: 'currency', currency: code } );
+			} catch ( e ) {
+				currencyFormatters[ code ] = null;
+			}
+		}
+
+		if ( currencyFormatters[ code ] ) {
+			return currencyFormatters[ code ].format( num );
+		}
+
+		return code + ' ' + num.toFixed( 2 );
+	}
+
+	/**
+	 * Format a plain number.
+	 */
+	function formatNumber( value ) {
+		return ( parseFloat( value ) || 0 ).toLocaleString( wdaAnalytics.locale || undefined );
+	}
+
+	/**
+	 * Format percentage value.
+	 */
+	function formatPercent( value ) {
+		return ( parseFloat( value ) || 0 ).toFixed( 2 ) + '%';
+	}
+
+	/**
+	 * Format a value by metric type.
+	 */
+	function formatValue( value, type, currency ) {
+		if ( value === null || value === undefined ) return '—';
+		if ( type === 'currency' ) return formatCurrency( value, currency );
+		if ( type === 'percent' ) return formatPercent( value );
+		return formatNumber( value );
+	}
+
+	/**
+	 * Format a Y-m-d (H:i:s) date for display.
+	 */
+	function formatDate( dateStr ) {
+		if ( ! dateStr ) return '—';
+		const parts = String( dateStr ).substring( 0, 10 ).split( '-' );
+		return new Date( parseInt( parts[0], 10 ), parseInt( parts[1], 10 ) - 1, parseInt( parts[2], 10 ) ).toLocaleDateString( wdaAnalytics.locale || undefined );
+	}
+
+	/**
+	 * Build a table cell.
+	 */
+	function cell( display, value ) {
+		return { display: display, value: value };
+	}
+
+	/**
+	 * Build a currency table cell.
+	 */
+	function currencyCell( value, currency ) {
+		return cell( formatCurrency( value, currency ), parseFloat( value ) || 0 );
+	}
+
+	/**
+	 * Build a number table cell.
+	 */
+	function numberCell( value ) {
+		return cell( formatNumber( value ), parseFloat( value ) || 0 );
+	}
+
+	/**
+	 * Link to an order or product edit screen.
+	 */
+	function editLink( postId, label ) {
+		return el( 'a', { href: wdaAnalytics.adminUrl + 'post.php?post=' + postId + '&action=edit' }, label );
+	}
+
+	/**
+	 * Get the selected and comparison date ranges of a report query.
+	 */
+	function getDateQuery( query ) {
+		const { period, compare, before, after } = wc.date.getDateParamsFromQuery( query, DEFAULT_DATE_RANGE );
+		const { primary, secondary } = wc.date.getCurrentDates( query, DEFAULT_DATE_RANGE );
+
+		return { period, compare, before, after, primaryDate: primary, secondaryDate: secondary };
+	}
+
+	/**
+	 * Get the chart intervals the query's range allows that the series supports.
+	 */
+	function getAllowedIntervals( query ) {
+		const allowed = wc.date.getAllowedIntervalsForQuery( query, DEFAULT_DATE_RANGE ).filter( interval => SERIES_INTERVALS.indexOf( interval ) !== -1 );
+		return allowed.length ? allowed : [ 'month' ];
+	}
+
+	/**
+	 * Get the chart interval, falling back to the first supported one.
+	 */
+	function getInterval( query ) {
+		const allowed = getAllowedIntervals( query );
+		const interval = wc.date.getIntervalForQuery( query, DEFAULT_DATE_RANGE );
+		return allowed.indexOf( interval ) !== -1 ? interval : allowed[0];
+	}
+
+	/**
+	 * Get the summary requests for the selected and comparison ranges.
+	 *
+	 * Totals are converted to the store currency so they add up across
+	 * currencies, like the rest of WooCommerce Analytics.
+	 */
+	function getSummaryRequests( dateQuery, interval ) {
+		const primary = dateQuery.primaryDate;
+		const secondary = dateQuery.secondaryDate;
+
+		return {
+			primary: {
+				date_from: primary.after.format( 'YYYY-MM-DD' ),
+				date_to: primary.before.format( 'YYYY-MM-DD' ),
+				interval: interval,
+				compare: 'custom',
+				compare_from: secondary.after.format( 'YYYY-MM-DD' ),
+				compare_to: secondary.before.format( 'YYYY-MM-DD' ),
+				convert: true
+			},
+			secondary: {
+				date_from: secondary.after.format( 'YYYY-MM-DD' ),
+				date_to: secondary.before.format( 'YYYY-MM-DD' ),
+				interval: interval,
+				convert: true
+			}
+		};
+	}
+
+	/**
+	 * Fetch a report endpoint, refetching when the params change.
+	 */
+	function useReportData( endpoint, params ) {
+		const [ state, setState ] = useState( { data: null, error: null, isLoading: true } );
+		const key = JSON.stringify( params );
+
+		useEffect( () => {
+			let active = true;
+
+			setState( current => ( { data: current.data, error: null, isLoading: true } ) );
+
+			wp.apiFetch( { path: wp.url.addQueryArgs( '/wda/v1/' + endpoint, params ) } )
+				.then( data => {
+					if ( active ) setState( { data: data, error: null, isLoading: false } );
+				} )
+				.catch( error => {
+					if ( active ) setState( { data: null, error: error, isLoading: false } );
+				} );
+
+			return () => {
+				active = false;
+			};
+		}, [ endpoint, key ] );
+
+		return state;
+	}
+
+	/**
+	 * Summary metrics. Charted ones are in the summary series.
+	 */
+	const SUMMARY_METRICS = [
+		{ key: 'total_discount', label: 'Total discount', type: 'currency', reverse: true, chart: true },
+		{ key: 'sale_discount', label: 'Sale discount', type: 'currency', reverse: true, chart: true },
+		{ key: 'coupon_discount', label: 'Coupon discount', type: 'currency', reverse: true, chart: true },
+		{ key: 'total_revenue', label: 'Discounted revenue', type: 'currency', chart: true },
+		{ key: 'discounted_units', label: 'Discounted units', type: 'number', chart: true },
+		{ key: 'orders_count', label: 'Orders', type: 'number' },
+		{ key: 'discount_pct_of_revenue', label: 'Discount % of revenue', type: 'percent', reverse: true },
+		{ key: 'margin_erosion', label: 'Margin erosion', type: 'currency', reverse: true }
+	];
+
+	/**
+	 * Get the metric selected for the chart.
+	 */
+	function getSelectedChart( query, metrics ) {
+		const charted = metrics.filter( metric => metric.chart );
+		return charted.find( metric => metric.key === query.chart ) || charted[0];
+	}
+
+	/**
+	 * Error message with a reload action, as WooCommerce's reports show.
+	 */
+	function ReportError( { error } ) {
+		return el( EmptyContent, {
+			title: 'There was an error getting your discount data.',
+			message: error && error.message ? error.message : '',
+			actionLabel: 'Reload',
+			actionCallback: () => window.location.reload()
+		} );
+	}
+
+	/**
+	 * Summary numbers with comparison deltas; charted ones select the chart.
+	 */
+	function DiscountSummaryNumbers( { metrics, summary, isLoading, dateQuery, selectedChart } ) {
+		if ( isLoading || ! summary ) {
+			return el( SummaryListPlaceholder, { numberOfItems: metrics.length } );
+		}
+
+		const prevLabel = dateQuery.compare === 'previous_period' ? 'Previous period:' : 'Previous year:';
+		const deltas = summary.comparison ? summary.comparison.metrics : {};
+
+		return el( SummaryList, null, () => metrics.map( metric => {
+			const delta = deltas[ metric.key ];
+
+			return el( SummaryNumber, {
+				key: metric.key,
+				label: metric.label,
+				value: formatValue( summary[ metric.key ], metric.type, summary.currency ),
+				prevLabel: prevLabel,
+				prevValue: delta ? formatValue( delta.previous, metric.type, summary.currency ) : null,
+				delta: delta ? delta.change_pct : null,
+				reverse: !! metric.reverse,
+				selected: !! metric.chart && metric.key === selectedChart.key,
+				href: metric.chart ? getNewPath( { chart: metric.key } ) : ''
+			} );
+		} ) );
+	}
+
+	/**
+	 * Time-comparison chart of a summary metric.
+	 */
+	function DiscountChart( { metric, primary, secondary, isRequesting, query, path, dateQuery } ) {
+		const interval = getInterval( query );
+		const current = primary.data && primary.data.series ? primary.data.series : [];
+		const previous = secondary.data && secondary.data.series ? secondary.data.series : [];
+		const primaryLabel = dateQuery.primaryDate.label + ' (' + dateQuery.primaryDate.range + ')';
+		const secondaryLabel = dateQuery.secondaryDate.label + ' (' + dateQuery.secondaryDate.range + ')';
+
+		// Buckets are matched by position, as WooCommerce does for its own charts.
+		const data = current.map( ( bucket, index ) => ( {
+			date: bucket.date + 'T00:00:00',
+			primary: {
+				label: primaryLabel,
+				labelDate: bucket.date,
+				value: bucket[ metric.key ] || 0
+			},
+			secondary: {
+				label: secondaryLabel,
+				labelDate: previous[ index ] ? previous[ index ].date : bucket.date,
+				value: previous[ index ] ? previous[ index ][ metric.key ] || 0 : 0
+			}
+		} ) );
+
+		const formats = wc.date.getDateFormatsForInterval( interval, data.length );
+
+		return el( Chart, Object.assign( {
+			allowedIntervals: getAllowedIntervals( query ),
+			chartType: wc.date.getChartTypeForQuery( query ),
+			currency: storeCurrency,
+			data: data,
+			dateParser: '%Y-%m-%dT%H:%M:%S',
+			interval: interval,
+			isRequesting: isRequesting,
+			legendTotals: {
+				primary: primary.data ? primary.data[ metric.key ] : 0,
+				secondary: secondary.data ? secondary.data[ metric.key ] : 0
+			},
+			mode: 'time-comparison',
+			path: path,
+			query: query,
+			showHeaderControls: true,
+			title: metric.label,
+			valueType: metric.type
+		}, formats ) );
+	}
+
+	/**
+	 * Fetch the summary for the query's selected and comparison ranges.
+	 */
+	function useDiscountSummary( query ) {
+		const dateQuery = getDateQuery( query );
+		const requests = getSummaryRequests( dateQuery, getInterval( query ) );
+
+		return {
+			dateQuery: dateQuery,
+			primary: useReportData( 'discount-summary', requests.primary ),
+			secondary: useReportData( 'discount-summary', requests.secondary )
+		};
+	}
+
+	/**
+	 * Summary numbers and chart shared by both reports.
+	 */
+	function DiscountSummarySection( { query, path, metrics, summary } ) {
+		const { dateQuery, primary, secondary } = summary;
+		const selectedChart = getSelectedChart( query, metrics );
+
+		if ( primary.error || secondary.error ) {
+			return el( ReportError, { error: primary.error || secondary.error } );
+		}
+
+		return el( Fragment, null,
+			el( DiscountSummaryNumbers, {
+				metrics: metrics,
+				summary: primary.data,
+				isLoading: primary.isLoading,
+				dateQuery: dateQuery,
+				selectedChart: selectedChart
+			} ),
+			el( DiscountChart, {
+				metric: selectedChart,
+				primary: primary,
+				secondary: secondary,
+				isRequesting: primary.isLoading || secondary.isLoading,
+				query: query,
+				path: path,
+				dateQuery: dateQuery
+			} )
+		);
+	}
+
+	/**
+	 * Discount Summary Report: totals, chart and top discounted products.
+	 */
+	function DiscountSummaryReport( { query, path } ) {
+		const summary = useDiscountSummary( query );
+		const data = summary.primary.data;
+		const products = data ? data.top_discounted_products : [];
+
+		const headers = [
+			{ key: 'product', label: 'Product', isLeftAligned: true, required: true },
+			{ key: 'units_sold', label: 'Units sold', isNumeric: true },
+			{ key: 'sale_discount', label: 'Sale discount', isNumeric: true },
+			{ key: 'coupon_discount', label: 'Coupon discount', isNumeric: true },
+			{ key: 'total_discount', label: 'Total discount', isNumeric: true },
+			{ key: 'margin_erosion', label: 'Margin erosion', isNumeric: true }
+		];
+
+		const rows = products.map( product => [
+			cell( editLink( product.product_id, product.product_name ), product.product_name ),
+			numberCell( product.units_sold ),
+			currencyCell( product.sale_discount, data.currency ),
+			currencyCell( product.coupon_discount, data.currency ),
+			currencyCell( product.total_discount, data.currency ),
+			product.margin_erosion === null ? cell( '—', 0 ) : currencyCell( product.margin_erosion, data.currency )
+		] );
+
+		return el( Fragment, null,
+			el( ReportFilters, {
+				query: query,
+				path: path,
+				report: wdaAnalytics.reports.summary,
+				showDatePicker: true,
+				dateQuery: summary.dateQuery,
+				isoDateFormat: wc.date.isoDateFormat
+			} ),
+			el( DiscountSummarySection, { query: query, path: path, metrics: SUMMARY_METRICS, summary: summary } ),
+			summary.primary.error ? null : el( TableCard, {
+				title: 'Top discounted products',
+				headers: headers,
+				rows: rows,
+				rowsPerPage: Math.max( rows.length, 1 ),
+				totalRows: rows.length,
+				isLoading: summary.primary.isLoading,
+				query: query,
+				showMenu: false
+			} )
+		);
+	}
+
+	/**
+	 * Columns shared by the grouped Discount History views.
+	 */
+	const HISTORY_NUMERIC_HEADERS = [
+		{ key: 'units_sold', label: 'Units sold', isSortable: true, isNumeric: true },
+		{ key: 'sale_discount', label: 'Sale discount', isNumeric: true },
+		{ key: 'coupon_discount', label: 'Coupon discount', isNumeric: true },
+		{ key: 'total_discount', label: 'Total discount', isSortable: true, isNumeric: true },
+		{ key: 'avg_discount_pct', label: 'Avg discount %', isNumeric: true },
+		{ key: 'total_revenue', label: 'Revenue', isSortable: true, isNumeric: true }
+	];
+
+	/**
+	 * Build the cells shared by the grouped views.
+	 */
+	function getGroupCells( item ) {
+		return [
+			numberCell( item.units_sold ),
+			currencyCell( item.sale_discount, item.currency ),
+			currencyCell( item.coupon_discount, item.currency ),
+			currencyCell( item.total_discount, item.currency ),
+			cell( formatPercent( item.avg_discount_pct ), parseFloat( item.avg_discount_pct ) || 0 ),
+			currencyCell( item.total_revenue, item.currency )
+		];
+	}
+
+	/**
+	 * Discount History views: order lines, or one of the report's groupings.
+	 */
+	const HISTORY_VIEWS = {
+		all: {
+			label: 'Order lines',
+			itemsLabel: 'order lines',
+			headers: [
+				{ key: 'date', label: 'Date', isSortable: true, defaultSort: true, isLeftAligned: true, required: true },
+				{ key: 'order', label: 'Order', required: true },
+				{ key: 'product', label: 'Product', isLeftAligned: true },
+				{ key: 'units_sold', label: 'Quantity', isSortable: true, isNumeric: true },
+				{ key: 'regular_price', label: 'Regular price', isNumeric: true },
+				{ key: 'sale_price', label: 'Sale price', isNumeric: true },
+				{ key: 'coupon_discount', label: 'Coupon discount', isNumeric: true },
+				{ key: 'total_discount', label: 'Total discount', isSortable: true, isNumeric: true },
+				{ key: 'total_revenue', label: 'Line total', isSortable: true, isNumeric: true }
+			],
+			getRow: item => [
+				cell( formatDate( item.order_date ), item.order_date ),
+				cell( editLink( item.order_id, '#' + item.order_id ), item.order_id ),
+				cell( item.product_name, item.product_name ),
+				numberCell( item.quantity ),
+				currencyCell( item.regular_price, item.currency ),
+				currencyCell( item.sale_price, item.currency ),
+				currencyCell( item.coupon_discount, item.currency ),
+				currencyCell( item.total_discount, item.currency ),
+				currencyCell( item.line_total, item.currency )
+			]
+		},
+		product: {
+			label: 'By product',
+			itemsLabel: 'products',
+			headers: [ { key: 'product', label: 'Product', isLeftAligned: true, required: true } ].concat( HISTORY_NUMERIC_HEADERS ),
+			getRow: item => [ cell( editLink( item.product_id, item.product_name ), item.product_name ) ].concat( getGroupCells( item ) )
+		},
+		category: {
+			label: 'By category',
+			itemsLabel: 'categories',
+			headers: [ { key: 'category', label: 'Category', isLeftAligned: true, required: true } ].concat( HISTORY_NUMERIC_HEADERS ),
+			getRow: item => [ cell( item.category_name, item.category_name ) ].concat( getGroupCells( item ) )
+		},
+		date: {
+			label: 'By date',
+			itemsLabel: 'days',
+			headers: [ { key: 'date', label: 'Date', isSortable: true, defaultSort: true, isLeftAligned: true, required: true } ].concat( HISTORY_NUMERIC_HEADERS ),
+			getRow: item => [ cell( formatDate( item.date ), item.date ) ].concat( getGroupCells( item ) )
+		},
+		coupon: {
+			label: 'By coupon',
+			itemsLabel: 'coupons',
+			headers: [ { key: 'coupon', label: 'Coupon', isLeftAligned: true, required: true } ].concat( HISTORY_NUMERIC_HEADERS ),
+			getRow: item => [ cell( item.coupon_code || 'No coupon', item.coupon_code ) ].concat( getGroupCells( item ) )
+		}
+	};
+
+	const HISTORY_SORTS = [ 'date', 'units_sold', 'total_discount', 'total_revenue' ];
+
+	const HISTORY_FILTERS = [ {
+		label: 'Show',
+		staticParams: [ 'chart', 'chartType' ],
+		param: 'group_by',
+		showFilters: () => true,
+		filters: Object.keys( HISTORY_VIEWS ).map( key => ( { label: HISTORY_VIEWS[ key ].label, value: key } ) )
+	} ];
+
+	/**
+	 * Discount History Report: totals, chart and a paged table of lines or groups.
+	 */
+	function DiscountHistoryReport( { query, path } ) {
+		const summary = useDiscountSummary( query );
+		const groupBy = HISTORY_VIEWS.hasOwnProperty( query.group_by ) ? query.group_by : 'all';
+		const view = HISTORY_VIEWS[ groupBy ];
+		const perPage = parseInt( query.per_page, 10 ) || 25;
+
+		const history = useReportData( 'discount-history', {
+			date_from: summary.dateQuery.primaryDate.after.format( 'YYYY-MM-DD' ),
+			date_to: summary.dateQuery.primaryDate.before.format( 'YYYY-MM-DD' ),
+			group_by: groupBy === 'all' ? '' : groupBy,
+			page: parseInt( query.paged, 10 ) || 1,
+			per_page: perPage,
+			orderby: HISTORY_SORTS.indexOf( query.orderby ) !== -1 ? query.orderby : 'date',
+			order: query.order === 'asc' ? 'ASC' : 'DESC',
+			convert: true
+		} );
+
+		const items = history.data ? history.data.items : [];
+		const total = history.data ? history.data.total : 0;
+
+		return el( Fragment, null,
+			el( ReportFilters, {
+				query: query,
+				path: path,
+				report: wdaAnalytics.reports.history,
+				filters: HISTORY_FILTERS,
+				showDatePicker: true,
+				dateQuery: summary.dateQuery,
+				isoDateFormat: wc.date.isoDateFormat
+			} ),
+			el( DiscountSummarySection, { query: query, path: path, metrics: SUMMARY_METRICS.slice( 0, 6 ), summary: summary } ),
+			history.error ? el( ReportError, { error: history.error } ) : el( TableCard, {
+				title: 'Discount history',
+				headers: view.headers,
+				rows: items.map( view.getRow ),
+				rowsPerPage: perPage,
+				totalRows: total,
+				isLoading: history.isLoading,
+				query: query,
+				onQueryChange: onQueryChange,
+				showMenu: false,
+				summary: [ { label: view.itemsLabel, value: formatNumber( total ) } ]
+			} )
+		);
+	}
+
+	addFilter( 'woocommerce_admin_reports_list', HOOK_NAMESPACE, reports => reports.concat( [
+		{ report: wdaAnalytics.reports.summary, title: 'Discount Summary', component: DiscountSummaryReport },
+		{ report: wdaAnalytics.reports.history, title: 'Discount History', component: DiscountHistoryReport }
+	] ) );
+
+	/**
+	 * Sale discount filter and column for the Products and Orders reports.
+	 */
+	const DISCOUNT_FILTER = {
+		label: 'Sale discount',
+		staticParams: [ 'chartType', 'paged', 'per_page' ],
+		param: wdaAnalytics.filterParam,
+		showFilters: () => true,
+		filters: [
+			{ label: 'All', value: 'all' },
+			{ label: 'Sold at a sale discount', value: 'discounted' },
+			{ label: 'Sold at full price', value: 'full_price' }
+		]
+	};
+
+	const addDiscountFilter = filters => filters.concat( [ DISCOUNT_FILTER ] );
+
+	addFilter( 'woocommerce_admin_products_report_filters', HOOK_NAMESPACE, addDiscountFilter );
+	addFilter( 'woocommerce_admin_orders_report_filters', HOOK_NAMESPACE, addDiscountFilter );
+	addFilter( 'woocommerce_admin_persisted_queries', HOOK_NAMESPACE, params => params.concat( [ wdaAnalytics.filterParam ] ) );
+
+	addFilter( 'woocommerce_admin_report_table', HOOK_NAMESPACE, table => {
+		if ( [ 'products', 'orders' ].indexOf( table.endpoint ) === -1 || ! table.items || ! table.items.data ) {
+			return table;
+		}
+
+		const items = table.items.data;
+
+		table.headers = table.headers.concat( [ { key: 'wda_sale_discount', label: 'Sale discount', isNumeric: true } ] );
+		table.rows = table.rows.map( ( row, index ) => row.concat( [
+			currencyCell( items[ index ] ? items[ index ].wda_sale_discount : 0 )
+		] ) );
+
+		return table;
+	} );
+
+} )( window.wp, window.wc, window.wdaAnalytics || {} );
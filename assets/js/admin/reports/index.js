@@ -9,12 +9,28 @@
 ( function( $, wdaSettings ) {
 	'use strict';
 
+	const currencyFormatters = {};
+
 	/**
-	 * Format currency value.
+	 * Format currency value in the given currency (store currency by default).
 	 */
-	function formatCurrency( value ) {
+	function formatCurrency( value, currency ) {
 		const num = parseFloat( value ) || 0;
-		return wdaSettings.symbol + num.toFixed( 2 );
+		const code = currency || wdaSettings.currency;
+
+		if ( ! currencyFormatters.hasOwnProperty( code ) ) {
+			try {
+				currencyFormatters[ code ] = new Intl.NumberFormat( wdaSettings.locale || undefined, { style: 'currency', currency: code } );
+			} catch ( e ) {
+				currencyFormatters[ code ] = null;
+			}
+		}
+
+		if ( currencyFormatters[ code ] ) {
+			return currencyFormatters[ code ].format( num );
+		}
+
+		return ( code === wdaSettings.currency ? wdaSettings.symbol : code + ' ' ) + num.toFixed( 2 );
 	}
 
 	/**
@@ -34,6 +50,39 @@
 		return date.toLocaleDateString();
 	}
 
+	/**
+	 * Parse a Y-m-d string as a local date (avoids UTC day shifts).
+	 */
+	function parseLocalDate( dateStr ) {
+		const parts = String( dateStr ).substring( 0, 10 ).split( '-' );
+		return new Date( parseInt( parts[0], 10 ), parseInt( parts[1], 10 ) - 1, parseInt( parts[2], 10 ) );
+	}
+
+	/**
+	 * Parse a Y-m-d H:i:s string as a local date and time.
+	 */
+	function parseLocalDateTime( dateStr ) {
+		return new Date( String( dateStr ).replace( ' ', 'T' ) );
+	}
+
+	/**
+	 * Round a value up to a "nice" axis maximum (1, 2, 5 x 10^n).
+	 */
+	function niceMax( value ) {
+		if ( ! value || value <= 0 ) return 1;
+		const magnitude = Math.pow( 10, Math.floor( Math.log10( value ) ) );
+		const normalized = value / magnitude;
+		let nice = 10;
+		if ( normalized <= 1 ) {
+			nice = 1;
+		} else if ( normalized <= 2 ) {
+			nice = 2;
+		} else if ( normalized <= 5 ) {
+			nice = 5;
+		}
+		return nice * magnitude;
+	}
+
 	/**
 	 * Escape HTML.
 	 */
@@ -63,285 +112,786 @@
 			}
 		} ).then( response => {
 			if ( ! response.ok ) {
-				throw new Error( 'HTTP error! status: ' + response.status );
+				// Surface the WP_Error message when the endpoint returns one.
+				return response.json().catch( () => ( {} ) ).then( body => {
+					throw new Error( body.message || 'HTTP error! status: ' + response.status );
+				} );
 			}
 			return response.json();
 		} );
 	}
 
 	/**
-	 * Current Discounts Report
+	 * Make a JSON POST request to the API.
 	 */
-	const CurrentDiscountsReport = {
-		container: null,
-		state: {
-			items: [],
-			total: 0,
-			totalPages: 0,
-			page: 1,
-			perPage: 25,
-			loading: true,
-			error: null,
-			filters: {
-				category: 0,
-				product_type: '',
-				discount_min: 0,
-				discount_max: 100,
-				sale_status: 'all',
-				orderby: 'discount_pct',
-				order: 'DESC'
+	function apiPost( endpoint, body ) {
+		return fetch( wdaSettings.restUrl + endpoint, {
+			method: 'POST',
+			headers: {
+				'X-WP-Nonce': wdaSettings.nonce,
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify( body )
+		} ).then( response => {
+			return response.json().catch( () => ( {} ) ).then( data => {
+				if ( ! response.ok ) {
+					throw new Error( data.message || 'HTTP error! status: ' + response.status );
+				}
+				return data;
+			} );
+		} );
+	}
+
+	/**
+	 * Make a DELETE request to the API.
+	 */
+	function apiDelete( endpoint ) {
+		return fetch( wdaSettings.restUrl + endpoint, {
+			method: 'DELETE',
+			headers: {
+				'X-WP-Nonce': wdaSettings.nonce
 			}
-		},
+		} ).then( response => {
+			return response.json().catch( () => ( {} ) ).then( data => {
+				if ( ! response.ok ) {
+					throw new Error( data.message || 'HTTP error! status: ' + response.status );
+				}
+				return data;
+			} );
+		} );
+	}
 
-		init: function( containerId ) {
-			this.container = document.getElementById( containerId );
-			if ( ! this.container ) return;
-			this.fetchData();
-		},
+	/**
+	 * Read report state from the admin page query string.
+	 *
+	 * Only keys present in defaults are read; values are coerced to the type
+	 * of their default.
+	 */
+	function readQueryState( defaults ) {
+		const params = new URLSearchParams( window.location.search );
+		const values = {};
 
-		fetchData: function() {
-			const self = this;
-			self.state.loading = true;
-			self.state.error = null;
-			self.render();
+		Object.keys( defaults ).forEach( function( key ) {
+			if ( ! params.has( key ) ) {
+				values[ key ] = defaults[ key ];
+				return;
+			}
 
-			const params = {
-				page: self.state.page,
-				per_page: self.state.perPage,
-				...self.state.filters
-			};
+			const raw = params.get( key );
+			if ( typeof defaults[ key ] === 'number' ) {
+				const num = parseFloat( raw );
+				values[ key ] = isNaN( num ) ? defaults[ key ] : num;
+			} else {
+				values[ key ] = raw;
+			}
+		} );
 
-			apiFetch( 'current-discounts', params )
-				.then( function( data ) {
-					if ( data.code ) {
-						// WordPress error response
-						throw new Error( data.message || 'Unknown error' );
-					}
-					self.state.items = data.items || [];
-					self.state.total = data.total || 0;
-					self.state.totalPages = data.total_pages || 0;
-					self.state.loading = false;
-					self.state.error = null;
-					self.render();
-				} )
-				.catch( function( error ) {
-					console.error( 'Error fetching current discounts:', error );
-					self.state.loading = false;
-					self.state.error = error.message || 'Failed to load data';
-					self.render();
-				} );
-		},
+		return values;
+	}
 
-		handleFilterChange: function( key, value ) {
-			this.state.filters[ key ] = value;
-			this.state.page = 1;
-			this.fetchData();
-		},
+	/**
+	 * Write report state to the query string through the History API.
+	 *
+	 * Default values are left out to keep links short, and other query args
+	 * (notably the admin `page` slug) are preserved. Nothing is pushed when
+	 * the URL would not change, so re-fetching after back/forward is safe.
+	 */
+	function writeQueryState( values, defaults, replace, historyState ) {
+		const url = new URL( window.location.href );
 
-		handlePageChange: function( newPage ) {
-			this.state.page = newPage;
-			this.fetchData();
-		},
+		Object.keys( defaults ).forEach( function( key ) {
+			const value = values[ key ];
+			if ( value === defaults[ key ] || value === '' || value === null || value === undefined ) {
+				url.searchParams.delete( key );
+			} else {
+				url.searchParams.set( key, value );
+			}
+		} );
 
-		handleSort: function( column ) {
-			const filters = this.state.filters;
-			filters.order = ( filters.orderby === column && filters.order === 'DESC' ) ? 'ASC' : 'DESC';
-			filters.orderby = column;
-			this.fetchData();
-		},
+		if ( url.toString() === window.location.href ) return;
 
-		handleExport: function() {
-			window.location.href = wdaSettings.restUrl + 'export/current-discounts?_wpnonce=' + wdaSettings.nonce;
-		},
+		if ( replace ) {
+			window.history.replaceState( historyState || null, '', url.toString() );
+		} else {
+			window.history.pushState( historyState || null, '', url.toString() );
+		}
+	}
 
-		renderStatusBadge: function( status ) {
-			const label = status.charAt( 0 ).toUpperCase() + status.slice( 1 );
-			return '<span class="wda-status-badge ' + status + '">' + label + '</span>';
-		},
+	/**
+	 * Get a report's URL-synced values: its filters plus the page number
+	 * and view, where the report has them.
+	 *
+	 * The page number is stored as `paged` since WordPress owns `page`.
+	 */
+	function getUrlValues( report ) {
+		const values = Object.assign( {}, report.state.filters );
+		if ( 'page' in report.state ) {
+			values.paged = report.state.page;
+		}
+		if ( 'view' in report.state ) {
+			values.view = report.state.view;
+		}
+		return values;
+	}
 
-		renderStockBadge: function( status ) {
-			const labels = {
-				instock: 'In Stock',
-				outofstock: 'Out of Stock',
-				onbackorder: 'On Backorder'
-			};
-			return '<span class="wda-stock-badge ' + status + '">' + ( labels[ status ] || status ) + '</span>';
-		},
+	/**
+	 * Restore a report's filters and page from the query string.
+	 */
+	function restoreUrlState( report ) {
+		const values = readQueryState( report.urlDefaults );
+		if ( 'paged' in values ) {
+			report.state.page = Math.max( 1, Math.floor( values.paged ) );
+			delete values.paged;
+		}
+		if ( 'view' in values ) {
+			report.state.view = values.view;
+			delete values.view;
+		}
+		report.state.filters = values;
+	}
 
-		render: function() {
-			const self = this;
-			const state = self.state;
+	/**
+	 * Get extra, non-URL state a report keeps in history entries (if any).
+	 */
+	function getHistoryState( report ) {
+		return report.getHistoryState ? report.getHistoryState() : null;
+	}
 
-			if ( state.loading ) {
-				self.container.innerHTML = '<div class="wda-loading"><div class="wda-loading-spinner"></div></div>';
-				return;
-			}
+	/**
+	 * Push a report's current state onto the browser history.
+	 */
+	function pushUrlState( report ) {
+		writeQueryState( getUrlValues( report ), report.urlDefaults, false, getHistoryState( report ) );
+	}
 
-			if ( state.error ) {
-				self.container.innerHTML = '<div class="wda-empty-state">' +
-					'<div class="wda-empty-state-icon">⚠️</div>' +
-					'<div class="wda-empty-state-title">Error Loading Data</div>' +
-					'<div class="wda-empty-state-description">' + escapeHtml( state.error ) + '</div>' +
-					'<button type="button" class="wda-btn" id="wda-retry-btn" style="margin-top: 16px;">Retry</button>' +
-					'</div>';
-				const retryBtn = document.getElementById( 'wda-retry-btn' );
-				if ( retryBtn ) {
-					retryBtn.addEventListener( 'click', function() {
-						self.fetchData();
-					} );
-				}
-				return;
-			}
+	/**
+	 * Restore a report from the URL and re-fetch on back/forward navigation.
+	 *
+	 * Must run before the report's first fetch so initial state comes from the URL.
+	 */
+	function initUrlState( report ) {
+		report.urlDefaults = getUrlValues( report );
+		restoreUrlState( report );
+		if ( report.restoreHistoryState ) {
+			report.restoreHistoryState( window.history.state );
+		}
 
-			let html = '';
+		// Normalise the URL (drop explicit defaults) without adding a history entry.
+		writeQueryState( getUrlValues( report ), report.urlDefaults, true, getHistoryState( report ) );
 
-			// Filters
-			html += '<div class="wda-report-filters">';
-			html += '<div class="wda-filter-group">';
-			html += '<label>Sale Status</label>';
-			html += '<select id="wda-filter-status">';
-			html += '<option value="all"' + ( state.filters.sale_status === 'all' ? ' selected' : '' ) + '>All</option>';
-			html += '<option value="active"' + ( state.filters.sale_status === 'active' ? ' selected' : '' ) + '>Active</option>';
-			html += '<option value="scheduled"' + ( state.filters.sale_status === 'scheduled' ? ' selected' : '' ) + '>Scheduled</option>';
-			html += '<option value="expired"' + ( state.filters.sale_status === 'expired' ? ' selected' : '' ) + '>Expired</option>';
-			html += '</select></div>';
+		window.addEventListener( 'popstate', function( event ) {
+			restoreUrlState( report );
+			if ( report.restoreHistoryState ) {
+				report.restoreHistoryState( event.state );
+			}
+			report.fetchData();
+		} );
+	}
 
-			html += '<div class="wda-filter-group">';
-			html += '<label>Min Discount %</label>';
-			html += '<input type="number" id="wda-filter-min" value="' + state.filters.discount_min + '" min="0" max="100">';
-			html += '</div>';
+	/**
+	 * Format a Date as Y-m-d for date inputs.
+	 */
+	function toDateInputValue( date ) {
+		const pad = n => ( n < 10 ? '0' : '' ) + n;
+		return date.getFullYear() + '-' + pad( date.getMonth() + 1 ) + '-' + pad( date.getDate() );
+	}
 
-			html += '<div class="wda-filter-group">';
-			html += '<label>Max Discount %</label>';
-			html += '<input type="number" id="wda-filter-max" value="' + state.filters.discount_max + '" min="0" max="100">';
-			html += '</div>';
+	/**
+	 * Format a plain number (units, counts) for display.
+	 */
+	function formatNumber( value ) {
+		return String( parseFloat( value ) || 0 );
+	}
 
-			html += '<div class="wda-filter-group" style="align-self: flex-end;">';
-			html += '<button type="button" class="wda-btn secondary" id="wda-export-btn">Export CSV</button>';
-			html += '</div>';
-			html += '</div>';
+	/**
+	 * Render margin and margin erosion cells for a history line or group.
+	 *
+	 * Margins are null when no cost is known for the line or group.
+	 */
+	function renderMarginCells( item ) {
+		if ( item.sale_margin === null || item.sale_margin === undefined ) {
+			return '<td class="col-numeric">–</td><td class="col-numeric">–</td>';
+		}
 
-			// Results count
-			html += '<p style="margin-bottom: 12px; color: #757575;">' + state.total + ' products found</p>';
+		let html = '<td class="col-numeric' + ( item.below_cost || item.sale_margin < 0 ? ' wda-below-cost' : '' ) + '">' + formatCurrency( item.sale_margin, item.currency );
+		html += '<span class="wda-margin-note">' + formatCurrency( item.regular_margin, item.currency ) + ' at regular</span>';
+		html += '</td>';
+		html += '<td class="col-numeric">' + formatCurrency( item.margin_erosion, item.currency );
+		if ( item.margin_erosion_pct !== null ) {
+			html += '<span class="wda-margin-note">' + formatPercent( item.margin_erosion_pct ) + ' of margin</span>';
+		}
+		html += '</td>';
+		return html;
+	}
 
-			if ( state.items.length > 0 ) {
-				// Table
-				html += '<div class="wda-report-table-container">';
-				html += '<table class="wda-report-table">';
-				html += '<thead><tr>';
-				html += '<th>Product</th>';
-				html += '<th>Type</th>';
-				html += '<th class="col-numeric sortable" data-sort="regular_price">Regular</th>';
-				html += '<th class="col-numeric sortable" data-sort="sale_price">Sale</th>';
-				html += '<th class="col-numeric sortable" data-sort="discount_amount">Discount</th>';
-				html += '<th class="col-numeric sortable" data-sort="discount_pct">Discount %</th>';
-				html += '<th>Sale Period</th>';
-				html += '<th>Status</th>';
-				html += '<th>Stock</th>';
-				html += '</tr></thead>';
-				html += '<tbody>';
+	/**
+	 * Product category tree, loaded once and shared by all reports.
+	 */
+	let categoriesRequest = null;
+	let categories = null;
 
-				state.items.forEach( function( item ) {
-					html += '<tr>';
-					html += '<td><a href="' + escapeHtml( item.edit_link ) + '" target="_blank">' + escapeHtml( item.name ) + '</a></td>';
-					html += '<td>' + escapeHtml( item.type ) + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.regular_price ) + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.sale_price ) + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.discount_amount ) + '</td>';
-					html += '<td class="col-numeric">' + formatPercent( item.discount_pct ) + '</td>';
-					html += '<td>' + ( item.sale_start || item.sale_end ? formatDate( item.sale_start ) + ' - ' + formatDate( item.sale_end ) : 'No dates set' ) + '</td>';
-					html += '<td>' + self.renderStatusBadge( item.sale_status ) + '</td>';
-					html += '<td>' + self.renderStockBadge( item.stock_status ) + '</td>';
-					html += '</tr>';
+	function loadCategories() {
+		if ( ! categoriesRequest ) {
+			categoriesRequest = apiFetch( 'categories' )
+				.then( function( data ) {
+					categories = data.items || [];
+					return categories;
+				} )
+				.catch( function( error ) {
+					console.error( 'Error fetching categories:', error );
+					categories = [];
+					return categories;
 				} );
+		}
+		return categoriesRequest;
+	}
 
-				html += '</tbody></table>';
+	function getCategoryName( id ) {
+		const match = ( categories || [] ).find( function( cat ) {
+			return cat.id === parseInt( id, 10 );
+		} );
+		return match ? match.name : '';
+	}
 
-				// Pagination
-				if ( state.totalPages > 1 ) {
-					html += '<div class="wda-pagination">';
-					html += '<div class="wda-pagination-info">Page ' + state.page + ' of ' + state.totalPages + '</div>';
-					html += '<div class="wda-pagination-controls">';
-					html += '<button class="wda-pagination-btn" id="wda-prev-page"' + ( state.page <= 1 ? ' disabled' : '' ) + '>Previous</button>';
-					html += '<button class="wda-pagination-btn" id="wda-next-page"' + ( state.page >= state.totalPages ? ' disabled' : '' ) + '>Next</button>';
-					html += '</div></div>';
+	/**
+	 * Render a searchable, hierarchical category picker.
+	 */
+	function renderCategoryPicker( id, selectedId ) {
+		const loaded = categories !== null;
+		const selectedName = selectedId ? getCategoryName( selectedId ) : '';
+		let html = '<div class="wda-category-picker" id="' + id + '">';
+		html += '<input type="text" class="wda-category-picker-search" autocomplete="off"';
+		html += ' placeholder="' + ( loaded ? 'All categories' : 'Loading…' ) + '"';
+		html += ' value="' + escapeHtml( selectedName ) + '"' + ( loaded ? '' : ' disabled' ) + '>';
+		html += '<ul class="wda-category-picker-list" hidden>';
+		html += '<li class="wda-category-picker-option" data-id="0">All categories</li>';
+		( categories || [] ).forEach( function( cat ) {
+			html += '<li class="wda-category-picker-option' + ( cat.id === parseInt( selectedId, 10 ) ? ' is-selected' : '' ) + '"';
+			html += ' data-id="' + cat.id + '" data-parent="' + cat.parent + '" style="padding-left: ' + ( 12 + cat.depth * 16 ) + 'px;">';
+			html += escapeHtml( cat.name ) + ' <span class="wda-category-picker-count">(' + cat.count + ')</span>';
+			html += '</li>';
+		} );
+		html += '</ul></div>';
+		return html;
+	}
+
+	/**
+	 * Wire up a category picker rendered by renderCategoryPicker.
+	 *
+	 * Searching keeps each match's ancestors visible so the hierarchy stays readable.
+	 */
+	function bindCategoryPicker( id, onChange ) {
+		const picker = document.getElementById( id );
+		if ( ! picker ) return;
+
+		const input = picker.querySelector( '.wda-category-picker-search' );
+		const list = picker.querySelector( '.wda-category-picker-list' );
+		const options = Array.prototype.slice.call( list.querySelectorAll( '.wda-category-picker-option' ) );
+		const selectedName = input.value;
+		const byId = {};
+		options.forEach( function( option ) {
+			byId[ option.dataset.id ] = option;
+		} );
+
+		const filter = function( term ) {
+			const query = term.trim().toLowerCase();
+			const visible = {};
+			options.forEach( function( option ) {
+				if ( ! query || option.textContent.toLowerCase().indexOf( query ) !== -1 ) {
+					let current = option;
+					while ( current && ! visible[ current.dataset.id ] ) {
+						visible[ current.dataset.id ] = true;
+						current = byId[ current.dataset.parent ];
+					}
 				}
+			} );
+			options.forEach( function( option ) {
+				option.hidden = ! visible[ option.dataset.id ];
+			} );
+		};
 
-				html += '</div>';
-			} else {
-				html += '<div class="wda-empty-state">';
-				html += '<div class="wda-empty-state-icon">📦</div>';
-				html += '<div class="wda-empty-state-title">No discounted products found</div>';
-				html += '<div class="wda-empty-state-description">Try adjusting your filters or add sale prices to your products.</div>';
-				html += '</div>';
+		input.addEventListener( 'focus', function() {
+			input.value = '';
+			input.placeholder = selectedName || 'All categories';
+			filter( '' );
+			list.hidden = false;
+		} );
+
+		input.addEventListener( 'input', function() {
+			filter( input.value );
+		} );
+
+		input.addEventListener( 'keydown', function( e ) {
+			if ( e.key === 'Escape' ) {
+				input.blur();
+			} else if ( e.key === 'Enter' ) {
+				e.preventDefault();
+				const first = options.find( function( option ) {
+					return ! option.hidden && option.dataset.id !== '0';
+				} );
+				if ( first ) {
+					onChange( parseInt( first.dataset.id, 10 ) );
+				}
+			}
+		} );
+
+		input.addEventListener( 'blur', function() {
+			list.hidden = true;
+			input.value = selectedName;
+			input.placeholder = 'All categories';
+		} );
+
+		// mousedown fires before the input's blur hides the list.
+		list.addEventListener( 'mousedown', function( e ) {
+			const option = e.target.closest( '.wda-category-picker-option' );
+			if ( option ) {
+				e.preventDefault();
+				onChange( parseInt( option.dataset.id, 10 ) );
 			}
+		} );
+	}
 
-			self.container.innerHTML = html;
-			self.bindEvents();
+	/**
+	 * Render the currency filter and conversion toggle.
+	 *
+	 * Only shown when orders have been captured in more than one currency.
+	 */
+	function renderCurrencyFilter( filters ) {
+		const currencies = wdaSettings.currencies || [];
+		if ( currencies.length < 2 ) return '';
+
+		let html = '<div class="wda-filter-group">';
+		html += '<label>Currency</label>';
+		html += '<select id="wda-filter-currency">';
+		html += '<option value="">' + escapeHtml( wdaSettings.currency ) + ' (store)</option>';
+		currencies.forEach( function( code ) {
+			if ( code === wdaSettings.currency ) return;
+			html += '<option value="' + escapeHtml( code ) + '"' + ( filters.currency === code ? ' selected' : '' ) + '>' + escapeHtml( code ) + '</option>';
+		} );
+		html += '</select>';
+		html += '<label class="wda-filter-checkbox"><input type="checkbox" id="wda-filter-convert"' + ( filters.convert ? ' checked' : '' ) + '> Convert to ' + escapeHtml( wdaSettings.currency ) + '</label>';
+		html += '</div>';
+		return html;
+	}
+
+	/**
+	 * Wire up the currency filter rendered by renderCurrencyFilter().
+	 */
+	function bindCurrencyFilter( onChange ) {
+		const select = document.getElementById( 'wda-filter-currency' );
+		if ( select ) {
+			select.addEventListener( 'change', function() {
+				onChange( 'currency', this.value );
+			} );
+		}
+
+		const convert = document.getElementById( 'wda-filter-convert' );
+		if ( convert ) {
+			convert.addEventListener( 'change', function() {
+				onChange( 'convert', this.checked ? 1 : 0 );
+			} );
+		}
+	}
+
+	/**
+	 * Render a notice for orders left out of a converted report.
+	 */
+	function renderUnconvertedNotice( count ) {
+		if ( ! count ) return '';
+		return '<div class="notice notice-warning inline wda-currency-notice"><p>' + formatNumber( count ) + ' order' + ( count === 1 ? ' has' : 's have' ) +
+			' no stored exchange rate and ' + ( count === 1 ? 'is' : 'are' ) + ' left out of the converted figures.</p></div>';
+	}
+
+	const EXPORT_FORMATS = {
+		csv: 'CSV',
+		xlsx: 'Excel (XLSX)',
+		json: 'JSON'
+	};
+
+	// What reports without columns to choose are exported with.
+	const WHOLE_EXPORT_NOTES = {
+		'discount-summary': 'The summary is exported whole: its metrics, currencies, top products and lines sold below cost.',
+		'discount-depth': 'The report is exported whole: its totals, discount bands, category bands and price elasticity.'
+	};
+
+	// Export format and columns picked per report view, kept while the page is open.
+	const exportChoices = {};
+
+	/**
+	 * Get the columns a report view can be exported with, keyed by field name.
+	 */
+	function getExportColumns( type, view ) {
+		const sets = wdaSettings.exportColumns || {};
+		return ( sets[ type ] && sets[ type ][ view || '' ] ) || {};
+	}
+
+	/**
+	 * Get the export choice for a report view, starting with CSV and every column.
+	 */
+	function getExportChoice( type, view ) {
+		const key = type + ':' + ( view || '' );
+		if ( ! exportChoices[ key ] ) {
+			exportChoices[ key ] = {
+				format: 'csv',
+				columns: Object.keys( getExportColumns( type, view ) )
+			};
+		}
+		return exportChoices[ key ];
+	}
+
+	/**
+	 * Render the export panel: a format choice and a column chooser.
+	 *
+	 * The summary and discount depth aren't lists of items, so they have no
+	 * columns to choose.
+	 */
+	function renderExportPanel( type, view ) {
+		const columns = getExportColumns( type, view );
+		const choice = getExportChoice( type, view );
+
+		let html = '<div class="wda-export-panel" id="wda-export-panel">';
+		html += '<div class="wda-filter-group">';
+		html += '<label for="wda-export-format">Format</label>';
+		html += '<select id="wda-export-format">';
+		Object.keys( EXPORT_FORMATS ).forEach( function( format ) {
+			if ( format === 'xlsx' && ! wdaSettings.canExportXlsx ) return;
+			html += '<option value="' + format + '"' + ( choice.format === format ? ' selected' : '' ) + '>' + EXPORT_FORMATS[ format ] + '</option>';
+		} );
+		html += '</select>';
+		html += '</div>';
+
+		if ( Object.keys( columns ).length ) {
+			html += '<div class="wda-export-columns-header">';
+			html += '<strong>Columns</strong> ';
+			html += '<a href="#" data-export-select="all">All</a> · <a href="#" data-export-select="none">None</a>';
+			html += '</div>';
+			html += '<div class="wda-export-columns">';
+			Object.keys( columns ).forEach( function( key ) {
+				html += '<label class="wda-filter-checkbox"><input type="checkbox" value="' + escapeHtml( key ) + '"' + ( choice.columns.indexOf( key ) !== -1 ? ' checked' : '' ) + '> ' + escapeHtml( columns[ key ] ) + '</label>';
+			} );
+			html += '</div>';
+		} else {
+			html += '<p class="wda-export-note">' + WHOLE_EXPORT_NOTES[ type ] + '</p>';
+		}
+
+		html += '<p class="wda-export-error" id="wda-export-error" hidden></p>';
+		html += '<div class="wda-export-actions">';
+		html += '<button type="button" class="wda-btn" id="wda-export-start">Start Export</button>';
+		html += '<button type="button" class="wda-btn secondary" id="wda-export-cancel">Cancel</button>';
+		html += '</div>';
+		html += '</div>';
+		return html;
+	}
+
+	/**
+	 * Wire up the export panel rendered by renderExportPanel().
+	 *
+	 * Exports use the report's current filters, sorting and grouping, so
+	 * the file matches what is on screen.
+	 */
+	function bindExportPanel( type, view, params, onClose ) {
+		const panel = document.getElementById( 'wda-export-panel' );
+		if ( ! panel ) return;
+
+		const choice = getExportChoice( type, view );
+		const columnKeys = Object.keys( getExportColumns( type, view ) );
+		const boxes = panel.querySelectorAll( '.wda-export-columns input' );
+		const startBtn = document.getElementById( 'wda-export-start' );
+		const errorEl = document.getElementById( 'wda-export-error' );
+
+		const updateColumns = function() {
+			choice.columns = Array.prototype.filter.call( boxes, function( box ) {
+				return box.checked;
+			} ).map( function( box ) {
+				return box.value;
+			} );
+			startBtn.disabled = columnKeys.length > 0 && ! choice.columns.length;
+		};
+
+		document.getElementById( 'wda-export-format' ).addEventListener( 'change', function() {
+			choice.format = this.value;
+		} );
+
+		boxes.forEach( function( box ) {
+			box.addEventListener( 'change', updateColumns );
+		} );
+
+		panel.querySelectorAll( '[data-export-select]' ).forEach( function( link ) {
+			link.addEventListener( 'click', function( e ) {
+				e.preventDefault();
+				const checked = this.dataset.exportSelect === 'all';
+				boxes.forEach( function( box ) {
+					box.checked = checked;
+				} );
+				updateColumns();
+			} );
+		} );
+
+		startBtn.addEventListener( 'click', function() {
+			startBtn.disabled = true;
+			errorEl.hidden = true;
+
+			// All columns is the default, so only a narrower pick is sent.
+			const columns = choice.columns.length < columnKeys.length ? choice.columns : [];
+
+			ExportJobs.start( type, choice.format, columns, params )
+				.then( onClose )
+				.catch( function( error ) {
+					errorEl.textContent = error.message;
+					errorEl.hidden = false;
+					startBtn.disabled = false;
+				} );
+		} );
+
+		document.getElementById( 'wda-export-cancel' ).addEventListener( 'click', onClose );
+
+		updateColumns();
+	}
+
+	/**
+	 * Background export jobs, shared by the report pages.
+	 *
+	 * The list is polled while any export is queued or running.
+	 */
+	const ExportJobs = {
+		jobs: [],
+		loaded: false,
+		timer: null,
+
+		load: function() {
+			if ( this.loaded ) return;
+			this.loaded = true;
+			this.refresh();
 		},
 
-		bindEvents: function() {
+		refresh: function() {
 			const self = this;
+			clearTimeout( self.timer );
 
-			const statusSelect = document.getElementById( 'wda-filter-status' );
-			if ( statusSelect ) {
-				statusSelect.addEventListener( 'change', function() {
-					self.handleFilterChange( 'sale_status', this.value );
+			apiFetch( 'export-jobs' )
+				.then( function( data ) {
+					self.jobs = data.items || [];
+					self.update();
+				} )
+				.catch( function( error ) {
+					console.error( 'Error fetching exports:', error );
 				} );
+		},
+
+		/**
+		 * Redraw the list in place and poll again if anything is in progress.
+		 */
+		update: function() {
+			const self = this;
+			const container = document.getElementById( 'wda-export-jobs' );
+			if ( container ) {
+				container.innerHTML = self.renderList( container.dataset.type );
 			}
 
-			const minInput = document.getElementById( 'wda-filter-min' );
-			if ( minInput ) {
-				minInput.addEventListener( 'change', function() {
-					self.handleFilterChange( 'discount_min', parseInt( this.value ) || 0 );
-				} );
+			clearTimeout( self.timer );
+			const pending = self.jobs.some( function( job ) {
+				return job.status === 'queued' || job.status === 'running';
+			} );
+			if ( pending ) {
+				self.timer = setTimeout( function() {
+					self.refresh();
+				}, 3000 );
 			}
+		},
 
-			const maxInput = document.getElementById( 'wda-filter-max' );
-			if ( maxInput ) {
-				maxInput.addEventListener( 'change', function() {
-					self.handleFilterChange( 'discount_max', parseInt( this.value ) || 100 );
+		start: function( type, format, columns, filters ) {
+			const self = this;
+			const sent = {};
+
+			// Leave out empty filters, as apiFetch does.
+			Object.keys( filters ).forEach( function( key ) {
+				if ( filters[ key ] !== '' && filters[ key ] !== null && filters[ key ] !== undefined ) {
+					sent[ key ] = filters[ key ];
+				}
+			} );
+
+			return apiPost( 'export-jobs', { type: type, format: format, columns: columns, filters: sent } )
+				.then( function( job ) {
+					self.loaded = true;
+					self.jobs.unshift( job );
+					self.update();
 				} );
-			}
+		},
 
-			const exportBtn = document.getElementById( 'wda-export-btn' );
-			if ( exportBtn ) {
-				exportBtn.addEventListener( 'click', function() {
-					self.handleExport();
+		remove: function( id ) {
+			const self = this;
+
+			apiDelete( 'export-jobs/' + id )
+				.then( function() {
+					self.jobs = self.jobs.filter( function( job ) {
+						return job.id !== id;
+					} );
+					self.update();
+				} )
+				.catch( function( error ) {
+					console.error( 'Error removing export:', error );
 				} );
+		},
+
+		render: function( type ) {
+			return '<div id="wda-export-jobs" data-type="' + type + '">' + this.renderList( type ) + '</div>';
+		},
+
+		renderList: function( type ) {
+			const jobs = this.jobs.filter( function( job ) {
+				return job.type === type;
+			} );
+			if ( ! jobs.length ) return '';
+
+			let html = '<div class="wda-export-jobs">';
+			html += '<div class="wda-export-jobs-header">Exports</div>';
+			html += '<ul>';
+			jobs.forEach( function( job ) {
+				const pending = job.status === 'queued' || job.status === 'running';
+
+				html += '<li class="wda-export-job">';
+				html += '<span class="wda-export-job-name">' + escapeHtml( job.filename ) + '</span>';
+
+				if ( pending ) {
+					html += '<progress max="100" value="' + job.progress + '"></progress>';
+					html += '<span class="wda-export-job-meta">' + ( job.status === 'queued' ? 'Queued' : job.progress + '% · ' + formatNumber( job.rows ) + ' rows' ) + '</span>';
+				} else if ( job.status === 'complete' ) {
+					html += '<span class="wda-export-job-meta">' + formatNumber( job.rows ) + ' rows · ' + formatFileSize( job.size ) + ' · expires ' + parseLocalDateTime( job.expires_at ).toLocaleString() + '</span>';
+					html += '<a class="wda-btn secondary" href="' + escapeHtml( job.download_url ) + '">Download</a>';
+				} else {
+					html += '<span class="wda-export-job-error">Failed: ' + escapeHtml( job.error ) + '</span>';
+				}
+
+				html += '<button type="button" class="wda-row-link wda-export-job-remove" data-id="' + escapeHtml( job.id ) + '">' + ( pending ? 'Cancel' : 'Remove' ) + '</button>';
+				html += '</li>';
+			} );
+			html += '</ul>';
+			html += '</div>';
+			return html;
+		}
+	};
+
+	/**
+	 * Wire up the export list rendered by ExportJobs.render().
+	 */
+	function bindExportJobs() {
+		const container = document.getElementById( 'wda-export-jobs' );
+		if ( ! container ) return;
+
+		container.addEventListener( 'click', function( e ) {
+			const button = e.target.closest( '.wda-export-job-remove' );
+			if ( button ) {
+				button.disabled = true;
+				ExportJobs.remove( button.dataset.id );
 			}
+		} );
 
-			const prevBtn = document.getElementById( 'wda-prev-page' );
-			if ( prevBtn ) {
-				prevBtn.addEventListener( 'click', function() {
-					if ( self.state.page > 1 ) {
-						self.handlePageChange( self.state.page - 1 );
-					}
-				} );
+		ExportJobs.load();
+	}
+
+	/**
+	 * Format a file size in bytes.
+	 */
+	function formatFileSize( bytes ) {
+		if ( bytes < 1024 ) return bytes + ' B';
+		if ( bytes < 1048576 ) return ( bytes / 1024 ).toFixed( 1 ) + ' KB';
+		return ( bytes / 1048576 ).toFixed( 1 ) + ' MB';
+	}
+
+	/**
+	 * Wire up an async product/variation search box.
+	 *
+	 * Results are requested after a short pause in typing; responses for
+	 * superseded queries are ignored.
+	 */
+	function bindProductSearch( id, onSelect ) {
+		const wrapper = document.getElementById( id );
+		if ( ! wrapper ) return;
+
+		const input = wrapper.querySelector( '.wda-product-search-input' );
+		const list = wrapper.querySelector( '.wda-product-search-results' );
+		const clearBtn = wrapper.querySelector( '.wda-product-search-clear' );
+		const selectedName = input.value;
+		let timer = null;
+		let latestQuery = '';
+		let results = [];
+
+		const renderResults = function( message ) {
+			let html = '';
+			if ( message ) {
+				html += '<li class="wda-product-search-message">' + escapeHtml( message ) + '</li>';
 			}
+			results.forEach( function( product, idx ) {
+				html += '<li class="wda-product-search-option" data-index="' + idx + '">';
+				html += escapeHtml( product.name );
+				html += '<span class="wda-product-search-meta">' + escapeHtml( product.type === 'variation' ? 'Variation' : 'Product' );
+				html += product.sku ? ' · ' + escapeHtml( product.sku ) : '';
+				html += ' · #' + product.id + '</span>';
+				html += '</li>';
+			} );
+			list.innerHTML = html;
+			list.hidden = ! html;
+		};
 
-			const nextBtn = document.getElementById( 'wda-next-page' );
-			if ( nextBtn ) {
-				nextBtn.addEventListener( 'click', function() {
-					if ( self.state.page < self.state.totalPages ) {
-						self.handlePageChange( self.state.page + 1 );
-					}
-				} );
+		input.addEventListener( 'input', function() {
+			const query = input.value.trim();
+			latestQuery = query;
+			clearTimeout( timer );
+
+			if ( query.length < 2 ) {
+				results = [];
+				renderResults( query ? 'Type at least 2 characters' : '' );
+				return;
 			}
 
-			const sortHeaders = self.container.querySelectorAll( '.sortable' );
-			sortHeaders.forEach( function( header ) {
-				header.addEventListener( 'click', function() {
-					self.handleSort( this.dataset.sort );
-				} );
+			timer = setTimeout( function() {
+				renderResults( 'Searching…' );
+				apiFetch( 'products/search', { search: query } )
+					.then( function( data ) {
+						if ( query !== latestQuery ) return;
+						results = data.items || [];
+						renderResults( results.length ? '' : 'No products found' );
+					} )
+					.catch( function( error ) {
+						console.error( 'Error searching products:', error );
+						results = [];
+						renderResults( 'Search failed' );
+					} );
+			}, 300 );
+		} );
+
+		input.addEventListener( 'keydown', function( e ) {
+			if ( e.key === 'Escape' ) {
+				input.blur();
+			}
+		} );
+
+		input.addEventListener( 'blur', function() {
+			clearTimeout( timer );
+			list.hidden = true;
+			input.value = selectedName;
+		} );
+
+		// mousedown fires before the input's blur hides the list.
+		list.addEventListener( 'mousedown', function( e ) {
+			const option = e.target.closest( '.wda-product-search-option' );
+			e.preventDefault();
+			if ( option ) {
+				onSelect( results[ parseInt( option.dataset.index, 10 ) ] );
+			}
+		} );
+
+		if ( clearBtn ) {
+			clearBtn.addEventListener( 'click', function() {
+				onSelect( null );
 			} );
 		}
-	};
+	}
 
 	/**
-	 * Discount History Report
+	 * Current Discounts Report
 	 */
-	const DiscountHistoryReport = {
+	const CurrentDiscountsReport = {
 		container: null,
 		state: {
 			items: [],
@@ -350,263 +900,3696 @@
 			page: 1,
 			perPage: 25,
 			loading: true,
+			error: null,
+			notice: null,
+			selected: {},
+			bulk: {
+				action: 'percent_off',
+				percent: 20,
+				sale_start_mode: 'keep',
+				sale_start: '',
+				sale_end_mode: 'keep',
+				sale_end: ''
+			},
+			preview: null,
+			bulkBusy: false,
+			bulkError: null,
+			exportOpen: false,
+			view: 'table',
+			timeline: {
+				zoom: 'month',
+				offset: 0,
+				items: [],
+				truncated: false
+			},
 			filters: {
-				date_from: '',
-				date_to: '',
-				product_id: 0,
 				category: 0,
-				group_by: ''
+				include_subcategories: 0,
+				product_type: '',
+				discount_min: 0,
+				discount_max: 100,
+				sale_status: 'all',
+				violation: '',
+				orderby: 'discount_pct',
+				order: 'DESC'
 			}
 		},
 
 		init: function( containerId ) {
 			this.container = document.getElementById( containerId );
 			if ( ! this.container ) return;
+			initUrlState( this );
 			this.fetchData();
+
+			const self = this;
+			loadCategories().then( function() {
+				if ( ! self.state.loading ) {
+					self.render();
+				}
+			} );
 		},
 
 		fetchData: function() {
 			const self = this;
+			pushUrlState( self );
 			self.state.loading = true;
+			self.state.error = null;
 			self.render();
 
+			if ( self.state.view === 'timeline' ) {
+				self.fetchTimelineData();
+				return;
+			}
+
 			const params = {
 				page: self.state.page,
 				per_page: self.state.perPage,
 				...self.state.filters
 			};
 
-			apiFetch( 'discount-history', params )
+			apiFetch( 'current-discounts', params )
 				.then( function( data ) {
+					if ( data.code ) {
+						// WordPress error response
+						throw new Error( data.message || 'Unknown error' );
+					}
 					self.state.items = data.items || [];
 					self.state.total = data.total || 0;
 					self.state.totalPages = data.total_pages || 0;
 					self.state.loading = false;
+					self.state.error = null;
 					self.render();
 				} )
 				.catch( function( error ) {
-					console.error( 'Error fetching discount history:', error );
+					console.error( 'Error fetching current discounts:', error );
 					self.state.loading = false;
+					self.state.error = error.message || 'Failed to load data';
 					self.render();
 				} );
 		},
 
-		handleFilterChange: function( key, value ) {
-			this.state.filters[ key ] = value;
-			this.state.page = 1;
-			this.fetchData();
-		},
+		/**
+		 * Load every matching sale (all pages) for the timeline view.
+		 */
+		fetchTimelineData: function() {
+			const self = this;
+			const maxPages = 20;
+			const items = [];
 
-		handlePageChange: function( newPage ) {
+			const loadPage = function( page ) {
+				return apiFetch( 'current-discounts', {
+					...self.state.filters,
+					page: page,
+					per_page: 100
+				} ).then( function( data ) {
+					items.push.apply( items, data.items || [] );
+					self.state.total = data.total || 0;
+					if ( page < ( data.total_pages || 0 ) && page < maxPages ) {
+						return loadPage( page + 1 );
+					}
+					self.state.timeline.truncated = page < ( data.total_pages || 0 );
+				} );
+			};
+
+			loadPage( 1 )
+				.then( function() {
+					self.state.timeline.items = items;
+					self.state.loading = false;
+					self.render();
+				} )
+				.catch( function( error ) {
+					console.error( 'Error fetching sale timeline:', error );
+					self.state.loading = false;
+					self.state.error = error.message || 'Failed to load data';
+					self.render();
+				} );
+		},
+
+		handleFilterChange: function( key, value ) {
+			this.state.filters[ key ] = value;
+			this.state.page = 1;
+			this.state.notice = null;
+			this.fetchData();
+		},
+
+		handleViewChange: function( view ) {
+			if ( view === this.state.view ) return;
+			this.state.view = view;
+			this.state.preview = null;
+			this.fetchData();
+		},
+
+		/**
+		 * Get the visible timeline window for the current zoom and offset.
+		 */
+		getTimelineWindow: function() {
+			const timeline = this.state.timeline;
+			const today = new Date();
+			let start;
+			let end;
+
+			if ( timeline.zoom === 'week' ) {
+				// Weeks start on Monday.
+				const monday = today.getDate() - ( ( today.getDay() + 6 ) % 7 );
+				start = new Date( today.getFullYear(), today.getMonth(), monday + timeline.offset * 7 );
+				end = new Date( start.getFullYear(), start.getMonth(), start.getDate() + 7 );
+			} else if ( timeline.zoom === 'quarter' ) {
+				const quarterMonth = Math.floor( today.getMonth() / 3 ) * 3;
+				start = new Date( today.getFullYear(), quarterMonth + timeline.offset * 3, 1 );
+				end = new Date( start.getFullYear(), start.getMonth() + 3, 1 );
+			} else {
+				start = new Date( today.getFullYear(), today.getMonth() + timeline.offset, 1 );
+				end = new Date( start.getFullYear(), start.getMonth() + 1, 1 );
+			}
+
+			return { start: start, end: end };
+		},
+
+		/**
+		 * Build timeline rows: one per sale, grouped by parent product, with
+		 * overlapping and back-to-back sales flagged within each group.
+		 */
+		getTimelineRows: function( win ) {
+			const dayMs = 86400000;
+			const rows = this.state.timeline.items.map( function( item ) {
+				return {
+					item: item,
+					group: item.parent_id || item.id,
+					start: item.sale_start ? parseLocalDateTime( item.sale_start ).getTime() : -Infinity,
+					end: item.sale_end ? parseLocalDateTime( item.sale_end ).getTime() : Infinity,
+					overlap: false,
+					adjacent: false
+				};
+			} );
+
+			rows.sort( function( a, b ) {
+				return ( a.group - b.group ) || ( a.start - b.start ) || a.item.name.localeCompare( b.item.name );
+			} );
+
+			for ( let i = 0; i < rows.length; i++ ) {
+				for ( let j = i + 1; j < rows.length && rows[ j ].group === rows[ i ].group; j++ ) {
+					const a = rows[ i ];
+					const b = rows[ j ];
+					if ( a.start < b.end && b.start < a.end ) {
+						a.overlap = b.overlap = true;
+					} else if ( Math.abs( b.start - a.end ) <= dayMs || Math.abs( a.start - b.end ) <= dayMs ) {
+						a.adjacent = b.adjacent = true;
+					}
+				}
+			}
+
+			return rows.filter( function( row ) {
+				return row.start < win.end.getTime() && row.end > win.start.getTime();
+			} );
+		},
+
+		renderTimeline: function() {
+			const self = this;
+			const timeline = self.state.timeline;
+			const win = self.getTimelineWindow();
+			const winStart = win.start.getTime();
+			const span = win.end.getTime() - winStart;
+			const rows = self.getTimelineRows( win );
+			const pct = function( time ) {
+				return Math.min( 100, Math.max( 0, ( time - winStart ) / span * 100 ) );
+			};
+
+			const rangeLabel = timeline.zoom === 'month'
+				? win.start.toLocaleDateString( undefined, { month: 'long', year: 'numeric' } )
+				: win.start.toLocaleDateString() + ' – ' + new Date( win.end.getTime() - 1 ).toLocaleDateString();
+
+			let html = '<div class="wda-timeline">';
+
+			// Toolbar
+			html += '<div class="wda-timeline-toolbar">';
+			html += '<div class="wda-timeline-nav">';
+			html += '<button type="button" class="wda-pagination-btn" id="wda-timeline-prev" aria-label="Previous">‹</button>';
+			html += '<button type="button" class="wda-pagination-btn" id="wda-timeline-today">Today</button>';
+			html += '<button type="button" class="wda-pagination-btn" id="wda-timeline-next" aria-label="Next">›</button>';
+			html += '<span class="wda-timeline-range">' + escapeHtml( rangeLabel ) + '</span>';
+			html += '</div>';
+			html += '<div class="wda-timeline-zoom">';
+			[ 'week', 'month', 'quarter' ].forEach( function( zoom ) {
+				html += '<button type="button" class="wda-pagination-btn wda-timeline-zoom-btn' + ( timeline.zoom === zoom ? ' active' : '' ) + '" data-zoom="' + zoom + '">' + zoom.charAt( 0 ).toUpperCase() + zoom.slice( 1 ) + '</button>';
+			} );
+			html += '</div>';
+			html += '<div class="wda-timeline-legend">';
+			html += '<span><i class="wda-timeline-key active"></i>Active</span>';
+			html += '<span><i class="wda-timeline-key scheduled"></i>Scheduled</span>';
+			html += '<span><i class="wda-timeline-key expired"></i>Expired</span>';
+			html += '<span><i class="wda-timeline-key is-overlap"></i>Overlapping</span>';
+			html += '<span><i class="wda-timeline-key is-adjacent"></i>Back-to-back</span>';
+			html += '<span class="wda-timeline-legend-note">Darker bars are deeper discounts</span>';
+			html += '</div>';
+			html += '</div>';
+
+			if ( timeline.truncated ) {
+				html += '<p class="wda-timeline-note">Showing the first ' + timeline.items.length + ' of ' + self.state.total + ' sales. Narrow the filters to see the rest.</p>';
+			}
+
+			// Scale ticks: days for week/month, Mondays for quarter.
+			const ticks = [];
+			const cursor = new Date( win.start.getTime() );
+			while ( cursor < win.end ) {
+				if ( timeline.zoom !== 'quarter' || cursor.getDay() === 1 ) {
+					ticks.push( new Date( cursor.getTime() ) );
+				}
+				cursor.setDate( cursor.getDate() + 1 );
+			}
+
+			html += '<div class="wda-timeline-grid">';
+			html += '<div class="wda-timeline-row wda-timeline-scale">';
+			html += '<div class="wda-timeline-label"></div>';
+			html += '<div class="wda-timeline-track">';
+			ticks.forEach( function( tick ) {
+				const label = timeline.zoom === 'week'
+					? tick.toLocaleDateString( undefined, { weekday: 'short', day: 'numeric' } )
+					: ( timeline.zoom === 'month' ? String( tick.getDate() ) : tick.toLocaleDateString( undefined, { month: 'short', day: 'numeric' } ) );
+				html += '<span class="wda-timeline-tick" style="left: ' + pct( tick.getTime() ) + '%;">' + escapeHtml( label ) + '</span>';
+			} );
+			html += '</div></div>';
+
+			// Concurrency strip: how many sales run on each day.
+			const days = Math.round( span / 86400000 );
+			let maxConcurrent = 0;
+			const concurrent = [];
+			for ( let d = 0; d < days; d++ ) {
+				const midday = new Date( win.start.getFullYear(), win.start.getMonth(), win.start.getDate() + d, 12 ).getTime();
+				const count = rows.filter( function( row ) {
+					return row.start <= midday && row.end >= midday;
+				} ).length;
+				concurrent.push( { time: midday, count: count } );
+				maxConcurrent = Math.max( maxConcurrent, count );
+			}
+
+			html += '<div class="wda-timeline-row wda-timeline-density">';
+			html += '<div class="wda-timeline-label">Sales running</div>';
+			html += '<div class="wda-timeline-track">';
+			concurrent.forEach( function( day, d ) {
+				const opacity = maxConcurrent ? ( day.count / maxConcurrent ) : 0;
+				html += '<span class="wda-timeline-density-cell" style="left: ' + ( d / days * 100 ) + '%; width: ' + ( 100 / days ) + '%; opacity: ' + opacity.toFixed( 2 ) + ';"';
+				html += ' title="' + escapeHtml( new Date( day.time ).toLocaleDateString() + ': ' + day.count + ' sale' + ( day.count === 1 ? '' : 's' ) + ' running' ) + '"></span>';
+			} );
+			html += '</div></div>';
+
+			if ( rows.length === 0 ) {
+				html += '<div class="wda-chart-empty">No sales run during this period.</div>';
+			}
+
+			let previousGroup = null;
+			rows.forEach( function( row ) {
+				const item = row.item;
+				const left = pct( row.start );
+				const width = Math.max( 0.5, pct( row.end ) - left );
+				const depth = Math.min( 1, Math.max( 0, item.discount_pct / 80 ) );
+				const classes = [ 'wda-timeline-bar', item.sale_status ];
+				if ( row.overlap ) classes.push( 'is-overlap' );
+				if ( row.adjacent ) classes.push( 'is-adjacent' );
+				if ( row.start < winStart ) classes.push( 'continues-before' );
+				if ( row.end > win.end.getTime() ) classes.push( 'continues-after' );
+
+				const title = item.name + '\n' +
+					formatPercent( item.discount_pct ) + ' off (' + formatCurrency( item.regular_price ) + ' → ' + formatCurrency( item.sale_price ) + ')\n' +
+					( item.sale_start ? formatDate( parseLocalDateTime( item.sale_start ) ) : 'No start date' ) + ' – ' +
+					( item.sale_end ? formatDate( parseLocalDateTime( item.sale_end ) ) : 'No end date' ) +
+					( row.overlap ? '\nOverlaps another sale for this product' : '' ) +
+					( row.adjacent ? '\nRuns back-to-back with another sale for this product' : '' ) +
+					( item.violations && item.violations.length ? '\nBreaks guardrails: ' + item.violations.map( function( code ) {
+						return ( wdaSettings.guardrails || {} )[ code ] || code;
+					} ).join( ', ' ) : '' );
+
+				html += '<div class="wda-timeline-row' + ( row.group !== previousGroup ? ' is-group-start' : '' ) + '">';
+				html += '<div class="wda-timeline-label"><a href="' + escapeHtml( item.edit_link ) + '" target="_blank">' + escapeHtml( item.name ) + '</a>';
+				html += ' <span class="wda-timeline-pct">' + formatPercent( item.discount_pct ) + '</span></div>';
+				html += '<div class="wda-timeline-track">';
+				html += '<span class="' + classes.join( ' ' ) + '" style="left: ' + left + '%; width: ' + width + '%; --wda-depth: ' + ( 0.35 + depth * 0.65 ).toFixed( 2 ) + ';" title="' + escapeHtml( title ) + '"></span>';
+				html += '</div></div>';
+				previousGroup = row.group;
+			} );
+
+			// Today marker spans every row.
+			const now = Date.now();
+			if ( now >= winStart && now < win.end.getTime() ) {
+				html += '<div class="wda-timeline-today" style="--wda-today: ' + pct( now ) + '%;" title="Today"></div>';
+			}
+
+			html += '</div></div>';
+			return html;
+		},
+
+		bindTimelineEvents: function() {
+			const self = this;
+			const timeline = self.state.timeline;
+
+			const nav = { 'wda-timeline-prev': -1, 'wda-timeline-next': 1, 'wda-timeline-today': 0 };
+			Object.keys( nav ).forEach( function( id ) {
+				const btn = document.getElementById( id );
+				if ( btn ) {
+					btn.addEventListener( 'click', function() {
+						timeline.offset = nav[ id ] === 0 ? 0 : timeline.offset + nav[ id ];
+						self.render();
+					} );
+				}
+			} );
+
+			self.container.querySelectorAll( '.wda-timeline-zoom-btn' ).forEach( function( btn ) {
+				btn.addEventListener( 'click', function() {
+					timeline.zoom = this.dataset.zoom;
+					timeline.offset = 0;
+					self.render();
+				} );
+			} );
+		},
+
+		handlePageChange: function( newPage ) {
 			this.state.page = newPage;
 			this.fetchData();
 		},
 
-		handleExport: function() {
-			const filters = this.state.filters;
-			let url = wdaSettings.restUrl + 'export/discount-history?_wpnonce=' + wdaSettings.nonce;
-			if ( filters.date_from ) url += '&date_from=' + filters.date_from;
-			if ( filters.date_to ) url += '&date_to=' + filters.date_to;
-			window.location.href = url;
+		handleSort: function( column ) {
+			const filters = this.state.filters;
+			filters.order = ( filters.orderby === column && filters.order === 'DESC' ) ? 'ASC' : 'DESC';
+			filters.orderby = column;
+			this.fetchData();
+		},
+
+		handleExport: function() {
+			this.state.exportOpen = ! this.state.exportOpen;
+			this.render();
+		},
+
+		canBulkEdit: function() {
+			return !! wdaSettings.canEditProducts;
+		},
+
+		getSelectedIds: function() {
+			return Object.keys( this.state.selected ).map( function( id ) {
+				return parseInt( id, 10 );
+			} );
+		},
+
+		toggleSelected: function( id, checked ) {
+			if ( checked ) {
+				this.state.selected[ id ] = true;
+			} else {
+				delete this.state.selected[ id ];
+			}
+			this.state.preview = null;
+		},
+
+		clearSelection: function() {
+			this.state.selected = {};
+			this.state.preview = null;
+			this.state.bulkError = null;
+			this.render();
+		},
+
+		getBulkParams: function( preview ) {
+			const bulk = this.state.bulk;
+			const params = {
+				ids: this.getSelectedIds(),
+				action: bulk.action,
+				preview: preview
+			};
+
+			if ( bulk.action === 'percent_off' ) {
+				params.percent = parseFloat( bulk.percent ) || 0;
+			} else if ( bulk.action === 'set_dates' ) {
+				// Omitted keys leave a date unchanged; an empty string clears it.
+				if ( bulk.sale_start_mode !== 'keep' ) {
+					params.sale_start = bulk.sale_start_mode === 'set' ? bulk.sale_start : '';
+				}
+				if ( bulk.sale_end_mode !== 'keep' ) {
+					params.sale_end = bulk.sale_end_mode === 'set' ? bulk.sale_end : '';
+				}
+			}
+
+			return params;
+		},
+
+		runBulkAction: function( preview ) {
+			const self = this;
+			self.state.bulkBusy = true;
+			self.state.bulkError = null;
+			self.render();
+
+			apiPost( 'bulk-sale', self.getBulkParams( preview ) )
+				.then( function( data ) {
+					self.state.bulkBusy = false;
+					if ( preview ) {
+						self.state.preview = data;
+						self.render();
+						return;
+					}
+
+					self.state.preview = null;
+					self.state.selected = {};
+					self.state.notice = 'Updated ' + data.updated + ' product' + ( data.updated === 1 ? '' : 's' ) +
+						( data.skipped ? ', skipped ' + data.skipped : '' ) + '.';
+					self.fetchData();
+				} )
+				.catch( function( error ) {
+					console.error( 'Error running bulk sale action:', error );
+					self.state.bulkBusy = false;
+					self.state.bulkError = error.message || 'Bulk action failed';
+					self.render();
+				} );
+		},
+
+		renderBulkBar: function() {
+			const state = this.state;
+			const bulk = state.bulk;
+			const count = this.getSelectedIds().length;
+			if ( count === 0 ) return '';
+
+			const dateModeSelect = function( id, mode ) {
+				let html = '<select id="' + id + '">';
+				html += '<option value="keep"' + ( mode === 'keep' ? ' selected' : '' ) + '>Leave unchanged</option>';
+				html += '<option value="set"' + ( mode === 'set' ? ' selected' : '' ) + '>Set to</option>';
+				html += '<option value="clear"' + ( mode === 'clear' ? ' selected' : '' ) + '>Clear</option>';
+				html += '</select>';
+				return html;
+			};
+
+			let html = '<div class="wda-bulk-bar">';
+			html += '<div class="wda-bulk-bar-count">' + count + ' selected</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Bulk Action</label>';
+			html += '<select id="wda-bulk-action">';
+			html += '<option value="percent_off"' + ( bulk.action === 'percent_off' ? ' selected' : '' ) + '>Set sale price to % off regular</option>';
+			html += '<option value="set_dates"' + ( bulk.action === 'set_dates' ? ' selected' : '' ) + '>Set or clear sale dates</option>';
+			html += '<option value="end_now"' + ( bulk.action === 'end_now' ? ' selected' : '' ) + '>End sale now</option>';
+			html += '</select></div>';
+
+			if ( bulk.action === 'percent_off' ) {
+				html += '<div class="wda-filter-group">';
+				html += '<label>% Off Regular</label>';
+				html += '<input type="number" id="wda-bulk-percent" value="' + escapeHtml( String( bulk.percent ) ) + '" min="1" max="99" step="0.01">';
+				html += '</div>';
+			} else if ( bulk.action === 'set_dates' ) {
+				html += '<div class="wda-filter-group">';
+				html += '<label>Sale Start</label>';
+				html += dateModeSelect( 'wda-bulk-start-mode', bulk.sale_start_mode );
+				if ( bulk.sale_start_mode === 'set' ) {
+					html += '<input type="date" id="wda-bulk-start" value="' + bulk.sale_start + '">';
+				}
+				html += '</div>';
+
+				html += '<div class="wda-filter-group">';
+				html += '<label>Sale End</label>';
+				html += dateModeSelect( 'wda-bulk-end-mode', bulk.sale_end_mode );
+				if ( bulk.sale_end_mode === 'set' ) {
+					html += '<input type="date" id="wda-bulk-end" value="' + bulk.sale_end + '">';
+				}
+				html += '</div>';
+			}
+
+			html += '<div class="wda-filter-group wda-bulk-bar-actions">';
+			html += '<button type="button" class="wda-btn" id="wda-bulk-preview"' + ( state.bulkBusy ? ' disabled' : '' ) + '>Preview</button>';
+			html += '<button type="button" class="wda-btn secondary" id="wda-bulk-clear">Clear selection</button>';
+			html += '</div>';
+
+			if ( state.bulkError ) {
+				html += '<div class="wda-bulk-error">' + escapeHtml( state.bulkError ) + '</div>';
+			}
+
+			html += '</div>';
+			return html;
+		},
+
+		renderPreview: function() {
+			const preview = this.state.preview;
+			if ( ! preview ) return '';
+
+			const dates = function( prices ) {
+				if ( ! prices.sale_start && ! prices.sale_end ) return 'No dates set';
+				return formatDate( prices.sale_start ) + ' - ' + formatDate( prices.sale_end );
+			};
+			const changed = function( before, after ) {
+				return before === after ? escapeHtml( before ) : '<del>' + escapeHtml( before ) + '</del> → <strong>' + escapeHtml( after ) + '</strong>';
+			};
+
+			let html = '<div class="wda-bulk-preview">';
+			html += '<div class="wda-bulk-preview-header">Preview: ' + preview.updated + ' to update, ' + preview.skipped + ' skipped. Nothing has been changed yet.</div>';
+			html += '<table class="wda-report-table">';
+			html += '<thead><tr>';
+			html += '<th>Product</th>';
+			html += '<th class="col-numeric">Regular</th>';
+			html += '<th class="col-numeric">Sale</th>';
+			html += '<th class="col-numeric">Discount %</th>';
+			html += '<th>Sale Period</th>';
+			html += '<th>Result</th>';
+			html += '</tr></thead><tbody>';
+
+			preview.items.forEach( function( item ) {
+				html += '<tr class="' + ( item.status === 'ok' ? '' : 'is-skipped' ) + '">';
+				html += '<td>' + escapeHtml( item.name ) + '</td>';
+				if ( item.before ) {
+					const after = item.after || item.before;
+					html += '<td class="col-numeric">' + formatCurrency( item.before.regular_price ) + '</td>';
+					html += '<td class="col-numeric">' + changed( item.before.sale_price === '' ? '—' : formatCurrency( item.before.sale_price ), after.sale_price === '' ? '—' : formatCurrency( after.sale_price ) ) + '</td>';
+					html += '<td class="col-numeric">' + changed( formatPercent( item.before.discount_pct ), formatPercent( after.discount_pct ) ) + '</td>';
+					html += '<td>' + changed( dates( item.before ), dates( after ) ) + '</td>';
+				} else {
+					html += '<td colspan="4"></td>';
+				}
+				html += '<td>' + ( item.status === 'ok' ? 'Will update' : 'Skipped: ' + escapeHtml( item.reason ) ) + '</td>';
+				html += '</tr>';
+			} );
+
+			html += '</tbody></table>';
+			html += '<div class="wda-bulk-preview-actions">';
+			html += '<button type="button" class="wda-btn" id="wda-bulk-apply"' + ( preview.updated === 0 || this.state.bulkBusy ? ' disabled' : '' ) + '>Apply to ' + preview.updated + ' product' + ( preview.updated === 1 ? '' : 's' ) + '</button>';
+			html += '<button type="button" class="wda-btn secondary" id="wda-bulk-cancel">Cancel</button>';
+			html += '</div>';
+			html += '</div>';
+			return html;
+		},
+
+		renderStatusBadge: function( status ) {
+			const label = status.charAt( 0 ).toUpperCase() + status.slice( 1 );
+			return '<span class="wda-status-badge ' + status + '">' + label + '</span>';
+		},
+
+		renderGuardrailBadges: function( violations ) {
+			if ( ! violations || ! violations.length ) {
+				return '';
+			}
+
+			const labels = wdaSettings.guardrails || {};
+			let html = '<div class="wda-guardrail-badges">';
+			violations.forEach( function( code ) {
+				html += '<span class="wda-guardrail-badge">' + escapeHtml( labels[ code ] || code ) + '</span>';
+			} );
+			html += '</div>';
+			return html;
+		},
+
+		renderStockBadge: function( status ) {
+			const labels = {
+				instock: 'In Stock',
+				outofstock: 'Out of Stock',
+				onbackorder: 'On Backorder'
+			};
+			return '<span class="wda-stock-badge ' + status + '">' + ( labels[ status ] || status ) + '</span>';
+		},
+
+		render: function() {
+			const self = this;
+			const state = self.state;
+
+			if ( state.loading ) {
+				self.container.innerHTML = '<div class="wda-loading"><div class="wda-loading-spinner"></div></div>';
+				return;
+			}
+
+			if ( state.error ) {
+				self.container.innerHTML = '<div class="wda-empty-state">' +
+					'<div class="wda-empty-state-icon">⚠️</div>' +
+					'<div class="wda-empty-state-title">Error Loading Data</div>' +
+					'<div class="wda-empty-state-description">' + escapeHtml( state.error ) + '</div>' +
+					'<button type="button" class="wda-btn" id="wda-retry-btn" style="margin-top: 16px;">Retry</button>' +
+					'</div>';
+				const retryBtn = document.getElementById( 'wda-retry-btn' );
+				if ( retryBtn ) {
+					retryBtn.addEventListener( 'click', function() {
+						self.fetchData();
+					} );
+				}
+				return;
+			}
+
+			let html = '';
+
+			// Filters
+			html += '<div class="wda-report-filters">';
+			html += '<div class="wda-filter-group">';
+			html += '<label>Sale Status</label>';
+			html += '<select id="wda-filter-status">';
+			html += '<option value="all"' + ( state.filters.sale_status === 'all' ? ' selected' : '' ) + '>All</option>';
+			html += '<option value="active"' + ( state.filters.sale_status === 'active' ? ' selected' : '' ) + '>Active</option>';
+			html += '<option value="scheduled"' + ( state.filters.sale_status === 'scheduled' ? ' selected' : '' ) + '>Scheduled</option>';
+			html += '<option value="expired"' + ( state.filters.sale_status === 'expired' ? ' selected' : '' ) + '>Expired</option>';
+			html += '</select></div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Category</label>';
+			html += renderCategoryPicker( 'wda-filter-category', state.filters.category );
+			html += '<label class="wda-filter-checkbox"><input type="checkbox" id="wda-filter-subcategories"' + ( state.filters.include_subcategories ? ' checked' : '' ) + '> Include subcategories</label>';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Product Type</label>';
+			html += '<select id="wda-filter-type">';
+			[
+				[ '', 'All types' ],
+				[ 'simple', 'Simple' ],
+				[ 'variable', 'Variable' ],
+				[ 'variation', 'Variation' ],
+				[ 'external', 'External' ],
+				[ 'grouped', 'Grouped' ]
+			].forEach( function( option ) {
+				html += '<option value="' + option[0] + '"' + ( state.filters.product_type === option[0] ? ' selected' : '' ) + '>' + option[1] + '</option>';
+			} );
+			html += '</select></div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Min Discount %</label>';
+			html += '<input type="number" id="wda-filter-min" value="' + state.filters.discount_min + '" min="0" max="100">';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Max Discount %</label>';
+			html += '<input type="number" id="wda-filter-max" value="' + state.filters.discount_max + '" min="0" max="100">';
+			html += '</div>';
+
+			const guardrails = wdaSettings.guardrails || {};
+			if ( Object.keys( guardrails ).length || state.filters.violation ) {
+				html += '<div class="wda-filter-group">';
+				html += '<label>Guardrails</label>';
+				html += '<select id="wda-filter-violation">';
+				html += '<option value="">All sales</option>';
+				html += '<option value="any"' + ( state.filters.violation === 'any' ? ' selected' : '' ) + '>Breaks any rule</option>';
+				Object.keys( guardrails ).forEach( function( code ) {
+					html += '<option value="' + code + '"' + ( state.filters.violation === code ? ' selected' : '' ) + '>' + escapeHtml( guardrails[ code ] ) + '</option>';
+				} );
+				html += '</select></div>';
+			}
+
+			html += '<div class="wda-filter-group" style="align-self: flex-end;">';
+			html += '<button type="button" class="wda-btn secondary" id="wda-export-btn" aria-expanded="' + ( state.exportOpen ? 'true' : 'false' ) + '">Export</button>';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group wda-view-switch" style="align-self: flex-end;">';
+			html += '<button type="button" class="wda-pagination-btn' + ( state.view === 'table' ? ' active' : '' ) + '" data-view="table">Table</button>';
+			html += '<button type="button" class="wda-pagination-btn' + ( state.view === 'timeline' ? ' active' : '' ) + '" data-view="timeline">Timeline</button>';
+			html += '</div>';
+			html += '</div>';
+
+			if ( state.exportOpen ) {
+				html += renderExportPanel( 'current-discounts', '' );
+			}
+			html += ExportJobs.render( 'current-discounts' );
+
+			if ( state.view === 'timeline' ) {
+				html += self.renderTimeline();
+				self.container.innerHTML = html;
+				self.bindEvents();
+				return;
+			}
+
+			if ( state.notice ) {
+				html += '<div class="notice notice-success inline"><p>' + escapeHtml( state.notice ) + '</p></div>';
+			}
+
+			if ( self.canBulkEdit() ) {
+				html += self.renderBulkBar();
+				html += self.renderPreview();
+			}
+
+			// Results count
+			html += '<p style="margin-bottom: 12px; color: #757575;">' + state.total + ' products found</p>';
+
+			if ( state.items.length > 0 ) {
+				const allSelected = state.items.every( function( item ) {
+					return state.selected[ item.id ];
+				} );
+
+				// Table
+				html += '<div class="wda-report-table-container">';
+				html += '<table class="wda-report-table">';
+				html += '<thead><tr>';
+				if ( self.canBulkEdit() ) {
+					html += '<th class="col-select"><input type="checkbox" id="wda-select-all" aria-label="Select all on this page"' + ( allSelected ? ' checked' : '' ) + '></th>';
+				}
+				html += '<th>Product</th>';
+				html += '<th>Type</th>';
+				html += '<th class="col-numeric sortable" data-sort="regular_price">Regular</th>';
+				html += '<th class="col-numeric sortable" data-sort="sale_price">Sale</th>';
+				html += '<th class="col-numeric sortable" data-sort="discount_amount">Discount</th>';
+				html += '<th class="col-numeric sortable" data-sort="discount_pct">Discount %</th>';
+				html += '<th>Sale Period</th>';
+				html += '<th>Status</th>';
+				html += '<th>Stock</th>';
+				html += '</tr></thead>';
+				html += '<tbody>';
+
+				state.items.forEach( function( item ) {
+					html += '<tr>';
+					if ( self.canBulkEdit() ) {
+						html += '<td class="col-select"><input type="checkbox" class="wda-select-row" value="' + item.id + '" aria-label="Select ' + escapeHtml( item.name ) + '"' + ( state.selected[ item.id ] ? ' checked' : '' ) + '></td>';
+					}
+					html += '<td><a href="' + escapeHtml( item.edit_link ) + '" target="_blank">' + escapeHtml( item.name ) + '</a>';
+					html += ' <a class="wda-row-link" href="' + wdaSettings.adminUrl + 'admin.php?page=wda-discount-analytics-price-history&product_id=' + item.id + '" title="Price history">History</a>';
+					html += self.renderGuardrailBadges( item.violations ) + '</td>';
+					html += '<td>' + escapeHtml( item.type ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.regular_price ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.sale_price ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.discount_amount ) + '</td>';
+					html += '<td class="col-numeric">' + formatPercent( item.discount_pct ) + '</td>';
+					html += '<td>' + ( item.sale_start || item.sale_end ? formatDate( item.sale_start ) + ' - ' + formatDate( item.sale_end ) : 'No dates set' ) + '</td>';
+					html += '<td>' + self.renderStatusBadge( item.sale_status ) + '</td>';
+					html += '<td>' + self.renderStockBadge( item.stock_status ) + '</td>';
+					html += '</tr>';
+				} );
+
+				html += '</tbody></table>';
+
+				// Pagination
+				if ( state.totalPages > 1 ) {
+					html += '<div class="wda-pagination">';
+					html += '<div class="wda-pagination-info">Page ' + state.page + ' of ' + state.totalPages + '</div>';
+					html += '<div class="wda-pagination-controls">';
+					html += '<button class="wda-pagination-btn" id="wda-prev-page"' + ( state.page <= 1 ? ' disabled' : '' ) + '>Previous</button>';
+					html += '<button class="wda-pagination-btn" id="wda-next-page"' + ( state.page >= state.totalPages ? ' disabled' : '' ) + '>Next</button>';
+					html += '</div></div>';
+				}
+
+				html += '</div>';
+			} else {
+				html += '<div class="wda-empty-state">';
+				html += '<div class="wda-empty-state-icon">📦</div>';
+				html += '<div class="wda-empty-state-title">No discounted products found</div>';
+				html += '<div class="wda-empty-state-description">Try adjusting your filters or add sale prices to your products.</div>';
+				html += '</div>';
+			}
+
+			self.container.innerHTML = html;
+			self.bindEvents();
+		},
+
+		bindEvents: function() {
+			const self = this;
+
+			const statusSelect = document.getElementById( 'wda-filter-status' );
+			if ( statusSelect ) {
+				statusSelect.addEventListener( 'change', function() {
+					self.handleFilterChange( 'sale_status', this.value );
+				} );
+			}
+
+			bindCategoryPicker( 'wda-filter-category', function( categoryId ) {
+				self.handleFilterChange( 'category', categoryId );
+			} );
+
+			const subcategoriesInput = document.getElementById( 'wda-filter-subcategories' );
+			if ( subcategoriesInput ) {
+				subcategoriesInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'include_subcategories', this.checked ? 1 : 0 );
+				} );
+			}
+
+			const typeSelect = document.getElementById( 'wda-filter-type' );
+			if ( typeSelect ) {
+				typeSelect.addEventListener( 'change', function() {
+					self.handleFilterChange( 'product_type', this.value );
+				} );
+			}
+
+			const violationSelect = document.getElementById( 'wda-filter-violation' );
+			if ( violationSelect ) {
+				violationSelect.addEventListener( 'change', function() {
+					self.handleFilterChange( 'violation', this.value );
+				} );
+			}
+
+			const minInput = document.getElementById( 'wda-filter-min' );
+			if ( minInput ) {
+				minInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'discount_min', parseInt( this.value ) || 0 );
+				} );
+			}
+
+			const maxInput = document.getElementById( 'wda-filter-max' );
+			if ( maxInput ) {
+				maxInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'discount_max', parseInt( this.value ) || 100 );
+				} );
+			}
+
+			const exportBtn = document.getElementById( 'wda-export-btn' );
+			if ( exportBtn ) {
+				exportBtn.addEventListener( 'click', function() {
+					self.handleExport();
+				} );
+			}
+
+			bindExportPanel( 'current-discounts', '', self.state.filters, function() {
+				self.state.exportOpen = false;
+				self.render();
+			} );
+			bindExportJobs();
+
+			const prevBtn = document.getElementById( 'wda-prev-page' );
+			if ( prevBtn ) {
+				prevBtn.addEventListener( 'click', function() {
+					if ( self.state.page > 1 ) {
+						self.handlePageChange( self.state.page - 1 );
+					}
+				} );
+			}
+
+			const nextBtn = document.getElementById( 'wda-next-page' );
+			if ( nextBtn ) {
+				nextBtn.addEventListener( 'click', function() {
+					if ( self.state.page < self.state.totalPages ) {
+						self.handlePageChange( self.state.page + 1 );
+					}
+				} );
+			}
+
+			const sortHeaders = self.container.querySelectorAll( '.sortable' );
+			sortHeaders.forEach( function( header ) {
+				header.addEventListener( 'click', function() {
+					self.handleSort( this.dataset.sort );
+				} );
+			} );
+
+			self.container.querySelectorAll( '.wda-view-switch button' ).forEach( function( btn ) {
+				btn.addEventListener( 'click', function() {
+					self.handleViewChange( this.dataset.view );
+				} );
+			} );
+
+			self.bindBulkEvents();
+			self.bindTimelineEvents();
+		},
+
+		bindBulkEvents: function() {
+			const self = this;
+			const bulk = self.state.bulk;
+
+			const selectAll = document.getElementById( 'wda-select-all' );
+			if ( selectAll ) {
+				selectAll.addEventListener( 'change', function() {
+					const checked = this.checked;
+					self.state.items.forEach( function( item ) {
+						self.toggleSelected( item.id, checked );
+					} );
+					self.render();
+				} );
+			}
+
+			const rowBoxes = self.container.querySelectorAll( '.wda-select-row' );
+			rowBoxes.forEach( function( box ) {
+				box.addEventListener( 'change', function() {
+					self.toggleSelected( parseInt( this.value, 10 ), this.checked );
+					self.render();
+				} );
+			} );
+
+			const actionSelect = document.getElementById( 'wda-bulk-action' );
+			if ( actionSelect ) {
+				actionSelect.addEventListener( 'change', function() {
+					bulk.action = this.value;
+					self.state.preview = null;
+					self.render();
+				} );
+			}
+
+			const percentInput = document.getElementById( 'wda-bulk-percent' );
+			if ( percentInput ) {
+				percentInput.addEventListener( 'change', function() {
+					bulk.percent = this.value;
+					self.state.preview = null;
+					self.render();
+				} );
+			}
+
+			[ [ 'wda-bulk-start-mode', 'sale_start_mode' ], [ 'wda-bulk-end-mode', 'sale_end_mode' ] ].forEach( function( pair ) {
+				const select = document.getElementById( pair[0] );
+				if ( select ) {
+					select.addEventListener( 'change', function() {
+						bulk[ pair[1] ] = this.value;
+						self.state.preview = null;
+						self.render();
+					} );
+				}
+			} );
+
+			[ [ 'wda-bulk-start', 'sale_start' ], [ 'wda-bulk-end', 'sale_end' ] ].forEach( function( pair ) {
+				const input = document.getElementById( pair[0] );
+				if ( input ) {
+					input.addEventListener( 'change', function() {
+						bulk[ pair[1] ] = this.value;
+						self.state.preview = null;
+						self.render();
+					} );
+				}
+			} );
+
+			const previewBtn = document.getElementById( 'wda-bulk-preview' );
+			if ( previewBtn ) {
+				previewBtn.addEventListener( 'click', function() {
+					self.runBulkAction( true );
+				} );
+			}
+
+			const clearBtn = document.getElementById( 'wda-bulk-clear' );
+			if ( clearBtn ) {
+				clearBtn.addEventListener( 'click', function() {
+					self.clearSelection();
+				} );
+			}
+
+			const applyBtn = document.getElementById( 'wda-bulk-apply' );
+			if ( applyBtn ) {
+				applyBtn.addEventListener( 'click', function() {
+					self.runBulkAction( false );
+				} );
+			}
+
+			const cancelBtn = document.getElementById( 'wda-bulk-cancel' );
+			if ( cancelBtn ) {
+				cancelBtn.addEventListener( 'click', function() {
+					self.state.preview = null;
+					self.render();
+				} );
+			}
+		}
+	};
+
+	/**
+	 * Discount History Report
+	 */
+	const DiscountHistoryReport = {
+		container: null,
+		state: {
+			items: [],
+			total: 0,
+			totalPages: 0,
+			page: 1,
+			perPage: 25,
+			loading: true,
+			productName: '',
+			drillLabel: '',
+			drillStack: [],
+			exportOpen: false,
+			filters: {
+				date_from: '',
+				date_to: '',
+				product_id: 0,
+				category: 0,
+				include_subcategories: 0,
+				coupon: '',
+				include_refunded: 0,
+				currency: '',
+				convert: 0,
+				group_by: '',
+				orderby: 'date',
+				order: 'DESC'
+			},
+			unconvertedOrders: 0
+		},
+
+		init: function( containerId ) {
+			this.container = document.getElementById( containerId );
+			if ( ! this.container ) return;
+			initUrlState( this );
+			this.fetchData();
+
+			const self = this;
+			loadCategories().then( function() {
+				if ( ! self.state.loading ) {
+					self.render();
+				}
+			} );
+
+			// Label a product filter restored from the URL.
+			if ( self.state.filters.product_id && ! self.state.productName ) {
+				apiFetch( 'products/search', { include: self.state.filters.product_id } )
+					.then( function( data ) {
+						const product = ( data.items || [] )[0];
+						self.state.productName = product ? product.name : 'Product #' + self.state.filters.product_id;
+						if ( ! self.state.loading ) {
+							self.render();
+						}
+					} )
+					.catch( function( error ) {
+						console.error( 'Error fetching product:', error );
+					} );
+			}
+		},
+
+		getHistoryState: function() {
+			return {
+				productName: this.state.productName,
+				drillLabel: this.state.drillLabel,
+				drillStack: this.state.drillStack
+			};
+		},
+
+		restoreHistoryState: function( historyState ) {
+			historyState = historyState || {};
+			this.state.productName = historyState.productName || '';
+			this.state.drillLabel = historyState.drillLabel || '';
+			this.state.drillStack = historyState.drillStack || [];
+		},
+
+		fetchData: function() {
+			const self = this;
+			pushUrlState( self );
+			self.state.loading = true;
+			self.render();
+
+			const params = {
+				page: self.state.page,
+				per_page: self.state.perPage,
+				...self.state.filters
+			};
+
+			apiFetch( 'discount-history', params )
+				.then( function( data ) {
+					self.state.items = data.items || [];
+					self.state.total = data.total || 0;
+					self.state.totalPages = data.total_pages || 0;
+					self.state.unconvertedOrders = data.unconverted_orders || 0;
+					self.state.loading = false;
+					self.render();
+				} )
+				.catch( function( error ) {
+					console.error( 'Error fetching discount history:', error );
+					self.state.loading = false;
+					self.render();
+				} );
+		},
+
+		handleFilterChange: function( key, value ) {
+			this.state.filters[ key ] = value;
+			this.state.page = 1;
+			this.fetchData();
+		},
+
+		handlePageChange: function( newPage ) {
+			this.state.page = newPage;
+			this.fetchData();
+		},
+
+		handleProductSelect: function( product ) {
+			this.state.productName = product ? product.name : '';
+			this.handleFilterChange( 'product_id', product ? product.id : 0 );
+		},
+
+		handleSort: function( column ) {
+			const filters = this.state.filters;
+			filters.order = ( filters.orderby === column && filters.order === 'DESC' ) ? 'ASC' : 'DESC';
+			filters.orderby = column;
+			this.state.page = 1;
+			this.fetchData();
+		},
+
+		renderSortHeader: function( column, label, className ) {
+			const filters = this.state.filters;
+			let html = '<th class="' + ( className || 'col-numeric' ) + ' sortable" data-sort="' + column + '">' + label;
+			if ( filters.orderby === column ) {
+				html += filters.order === 'DESC' ? ' ▼' : ' ▲';
+			}
+			return html + '</th>';
+		},
+
+		getViewLabel: function() {
+			const groupLabels = { product: 'By product', category: 'By category', date: 'By date', coupon: 'By coupon' };
+			if ( this.state.filters.group_by ) {
+				return groupLabels[ this.state.filters.group_by ];
+			}
+			return this.state.drillLabel || 'Order lines';
+		},
+
+		handleDrillDown: function( item ) {
+			const state = this.state;
+			const filters = Object.assign( {}, state.filters );
+
+			state.drillStack = state.drillStack.concat( [ {
+				label: this.getViewLabel(),
+				drillLabel: state.drillLabel,
+				productName: state.productName,
+				filters: Object.assign( {}, state.filters ),
+				page: state.page
+			} ] );
+
+			if ( filters.group_by === 'product' ) {
+				filters.product_id = item.product_id;
+				state.productName = item.product_name;
+				state.drillLabel = item.product_name;
+			} else if ( filters.group_by === 'category' ) {
+				filters.category = item.category_id;
+				filters.include_subcategories = 0;
+				state.drillLabel = item.category_name;
+			} else if ( filters.group_by === 'date' ) {
+				filters.date_from = item.date;
+				filters.date_to = item.date;
+				state.drillLabel = formatDate( parseLocalDate( item.date ) );
+			} else if ( filters.group_by === 'coupon' ) {
+				// An empty coupon filter means any coupon, so lines without one are asked for as "none".
+				filters.coupon = item.coupon_code || 'none';
+				state.drillLabel = item.coupon_code ? 'Coupon ' + item.coupon_code : 'No coupon';
+			}
+
+			// Unconverted groups are per currency, so keep the drill-down in that currency.
+			if ( ! filters.convert && item.currency ) {
+				filters.currency = item.currency === wdaSettings.currency ? '' : item.currency;
+			}
+
+			filters.group_by = '';
+			state.filters = filters;
+			state.page = 1;
+			this.fetchData();
+		},
+
+		handleBreadcrumb: function( index ) {
+			const state = this.state;
+			const entry = state.drillStack[ index ];
+			if ( ! entry ) return;
+
+			state.filters = Object.assign( {}, entry.filters );
+			state.page = entry.page;
+			state.drillLabel = entry.drillLabel;
+			state.productName = entry.productName;
+			state.drillStack = state.drillStack.slice( 0, index );
+			this.fetchData();
+		},
+
+		renderBreadcrumb: function() {
+			const state = this.state;
+			if ( state.drillStack.length === 0 ) return '';
+
+			let html = '<nav class="wda-breadcrumb" aria-label="Drill-down">';
+			state.drillStack.forEach( function( entry, idx ) {
+				html += '<a href="#" class="wda-breadcrumb-link" data-index="' + idx + '">' + escapeHtml( entry.label ) + '</a>';
+				html += '<span class="wda-breadcrumb-sep">›</span>';
+			} );
+			html += '<span class="wda-breadcrumb-current">' + escapeHtml( this.getViewLabel() ) + '</span>';
+			html += '</nav>';
+			return html;
+		},
+
+		handleExport: function() {
+			this.state.exportOpen = ! this.state.exportOpen;
+			this.render();
+		},
+
+		renderGroupedTable: function() {
+			const self = this;
+			const state = self.state;
+			const groupBy = state.filters.group_by;
+			let html = '<table class="wda-report-table">';
+
+			if ( groupBy ) {
+				const groups = {
+					product: { label: 'Product', name: function( item ) { return item.product_name; } },
+					category: { label: 'Category', name: function( item ) { return item.category_name; } },
+					date: { label: 'Date', name: function( item ) { return item.date; } },
+					coupon: { label: 'Coupon', name: function( item ) { return item.coupon_code || 'No coupon'; } }
+				};
+				const group = groups[ groupBy ];
+
+				html += '<thead><tr>';
+				html += groupBy === 'date' ? self.renderSortHeader( 'date', group.label, '' ) : '<th>' + group.label + '</th>';
+				html += self.renderSortHeader( 'units_sold', 'Units Sold' );
+				html += '<th class="col-numeric">Sale Discount</th>';
+				html += '<th class="col-numeric">Coupon Discount</th>';
+				html += self.renderSortHeader( 'total_discount', 'Total Discount' );
+				html += '<th class="col-numeric">Refunded Discount</th>';
+				html += '<th class="col-numeric">Avg Sale Discount %</th>';
+				html += self.renderSortHeader( 'total_revenue', 'Revenue' );
+				html += '<th class="col-numeric">Margin</th>';
+				html += '<th class="col-numeric">Margin Erosion</th>';
+				html += '</tr></thead><tbody>';
+
+				state.items.forEach( function( item, idx ) {
+					html += '<tr class="wda-drill-row" data-index="' + idx + '" title="View order lines">';
+					html += '<td>' + escapeHtml( group.name( item ) ) + '</td>';
+					html += '<td class="col-numeric">' + formatNumber( item.units_sold ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.sale_discount, item.currency ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.coupon_discount, item.currency ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.total_discount, item.currency ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.refunded_discount, item.currency );
+					if ( item.refunded_units > 0 ) {
+						html += '<span class="wda-refund-note">' + formatNumber( item.refunded_units ) + ' units</span>';
+					}
+					html += '</td>';
+					html += '<td class="col-numeric">' + formatPercent( item.avg_discount_pct ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.total_revenue, item.currency ) + '</td>';
+					html += renderMarginCells( item );
+					html += '</tr>';
+				} );
+			} else {
+				// Ungrouped
+				html += '<thead><tr>';
+				html += '<th>Order</th>';
+				html += self.renderSortHeader( 'date', 'Date', '' );
+				html += '<th>Product</th>';
+				html += self.renderSortHeader( 'units_sold', 'Qty' );
+				html += '<th class="col-numeric">Regular</th>';
+				html += '<th class="col-numeric">Sale</th>';
+				html += '<th class="col-numeric">Sale Discount</th>';
+				html += '<th class="col-numeric">Discount %</th>';
+				html += '<th class="col-numeric">Coupon Discount</th>';
+				html += self.renderSortHeader( 'total_discount', 'Total Discount' );
+				html += self.renderSortHeader( 'total_revenue', 'Line Total' );
+				html += '<th class="col-numeric">Unit Cost</th>';
+				html += '<th class="col-numeric">Margin</th>';
+				html += '<th class="col-numeric">Margin Erosion</th>';
+				html += '</tr></thead><tbody>';
+
+				state.items.forEach( function( item ) {
+					html += '<tr>';
+					html += '<td><a href="' + wdaSettings.adminUrl + 'post.php?post=' + item.order_id + '&action=edit" target="_blank">#' + item.order_id + '</a></td>';
+					html += '<td>' + formatDate( item.order_date ) + '</td>';
+					html += '<td>' + escapeHtml( item.product_name ) + '</td>';
+					html += '<td class="col-numeric">' + item.quantity;
+					if ( item.refunded_quantity > 0 ) {
+						html += '<span class="wda-refund-note">' + formatNumber( item.refunded_quantity ) + ' of ' + formatNumber( item.ordered_quantity ) + ' refunded</span>';
+					}
+					html += '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.regular_price, item.currency ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.sale_price, item.currency ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.discount_amount, item.currency ) + '</td>';
+					html += '<td class="col-numeric">' + formatPercent( item.discount_pct ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.coupon_discount, item.currency );
+					if ( item.coupon_codes && item.coupon_codes.length ) {
+						html += '<div class="wda-coupon-codes">' + item.coupon_codes.map( escapeHtml ).join( ', ' ) + '</div>';
+					}
+					html += '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.total_discount, item.currency ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.line_total, item.currency ) + '</td>';
+					html += '<td class="col-numeric">' + ( item.unit_cost === null ? '–' : formatCurrency( item.unit_cost, item.currency ) ) + '</td>';
+					html += renderMarginCells( item );
+					html += '</tr>';
+				} );
+			}
+
+			html += '</tbody></table>';
+			return html;
+		},
+
+		render: function() {
+			const self = this;
+			const state = self.state;
+
+			if ( state.loading ) {
+				self.container.innerHTML = '<div class="wda-loading"><div class="wda-loading-spinner"></div></div>';
+				return;
+			}
+
+			let html = '';
+
+			// Filters
+			html += '<div class="wda-report-filters">';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Date From</label>';
+			html += '<input type="date" id="wda-filter-from" value="' + state.filters.date_from + '">';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Date To</label>';
+			html += '<input type="date" id="wda-filter-to" value="' + state.filters.date_to + '">';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Product</label>';
+			html += '<div class="wda-product-search" id="wda-filter-product">';
+			html += '<input type="text" class="wda-product-search-input" autocomplete="off" placeholder="Search products…" value="' + escapeHtml( state.filters.product_id ? ( state.productName || 'Product #' + state.filters.product_id ) : '' ) + '">';
+			if ( state.filters.product_id ) {
+				html += '<button type="button" class="wda-product-search-clear" aria-label="Clear product filter">×</button>';
+			}
+			html += '<ul class="wda-product-search-results" hidden></ul>';
+			html += '</div></div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Category</label>';
+			html += renderCategoryPicker( 'wda-filter-category', state.filters.category );
+			html += '<label class="wda-filter-checkbox"><input type="checkbox" id="wda-filter-subcategories"' + ( state.filters.include_subcategories ? ' checked' : '' ) + '> Include subcategories</label>';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Coupon</label>';
+			html += '<input type="text" id="wda-filter-coupon" placeholder="Any" value="' + escapeHtml( state.filters.coupon ) + '">';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Refunds</label>';
+			html += '<label class="wda-filter-checkbox"><input type="checkbox" id="wda-filter-refunded"' + ( state.filters.include_refunded ? ' checked' : '' ) + '> Include refunded</label>';
+			html += '</div>';
+
+			html += renderCurrencyFilter( state.filters );
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Group By</label>';
+			html += '<select id="wda-filter-group">';
+			html += '<option value=""' + ( state.filters.group_by === '' ? ' selected' : '' ) + '>None</option>';
+			html += '<option value="product"' + ( state.filters.group_by === 'product' ? ' selected' : '' ) + '>Product</option>';
+			html += '<option value="category"' + ( state.filters.group_by === 'category' ? ' selected' : '' ) + '>Category</option>';
+			html += '<option value="date"' + ( state.filters.group_by === 'date' ? ' selected' : '' ) + '>Date</option>';
+			html += '<option value="coupon"' + ( state.filters.group_by === 'coupon' ? ' selected' : '' ) + '>Coupon</option>';
+			html += '</select></div>';
+
+			html += '<div class="wda-filter-group" style="align-self: flex-end;">';
+			html += '<button type="button" class="wda-btn secondary" id="wda-export-btn" aria-expanded="' + ( state.exportOpen ? 'true' : 'false' ) + '">Export</button>';
+			html += '</div>';
+			html += '</div>';
+
+			if ( state.exportOpen ) {
+				html += renderExportPanel( 'discount-history', state.filters.group_by );
+			}
+			html += ExportJobs.render( 'discount-history' );
+
+			html += self.renderBreadcrumb();
+			html += renderUnconvertedNotice( state.unconvertedOrders );
+
+			// Results count
+			html += '<p style="margin-bottom: 12px; color: #757575;">' + state.total + ' records found</p>';
+
+			if ( state.items.length > 0 ) {
+				html += '<div class="wda-report-table-container">';
+				html += self.renderGroupedTable();
+
+				// Pagination
+				if ( state.totalPages > 1 ) {
+					html += '<div class="wda-pagination">';
+					html += '<div class="wda-pagination-info">Page ' + state.page + ' of ' + state.totalPages + '</div>';
+					html += '<div class="wda-pagination-controls">';
+					html += '<button class="wda-pagination-btn" id="wda-prev-page"' + ( state.page <= 1 ? ' disabled' : '' ) + '>Previous</button>';
+					html += '<button class="wda-pagination-btn" id="wda-next-page"' + ( state.page >= state.totalPages ? ' disabled' : '' ) + '>Next</button>';
+					html += '</div></div>';
+				}
+
+				html += '</div>';
+			} else {
+				html += '<div class="wda-empty-state">';
+				html += '<div class="wda-empty-state-icon">📊</div>';
+				html += '<div class="wda-empty-state-title">No discount history found</div>';
+				html += '<div class="wda-empty-state-description">Discount data is captured when orders are completed. Try adjusting your date range.</div>';
+				html += '</div>';
+			}
+
+			self.container.innerHTML = html;
+			self.bindEvents();
+		},
+
+		bindEvents: function() {
+			const self = this;
+
+			const fromInput = document.getElementById( 'wda-filter-from' );
+			if ( fromInput ) {
+				fromInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'date_from', this.value );
+				} );
+			}
+
+			const toInput = document.getElementById( 'wda-filter-to' );
+			if ( toInput ) {
+				toInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'date_to', this.value );
+				} );
+			}
+
+			bindProductSearch( 'wda-filter-product', function( product ) {
+				self.handleProductSelect( product );
+			} );
+
+			bindCategoryPicker( 'wda-filter-category', function( categoryId ) {
+				self.handleFilterChange( 'category', categoryId );
+			} );
+
+			const subcategoriesInput = document.getElementById( 'wda-filter-subcategories' );
+			if ( subcategoriesInput ) {
+				subcategoriesInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'include_subcategories', this.checked ? 1 : 0 );
+				} );
+			}
+
+			const couponInput = document.getElementById( 'wda-filter-coupon' );
+			if ( couponInput ) {
+				couponInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'coupon', this.value.trim().toLowerCase() );
+				} );
+			}
+
+			const refundedInput = document.getElementById( 'wda-filter-refunded' );
+			if ( refundedInput ) {
+				refundedInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'include_refunded', this.checked ? 1 : 0 );
+				} );
+			}
+
+			bindCurrencyFilter( function( key, value ) {
+				self.handleFilterChange( key, value );
+			} );
+
+			const groupSelect = document.getElementById( 'wda-filter-group' );
+			if ( groupSelect ) {
+				groupSelect.addEventListener( 'change', function() {
+					self.handleFilterChange( 'group_by', this.value );
+				} );
+			}
+
+			const drillRows = self.container.querySelectorAll( '.wda-drill-row' );
+			drillRows.forEach( function( row ) {
+				row.addEventListener( 'click', function() {
+					self.handleDrillDown( self.state.items[ parseInt( this.dataset.index, 10 ) ] );
+				} );
+			} );
+
+			const sortHeaders = self.container.querySelectorAll( '.sortable' );
+			sortHeaders.forEach( function( header ) {
+				header.addEventListener( 'click', function() {
+					self.handleSort( this.dataset.sort );
+				} );
+			} );
+
+			const crumbs = self.container.querySelectorAll( '.wda-breadcrumb-link' );
+			crumbs.forEach( function( crumb ) {
+				crumb.addEventListener( 'click', function( e ) {
+					e.preventDefault();
+					self.handleBreadcrumb( parseInt( this.dataset.index, 10 ) );
+				} );
+			} );
+
+			const exportBtn = document.getElementById( 'wda-export-btn' );
+			if ( exportBtn ) {
+				exportBtn.addEventListener( 'click', function() {
+					self.handleExport();
+				} );
+			}
+
+			bindExportPanel( 'discount-history', self.state.filters.group_by, self.state.filters, function() {
+				self.state.exportOpen = false;
+				self.render();
+			} );
+			bindExportJobs();
+
+			const prevBtn = document.getElementById( 'wda-prev-page' );
+			if ( prevBtn ) {
+				prevBtn.addEventListener( 'click', function() {
+					if ( self.state.page > 1 ) {
+						self.handlePageChange( self.state.page - 1 );
+					}
+				} );
+			}
+
+			const nextBtn = document.getElementById( 'wda-next-page' );
+			if ( nextBtn ) {
+				nextBtn.addEventListener( 'click', function() {
+					if ( self.state.page < self.state.totalPages ) {
+						self.handlePageChange( self.state.page + 1 );
+					}
+				} );
+			}
+		}
+	};
+
+	/**
+	 * Metrics available on the summary trend chart.
+	 */
+	const TREND_METRICS = {
+		total_discount: { label: 'Total Discount', color: '#d63638', axis: 'currency' },
+		sale_discount: { label: 'Sale Discount', color: '#dba617', axis: 'currency' },
+		coupon_discount: { label: 'Coupon Discount', color: '#8c5fc3', axis: 'currency' },
+		total_revenue: { label: 'Revenue', color: '#2271b1', axis: 'currency' },
+		discounted_units: { label: 'Discounted Units', color: '#9ec2e6', axis: 'units' }
+	};
+
+	/**
+	 * Discount Summary Report
+	 */
+	const DiscountSummaryReport = {
+		container: null,
+		state: {
+			data: null,
+			loading: true,
+			visibleMetrics: {
+				total_discount: true,
+				sale_discount: false,
+				coupon_discount: false,
+				total_revenue: true,
+				discounted_units: true
+			},
+			error: null,
+			exportOpen: false,
+			filters: {
+				date_from: '',
+				date_to: '',
+				interval: 'week',
+				compare: '',
+				compare_from: '',
+				compare_to: '',
+				include_refunded: 0,
+				currency: '',
+				convert: 0
+			}
+		},
+
+		init: function( containerId ) {
+			this.container = document.getElementById( containerId );
+			if ( ! this.container ) return;
+			initUrlState( this );
+			this.fetchData();
+		},
+
+		fetchData: function() {
+			const self = this;
+			pushUrlState( self );
+			self.state.loading = true;
+			self.render();
+
+			apiFetch( 'discount-summary', self.state.filters )
+				.then( function( data ) {
+					self.state.data = data;
+					self.state.loading = false;
+					self.state.error = null;
+					self.render();
+				} )
+				.catch( function( error ) {
+					console.error( 'Error fetching discount summary:', error );
+					self.state.loading = false;
+					self.state.error = error.message || 'Failed to load data';
+					self.render();
+				} );
+		},
+
+		handleFilterChange: function( key, value ) {
+			const filters = this.state.filters;
+			filters[ key ] = value;
+
+			// Comparing to a previous period needs a start date; default to the last 30 days.
+			if ( filters.compare && filters.compare !== 'custom' && ! filters.date_from ) {
+				const end = filters.date_to ? parseLocalDate( filters.date_to ) : new Date();
+				const start = new Date( end.getFullYear(), end.getMonth(), end.getDate() - 29 );
+				filters.date_from = toDateInputValue( start );
+				filters.date_to = toDateInputValue( end );
+			}
+
+			// Wait for both custom comparison dates before fetching.
+			if ( filters.compare === 'custom' && ( ! filters.compare_from || ! filters.compare_to ) ) {
+				this.render();
+				return;
+			}
+
+			this.fetchData();
+		},
+
+		handleExport: function() {
+			this.state.exportOpen = ! this.state.exportOpen;
+			this.render();
+		},
+
+		formatBucketLabel: function( dateStr ) {
+			const date = parseLocalDate( dateStr );
+			if ( this.state.data.interval === 'month' ) {
+				return date.toLocaleDateString( undefined, { month: 'short', year: 'numeric' } );
+			}
+			return date.toLocaleDateString( undefined, { month: 'short', day: 'numeric' } );
+		},
+
+		formatMetricValue: function( key, value ) {
+			return TREND_METRICS[ key ].axis === 'currency' ? formatCurrency( value, this.state.data.currency ) : String( parseFloat( value ) || 0 );
+		},
+
+		renderTrendChart: function() {
+			const self = this;
+			const series = self.state.data.series || [];
+			const visible = self.state.visibleMetrics;
+			const metricKeys = Object.keys( TREND_METRICS ).filter( function( key ) {
+				return visible[ key ];
+			} );
+
+			let html = '<div class="wda-chart">';
+			html += '<div class="wda-chart-header">';
+			html += '<div class="wda-chart-title">Discount Trend</div>';
+			html += '<div class="wda-chart-legend">';
+			Object.keys( TREND_METRICS ).forEach( function( key ) {
+				html += '<label class="wda-chart-toggle">';
+				html += '<input type="checkbox" class="wda-chart-metric" value="' + key + '"' + ( visible[ key ] ? ' checked' : '' ) + '>';
+				html += '<span class="wda-chart-swatch" style="background: ' + TREND_METRICS[ key ].color + ';"></span>';
+				html += TREND_METRICS[ key ].label;
+				html += '</label>';
+			} );
+			html += '</div></div>';
+
+			// Long ranges come back in coarser buckets than the ones picked.
+			if ( self.state.data.interval && self.state.data.interval !== self.state.filters.interval ) {
+				html += '<p style="margin: 0 0 8px; color: #757575;">This range is too long to chart by ' + escapeHtml( self.state.filters.interval ) + ', so it is shown by ' + escapeHtml( self.state.data.interval ) + '.</p>';
+			}
+
+			if ( series.length === 0 || metricKeys.length === 0 ) {
+				html += '<div class="wda-chart-empty">' + ( series.length === 0 ? 'No discounted sales in this period.' : 'Select at least one metric to display.' ) + '</div>';
+				html += '</div>';
+				return html;
+			}
+
+			const width = 800;
+			const height = 260;
+			const pad = { top: 16, right: 56, bottom: 32, left: 72 };
+			const plotWidth = width - pad.left - pad.right;
+			const plotHeight = height - pad.top - pad.bottom;
+			const step = plotWidth / series.length;
+			const ticks = 4;
+
+			// Currency metrics share the left axis; units use the right axis.
+			const axisMax = { currency: 0, units: 0 };
+			metricKeys.forEach( function( key ) {
+				const axis = TREND_METRICS[ key ].axis;
+				series.forEach( function( point ) {
+					axisMax[ axis ] = Math.max( axisMax[ axis ], parseFloat( point[ key ] ) || 0 );
+				} );
+			} );
+			axisMax.currency = niceMax( axisMax.currency );
+			axisMax.units = niceMax( axisMax.units );
+
+			const hasAxis = {
+				currency: metricKeys.some( function( key ) { return TREND_METRICS[ key ].axis === 'currency'; } ),
+				units: metricKeys.some( function( key ) { return TREND_METRICS[ key ].axis === 'units'; } )
+			};
+
+			const xAt = function( i ) {
+				return pad.left + step * ( i + 0.5 );
+			};
+			const yAt = function( value, axis ) {
+				return pad.top + plotHeight - ( ( parseFloat( value ) || 0 ) / axisMax[ axis ] ) * plotHeight;
+			};
+
+			let svg = '<svg class="wda-chart-svg" viewBox="0 0 ' + width + ' ' + height + '" preserveAspectRatio="none">';
+
+			// Gridlines and axis labels.
+			for ( let t = 0; t <= ticks; t++ ) {
+				const y = pad.top + plotHeight - ( plotHeight / ticks ) * t;
+				svg += '<line class="wda-chart-grid" x1="' + pad.left + '" x2="' + ( width - pad.right ) + '" y1="' + y + '" y2="' + y + '"></line>';
+				if ( hasAxis.currency ) {
+					svg += '<text class="wda-chart-axis-label" x="' + ( pad.left - 8 ) + '" y="' + ( y + 4 ) + '" text-anchor="end">' + escapeHtml( formatCurrency( axisMax.currency / ticks * t, self.state.data.currency ) ) + '</text>';
+				}
+				if ( hasAxis.units ) {
+					svg += '<text class="wda-chart-axis-label" x="' + ( width - pad.right + 8 ) + '" y="' + ( y + 4 ) + '" text-anchor="start">' + Math.round( axisMax.units / ticks * t ) + '</text>';
+				}
+			}
+
+			// X-axis labels, thinned out to roughly eight.
+			const labelEvery = Math.ceil( series.length / 8 );
+			series.forEach( function( point, i ) {
+				if ( i % labelEvery === 0 ) {
+					svg += '<text class="wda-chart-axis-label" x="' + xAt( i ) + '" y="' + ( height - 10 ) + '" text-anchor="middle">' + escapeHtml( self.formatBucketLabel( point.date ) ) + '</text>';
+				}
+			} );
+
+			// Units are drawn as bars behind the currency lines.
+			if ( visible.discounted_units ) {
+				const barWidth = Math.max( 1, step * 0.6 );
+				series.forEach( function( point, i ) {
+					const y = yAt( point.discounted_units, 'units' );
+					svg += '<rect class="wda-chart-bar" x="' + ( xAt( i ) - barWidth / 2 ) + '" y="' + y + '" width="' + barWidth + '" height="' + ( pad.top + plotHeight - y ) + '" fill="' + TREND_METRICS.discounted_units.color + '"></rect>';
+				} );
+			}
+
+			metricKeys.forEach( function( key ) {
+				if ( TREND_METRICS[ key ].axis !== 'currency' ) return;
+				const points = series.map( function( point, i ) {
+					return xAt( i ) + ',' + yAt( point[ key ], 'currency' );
+				} );
+				svg += '<polyline class="wda-chart-line" points="' + points.join( ' ' ) + '" stroke="' + TREND_METRICS[ key ].color + '"></polyline>';
+				if ( series.length <= 60 ) {
+					series.forEach( function( point, i ) {
+						svg += '<circle class="wda-chart-point" cx="' + xAt( i ) + '" cy="' + yAt( point[ key ], 'currency' ) + '" r="3" fill="' + TREND_METRICS[ key ].color + '"></circle>';
+					} );
+				}
+			} );
+
+			// Invisible hover zones, one per bucket, drive the tooltip.
+			series.forEach( function( point, i ) {
+				svg += '<rect class="wda-chart-hover-zone" data-index="' + i + '" x="' + ( pad.left + step * i ) + '" y="' + pad.top + '" width="' + step + '" height="' + plotHeight + '"></rect>';
+			} );
+
+			svg += '</svg>';
+
+			html += '<div class="wda-chart-body">' + svg + '<div class="wda-chart-tooltip" id="wda-chart-tooltip"></div></div>';
+			html += '</div>';
+			return html;
+		},
+
+		showTooltip: function( zone ) {
+			const self = this;
+			const tooltip = document.getElementById( 'wda-chart-tooltip' );
+			const point = ( self.state.data.series || [] )[ parseInt( zone.dataset.index, 10 ) ];
+			if ( ! tooltip || ! point ) return;
+
+			let html = '<div class="wda-chart-tooltip-title">' + escapeHtml( self.formatBucketLabel( point.date ) ) + '</div>';
+			Object.keys( TREND_METRICS ).forEach( function( key ) {
+				if ( ! self.state.visibleMetrics[ key ] ) return;
+				html += '<div class="wda-chart-tooltip-row">';
+				html += '<span class="wda-chart-swatch" style="background: ' + TREND_METRICS[ key ].color + ';"></span>';
+				html += TREND_METRICS[ key ].label + ': <strong>' + escapeHtml( self.formatMetricValue( key, point[ key ] ) ) + '</strong>';
+				html += '</div>';
+			} );
+			tooltip.innerHTML = html;
+
+			const body = tooltip.parentNode.getBoundingClientRect();
+			const rect = zone.getBoundingClientRect();
+			let left = rect.left - body.left + rect.width / 2 + 12;
+			if ( left + 200 > body.width ) {
+				left = rect.left - body.left + rect.width / 2 - 212;
+			}
+			tooltip.style.left = Math.max( 0, left ) + 'px';
+			tooltip.style.display = 'block';
+
+			self.container.querySelectorAll( '.wda-chart-hover-zone' ).forEach( function( el ) {
+				el.classList.toggle( 'is-active', el === zone );
+			} );
+		},
+
+		hideTooltip: function() {
+			const tooltip = document.getElementById( 'wda-chart-tooltip' );
+			if ( tooltip ) {
+				tooltip.style.display = 'none';
+			}
+			this.container.querySelectorAll( '.wda-chart-hover-zone.is-active' ).forEach( function( el ) {
+				el.classList.remove( 'is-active' );
+			} );
+		},
+
+		renderSummaryCard: function( label, key, formatter, note ) {
+			const data = this.state.data;
+			const comparison = data.comparison ? data.comparison.metrics[ key ] : null;
+
+			let html = '<div class="wda-summary-card">';
+			html += '<div class="wda-summary-card-label">' + label + '</div>';
+			html += '<div class="wda-summary-card-value">' + formatter( data[ key ] ) + '</div>';
+			if ( note ) {
+				html += '<div class="wda-summary-card-note">' + note + '</div>';
+			}
+
+			if ( comparison ) {
+				const change = parseFloat( comparison.change ) || 0;
+				const direction = change > 0 ? 'up' : ( change < 0 ? 'down' : 'flat' );
+				const sign = change > 0 ? '+' : ( change < 0 ? '−' : '' );
+				const arrows = { up: '▲', down: '▼', flat: '■' };
+
+				html += '<div class="wda-summary-card-compare">';
+				html += '<span class="wda-delta ' + direction + '">' + arrows[ direction ] + ' ' + sign + formatter( Math.abs( change ) );
+				if ( comparison.change_pct !== null ) {
+					html += ' (' + sign + formatPercent( Math.abs( comparison.change_pct ) ) + ')';
+				}
+				html += '</span>';
+				html += '<span class="wda-summary-card-previous">vs ' + formatter( comparison.previous ) + '</span>';
+				html += '</div>';
+			}
+
+			html += '</div>';
+			return html;
+		},
+
+		renderRankChange: function( product ) {
+			if ( product.rank_change === null || product.rank_change === undefined ) {
+				return '<span class="wda-rank-change new">New</span>';
+			}
+			if ( product.rank_change > 0 ) {
+				return '<span class="wda-rank-change up" title="Was #' + product.previous_rank + '">▲ ' + product.rank_change + '</span>';
+			}
+			if ( product.rank_change < 0 ) {
+				return '<span class="wda-rank-change down" title="Was #' + product.previous_rank + '">▼ ' + Math.abs( product.rank_change ) + '</span>';
+			}
+			return '<span class="wda-rank-change flat" title="Was #' + product.previous_rank + '">–</span>';
+		},
+
+		renderRefundRateCard: function() {
+			const rates = this.state.data.refund_rates;
+			const formatRate = function( rate ) {
+				return rate === null ? '–' : formatPercent( rate );
+			};
+
+			let html = '<div class="wda-summary-card">';
+			html += '<div class="wda-summary-card-label">Refund Rate (Discounted)</div>';
+			html += '<div class="wda-summary-card-value">' + formatRate( rates.discounted.rate ) + '</div>';
+			html += '<div class="wda-summary-card-note">vs ' + formatRate( rates.full_price.rate ) + ' of full-price units</div>';
+			html += '</div>';
+			return html;
+		},
+
+		renderMargins: function() {
+			const data = this.state.data;
+			const money = function( value ) {
+				return formatCurrency( value, data.currency );
+			};
+
+			if ( data.regular_margin === null ) {
+				return '<p class="wda-margin-help">Set cost prices on your products to see what discounts do to margin. Costs are recorded with each order, so only orders placed after a cost is set are covered.</p>';
+			}
+
+			let html = '<div class="wda-summary-cards">';
+			html += this.renderSummaryCard( 'Margin at Regular Price', 'regular_margin', money );
+			html += this.renderSummaryCard( 'Margin at Sale Price', 'sale_margin', money );
+			html += this.renderSummaryCard( 'Margin Erosion', 'margin_erosion', money,
+				( data.margin_erosion_pct !== null ? formatPercent( data.margin_erosion_pct ) + ' of regular margin · ' : '' ) +
+				formatNumber( data.costed_units ) + ' of ' + formatNumber( data.discounted_units ) + ' units have a cost' );
+			html += '</div>';
+
+			if ( data.below_cost_lines.length === 0 ) {
+				return html;
+			}
+
+			html += '<div class="wda-report-table-container wda-below-cost-lines">';
+			html += '<div class="wda-top-products-header">Sold Below Cost';
+			if ( data.below_cost_count > data.below_cost_lines.length ) {
+				html += ' <span class="wda-margin-note">Biggest ' + data.below_cost_lines.length + ' of ' + formatNumber( data.below_cost_count ) + ' lines</span>';
+			}
+			html += '</div>';
+			html += '<table class="wda-report-table">';
+			html += '<thead><tr>';
+			html += '<th>Order</th>';
+			html += '<th>Date</th>';
+			html += '<th>Product</th>';
+			html += '<th class="col-numeric">Qty</th>';
+			html += '<th class="col-numeric">Regular</th>';
+			html += '<th class="col-numeric">Paid</th>';
+			html += '<th class="col-numeric">Unit Cost</th>';
+			html += '<th class="col-numeric">Loss</th>';
+			html += '</tr></thead><tbody>';
+
+			data.below_cost_lines.forEach( function( line ) {
+				html += '<tr>';
+				html += '<td><a href="' + wdaSettings.adminUrl + 'post.php?post=' + line.order_id + '&action=edit" target="_blank">#' + line.order_id + '</a></td>';
+				html += '<td>' + formatDate( line.order_date ) + '</td>';
+				html += '<td>' + escapeHtml( line.product_name ) + '</td>';
+				html += '<td class="col-numeric">' + formatNumber( line.quantity ) + '</td>';
+				html += '<td class="col-numeric">' + money( line.regular_price ) + '</td>';
+				html += '<td class="col-numeric">' + money( line.paid_price ) + '</td>';
+				html += '<td class="col-numeric">' + money( line.unit_cost ) + '</td>';
+				html += '<td class="col-numeric wda-below-cost">' + money( line.loss ) + '</td>';
+				html += '</tr>';
+			} );
+
+			html += '</tbody></table></div>';
+			return html;
+		},
+
+		renderCurrencyBreakdown: function() {
+			const currencies = this.state.data.currencies || [];
+			if ( currencies.length < 2 ) return '';
+
+			let html = '<div class="wda-report-table-container wda-currency-breakdown">';
+			html += '<div class="wda-top-products-header">By Currency</div>';
+			html += '<table class="wda-report-table">';
+			html += '<thead><tr>';
+			html += '<th>Currency</th>';
+			html += '<th class="col-numeric">Sale Discount</th>';
+			html += '<th class="col-numeric">Coupon Discount</th>';
+			html += '<th class="col-numeric">Total Discount</th>';
+			html += '<th class="col-numeric">Revenue</th>';
+			html += '<th class="col-numeric">Units</th>';
+			html += '<th class="col-numeric">Orders</th>';
+			html += '</tr></thead><tbody>';
+
+			currencies.forEach( function( row ) {
+				html += '<tr>';
+				html += '<td>' + escapeHtml( row.currency ) + '</td>';
+				html += '<td class="col-numeric">' + formatCurrency( row.sale_discount, row.currency ) + '</td>';
+				html += '<td class="col-numeric">' + formatCurrency( row.coupon_discount, row.currency ) + '</td>';
+				html += '<td class="col-numeric">' + formatCurrency( row.total_discount, row.currency ) + '</td>';
+				html += '<td class="col-numeric">' + formatCurrency( row.total_revenue, row.currency ) + '</td>';
+				html += '<td class="col-numeric">' + formatNumber( row.discounted_units ) + '</td>';
+				html += '<td class="col-numeric">' + formatNumber( row.orders_count ) + '</td>';
+				html += '</tr>';
+			} );
+
+			html += '</tbody></table></div>';
+			return html;
+		},
+
+		renderFilters: function() {
+			const state = this.state;
+			let html = '';
+
+			html += '<div class="wda-report-filters">';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Date From</label>';
+			html += '<input type="date" id="wda-filter-from" value="' + state.filters.date_from + '">';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Date To</label>';
+			html += '<input type="date" id="wda-filter-to" value="' + state.filters.date_to + '">';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Interval</label>';
+			html += '<select id="wda-filter-interval">';
+			html += '<option value="day"' + ( state.filters.interval === 'day' ? ' selected' : '' ) + '>Day</option>';
+			html += '<option value="week"' + ( state.filters.interval === 'week' ? ' selected' : '' ) + '>Week</option>';
+			html += '<option value="month"' + ( state.filters.interval === 'month' ? ' selected' : '' ) + '>Month</option>';
+			html += '</select></div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Compare To</label>';
+			html += '<select id="wda-filter-compare">';
+			html += '<option value=""' + ( state.filters.compare === '' ? ' selected' : '' ) + '>No comparison</option>';
+			html += '<option value="previous_period"' + ( state.filters.compare === 'previous_period' ? ' selected' : '' ) + '>Previous period</option>';
+			html += '<option value="previous_year"' + ( state.filters.compare === 'previous_year' ? ' selected' : '' ) + '>Same period last year</option>';
+			html += '<option value="custom"' + ( state.filters.compare === 'custom' ? ' selected' : '' ) + '>Custom range</option>';
+			html += '</select></div>';
+
+			if ( state.filters.compare === 'custom' ) {
+				html += '<div class="wda-filter-group">';
+				html += '<label>Compare From</label>';
+				html += '<input type="date" id="wda-filter-compare-from" value="' + state.filters.compare_from + '">';
+				html += '</div>';
+
+				html += '<div class="wda-filter-group">';
+				html += '<label>Compare To</label>';
+				html += '<input type="date" id="wda-filter-compare-to" value="' + state.filters.compare_to + '">';
+				html += '</div>';
+			}
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Refunds</label>';
+			html += '<label class="wda-filter-checkbox"><input type="checkbox" id="wda-filter-refunded"' + ( state.filters.include_refunded ? ' checked' : '' ) + '> Include refunded</label>';
+			html += '</div>';
+
+			html += renderCurrencyFilter( state.filters );
+
+			html += '<div class="wda-filter-group" style="align-self: flex-end;">';
+			html += '<button type="button" class="wda-btn secondary" id="wda-export-btn" aria-expanded="' + ( state.exportOpen ? 'true' : 'false' ) + '">Export</button>';
+			html += '</div>';
+			html += '</div>';
+
+			if ( state.exportOpen ) {
+				html += renderExportPanel( 'discount-summary', '' );
+			}
+			html += ExportJobs.render( 'discount-summary' );
+
+			return html;
+		},
+
+		render: function() {
+			const self = this;
+			const state = self.state;
+
+			if ( state.loading ) {
+				self.container.innerHTML = '<div class="wda-loading"><div class="wda-loading-spinner"></div></div>';
+				return;
+			}
+
+			if ( state.error || ! state.data ) {
+				self.container.innerHTML = self.renderFilters() +
+					'<div class="wda-empty-state">' +
+					'<div class="wda-empty-state-title">Unable to load summary</div>' +
+					( state.error ? '<div class="wda-empty-state-description">' + escapeHtml( state.error ) + '</div>' : '' ) +
+					'</div>';
+				self.bindEvents();
+				return;
+			}
+
+			const data = state.data;
+			const money = function( value ) {
+				return formatCurrency( value, data.currency );
+			};
+			let html = self.renderFilters();
+			html += renderUnconvertedNotice( data.unconverted_orders );
+
+			// Trend Chart
+			html += self.renderTrendChart();
+
+			if ( data.comparison ) {
+				html += '<p class="wda-compare-range">Compared with ' + formatDate( parseLocalDate( data.comparison.date_from ) ) + ' – ' + formatDate( parseLocalDate( data.comparison.date_to ) ) + '</p>';
+			}
+
+			// Summary Cards
+			html += '<div class="wda-summary-cards">';
+			html += self.renderSummaryCard( 'Sale Discounts', 'sale_discount', money );
+			html += self.renderSummaryCard( 'Coupon Discounts', 'coupon_discount', money );
+			html += self.renderSummaryCard( 'Total Discounts Given', 'total_discount', money );
+			html += self.renderSummaryCard( 'Refunded Discounts', 'refunded_discount', money,
+				money( data.gross_discount ) + ' gross · ' + money( data.net_discount ) + ' net' );
+			html += self.renderRefundRateCard();
+			html += self.renderSummaryCard( 'Total Revenue', 'total_revenue', money );
+			html += self.renderSummaryCard( 'Discount % of Revenue', 'discount_pct_of_revenue', formatPercent );
+			html += self.renderSummaryCard( 'Units Sold at Discount', 'discounted_units', formatNumber );
+			html += self.renderSummaryCard( 'Orders Analyzed', 'orders_count', formatNumber );
+			html += '</div>';
+
+			html += self.renderMargins();
+
+			// Top Discounted Products
+			if ( data.top_discounted_products && data.top_discounted_products.length > 0 ) {
+				html += '<div class="wda-top-products">';
+				html += '<div class="wda-top-products-header">Top Discounted Products</div>';
+				html += '<ul class="wda-top-products-list">';
+
+				data.top_discounted_products.forEach( function( product, idx ) {
+					html += '<li class="wda-top-products-item">';
+					html += '<span class="wda-top-products-item-rank">' + ( idx + 1 ) + '</span>';
+					html += '<span class="wda-top-products-item-name">' + escapeHtml( product.product_name ) + '</span>';
+					if ( data.comparison ) {
+						html += self.renderRankChange( product );
+					}
+					html += '<span class="wda-top-products-item-value">' + money( product.total_discount );
+					if ( product.coupon_discount > 0 ) {
+						html += '<span class="wda-top-products-item-split">' + money( product.sale_discount ) + ' sale · ' + money( product.coupon_discount ) + ' coupon</span>';
+					}
+					if ( product.margin_erosion !== null ) {
+						html += '<span class="wda-top-products-item-split">' + money( product.margin_erosion ) + ' margin erosion' +
+							( product.margin_erosion_pct !== null ? ' (' + formatPercent( product.margin_erosion_pct ) + ')' : '' ) + '</span>';
+					}
+					html += '</span>';
+					html += '</li>';
+				} );
+
+				html += '</ul></div>';
+			}
+
+			html += self.renderCurrencyBreakdown();
+
+			self.container.innerHTML = html;
+			self.bindEvents();
+		},
+
+		bindEvents: function() {
+			const self = this;
+
+			const fromInput = document.getElementById( 'wda-filter-from' );
+			if ( fromInput ) {
+				fromInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'date_from', this.value );
+				} );
+			}
+
+			const toInput = document.getElementById( 'wda-filter-to' );
+			if ( toInput ) {
+				toInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'date_to', this.value );
+				} );
+			}
+
+			const intervalSelect = document.getElementById( 'wda-filter-interval' );
+			if ( intervalSelect ) {
+				intervalSelect.addEventListener( 'change', function() {
+					self.handleFilterChange( 'interval', this.value );
+				} );
+			}
+
+			const compareSelect = document.getElementById( 'wda-filter-compare' );
+			if ( compareSelect ) {
+				compareSelect.addEventListener( 'change', function() {
+					self.handleFilterChange( 'compare', this.value );
+				} );
+			}
+
+			const compareFromInput = document.getElementById( 'wda-filter-compare-from' );
+			if ( compareFromInput ) {
+				compareFromInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'compare_from', this.value );
+				} );
+			}
+
+			const compareToInput = document.getElementById( 'wda-filter-compare-to' );
+			if ( compareToInput ) {
+				compareToInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'compare_to', this.value );
+				} );
+			}
+
+			const refundedInput = document.getElementById( 'wda-filter-refunded' );
+			if ( refundedInput ) {
+				refundedInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'include_refunded', this.checked ? 1 : 0 );
+				} );
+			}
+
+			bindCurrencyFilter( function( key, value ) {
+				self.handleFilterChange( key, value );
+			} );
+
+			const exportBtn = document.getElementById( 'wda-export-btn' );
+			if ( exportBtn ) {
+				exportBtn.addEventListener( 'click', function() {
+					self.handleExport();
+				} );
+			}
+
+			bindExportPanel( 'discount-summary', '', self.state.filters, function() {
+				self.state.exportOpen = false;
+				self.render();
+			} );
+			bindExportJobs();
+
+			const metricToggles = self.container.querySelectorAll( '.wda-chart-metric' );
+			metricToggles.forEach( function( toggle ) {
+				toggle.addEventListener( 'change', function() {
+					self.state.visibleMetrics[ this.value ] = this.checked;
+					self.render();
+				} );
+			} );
+
+			const hoverZones = self.container.querySelectorAll( '.wda-chart-hover-zone' );
+			hoverZones.forEach( function( zone ) {
+				zone.addEventListener( 'mouseenter', function() {
+					self.showTooltip( this );
+				} );
+			} );
+
+			const chartSvg = self.container.querySelector( '.wda-chart-svg' );
+			if ( chartSvg ) {
+				chartSvg.addEventListener( 'mouseleave', function() {
+					self.hideTooltip();
+				} );
+			}
+		}
+	};
+
+	/**
+	 * Sale Performance Report
+	 */
+	const SalePerformanceReport = {
+		container: null,
+		state: {
+			items: [],
+			totals: null,
+			total: 0,
+			totalPages: 0,
+			page: 1,
+			perPage: 25,
+			loading: true,
+			error: null,
+			filters: {
+				sale_status: 'all',
+				category: 0,
+				include_subcategories: 0,
+				orderby: 'incremental_units',
+				order: 'DESC'
+			}
+		},
+
+		init: function( containerId ) {
+			this.container = document.getElementById( containerId );
+			if ( ! this.container ) return;
+			initUrlState( this );
+			this.fetchData();
+		},
+
+		fetchData: function() {
+			const self = this;
+			pushUrlState( self );
+			self.state.loading = true;
+			self.state.error = null;
+			self.render();
+
+			const params = {
+				page: self.state.page,
+				per_page: self.state.perPage,
+				...self.state.filters
+			};
+
+			apiFetch( 'sale-performance', params )
+				.then( function( data ) {
+					self.state.items = data.items || [];
+					self.state.totals = data.totals || null;
+					self.state.total = data.total || 0;
+					self.state.totalPages = data.total_pages || 0;
+					self.state.loading = false;
+					self.render();
+				} )
+				.catch( function( error ) {
+					console.error( 'Error fetching sale performance:', error );
+					self.state.loading = false;
+					self.state.error = error.message || 'Failed to load data';
+					self.render();
+				} );
+		},
+
+		handleFilterChange: function( key, value ) {
+			this.state.filters[ key ] = value;
+			this.state.page = 1;
+			this.fetchData();
+		},
+
+		handlePageChange: function( newPage ) {
+			this.state.page = newPage;
+			this.fetchData();
+		},
+
+		handleSort: function( column ) {
+			const filters = this.state.filters;
+			filters.order = ( filters.orderby === column && filters.order === 'DESC' ) ? 'ASC' : 'DESC';
+			filters.orderby = column;
+			this.state.page = 1;
+			this.fetchData();
+		},
+
+		/**
+		 * Format a lift percentage with its sign, or a dash with no baseline.
+		 */
+		renderLift: function( value ) {
+			if ( value === null || value === undefined ) {
+				return '<span class="wda-delta flat" title="No sales in the baseline window">—</span>';
+			}
+			const change = parseFloat( value ) || 0;
+			const direction = change > 0 ? 'up' : ( change < 0 ? 'down' : 'flat' );
+			const sign = change > 0 ? '+' : ( change < 0 ? '−' : '' );
+			return '<span class="wda-delta ' + direction + '">' + sign + formatPercent( Math.abs( change ) ) + '</span>';
+		},
+
+		renderSortHeader: function( column, label ) {
+			const filters = this.state.filters;
+			let html = '<th class="col-numeric sortable" data-sort="' + column + '">' + label;
+			if ( filters.orderby === column ) {
+				html += filters.order === 'DESC' ? ' ▼' : ' ▲';
+			}
+			return html + '</th>';
+		},
+
+		render: function() {
+			const self = this;
+			const state = self.state;
+
+			if ( state.loading ) {
+				self.container.innerHTML = '<div class="wda-loading"><div class="wda-loading-spinner"></div></div>';
+				return;
+			}
+
+			let html = '';
+
+			// Filters
+			html += '<div class="wda-report-filters">';
+			html += '<div class="wda-filter-group">';
+			html += '<label>Sale Status</label>';
+			html += '<select id="wda-filter-status">';
+			html += '<option value="all"' + ( state.filters.sale_status === 'all' ? ' selected' : '' ) + '>Active and expired</option>';
+			html += '<option value="active"' + ( state.filters.sale_status === 'active' ? ' selected' : '' ) + '>Active</option>';
+			html += '<option value="expired"' + ( state.filters.sale_status === 'expired' ? ' selected' : '' ) + '>Expired</option>';
+			html += '</select></div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Category</label>';
+			html += renderCategoryPicker( 'wda-filter-category', state.filters.category );
+			html += '<label class="wda-filter-checkbox"><input type="checkbox" id="wda-filter-subcategories"' + ( state.filters.include_subcategories ? ' checked' : '' ) + '> Include subcategories</label>';
+			html += '</div>';
+			html += '</div>';
+
+			if ( state.error ) {
+				html += '<div class="wda-empty-state">';
+				html += '<div class="wda-empty-state-title">Unable to load sale performance</div>';
+				html += '<div class="wda-empty-state-description">' + escapeHtml( state.error ) + '</div>';
+				html += '</div>';
+				self.container.innerHTML = html;
+				self.bindEvents();
+				return;
+			}
+
+			const totals = state.totals;
+			if ( totals && totals.products > 0 ) {
+				html += '<div class="wda-summary-cards">';
+				html += '<div class="wda-summary-card"><div class="wda-summary-card-label">Unit Lift</div><div class="wda-summary-card-value">' + self.renderLift( totals.lift_pct ) + '</div></div>';
+				html += '<div class="wda-summary-card"><div class="wda-summary-card-label">Incremental Units</div><div class="wda-summary-card-value">' + formatNumber( totals.incremental_units ) + '</div></div>';
+				html += '<div class="wda-summary-card"><div class="wda-summary-card-label">Discount Cost</div><div class="wda-summary-card-value">' + formatCurrency( totals.discount_cost ) + '</div></div>';
+				html += '<div class="wda-summary-card"><div class="wda-summary-card-label">Cost per Incremental Unit</div><div class="wda-summary-card-value">' + ( totals.cost_per_incremental_unit === null ? '—' : formatCurrency( totals.cost_per_incremental_unit ) ) + '</div></div>';
+				html += '</div>';
+			}
+
+			// Results count
+			html += '<p style="margin-bottom: 12px; color: #757575;">' + state.total + ' sales analyzed. Each sale is compared with the same number of days immediately before it started.</p>';
+
+			if ( state.items.length > 0 ) {
+				html += '<div class="wda-report-table-container">';
+				html += '<table class="wda-report-table wda-performance-table">';
+				html += '<thead><tr>';
+				html += '<th>Product</th>';
+				html += '<th>Sale Window</th>';
+				html += '<th class="col-numeric">Baseline Units/Day</th>';
+				html += '<th class="col-numeric">Sale Units/Day</th>';
+				html += self.renderSortHeader( 'lift_pct', 'Unit Lift' );
+				html += self.renderSortHeader( 'revenue_lift_pct', 'Revenue Lift' );
+				html += self.renderSortHeader( 'incremental_units', 'Incremental Units' );
+				html += self.renderSortHeader( 'discount_cost', 'Discount Cost' );
+				html += self.renderSortHeader( 'cost_per_incremental_unit', 'Cost / Incr. Unit' );
+				html += '</tr></thead>';
+				html += '<tbody>';
+
+				state.items.forEach( function( item ) {
+					html += '<tr>';
+					html += '<td><a href="' + escapeHtml( item.edit_link ) + '" target="_blank">' + escapeHtml( item.name ) + '</a>';
+					if ( ! item.baseline_complete ) {
+						html += ' <span class="wda-performance-warning" title="The baseline window starts before the first recorded order, so baseline sales may be understated.">partial baseline</span>';
+					}
+					html += '</td>';
+					html += '<td>' + formatDate( item.sale_start ) + ' - ' + ( item.sale_end ? formatDate( item.sale_end ) : 'ongoing' );
+					html += ' <span class="wda-performance-days">(' + item.days + ' days)</span></td>';
+					html += '<td class="col-numeric">' + formatNumber( item.baseline_units_per_day ) + '</td>';
+					html += '<td class="col-numeric">' + formatNumber( item.sale_units_per_day ) + '</td>';
+					html += '<td class="col-numeric">' + self.renderLift( item.lift_pct ) + '</td>';
+					html += '<td class="col-numeric">' + self.renderLift( item.revenue_lift_pct ) + '</td>';
+					html += '<td class="col-numeric">' + formatNumber( item.incremental_units ) + '</td>';
+					html += '<td class="col-numeric">' + formatCurrency( item.discount_cost ) + '</td>';
+					html += '<td class="col-numeric">' + ( item.cost_per_incremental_unit === null ? '—' : formatCurrency( item.cost_per_incremental_unit ) ) + '</td>';
+					html += '</tr>';
+				} );
+
+				html += '</tbody></table>';
+
+				// Pagination
+				if ( state.totalPages > 1 ) {
+					html += '<div class="wda-pagination">';
+					html += '<div class="wda-pagination-info">Page ' + state.page + ' of ' + state.totalPages + '</div>';
+					html += '<div class="wda-pagination-controls">';
+					html += '<button class="wda-pagination-btn" id="wda-prev-page"' + ( state.page <= 1 ? ' disabled' : '' ) + '>Previous</button>';
+					html += '<button class="wda-pagination-btn" id="wda-next-page"' + ( state.page >= state.totalPages ? ' disabled' : '' ) + '>Next</button>';
+					html += '</div></div>';
+				}
+
+				html += '</div>';
+			} else {
+				html += '<div class="wda-empty-state">';
+				html += '<div class="wda-empty-state-icon">📈</div>';
+				html += '<div class="wda-empty-state-title">No sales to analyze</div>';
+				html += '<div class="wda-empty-state-description">Sale performance needs a sale that has started: one recorded in the price history, or a current sale with a start date in the past.</div>';
+				html += '</div>';
+			}
+
+			self.container.innerHTML = html;
+			self.bindEvents();
+		},
+
+		bindEvents: function() {
+			const self = this;
+
+			const statusSelect = document.getElementById( 'wda-filter-status' );
+			if ( statusSelect ) {
+				statusSelect.addEventListener( 'change', function() {
+					self.handleFilterChange( 'sale_status', this.value );
+				} );
+			}
+
+			bindCategoryPicker( 'wda-filter-category', function( categoryId ) {
+				self.handleFilterChange( 'category', categoryId );
+			} );
+
+			const subcategoriesInput = document.getElementById( 'wda-filter-subcategories' );
+			if ( subcategoriesInput ) {
+				subcategoriesInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'include_subcategories', this.checked ? 1 : 0 );
+				} );
+			}
+
+			const prevBtn = document.getElementById( 'wda-prev-page' );
+			if ( prevBtn ) {
+				prevBtn.addEventListener( 'click', function() {
+					if ( self.state.page > 1 ) {
+						self.handlePageChange( self.state.page - 1 );
+					}
+				} );
+			}
+
+			const nextBtn = document.getElementById( 'wda-next-page' );
+			if ( nextBtn ) {
+				nextBtn.addEventListener( 'click', function() {
+					if ( self.state.page < self.state.totalPages ) {
+						self.handlePageChange( self.state.page + 1 );
+					}
+				} );
+			}
+
+			const sortHeaders = self.container.querySelectorAll( '.sortable' );
+			sortHeaders.forEach( function( header ) {
+				header.addEventListener( 'click', function() {
+					self.handleSort( this.dataset.sort );
+				} );
+			} );
+		}
+	};
+
+	// Metrics the category matrix can show per band.
+	const DEPTH_MATRIX_METRICS = {
+		units_sold: 'Units',
+		orders_count: 'Orders',
+		total_revenue: 'Revenue',
+		total_discount: 'Discount Cost'
+	};
+
+	/**
+	 * Discount Depth Report
+	 */
+	const DiscountDepthReport = {
+		container: null,
+		state: {
+			data: null,
+			loading: true,
+			error: null,
+			exportOpen: false,
+			matrixMetric: 'units_sold',
+			filters: {
+				date_from: '',
+				date_to: '',
+				band_width: 10,
+				bands: '',
+				category: 0,
+				include_subcategories: 0,
+				include_refunded: 0,
+				currency: '',
+				convert: 0
+			}
+		},
+
+		init: function( containerId ) {
+			this.container = document.getElementById( containerId );
+			if ( ! this.container ) return;
+			initUrlState( this );
+			this.fetchData();
+		},
+
+		fetchData: function() {
+			const self = this;
+			pushUrlState( self );
+			self.state.loading = true;
+			self.render();
+
+			apiFetch( 'discount-depth', self.state.filters )
+				.then( function( data ) {
+					self.state.data = data;
+					self.state.loading = false;
+					self.state.error = null;
+					self.render();
+				} )
+				.catch( function( error ) {
+					console.error( 'Error fetching discount depth:', error );
+					self.state.loading = false;
+					self.state.error = error.message || 'Failed to load data';
+					self.render();
+				} );
+		},
+
+		handleFilterChange: function( key, value ) {
+			this.state.filters[ key ] = value;
+			this.fetchData();
+		},
+
+		handleExport: function() {
+			this.state.exportOpen = ! this.state.exportOpen;
+			this.render();
+		},
+
+		formatMetric: function( key, value ) {
+			if ( key === 'total_revenue' || key === 'total_discount' ) {
+				return formatCurrency( value, this.state.data.currency );
+			}
+			return formatNumber( value );
+		},
+
+		renderFilters: function() {
+			const state = this.state;
+			const widths = [ 5, 10, 20, 25 ];
+			let html = '';
+
+			html += '<div class="wda-report-filters">';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Date From</label>';
+			html += '<input type="date" id="wda-filter-from" value="' + state.filters.date_from + '">';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Date To</label>';
+			html += '<input type="date" id="wda-filter-to" value="' + state.filters.date_to + '">';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Band Width</label>';
+			html += '<select id="wda-filter-band-width"' + ( state.filters.bands ? ' disabled' : '' ) + '>';
+			if ( widths.indexOf( state.filters.band_width ) === -1 ) {
+				widths.push( state.filters.band_width );
+			}
+			widths.forEach( function( width ) {
+				html += '<option value="' + width + '"' + ( state.filters.band_width === width ? ' selected' : '' ) + '>' + width + ' points</option>';
+			} );
+			html += '</select></div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Custom Band Edges</label>';
+			html += '<input type="text" id="wda-filter-bands" class="wda-depth-edges" placeholder="e.g. 10, 25, 50" value="' + escapeHtml( state.filters.bands ) + '">';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Category</label>';
+			html += renderCategoryPicker( 'wda-filter-category', state.filters.category );
+			html += '<label class="wda-filter-checkbox"><input type="checkbox" id="wda-filter-subcategories"' + ( state.filters.include_subcategories ? ' checked' : '' ) + '> Include subcategories</label>';
+			html += '</div>';
+
+			html += '<div class="wda-filter-group">';
+			html += '<label>Refunds</label>';
+			html += '<label class="wda-filter-checkbox"><input type="checkbox" id="wda-filter-refunded"' + ( state.filters.include_refunded ? ' checked' : '' ) + '> Include refunded</label>';
+			html += '</div>';
+
+			html += renderCurrencyFilter( state.filters );
+
+			html += '<div class="wda-filter-group" style="align-self: flex-end;">';
+			html += '<button type="button" class="wda-btn secondary" id="wda-export-btn" aria-expanded="' + ( state.exportOpen ? 'true' : 'false' ) + '">Export</button>';
+			html += '</div>';
+			html += '</div>';
+
+			if ( state.exportOpen ) {
+				html += renderExportPanel( 'discount-depth', '' );
+			}
+			html += ExportJobs.render( 'discount-depth' );
+
+			return html;
+		},
+
+		renderBands: function() {
+			const data = this.state.data;
+			const money = function( value ) {
+				return formatCurrency( value, data.currency );
+			};
+
+			let html = '<div class="wda-report-table-container">';
+			html += '<table class="wda-report-table wda-depth-table">';
+			html += '<thead><tr>';
+			html += '<th>Sale Discount</th>';
+			html += '<th>Share of Units</th>';
+			html += '<th class="col-numeric">Units</th>';
+			html += '<th class="col-numeric">Orders</th>';
+			html += '<th class="col-numeric">Revenue</th>';
+			html += '<th class="col-numeric">Discount Cost</th>';
+			html += '<th class="col-numeric">Discount / Unit</th>';
+			html += '<th class="col-numeric">Avg Discount</th>';
+			html += '</tr></thead>';
+			html += '<tbody>';
+
+			data.bands.forEach( function( band ) {
+				html += '<tr' + ( band.units_sold > 0 ? '' : ' class="wda-depth-empty"' ) + '>';
+				html += '<td>' + escapeHtml( band.label ) + '</td>';
+				html += '<td><span class="wda-depth-bar"><span class="wda-depth-bar-fill" style="width: ' + band.units_share + '%;"></span></span> ' + formatPercent( band.units_share ) + '</td>';
+				html += '<td class="col-numeric">' + formatNumber( band.units_sold ) + '</td>';
+				html += '<td class="col-numeric">' + formatNumber( band.orders_count ) + '</td>';
+				html += '<td class="col-numeric">' + money( band.total_revenue ) + '</td>';
+				html += '<td class="col-numeric">' + money( band.total_discount ) + '</td>';
+				html += '<td class="col-numeric">' + money( band.discount_per_unit ) + '</td>';
+				html += '<td class="col-numeric">' + formatPercent( band.avg_discount_pct ) + '</td>';
+				html += '</tr>';
+			} );
+
+			html += '</tbody></table></div>';
+			return html;
+		},
+
+		renderCategories: function() {
+			const self = this;
+			const data = self.state.data;
+			const metric = self.state.matrixMetric;
+			if ( ! data.categories.length ) return '';
+
+			// Only bands that sold anything get a column.
+			const columns = data.bands.map( function( band, index ) {
+				return band.units_sold > 0 ? index : -1;
+			} ).filter( function( index ) {
+				return index !== -1;
+			} );
+
+			let html = '<div class="wda-depth-section">';
+			html += '<div class="wda-depth-section-header">';
+			html += '<h2>By Category</h2>';
+			html += '<label>Show <select id="wda-depth-matrix-metric">';
+			Object.keys( DEPTH_MATRIX_METRICS ).forEach( function( key ) {
+				html += '<option value="' + key + '"' + ( metric === key ? ' selected' : '' ) + '>' + DEPTH_MATRIX_METRICS[ key ] + '</option>';
+			} );
+			html += '</select></label>';
+			html += '</div>';
+			html += '<p class="wda-depth-note">Shading shows each band\'s share of the category\'s units. Products in several categories count towards each of them.</p>';
+
+			html += '<div class="wda-report-table-container">';
+			html += '<table class="wda-report-table wda-depth-matrix">';
+			html += '<thead><tr><th>Category</th><th class="col-numeric">All</th>';
+			columns.forEach( function( index ) {
+				html += '<th class="col-numeric">' + escapeHtml( data.bands[ index ].label ) + '</th>';
+			} );
+			html += '</tr></thead>';
+			html += '<tbody>';
+
+			data.categories.forEach( function( category ) {
+				html += '<tr>';
+				html += '<td>' + escapeHtml( category.category_name ) + '</td>';
+				html += '<td class="col-numeric">' + self.formatMetric( metric, category[ metric ] ) + '</td>';
+				columns.forEach( function( index ) {
+					const band = category.bands[ index ];
+					const shade = band.units_share > 0 ? ' style="background: rgba(34, 113, 177, ' + ( band.units_share / 100 * 0.5 ).toFixed( 3 ) + ');"' : '';
+					html += '<td class="col-numeric"' + shade + ' title="' + formatPercent( band.units_share ) + ' of units">' + ( band.units_sold > 0 ? self.formatMetric( metric, band[ metric ] ) : '–' ) + '</td>';
+				} );
+				html += '</tr>';
+			} );
+
+			html += '</tbody></table></div>';
+			html += '</div>';
+			return html;
+		},
+
+		renderElasticity: function() {
+			const data = this.state.data;
+
+			let html = '<div class="wda-depth-section">';
+			html += '<div class="wda-depth-section-header"><h2>Price Elasticity</h2></div>';
+			html += '<p class="wda-depth-note">For products sold at two or more discount levels: the % change in units sold per day for a 1% change in sale price, fitted across the levels. ' +
+				'Below −1, deeper discounts sold proportionally more units. Only discounted sales are captured, so full-price sales are not part of the estimate.</p>';
+			html += '<p class="wda-depth-note">' + escapeHtml( data.elasticity_note ) + '</p>';
+
+			if ( ! data.elasticity.length ) {
+				html += '<div class="wda-empty-state"><div class="wda-empty-state-description">No product sold at two or more discount levels with enough orders in this range.</div></div>';
+				html += '</div>';
+				return html;
+			}
+
+			html += '<div class="wda-report-table-container">';
+			html += '<table class="wda-report-table wda-depth-table">';
+			html += '<thead><tr>';
+			html += '<th>Product</th>';
+			html += '<th class="col-numeric">Units</th>';
+			html += '<th class="col-numeric">Elasticity</th>';
+			html += '<th>Discount Levels</th>';
+			html += '</tr></thead>';
+			html += '<tbody>';
+
+			data.elasticity.forEach( function( product ) {
+				const value = parseFloat( product.elasticity );
+				const kind = value < -1 ? 'elastic' : ( value <= 0 ? 'inelastic' : 'positive' );
+				const labels = { elastic: 'Elastic', inelastic: 'Inelastic', positive: 'Sold less when cheaper' };
+
+				html += '<tr>';
+				html += '<td>' + escapeHtml( product.product_name ) + '</td>';
+				html += '<td class="col-numeric">' + formatNumber( product.units_sold ) + '</td>';
+				html += '<td class="col-numeric">' + value.toFixed( 2 ) + ' <span class="wda-elasticity ' + kind + '">' + labels[ kind ] + '</span></td>';
+				html += '<td><ul class="wda-depth-levels">';
+				product.levels.forEach( function( level ) {
+					html += '<li><strong>' + escapeHtml( level.label ) + '</strong> ' + formatCurrency( level.avg_price, data.currency ) +
+						' · ' + formatNumber( level.units_sold ) + ' units in ' + formatNumber( level.orders ) + ' orders over ' + level.days + ' days' +
+						' (' + formatNumber( Math.round( level.units_per_day * 100 ) / 100 ) + '/day)</li>';
+				} );
+				html += '</ul></td>';
+				html += '</tr>';
+			} );
+
+			html += '</tbody></table></div>';
+
+			if ( data.elasticity_total > data.elasticity.length ) {
+				html += '<p class="wda-depth-note">Showing the ' + data.elasticity.length + ' best-selling of ' + data.elasticity_total + ' products. Export the report for all of them.</p>';
+			}
+
+			html += '</div>';
+			return html;
+		},
+
+		render: function() {
+			const self = this;
+			const state = self.state;
+
+			if ( state.loading ) {
+				self.container.innerHTML = '<div class="wda-loading"><div class="wda-loading-spinner"></div></div>';
+				return;
+			}
+
+			if ( state.error || ! state.data ) {
+				self.container.innerHTML = self.renderFilters() +
+					'<div class="wda-empty-state">' +
+					'<div class="wda-empty-state-title">Unable to load discount depth</div>' +
+					( state.error ? '<div class="wda-empty-state-description">' + escapeHtml( state.error ) + '</div>' : '' ) +
+					'</div>';
+				self.bindEvents();
+				return;
+			}
+
+			const data = state.data;
+			const totals = data.totals;
+			let html = self.renderFilters();
+			html += renderUnconvertedNotice( data.unconverted_orders );
+
+			if ( totals.units_sold <= 0 ) {
+				html += '<div class="wda-empty-state">';
+				html += '<div class="wda-empty-state-icon">📊</div>';
+				html += '<div class="wda-empty-state-title">No discounted sales</div>';
+				html += '<div class="wda-empty-state-description">No discounted order lines match these filters.</div>';
+				html += '</div>';
+				self.container.innerHTML = html;
+				self.bindEvents();
+				return;
+			}
+
+			html += '<div class="wda-summary-cards">';
+			html += '<div class="wda-summary-card"><div class="wda-summary-card-label">Units Sold at Discount</div><div class="wda-summary-card-value">' + formatNumber( totals.units_sold ) + '</div></div>';
+			html += '<div class="wda-summary-card"><div class="wda-summary-card-label">Orders</div><div class="wda-summary-card-value">' + formatNumber( totals.orders_count ) + '</div></div>';
+			html += '<div class="wda-summary-card"><div class="wda-summary-card-label">Revenue</div><div class="wda-summary-card-value">' + formatCurrency( totals.total_revenue, data.currency ) + '</div></div>';
+			html += '<div class="wda-summary-card"><div class="wda-summary-card-label">Discount Cost</div><div class="wda-summary-card-value">' + formatCurrency( totals.total_discount, data.currency ) + '</div></div>';
+			html += '<div class="wda-summary-card"><div class="wda-summary-card-label">Avg Sale Discount</div><div class="wda-summary-card-value">' + formatPercent( totals.avg_discount_pct ) + '</div></div>';
+			html += '</div>';
+
+			html += self.renderBands();
+			html += self.renderCategories();
+			html += self.renderElasticity();
+
+			self.container.innerHTML = html;
+			self.bindEvents();
+		},
+
+		bindEvents: function() {
+			const self = this;
+
+			const fromInput = document.getElementById( 'wda-filter-from' );
+			if ( fromInput ) {
+				fromInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'date_from', this.value );
+				} );
+			}
+
+			const toInput = document.getElementById( 'wda-filter-to' );
+			if ( toInput ) {
+				toInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'date_to', this.value );
+				} );
+			}
+
+			const widthSelect = document.getElementById( 'wda-filter-band-width' );
+			if ( widthSelect ) {
+				widthSelect.addEventListener( 'change', function() {
+					self.handleFilterChange( 'band_width', parseFloat( this.value ) );
+				} );
+			}
+
+			const edgesInput = document.getElementById( 'wda-filter-bands' );
+			if ( edgesInput ) {
+				edgesInput.addEventListener( 'change', function() {
+					// Keep numbers only, so a typo doesn't fail the request.
+					const edges = this.value.split( ',' ).map( function( edge ) {
+						return parseFloat( edge );
+					} ).filter( function( edge ) {
+						return edge > 0 && edge < 100;
+					} );
+					self.handleFilterChange( 'bands', edges.join( ',' ) );
+				} );
+			}
+
+			bindCategoryPicker( 'wda-filter-category', function( categoryId ) {
+				self.handleFilterChange( 'category', categoryId );
+			} );
+
+			const subcategoriesInput = document.getElementById( 'wda-filter-subcategories' );
+			if ( subcategoriesInput ) {
+				subcategoriesInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'include_subcategories', this.checked ? 1 : 0 );
+				} );
+			}
+
+			const refundedInput = document.getElementById( 'wda-filter-refunded' );
+			if ( refundedInput ) {
+				refundedInput.addEventListener( 'change', function() {
+					self.handleFilterChange( 'include_refunded', this.checked ? 1 : 0 );
+				} );
+			}
+
+			bindCurrencyFilter( function( key, value ) {
+				self.handleFilterChange( key, value );
+			} );
+
+			const exportBtn = document.getElementById( 'wda-export-btn' );
+			if ( exportBtn ) {
+				exportBtn.addEventListener( 'click', function() {
+					self.handleExport();
+				} );
+			}
+
+			bindExportPanel( 'discount-depth', '', self.state.filters, function() {
+				self.state.exportOpen = false;
+				self.render();
+			} );
+			bindExportJobs();
+
+			const matrixSelect = document.getElementById( 'wda-depth-matrix-metric' );
+			if ( matrixSelect ) {
+				matrixSelect.addEventListener( 'change', function() {
+					self.state.matrixMetric = this.value;
+					self.render();
+				} );
+			}
+		}
+	};
+
+	/**
+	 * Price History Report
+	 */
+	const PriceHistoryReport = {
+		container: null,
+		state: {
+			data: null,
+			loading: false,
+			error: null,
+			productName: '',
+			filters: {
+				product_id: 0
+			}
+		},
+
+		init: function( containerId ) {
+			this.container = document.getElementById( containerId );
+			if ( ! this.container ) return;
+			initUrlState( this );
+			this.fetchData();
+		},
+
+		getHistoryState: function() {
+			return { productName: this.state.productName };
+		},
+
+		restoreHistoryState: function( historyState ) {
+			this.state.productName = ( historyState || {} ).productName || '';
+		},
+
+		fetchData: function() {
+			const self = this;
+			pushUrlState( self );
+			self.state.data = null;
+			self.state.error = null;
+
+			if ( ! self.state.filters.product_id ) {
+				self.state.loading = false;
+				self.render();
+				return;
+			}
+
+			self.state.loading = true;
+			self.render();
+
+			apiFetch( 'price-history', { product_id: self.state.filters.product_id } )
+				.then( function( data ) {
+					self.state.data = data;
+					self.state.productName = data.product.name;
+					self.state.loading = false;
+					self.render();
+				} )
+				.catch( function( error ) {
+					console.error( 'Error fetching price history:', error );
+					self.state.loading = false;
+					self.state.error = error.message || 'Failed to load data';
+					self.render();
+				} );
+		},
+
+		handleProductSelect: function( product ) {
+			this.state.productName = product ? product.name : '';
+			this.state.filters.product_id = product ? product.id : 0;
+			this.fetchData();
+		},
+
+		renderPriceChange: function( current, previous ) {
+			if ( current === null || previous === null || previous === undefined || current === previous ) {
+				return '';
+			}
+			const change = current - previous;
+			const direction = change > 0 ? 'up' : 'down';
+			return ' <span class="wda-delta ' + direction + '">' + ( change > 0 ? '+' : '−' ) + formatCurrency( Math.abs( change ) ) + '</span>';
+		},
+
+		render: function() {
+			const self = this;
+			const state = self.state;
+
+			if ( state.loading ) {
+				self.container.innerHTML = '<div class="wda-loading"><div class="wda-loading-spinner"></div></div>';
+				return;
+			}
+
+			let html = '';
+
+			// Filters
+			html += '<div class="wda-report-filters">';
+			html += '<div class="wda-filter-group">';
+			html += '<label>Product</label>';
+			html += '<div class="wda-product-search" id="wda-filter-product">';
+			html += '<input type="text" class="wda-product-search-input" autocomplete="off" placeholder="Search products…" value="' + escapeHtml( state.filters.product_id ? ( state.productName || 'Product #' + state.filters.product_id ) : '' ) + '">';
+			if ( state.filters.product_id ) {
+				html += '<button type="button" class="wda-product-search-clear" aria-label="Clear product">×</button>';
+			}
+			html += '<ul class="wda-product-search-results" hidden></ul>';
+			html += '</div></div>';
+			html += '</div>';
+
+			if ( state.error ) {
+				html += '<div class="wda-empty-state">';
+				html += '<div class="wda-empty-state-title">Unable to load price history</div>';
+				html += '<div class="wda-empty-state-description">' + escapeHtml( state.error ) + '</div>';
+				html += '</div>';
+			} else if ( ! state.data ) {
+				html += '<div class="wda-empty-state">';
+				html += '<div class="wda-empty-state-icon">🏷️</div>';
+				html += '<div class="wda-empty-state-title">Select a product</div>';
+				html += '<div class="wda-empty-state-description">Search for a product or variation to see how its regular and sale prices have changed.</div>';
+				html += '</div>';
+			} else if ( state.data.items.length === 0 ) {
+				html += '<div class="wda-empty-state">';
+				html += '<div class="wda-empty-state-title">No price changes recorded</div>';
+				html += '<div class="wda-empty-state-description">Price changes are recorded from the next time this product is saved.</div>';
+				html += '</div>';
+			} else {
+				const product = state.data.product;
+				const items = state.data.items;
+
+				html += '<p style="margin-bottom: 12px; color: #757575;"><a href="' + escapeHtml( product.edit_link ) + '" target="_blank">' + escapeHtml( product.name ) + '</a>';
+				html += ( product.sku ? ' · ' + escapeHtml( product.sku ) : '' ) + ' · ' + items.length + ' price changes recorded</p>';
+
+				html += '<div class="wda-report-table-container">';
+				html += '<table class="wda-report-table">';
+				html += '<thead><tr>';
+				html += '<th>Effective From</th>';
+				html += '<th class="col-numeric">Regular Price</th>';
+				html += '<th class="col-numeric">Sale Price</th>';
+				html += '<th>Sale Schedule</th>';
+				html += '</tr></thead><tbody>';
+
+				items.forEach( function( item, idx ) {
+					// Items are newest first, so the previous snapshot is the next one.
+					const previous = items[ idx + 1 ] || null;
+					html += '<tr>';
+					html += '<td>' + formatDate( parseLocalDateTime( item.changed_at ) ) + ' ' + escapeHtml( item.changed_at.substr( 11, 5 ) ) + ( idx === items.length - 1 ? ' <span class="wda-performance-days">(first recorded)</span>' : '' ) + '</td>';
+					html += '<td class="col-numeric">' + ( item.regular_price === null ? '—' : formatCurrency( item.regular_price ) + self.renderPriceChange( item.regular_price, previous ? previous.regular_price : null ) ) + '</td>';
+					html += '<td class="col-numeric">' + ( item.sale_price === null ? '—' : formatCurrency( item.sale_price ) + self.renderPriceChange( item.sale_price, previous ? previous.sale_price : null ) ) + '</td>';
+					html += '<td>' + ( item.sale_start || item.sale_end ? formatDate( item.sale_start && parseLocalDateTime( item.sale_start ) ) + ' - ' + formatDate( item.sale_end && parseLocalDateTime( item.sale_end ) ) : ( item.sale_price === null ? '' : 'No dates set' ) ) + '</td>';
+					html += '</tr>';
+				} );
+
+				html += '</tbody></table></div>';
+			}
+
+			self.container.innerHTML = html;
+			self.bindEvents();
+		},
+
+		bindEvents: function() {
+			const self = this;
+
+			bindProductSearch( 'wda-filter-product', function( product ) {
+				self.handleProductSelect( product );
+			} );
+		}
+	};
+
+	/**
+	 * Backfill Tool
+	 */
+	const BackfillTool = {
+		container: null,
+		pollTimer: null,
+		state: {
+			data: null,
+			loading: true,
+			busy: false,
+			error: null,
+			dateFrom: '',
+			dateTo: ''
+		},
+
+		init: function( containerId ) {
+			this.container = document.getElementById( containerId );
+			if ( ! this.container ) return;
+			this.fetchData();
+		},
+
+		fetchData: function() {
+			const self = this;
+
+			apiFetch( 'backfill' )
+				.then( function( data ) {
+					self.setData( data );
+				} )
+				.catch( function( error ) {
+					console.error( 'Error fetching backfill status:', error );
+					self.state.loading = false;
+					self.state.error = error.message || 'Failed to load data';
+					self.render();
+				} );
+		},
+
+		setData: function( data ) {
+			const self = this;
+			self.state.data = data;
+			self.state.loading = false;
+			self.state.busy = false;
+			self.state.error = null;
+			self.render();
+
+			// Batches run in the background, so poll while the backfill is running.
+			clearTimeout( self.pollTimer );
+			if ( data.status === 'running' ) {
+				self.pollTimer = setTimeout( function() {
+					self.fetchData();
+				}, 3000 );
+			}
 		},
 
-		renderGroupedTable: function() {
+		sendAction: function( action ) {
+			const self = this;
+			self.state.busy = true;
+			self.render();
+
+			apiPost( 'backfill', {
+				action: action,
+				date_from: self.state.dateFrom,
+				date_to: self.state.dateTo
+			} )
+				.then( function( data ) {
+					self.setData( data );
+				} )
+				.catch( function( error ) {
+					self.state.busy = false;
+					self.state.error = error.message || 'Request failed';
+					self.render();
+				} );
+		},
+
+		renderCounts: function( data ) {
+			const cards = [
+				[ 'Orders Checked', data.processed ],
+				[ 'Captured', data.captured ],
+				[ 'Already Captured', data.skipped ],
+				[ 'Failed', data.failed ]
+			];
+
+			let html = '<div class="wda-summary-cards">';
+			cards.forEach( function( card ) {
+				html += '<div class="wda-summary-card">';
+				html += '<div class="wda-summary-card-label">' + card[0] + '</div>';
+				html += '<div class="wda-summary-card-value">' + formatNumber( card[1] ) + '</div>';
+				html += '</div>';
+			} );
+			html += '</div>';
+
+			return html;
+		},
+
+		renderRange: function( data ) {
+			if ( ! data.date_from && ! data.date_to ) {
+				return 'all orders';
+			}
+			if ( ! data.date_to ) {
+				return 'orders from ' + formatDate( parseLocalDate( data.date_from ) );
+			}
+			if ( ! data.date_from ) {
+				return 'orders up to ' + formatDate( parseLocalDate( data.date_to ) );
+			}
+			return 'orders from ' + formatDate( parseLocalDate( data.date_from ) ) + ' to ' + formatDate( parseLocalDate( data.date_to ) );
+		},
+
+		renderFailures: function( data ) {
+			if ( ! data.failures.length ) {
+				return '';
+			}
+
+			let html = '<div class="wda-report-table-container wda-backfill-failures">';
+			html += '<table class="wda-report-table">';
+			html += '<thead><tr><th>Order</th><th>Error</th></tr></thead><tbody>';
+			data.failures.forEach( function( failure ) {
+				html += '<tr>';
+				if ( failure.edit_link ) {
+					html += '<td><a href="' + escapeHtml( failure.edit_link ) + '" target="_blank">#' + failure.order_id + '</a></td>';
+				} else {
+					html += '<td>#' + failure.order_id + '</td>';
+				}
+				html += '<td>' + escapeHtml( failure.message ) + '</td>';
+				html += '</tr>';
+			} );
+			html += '</tbody></table>';
+			if ( data.failed > data.failures.length ) {
+				html += '<p class="wda-backfill-more">Showing the first ' + data.failures.length + ' of ' + formatNumber( data.failed ) + ' failed orders.</p>';
+			}
+			html += '</div>';
+
+			return html;
+		},
+
+		render: function() {
 			const self = this;
 			const state = self.state;
-			const groupBy = state.filters.group_by;
-			let html = '<table class="wda-report-table">';
+			const data = state.data;
 
-			if ( groupBy === 'product' ) {
-				html += '<thead><tr>';
-				html += '<th>Product</th>';
-				html += '<th class="col-numeric">Units Sold</th>';
-				html += '<th class="col-numeric">Total Discount</th>';
-				html += '<th class="col-numeric">Avg Discount %</th>';
-				html += '<th class="col-numeric">Revenue</th>';
-				html += '</tr></thead><tbody>';
+			if ( state.loading ) {
+				self.container.innerHTML = '<div class="wda-loading"><div class="wda-loading-spinner"></div></div>';
+				return;
+			}
 
-				state.items.forEach( function( item ) {
-					html += '<tr>';
-					html += '<td>' + escapeHtml( item.product_name ) + '</td>';
-					html += '<td class="col-numeric">' + item.units_sold + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.total_discount ) + '</td>';
-					html += '<td class="col-numeric">' + formatPercent( item.avg_discount_pct ) + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.total_revenue ) + '</td>';
-					html += '</tr>';
+			let html = '';
+
+			if ( state.error ) {
+				html += '<div class="notice notice-error inline"><p>' + escapeHtml( state.error ) + '</p></div>';
+			}
+
+			if ( ! data ) {
+				self.container.innerHTML = html;
+				return;
+			}
+
+			if ( data.status === 'running' || data.status === 'paused' ) {
+				const pct = data.total > 0 ? Math.min( 100, data.processed / data.total * 100 ) : 0;
+
+				html += '<div class="wda-backfill-progress">';
+				html += '<div class="wda-backfill-progress-label">';
+				html += '<strong>' + ( data.status === 'paused' ? 'Paused' : 'Capturing ' + self.renderRange( data ) + '…' ) + '</strong>';
+				html += '<span>' + formatNumber( Math.min( data.processed, data.total ) ) + ' of ' + formatNumber( data.total ) + ' orders</span>';
+				html += '</div>';
+				html += '<div class="wda-progress-bar' + ( data.status === 'paused' ? ' is-paused' : '' ) + '" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="' + Math.round( pct ) + '">';
+				html += '<div class="wda-progress-bar-fill" style="width: ' + pct.toFixed( 1 ) + '%;"></div>';
+				html += '</div>';
+				html += '<div class="wda-actions">';
+				if ( data.status === 'running' ) {
+					html += '<button type="button" class="wda-btn secondary" data-backfill-action="pause"' + ( state.busy ? ' disabled' : '' ) + '>Pause</button>';
+				} else {
+					html += '<button type="button" class="wda-btn" data-backfill-action="resume"' + ( state.busy ? ' disabled' : '' ) + '>Resume</button>';
+					html += '<button type="button" class="wda-btn secondary" data-backfill-action="cancel"' + ( state.busy ? ' disabled' : '' ) + '>Cancel</button>';
+				}
+				html += '</div>';
+				if ( data.status === 'running' ) {
+					html += '<p class="wda-backfill-note">Orders are captured in the background, so you can leave this page.</p>';
+				}
+				html += '</div>';
+
+				html += self.renderCounts( data );
+				html += self.renderFailures( data );
+
+				self.container.innerHTML = html;
+				self.bindEvents();
+				return;
+			}
+
+			if ( data.status === 'complete' ) {
+				html += '<div class="notice notice-success inline"><p>Backfill of ' + self.renderRange( data ) + ' finished ' + formatDate( parseLocalDateTime( data.finished_at ) ) + ': ' +
+					formatNumber( data.captured ) + ' captured, ' + formatNumber( data.skipped ) + ' already captured, ' + formatNumber( data.failed ) + ' failed.</p></div>';
+				html += self.renderCounts( data );
+				html += self.renderFailures( data );
+			}
+
+			html += '<p class="wda-backfill-note">Capture discount data for processing and completed orders placed before the plugin was active. Orders that are already captured are skipped, so the backfill can be run again safely.</p>';
+
+			html += '<div class="wda-report-filters">';
+			html += '<div class="wda-filter-group">';
+			html += '<label>From</label>';
+			html += '<input type="date" id="wda-backfill-from" value="' + escapeHtml( state.dateFrom ) + '">';
+			html += '</div>';
+			html += '<div class="wda-filter-group">';
+			html += '<label>To</label>';
+			html += '<input type="date" id="wda-backfill-to" value="' + escapeHtml( state.dateTo ) + '">';
+			html += '</div>';
+			html += '<div class="wda-filter-group" style="align-self: flex-end;">';
+			html += '<button type="button" class="wda-btn" data-backfill-action="start"' + ( state.busy ? ' disabled' : '' ) + '>' + ( data.status === 'complete' ? 'Run Again' : 'Start Backfill' ) + '</button>';
+			html += '</div>';
+			html += '</div>';
+
+			self.container.innerHTML = html;
+			self.bindEvents();
+		},
+
+		bindEvents: function() {
+			const self = this;
+
+			self.container.querySelectorAll( '[data-backfill-action]' ).forEach( function( button ) {
+				button.addEventListener( 'click', function() {
+					self.sendAction( this.dataset.backfillAction );
 				} );
-			} else if ( groupBy === 'category' ) {
-				html += '<thead><tr>';
-				html += '<th>Category</th>';
-				html += '<th class="col-numeric">Units Sold</th>';
-				html += '<th class="col-numeric">Total Discount</th>';
-				html += '<th class="col-numeric">Avg Discount %</th>';
-				html += '<th class="col-numeric">Revenue</th>';
-				html += '</tr></thead><tbody>';
+			} );
 
-				state.items.forEach( function( item ) {
-					html += '<tr>';
-					html += '<td>' + escapeHtml( item.category_name ) + '</td>';
-					html += '<td class="col-numeric">' + item.units_sold + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.total_discount ) + '</td>';
-					html += '<td class="col-numeric">' + formatPercent( item.avg_discount_pct ) + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.total_revenue ) + '</td>';
-					html += '</tr>';
+			const from = document.getElementById( 'wda-backfill-from' );
+			if ( from ) {
+				from.addEventListener( 'change', function() {
+					self.state.dateFrom = this.value;
 				} );
-			} else if ( groupBy === 'date' ) {
-				html += '<thead><tr>';
-				html += '<th>Date</th>';
-				html += '<th class="col-numeric">Units Sold</th>';
-				html += '<th class="col-numeric">Total Discount</th>';
-				html += '<th class="col-numeric">Avg Discount %</th>';
-				html += '<th class="col-numeric">Revenue</th>';
-				html += '</tr></thead><tbody>';
+			}
 
-				state.items.forEach( function( item ) {
-					html += '<tr>';
-					html += '<td>' + escapeHtml( item.date ) + '</td>';
-					html += '<td class="col-numeric">' + item.units_sold + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.total_discount ) + '</td>';
-					html += '<td class="col-numeric">' + formatPercent( item.avg_discount_pct ) + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.total_revenue ) + '</td>';
-					html += '</tr>';
+			const to = document.getElementById( 'wda-backfill-to' );
+			if ( to ) {
+				to.addEventListener( 'change', function() {
+					self.state.dateTo = this.value;
 				} );
-			} else {
-				// Ungrouped
-				html += '<thead><tr>';
-				html += '<th>Order</th>';
-				html += '<th>Date</th>';
-				html += '<th>Product</th>';
-				html += '<th class="col-numeric">Qty</th>';
-				html += '<th class="col-numeric">Regular</th>';
-				html += '<th class="col-numeric">Sale</th>';
-				html += '<th class="col-numeric">Discount</th>';
-				html += '<th class="col-numeric">Discount %</th>';
-				html += '<th class="col-numeric">Line Total</th>';
-				html += '</tr></thead><tbody>';
+			}
+		}
+	};
 
-				state.items.forEach( function( item ) {
+	/**
+	 * Webhooks Page
+	 */
+	const WebhooksPage = {
+		container: null,
+		state: {
+			webhooks: [],
+			events: {},
+			deliveries: [],
+			loading: true,
+			busy: false,
+			error: null,
+			notice: null,
+			editing: null,
+			expanded: {},
+			filters: {
+				webhook_id: '',
+				status: ''
+			},
+			page: 1,
+			totalPages: 1,
+			total: 0
+		},
+
+		init: function( containerId ) {
+			this.container = document.getElementById( containerId );
+			if ( ! this.container ) return;
+			this.fetchData();
+		},
+
+		fetchData: function() {
+			const self = this;
+
+			Promise.all( [ apiFetch( 'webhooks' ), self.fetchDeliveries() ] )
+				.then( function( results ) {
+					self.state.webhooks = results[0].items;
+					self.state.events = results[0].events;
+					self.state.loading = false;
+					self.state.busy = false;
+					self.render();
+				} )
+				.catch( function( error ) {
+					console.error( 'Error fetching webhooks:', error );
+					self.state.loading = false;
+					self.state.busy = false;
+					self.state.error = error.message || 'Failed to load data';
+					self.render();
+				} );
+		},
+
+		fetchDeliveries: function() {
+			const self = this;
+
+			return apiFetch( 'webhook-deliveries', Object.assign( { page: self.state.page, per_page: 20 }, self.state.filters ) )
+				.then( function( data ) {
+					self.state.deliveries = data.items;
+					self.state.total = data.total;
+					self.state.totalPages = data.total_pages;
+				} );
+		},
+
+		loadDeliveries: function() {
+			const self = this;
+
+			self.fetchDeliveries()
+				.then( function() {
+					self.render();
+				} )
+				.catch( function( error ) {
+					self.state.error = error.message || 'Failed to load deliveries';
+					self.render();
+				} );
+		},
+
+		/**
+		 * Run a request, then reload the page data with a notice.
+		 */
+		sendRequest: function( request, notice ) {
+			const self = this;
+			self.state.busy = true;
+			self.state.error = null;
+			self.state.notice = null;
+			self.render();
+
+			request
+				.then( function() {
+					self.state.notice = notice;
+					self.fetchData();
+				} )
+				.catch( function( error ) {
+					self.state.busy = false;
+					self.state.error = error.message || 'Request failed';
+					self.render();
+				} );
+		},
+
+		save: function() {
+			const self = this;
+			const events = [];
+
+			self.container.querySelectorAll( '.wda-webhook-event:checked' ).forEach( function( input ) {
+				events.push( input.value );
+			} );
+
+			const values = {
+				name: document.getElementById( 'wda-webhook-name' ).value,
+				url: document.getElementById( 'wda-webhook-url' ).value,
+				secret: document.getElementById( 'wda-webhook-secret' ).value,
+				events: events,
+				active: document.getElementById( 'wda-webhook-active' ).checked
+			};
+
+			const isNew = self.state.editing === 'new';
+			const request = apiPost( isNew ? 'webhooks' : 'webhooks/' + self.state.editing, values )
+				.then( function( data ) {
+					self.state.editing = null;
+					return data;
+				} );
+
+			self.sendRequest( request, isNew ? 'Webhook added.' : 'Webhook saved.' );
+		},
+
+		remove: function( id ) {
+			const webhook = this.getWebhook( id );
+			if ( ! webhook || ! window.confirm( 'Delete the webhook "' + webhook.name + '"? Its queued deliveries will not be sent.' ) ) {
+				return;
+			}
+
+			this.sendRequest( apiDelete( 'webhooks/' + id ), 'Webhook deleted.' );
+		},
+
+		redeliver: function( id ) {
+			this.state.page = 1;
+			this.sendRequest( apiPost( 'webhook-deliveries/' + id + '/redeliver', {} ), 'Delivery #' + id + ' queued again.' );
+		},
+
+		getWebhook: function( id ) {
+			return this.state.webhooks.find( function( webhook ) {
+				return webhook.id === id;
+			} );
+		},
+
+		formatDateTime: function( dateStr ) {
+			if ( ! dateStr ) return '—';
+			const date = parseLocalDateTime( dateStr );
+			return formatDate( date ) + ' ' + date.toLocaleTimeString( wdaSettings.locale, { hour: 'numeric', minute: '2-digit' } );
+		},
+
+		renderCounts: function( counts ) {
+			const queued = ( counts.pending || 0 ) + ( counts.retrying || 0 );
+			const parts = [ formatNumber( counts.delivered || 0 ) + ' delivered' ];
+
+			if ( queued ) {
+				parts.push( formatNumber( queued ) + ' queued' );
+			}
+			if ( counts.failed ) {
+				parts.push( '<span class="wda-webhook-failed">' + formatNumber( counts.failed ) + ' failed</span>' );
+			}
+
+			return parts.join( ', ' );
+		},
+
+		renderWebhooks: function() {
+			const self = this;
+			const state = self.state;
+
+			let html = '<div class="wda-settings-section wda-webhooks-section">';
+			html += '<h2>Endpoints</h2>';
+			html += '<p class="wda-settings-description">Each captured order and each refund is sent to the endpoints subscribed to it as JSON, with the gross, line discount and net amounts of every discounted line. Requests are signed in the X-WDA-Signature header: the base64-encoded HMAC-SHA256 of the body, keyed with the webhook secret. Failed deliveries are retried with growing delays for just over a day.</p>';
+
+			if ( state.webhooks.length ) {
+				html += '<table class="wda-report-table">';
+				html += '<thead><tr><th>Name</th><th>Delivery URL</th><th>Events</th><th>Status</th><th>Deliveries</th><th></th></tr></thead><tbody>';
+				state.webhooks.forEach( function( webhook ) {
 					html += '<tr>';
-					html += '<td><a href="' + wdaSettings.adminUrl + 'post.php?post=' + item.order_id + '&action=edit" target="_blank">#' + item.order_id + '</a></td>';
-					html += '<td>' + formatDate( item.order_date ) + '</td>';
-					html += '<td>' + escapeHtml( item.product_name ) + '</td>';
-					html += '<td class="col-numeric">' + item.quantity + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.regular_price ) + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.sale_price ) + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.discount_amount ) + '</td>';
-					html += '<td class="col-numeric">' + formatPercent( item.discount_pct ) + '</td>';
-					html += '<td class="col-numeric">' + formatCurrency( item.line_total ) + '</td>';
+					html += '<td><strong>' + escapeHtml( webhook.name ) + '</strong></td>';
+					html += '<td><code>' + escapeHtml( webhook.url ) + '</code></td>';
+					html += '<td>' + webhook.events.map( function( event ) {
+						return escapeHtml( state.events[ event ] || event );
+					} ).join( ', ' ) + '</td>';
+					html += '<td><span class="wda-status-badge ' + ( webhook.active ? 'active' : 'disabled' ) + '">' + ( webhook.active ? 'Active' : 'Disabled' ) + '</span></td>';
+					html += '<td>' + self.renderCounts( webhook.counts ) + '</td>';
+					html += '<td class="wda-webhook-actions">';
+					html += '<button type="button" class="wda-pagination-btn" data-webhook-edit="' + webhook.id + '"' + ( state.busy ? ' disabled' : '' ) + '>Edit</button>';
+					html += '<button type="button" class="wda-pagination-btn" data-webhook-delete="' + webhook.id + '"' + ( state.busy ? ' disabled' : '' ) + '>Delete</button>';
+					html += '</td>';
 					html += '</tr>';
 				} );
+				html += '</tbody></table>';
+			} else if ( ! state.editing ) {
+				html += '<p class="wda-settings-status">No webhooks yet.</p>';
+			}
+
+			if ( state.editing ) {
+				html += self.renderForm();
+			} else {
+				html += '<div class="wda-actions wda-webhooks-add">';
+				html += '<button type="button" class="wda-btn" id="wda-webhook-add"' + ( state.busy ? ' disabled' : '' ) + '>Add Webhook</button>';
+				html += '</div>';
+			}
+
+			html += '</div>';
+
+			return html;
+		},
+
+		renderForm: function() {
+			const state = this.state;
+			const isNew = state.editing === 'new';
+			const webhook = isNew ? { name: '', url: '', secret: '', events: Object.keys( state.events ), active: true } : this.getWebhook( state.editing );
+
+			let html = '<div class="wda-webhook-form">';
+			html += '<h3>' + ( isNew ? 'Add Webhook' : 'Edit Webhook' ) + '</h3>';
+
+			html += '<div class="wda-settings-field">';
+			html += '<label for="wda-webhook-name">Name</label>';
+			html += '<input type="text" id="wda-webhook-name" class="regular-text" value="' + escapeHtml( webhook.name ) + '" placeholder="ERP">';
+			html += '</div>';
+
+			html += '<div class="wda-settings-field">';
+			html += '<label for="wda-webhook-url">Delivery URL</label>';
+			html += '<input type="url" id="wda-webhook-url" class="large-text code" value="' + escapeHtml( webhook.url ) + '" placeholder="https://">';
+			html += '</div>';
+
+			html += '<div class="wda-settings-field">';
+			html += '<label for="wda-webhook-secret">Secret</label>';
+			html += '<input type="text" id="wda-webhook-secret" class="regular-text code" value="' + escapeHtml( webhook.secret ) + '" autocomplete="off">';
+			html += '<p class="wda-settings-help">Used to sign each request so the receiver can check it came from this store. Leave empty to generate one.</p>';
+			html += '</div>';
+
+			html += '<div class="wda-settings-field">';
+			html += '<label>Events</label>';
+			Object.keys( state.events ).forEach( function( event ) {
+				html += '<label class="wda-webhook-event-label"><input type="checkbox" class="wda-webhook-event" value="' + event + '"' + ( webhook.events.indexOf( event ) !== -1 ? ' checked' : '' ) + '> ' + escapeHtml( state.events[ event ] ) + ' <code>' + event + '</code></label>';
+			} );
+			html += '</div>';
+
+			html += '<div class="wda-settings-field">';
+			html += '<label><input type="checkbox" id="wda-webhook-active"' + ( webhook.active ? ' checked' : '' ) + '> Active</label>';
+			html += '<p class="wda-settings-help">Disabled webhooks get no new events, and their queued retries fail.</p>';
+			html += '</div>';
+
+			html += '<div class="wda-actions">';
+			html += '<button type="button" class="wda-btn" id="wda-webhook-save"' + ( state.busy ? ' disabled' : '' ) + '>' + ( isNew ? 'Add Webhook' : 'Save Webhook' ) + '</button>';
+			html += '<button type="button" class="wda-btn secondary" id="wda-webhook-cancel"' + ( state.busy ? ' disabled' : '' ) + '>Cancel</button>';
+			html += '</div>';
+			html += '</div>';
+
+			return html;
+		},
+
+		renderResource: function( delivery ) {
+			const order = delivery.payload && delivery.payload.order ? delivery.payload.order : null;
+			if ( ! order ) {
+				return '#' + delivery.resource_id;
+			}
+
+			const link = '<a href="' + wdaSettings.adminUrl + 'post.php?post=' + order.id + '&action=edit" target="_blank">#' + escapeHtml( String( order.number ) ) + '</a>';
+			return delivery.event === 'refund.processed' ? 'Refund #' + delivery.resource_id + ' of ' + link : 'Order ' + link;
+		},
+
+		renderDetails: function( delivery ) {
+			let html = '<div class="wda-delivery-details">';
+
+			if ( delivery.error ) {
+				html += '<p><strong>Error:</strong> ' + escapeHtml( delivery.error ) + '</p>';
 			}
+			if ( delivery.response_body ) {
+				html += '<p><strong>Response body</strong></p>';
+				html += '<pre>' + escapeHtml( delivery.response_body ) + '</pre>';
+			}
+			html += '<p><strong>Payload</strong></p>';
+			html += '<pre>' + escapeHtml( JSON.stringify( delivery.payload, null, 2 ) ) + '</pre>';
+			html += '</div>';
 
-			html += '</tbody></table>';
 			return html;
 		},
 
-		render: function() {
+		renderDeliveries: function() {
 			const self = this;
 			const state = self.state;
+			const statuses = { pending: 'Pending', retrying: 'Retrying', delivered: 'Delivered', failed: 'Failed' };
 
-			if ( state.loading ) {
-				self.container.innerHTML = '<div class="wda-loading"><div class="wda-loading-spinner"></div></div>';
-				return;
-			}
+			let html = '<h2 class="wda-webhooks-log-title">Delivery Log</h2>';
 
-			let html = '';
-
-			// Filters
 			html += '<div class="wda-report-filters">';
-
 			html += '<div class="wda-filter-group">';
-			html += '<label>Date From</label>';
-			html += '<input type="date" id="wda-filter-from" value="' + state.filters.date_from + '">';
+			html += '<label for="wda-delivery-webhook">Webhook</label>';
+			html += '<select id="wda-delivery-webhook"><option value="">All webhooks</option>';
+			state.webhooks.forEach( function( webhook ) {
+				html += '<option value="' + webhook.id + '"' + ( state.filters.webhook_id === webhook.id ? ' selected' : '' ) + '>' + escapeHtml( webhook.name ) + '</option>';
+			} );
+			html += '</select>';
 			html += '</div>';
-
 			html += '<div class="wda-filter-group">';
-			html += '<label>Date To</label>';
-			html += '<input type="date" id="wda-filter-to" value="' + state.filters.date_to + '">';
+			html += '<label for="wda-delivery-status">Status</label>';
+			html += '<select id="wda-delivery-status"><option value="">All statuses</option>';
+			Object.keys( statuses ).forEach( function( status ) {
+				html += '<option value="' + status + '"' + ( state.filters.status === status ? ' selected' : '' ) + '>' + statuses[ status ] + '</option>';
+			} );
+			html += '</select>';
 			html += '</div>';
-
-			html += '<div class="wda-filter-group">';
-			html += '<label>Group By</label>';
-			html += '<select id="wda-filter-group">';
-			html += '<option value=""' + ( state.filters.group_by === '' ? ' selected' : '' ) + '>None</option>';
-			html += '<option value="product"' + ( state.filters.group_by === 'product' ? ' selected' : '' ) + '>Product</option>';
-			html += '<option value="category"' + ( state.filters.group_by === 'category' ? ' selected' : '' ) + '>Category</option>';
-			html += '<option value="date"' + ( state.filters.group_by === 'date' ? ' selected' : '' ) + '>Date</option>';
-			html += '</select></div>';
-
 			html += '<div class="wda-filter-group" style="align-self: flex-end;">';
-			html += '<button type="button" class="wda-btn secondary" id="wda-export-btn">Export CSV</button>';
+			html += '<button type="button" class="wda-btn secondary" id="wda-delivery-refresh"' + ( state.busy ? ' disabled' : '' ) + '>Refresh</button>';
 			html += '</div>';
 			html += '</div>';
 
-			// Results count
-			html += '<p style="margin-bottom: 12px; color: #757575;">' + state.total + ' records found</p>';
+			if ( ! state.deliveries.length ) {
+				html += '<div class="wda-empty-state">';
+				html += '<div class="wda-empty-state-icon">📡</div>';
+				html += '<div class="wda-empty-state-title">No deliveries found</div>';
+				html += '<div class="wda-empty-state-description">Deliveries are logged here when an order is captured or refunded.</div>';
+				html += '</div>';
+				return html;
+			}
 
-			if ( state.items.length > 0 ) {
-				html += '<div class="wda-report-table-container">';
-				html += self.renderGroupedTable();
+			html += '<p style="margin-bottom: 12px; color: #757575;">' + formatNumber( state.total ) + ' deliveries found</p>';
 
-				// Pagination
-				if ( state.totalPages > 1 ) {
-					html += '<div class="wda-pagination">';
-					html += '<div class="wda-pagination-info">Page ' + state.page + ' of ' + state.totalPages + '</div>';
-					html += '<div class="wda-pagination-controls">';
-					html += '<button class="wda-pagination-btn" id="wda-prev-page"' + ( state.page <= 1 ? ' disabled' : '' ) + '>Previous</button>';
-					html += '<button class="wda-pagination-btn" id="wda-next-page"' + ( state.page >= state.totalPages ? ' disabled' : '' ) + '>Next</button>';
-					html += '</div></div>';
+			html += '<div class="wda-report-table-container">';
+			html += '<table class="wda-report-table">';
+			html += '<thead><tr><th>ID</th><th>Date</th><th>Webhook</th><th>Event</th><th>Resource</th><th>Status</th><th class="col-numeric">Attempts</th><th>Response</th><th></th></tr></thead><tbody>';
+
+			state.deliveries.forEach( function( delivery ) {
+				const expanded = !! state.expanded[ delivery.id ];
+
+				html += '<tr>';
+				html += '<td>' + delivery.id + '</td>';
+				html += '<td>' + self.formatDateTime( delivery.created_at ) + '</td>';
+				html += '<td>' + ( delivery.webhook_name ? escapeHtml( delivery.webhook_name ) : '<em>Deleted</em>' ) + '</td>';
+				html += '<td><code>' + escapeHtml( delivery.event ) + '</code></td>';
+				html += '<td>' + self.renderResource( delivery ) + '</td>';
+				html += '<td><span class="wda-status-badge ' + delivery.status + '">' + ( statuses[ delivery.status ] || delivery.status ) + '</span>';
+				if ( delivery.status === 'retrying' && delivery.next_attempt_at ) {
+					html += '<div class="wda-delivery-next">Next try ' + self.formatDateTime( delivery.next_attempt_at ) + '</div>';
+				}
+				html += '</td>';
+				html += '<td class="col-numeric">' + delivery.attempts + '</td>';
+				html += '<td>' + ( delivery.response_code ? 'HTTP ' + delivery.response_code : ( delivery.error ? escapeHtml( delivery.error ) : '—' ) ) + '</td>';
+				html += '<td class="wda-webhook-actions">';
+				html += '<button type="button" class="wda-pagination-btn" data-delivery-toggle="' + delivery.id + '" aria-expanded="' + ( expanded ? 'true' : 'false' ) + '">' + ( expanded ? 'Hide' : 'Details' ) + '</button>';
+				if ( delivery.webhook_name ) {
+					html += '<button type="button" class="wda-pagination-btn" data-delivery-redeliver="' + delivery.id + '"' + ( state.busy ? ' disabled' : '' ) + '>Redeliver</button>';
 				}
+				html += '</td>';
+				html += '</tr>';
 
-				html += '</div>';
-			} else {
-				html += '<div class="wda-empty-state">';
-				html += '<div class="wda-empty-state-icon">📊</div>';
-				html += '<div class="wda-empty-state-title">No discount history found</div>';
-				html += '<div class="wda-empty-state-description">Discount data is captured when orders are completed. Try adjusting your date range.</div>';
-				html += '</div>';
+				if ( expanded ) {
+					html += '<tr class="wda-delivery-details-row"><td colspan="9">' + self.renderDetails( delivery ) + '</td></tr>';
+				}
+			} );
+
+			html += '</tbody></table>';
+
+			if ( state.totalPages > 1 ) {
+				html += '<div class="wda-pagination">';
+				html += '<div class="wda-pagination-info">Page ' + state.page + ' of ' + state.totalPages + '</div>';
+				html += '<div class="wda-pagination-controls">';
+				html += '<button class="wda-pagination-btn" id="wda-prev-page"' + ( state.page <= 1 ? ' disabled' : '' ) + '>Previous</button>';
+				html += '<button class="wda-pagination-btn" id="wda-next-page"' + ( state.page >= state.totalPages ? ' disabled' : '' ) + '>Next</button>';
+				html += '</div></div>';
 			}
 
+			html += '</div>';
+
+			return html;
+		},
+
+		render: function() {
+			const self = this;
+			const state = self.state;
+
+			if ( state.loading ) {
+				self.container.innerHTML = '<div class="wda-loading"><div class="wda-loading-spinner"></div></div>';
+				return;
+			}
+
+			let html = '';
+
+			if ( state.error ) {
+				html += '<div class="notice notice-error inline"><p>' + escapeHtml( state.error ) + '</p></div>';
+			}
+
+			if ( state.notice ) {
+				html += '<div class="notice notice-success inline"><p>' + escapeHtml( state.notice ) + '</p></div>';
+			}
+
+			html += self.renderWebhooks();
+			html += self.renderDeliveries();
+
 			self.container.innerHTML = html;
 			self.bindEvents();
 		},
 
 		bindEvents: function() {
 			const self = this;
+			const state = self.state;
 
-			const fromInput = document.getElementById( 'wda-filter-from' );
-			if ( fromInput ) {
-				fromInput.addEventListener( 'change', function() {
-					self.handleFilterChange( 'date_from', this.value );
+			const add = document.getElementById( 'wda-webhook-add' );
+			if ( add ) {
+				add.addEventListener( 'click', function() {
+					state.editing = 'new';
+					state.notice = null;
+					self.render();
 				} );
 			}
 
-			const toInput = document.getElementById( 'wda-filter-to' );
-			if ( toInput ) {
-				toInput.addEventListener( 'change', function() {
-					self.handleFilterChange( 'date_to', this.value );
+			const save = document.getElementById( 'wda-webhook-save' );
+			if ( save ) {
+				save.addEventListener( 'click', function() {
+					self.save();
 				} );
 			}
 
-			const groupSelect = document.getElementById( 'wda-filter-group' );
-			if ( groupSelect ) {
-				groupSelect.addEventListener( 'change', function() {
-					self.handleFilterChange( 'group_by', this.value );
+			const cancel = document.getElementById( 'wda-webhook-cancel' );
+			if ( cancel ) {
+				cancel.addEventListener( 'click', function() {
+					state.editing = null;
+					self.render();
 				} );
 			}
 
-			const exportBtn = document.getElementById( 'wda-export-btn' );
-			if ( exportBtn ) {
-				exportBtn.addEventListener( 'click', function() {
-					self.handleExport();
+			self.container.querySelectorAll( '[data-webhook-edit]' ).forEach( function( button ) {
+				button.addEventListener( 'click', function() {
+					state.editing = this.dataset.webhookEdit;
+					state.notice = null;
+					self.render();
 				} );
-			}
+			} );
+
+			self.container.querySelectorAll( '[data-webhook-delete]' ).forEach( function( button ) {
+				button.addEventListener( 'click', function() {
+					self.remove( this.dataset.webhookDelete );
+				} );
+			} );
+
+			self.container.querySelectorAll( '[data-delivery-toggle]' ).forEach( function( button ) {
+				button.addEventListener( 'click', function() {
+					const id = this.dataset.deliveryToggle;
+					state.expanded[ id ] = ! state.expanded[ id ];
+					self.render();
+				} );
+			} );
+
+			self.container.querySelectorAll( '[data-delivery-redeliver]' ).forEach( function( button ) {
+				button.addEventListener( 'click', function() {
+					self.redeliver( this.dataset.deliveryRedeliver );
+				} );
+			} );
+
+			[ [ 'wda-delivery-webhook', 'webhook_id' ], [ 'wda-delivery-status', 'status' ] ].forEach( function( filter ) {
+				document.getElementById( filter[0] ).addEventListener( 'change', function() {
+					state.filters[ filter[1] ] = this.value;
+					state.page = 1;
+					self.loadDeliveries();
+				} );
+			} );
+
+			document.getElementById( 'wda-delivery-refresh' ).addEventListener( 'click', function() {
+				state.notice = null;
+				self.fetchData();
+			} );
 
 			const prevBtn = document.getElementById( 'wda-prev-page' );
 			if ( prevBtn ) {
 				prevBtn.addEventListener( 'click', function() {
-					if ( self.state.page > 1 ) {
-						self.handlePageChange( self.state.page - 1 );
+					if ( state.page > 1 ) {
+						state.page--;
+						self.loadDeliveries();
 					}
 				} );
 			}
@@ -614,8 +4597,9 @@
 			const nextBtn = document.getElementById( 'wda-next-page' );
 			if ( nextBtn ) {
 				nextBtn.addEventListener( 'click', function() {
-					if ( self.state.page < self.state.totalPages ) {
-						self.handlePageChange( self.state.page + 1 );
+					if ( state.page < state.totalPages ) {
+						state.page++;
+						self.loadDeliveries();
 					}
 				} );
 			}
@@ -623,17 +4607,17 @@
 	};
 
 	/**
-	 * Discount Summary Report
+	 * Settings Page
 	 */
-	const DiscountSummaryReport = {
+	const SettingsPage = {
 		container: null,
 		state: {
-			data: null,
+			settings: null,
+			digest: null,
 			loading: true,
-			filters: {
-				date_from: '',
-				date_to: ''
-			}
+			busy: false,
+			error: null,
+			notice: null
 		},
 
 		init: function( containerId ) {
@@ -644,116 +4628,234 @@
 
 		fetchData: function() {
 			const self = this;
-			self.state.loading = true;
-			self.render();
 
-			apiFetch( 'discount-summary', self.state.filters )
-				.then( function( data ) {
-					self.state.data = data;
+			Promise.all( [ apiFetch( 'settings' ), apiFetch( 'digest' ) ] )
+				.then( function( results ) {
+					self.state.settings = results[0];
+					self.state.digest = results[1];
 					self.state.loading = false;
 					self.render();
 				} )
 				.catch( function( error ) {
-					console.error( 'Error fetching discount summary:', error );
+					console.error( 'Error fetching settings:', error );
 					self.state.loading = false;
+					self.state.error = error.message || 'Failed to load data';
 					self.render();
 				} );
 		},
 
-		handleFilterChange: function( key, value ) {
-			this.state.filters[ key ] = value;
-			this.fetchData();
+		/**
+		 * Read the form into a settings object.
+		 */
+		getFormValues: function() {
+			return {
+				digest_enabled: document.getElementById( 'wda-digest-enabled' ).checked,
+				digest_recipients: document.getElementById( 'wda-digest-recipients' ).value,
+				digest_frequency: document.getElementById( 'wda-digest-frequency' ).value,
+				digest_window: parseInt( document.getElementById( 'wda-digest-window' ).value, 10 ) || 0,
+				digest_attach_csv: document.getElementById( 'wda-digest-attach-csv' ).checked,
+				guardrail_max_discount: parseFloat( document.getElementById( 'wda-guardrail-max-discount' ).value ) || 0,
+				guardrail_max_duration: parseInt( document.getElementById( 'wda-guardrail-max-duration' ).value, 10 ) || 0,
+				guardrail_no_end_date: document.getElementById( 'wda-guardrail-no-end-date' ).checked,
+				guardrail_below_cost: document.getElementById( 'wda-guardrail-below-cost' ).checked,
+				cost_meta_key: document.getElementById( 'wda-cost-meta-key' ).value,
+				guardrail_email: document.getElementById( 'wda-guardrail-email' ).checked,
+				guardrail_recipients: document.getElementById( 'wda-guardrail-recipients' ).value,
+				export_expiry_hours: parseInt( document.getElementById( 'wda-export-expiry' ).value, 10 ) || 0
+			};
 		},
 
-		handleExport: function() {
-			const filters = this.state.filters;
-			let url = wdaSettings.restUrl + 'export/discount-summary?_wpnonce=' + wdaSettings.nonce;
-			if ( filters.date_from ) url += '&date_from=' + filters.date_from;
-			if ( filters.date_to ) url += '&date_to=' + filters.date_to;
-			window.location.href = url;
+		save: function() {
+			const self = this;
+			const values = self.getFormValues();
+
+			// Keep unsaved edits if the request fails.
+			self.state.settings = Object.assign( {}, self.state.settings, values );
+			self.state.busy = true;
+			self.state.error = null;
+			self.state.notice = null;
+			self.render();
+
+			apiPost( 'settings', values )
+				.then( function( settings ) {
+					self.state.settings = settings;
+					return apiFetch( 'digest' );
+				} )
+				.then( function( digest ) {
+					self.state.digest = digest;
+					self.state.busy = false;
+					self.state.notice = 'Settings saved.';
+					self.render();
+				} )
+				.catch( function( error ) {
+					self.state.busy = false;
+					self.state.error = error.message || 'Request failed';
+					self.render();
+				} );
+		},
+
+		sendTest: function() {
+			const self = this;
+			self.state.settings = Object.assign( {}, self.state.settings, self.getFormValues() );
+			self.state.busy = true;
+			self.state.error = null;
+			self.state.notice = null;
+			self.render();
+
+			apiPost( 'digest/test', {} )
+				.then( function( data ) {
+					self.state.notice = 'Test digest sent to ' + data.recipients.join( ', ' ) + '.';
+					return apiFetch( 'digest' );
+				} )
+				.then( function( digest ) {
+					self.state.digest = digest;
+					self.state.busy = false;
+					self.render();
+				} )
+				.catch( function( error ) {
+					self.state.busy = false;
+					self.state.error = error.message || 'Request failed';
+					self.render();
+				} );
+		},
+
+		renderDigestStatus: function() {
+			const settings = this.state.settings;
+			const digest = this.state.digest;
+			const lines = [];
+
+			if ( settings.digest_enabled && settings.digest_recipients && digest.next_send ) {
+				lines.push( 'Next digest: ' + formatDate( parseLocalDateTime( digest.next_send ) ) + ' at ' + parseLocalDateTime( digest.next_send ).toLocaleTimeString( wdaSettings.locale, { hour: 'numeric', minute: '2-digit' } ) + '.' );
+			} else {
+				lines.push( 'Scheduled digests are off.' );
+			}
+
+			if ( digest.last_sent ) {
+				lines.push( 'Last sent ' + formatDate( parseLocalDateTime( digest.last_sent.sent_at ) ) + ' to ' + escapeHtml( digest.last_sent.recipients.join( ', ' ) ) + '.' );
+			}
+
+			return '<p class="wda-settings-status">' + lines.join( ' ' ) + '</p>';
 		},
 
 		render: function() {
 			const self = this;
 			const state = self.state;
+			const settings = state.settings;
 
 			if ( state.loading ) {
 				self.container.innerHTML = '<div class="wda-loading"><div class="wda-loading-spinner"></div></div>';
 				return;
 			}
 
-			if ( ! state.data ) {
-				self.container.innerHTML = '<div class="wda-empty-state"><div class="wda-empty-state-title">Unable to load summary</div></div>';
+			let html = '';
+
+			if ( state.error ) {
+				html += '<div class="notice notice-error inline"><p>' + escapeHtml( state.error ) + '</p></div>';
+			}
+
+			if ( state.notice ) {
+				html += '<div class="notice notice-success inline"><p>' + escapeHtml( state.notice ) + '</p></div>';
+			}
+
+			if ( ! settings ) {
+				self.container.innerHTML = html;
 				return;
 			}
 
-			const data = state.data;
-			let html = '';
+			const frequencies = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
 
-			// Filters
-			html += '<div class="wda-report-filters">';
+			html += '<div class="wda-settings-section">';
+			html += '<h2>Email Digest</h2>';
+			html += '<p class="wda-settings-description">Email a summary of discount performance: the summary totals compared with the previous period, the top discounted products, and sales ending in the next 7 days.</p>';
+			html += self.renderDigestStatus();
 
-			html += '<div class="wda-filter-group">';
-			html += '<label>Date From</label>';
-			html += '<input type="date" id="wda-filter-from" value="' + state.filters.date_from + '">';
+			html += '<div class="wda-settings-field">';
+			html += '<label><input type="checkbox" id="wda-digest-enabled"' + ( settings.digest_enabled ? ' checked' : '' ) + '> Send the digest on a schedule</label>';
 			html += '</div>';
 
-			html += '<div class="wda-filter-group">';
-			html += '<label>Date To</label>';
-			html += '<input type="date" id="wda-filter-to" value="' + state.filters.date_to + '">';
+			html += '<div class="wda-settings-field">';
+			html += '<label for="wda-digest-recipients">Recipients</label>';
+			html += '<input type="text" id="wda-digest-recipients" class="regular-text" value="' + escapeHtml( settings.digest_recipients ) + '" placeholder="name@example.com, other@example.com">';
+			html += '<p class="wda-settings-help">Separate addresses with commas.</p>';
 			html += '</div>';
 
-			html += '<div class="wda-filter-group" style="align-self: flex-end;">';
-			html += '<button type="button" class="wda-btn secondary" id="wda-export-btn">Export CSV</button>';
+			html += '<div class="wda-settings-field">';
+			html += '<label for="wda-digest-frequency">Frequency</label>';
+			html += '<select id="wda-digest-frequency">';
+			Object.keys( frequencies ).forEach( function( value ) {
+				html += '<option value="' + value + '"' + ( settings.digest_frequency === value ? ' selected' : '' ) + '>' + frequencies[ value ] + '</option>';
+			} );
+			html += '</select>';
+			html += '<p class="wda-settings-help">Daily digests are sent every morning, weekly ones on the first day of the week and monthly ones on the 1st.</p>';
 			html += '</div>';
+
+			html += '<div class="wda-settings-field">';
+			html += '<label for="wda-digest-window">Date window</label>';
+			html += '<input type="number" id="wda-digest-window" class="small-text" min="1" max="366" value="' + escapeHtml( settings.digest_window ) + '"> days';
+			html += '<p class="wda-settings-help">The digest covers this many days up to the day before it is sent.</p>';
 			html += '</div>';
 
-			// Summary Cards
-			html += '<div class="wda-summary-cards">';
+			html += '<div class="wda-settings-field">';
+			html += '<label><input type="checkbox" id="wda-digest-attach-csv"' + ( settings.digest_attach_csv ? ' checked' : '' ) + '> Attach the summary as a CSV file</label>';
+			html += '</div>';
+			html += '</div>';
+
+			html += '<div class="wda-settings-section">';
+			html += '<h2>Discount Guardrails</h2>';
+			html += '<p class="wda-settings-description">Flag sales that break these rules on Current Discounts and in an admin notice. Sales are checked when a product is saved and once a day. Sales that have ended are never flagged.</p>';
 
-			html += '<div class="wda-summary-card">';
-			html += '<div class="wda-summary-card-label">Total Discounts Given</div>';
-			html += '<div class="wda-summary-card-value">' + formatCurrency( data.total_discount ) + '</div>';
+			html += '<div class="wda-settings-field">';
+			html += '<label for="wda-guardrail-max-discount">Maximum discount</label>';
+			html += '<input type="number" id="wda-guardrail-max-discount" class="small-text" min="0" max="100" step="any" value="' + escapeHtml( String( settings.guardrail_max_discount ) ) + '"> %';
+			html += '<p class="wda-settings-help">Flag sales deeper than this. 0 turns the rule off.</p>';
 			html += '</div>';
 
-			html += '<div class="wda-summary-card">';
-			html += '<div class="wda-summary-card-label">Total Revenue</div>';
-			html += '<div class="wda-summary-card-value">' + formatCurrency( data.total_revenue ) + '</div>';
+			html += '<div class="wda-settings-field">';
+			html += '<label for="wda-guardrail-max-duration">Maximum sale length</label>';
+			html += '<input type="number" id="wda-guardrail-max-duration" class="small-text" min="0" max="3650" value="' + escapeHtml( String( settings.guardrail_max_duration ) ) + '"> days';
+			html += '<p class="wda-settings-help">Flag sales that run longer than this from their start date; sales without an end date count up to today. 0 turns the rule off.</p>';
 			html += '</div>';
 
-			html += '<div class="wda-summary-card">';
-			html += '<div class="wda-summary-card-label">Discount % of Revenue</div>';
-			html += '<div class="wda-summary-card-value">' + formatPercent( data.discount_pct_of_revenue ) + '</div>';
+			html += '<div class="wda-settings-field">';
+			html += '<label><input type="checkbox" id="wda-guardrail-no-end-date"' + ( settings.guardrail_no_end_date ? ' checked' : '' ) + '> Flag sales with no end date</label>';
 			html += '</div>';
 
-			html += '<div class="wda-summary-card">';
-			html += '<div class="wda-summary-card-label">Units Sold at Discount</div>';
-			html += '<div class="wda-summary-card-value">' + data.discounted_units + '</div>';
+			html += '<div class="wda-settings-field">';
+			html += '<label><input type="checkbox" id="wda-guardrail-below-cost"' + ( settings.guardrail_below_cost ? ' checked' : '' ) + '> Flag sale prices below cost</label>';
 			html += '</div>';
 
-			html += '<div class="wda-summary-card">';
-			html += '<div class="wda-summary-card-label">Orders Analyzed</div>';
-			html += '<div class="wda-summary-card-value">' + data.orders_count + '</div>';
+			html += '<div class="wda-settings-field">';
+			html += '<label for="wda-cost-meta-key">Fallback cost field</label>';
+			html += '<input type="text" id="wda-cost-meta-key" class="regular-text code" value="' + escapeHtml( settings.cost_meta_key ) + '">';
+			html += '<p class="wda-settings-help">Products without a cost in their Cost price field fall back to this meta key, e.g. one kept by a cost-of-goods plugin. Leave empty to use the Cost price field only.</p>';
 			html += '</div>';
 
+			html += '<div class="wda-settings-field">';
+			html += '<label><input type="checkbox" id="wda-guardrail-email"' + ( settings.guardrail_email ? ' checked' : '' ) + '> Email when a sale starts breaking a rule</label>';
 			html += '</div>';
 
-			// Top Discounted Products
-			if ( data.top_discounted_products && data.top_discounted_products.length > 0 ) {
-				html += '<div class="wda-top-products">';
-				html += '<div class="wda-top-products-header">Top Discounted Products</div>';
-				html += '<ul class="wda-top-products-list">';
+			html += '<div class="wda-settings-field">';
+			html += '<label for="wda-guardrail-recipients">Alert recipients</label>';
+			html += '<input type="text" id="wda-guardrail-recipients" class="regular-text" value="' + escapeHtml( settings.guardrail_recipients ) + '" placeholder="' + escapeHtml( wdaSettings.adminEmail || '' ) + '">';
+			html += '<p class="wda-settings-help">Separate addresses with commas. Leave empty to use the site admin email.</p>';
+			html += '</div>';
+			html += '</div>';
 
-				data.top_discounted_products.forEach( function( product, idx ) {
-					html += '<li class="wda-top-products-item">';
-					html += '<span class="wda-top-products-item-rank">' + ( idx + 1 ) + '</span>';
-					html += '<span class="wda-top-products-item-name">' + escapeHtml( product.product_name ) + '</span>';
-					html += '<span class="wda-top-products-item-value">' + formatCurrency( product.total_discount ) + '</span>';
-					html += '</li>';
-				} );
+			html += '<div class="wda-settings-section">';
+			html += '<h2>Exports</h2>';
+			html += '<p class="wda-settings-description">Report exports are built in the background and listed on the report page until they expire.</p>';
 
-				html += '</ul></div>';
-			}
+			html += '<div class="wda-settings-field">';
+			html += '<label for="wda-export-expiry">Keep export files for</label>';
+			html += '<input type="number" id="wda-export-expiry" class="small-text" min="1" max="720" value="' + escapeHtml( String( settings.export_expiry_hours ) ) + '"> hours';
+			html += '<p class="wda-settings-help">Finished and failed exports are deleted after this long.</p>';
+			html += '</div>';
+			html += '</div>';
+
+			html += '<div class="wda-actions">';
+			html += '<button type="button" class="wda-btn" id="wda-settings-save"' + ( state.busy ? ' disabled' : '' ) + '>Save Settings</button>';
+			html += '<button type="button" class="wda-btn secondary" id="wda-digest-test"' + ( state.busy ? ' disabled' : '' ) + ' title="Send the digest now using the saved settings">Send Test Now</button>';
+			html += '</div>';
 
 			self.container.innerHTML = html;
 			self.bindEvents();
@@ -762,26 +4864,13 @@
 		bindEvents: function() {
 			const self = this;
 
-			const fromInput = document.getElementById( 'wda-filter-from' );
-			if ( fromInput ) {
-				fromInput.addEventListener( 'change', function() {
-					self.handleFilterChange( 'date_from', this.value );
-				} );
-			}
-
-			const toInput = document.getElementById( 'wda-filter-to' );
-			if ( toInput ) {
-				toInput.addEventListener( 'change', function() {
-					self.handleFilterChange( 'date_to', this.value );
-				} );
-			}
+			document.getElementById( 'wda-settings-save' ).addEventListener( 'click', function() {
+				self.save();
+			} );
 
-			const exportBtn = document.getElementById( 'wda-export-btn' );
-			if ( exportBtn ) {
-				exportBtn.addEventListener( 'click', function() {
-					self.handleExport();
-				} );
-			}
+			document.getElementById( 'wda-digest-test' ).addEventListener( 'click', function() {
+				self.sendTest();
+			} );
 		}
 	};
 
@@ -801,6 +4890,30 @@
 		if ( document.getElementById( 'wda-discount-summary-app' ) ) {
 			DiscountSummaryReport.init( 'wda-discount-summary-app' );
 		}
+
+		if ( document.getElementById( 'wda-sale-performance-app' ) ) {
+			SalePerformanceReport.init( 'wda-sale-performance-app' );
+		}
+
+		if ( document.getElementById( 'wda-discount-depth-app' ) ) {
+			DiscountDepthReport.init( 'wda-discount-depth-app' );
+		}
+
+		if ( document.getElementById( 'wda-price-history-app' ) ) {
+			PriceHistoryReport.init( 'wda-price-history-app' );
+		}
+
+		if ( document.getElementById( 'wda-backfill-app' ) ) {
+			BackfillTool.init( 'wda-backfill-app' );
+		}
+
+		if ( document.getElementById( 'wda-webhooks-app' ) ) {
+			WebhooksPage.init( 'wda-webhooks-app' );
+		}
+
+		if ( document.getElementById( 'wda-settings-app' ) ) {
+			SettingsPage.init( 'wda-settings-app' );
+		}
 	} );
 
 } )( jQuery, window.wdaSettings || {} );
@@ -105,6 +105,66 @@ class WDA_Admin_Reports {
 			self::MENU_SLUG . '-summary',
 			array( $this, 'render_discount_summary_page' )
 		);
+
+		// Sale Performance submenu.
+		add_submenu_page(
+			self::MENU_SLUG,
+			__( 'Sale Performance', 'woo-discount-analytics' ),
+			__( 'Sale Performance', 'woo-discount-analytics' ),
+			self::get_capability(),
+			self::MENU_SLUG . '-performance',
+			array( $this, 'render_sale_performance_page' )
+		);
+
+		// Discount Depth submenu.
+		add_submenu_page(
+			self::MENU_SLUG,
+			__( 'Discount Depth', 'woo-discount-analytics' ),
+			__( 'Discount Depth', 'woo-discount-analytics' ),
+			self::get_capability(),
+			self::MENU_SLUG . '-depth',
+			array( $this, 'render_discount_depth_page' )
+		);
+
+		// Price History submenu.
+		add_submenu_page(
+			self::MENU_SLUG,
+			__( 'Price History', 'woo-discount-analytics' ),
+			__( 'Price History', 'woo-discount-analytics' ),
+			self::get_capability(),
+			self::MENU_SLUG . '-price-history',
+			array( $this, 'render_price_history_page' )
+		);
+
+		// Backfill tool submenu.
+		add_submenu_page(
+			self::MENU_SLUG,
+			__( 'Backfill Orders', 'woo-discount-analytics' ),
+			__( 'Backfill Orders', 'woo-discount-analytics' ),
+			self::get_capability(),
+			self::MENU_SLUG . '-backfill',
+			array( $this, 'render_backfill_page' )
+		);
+
+		// Webhooks submenu.
+		add_submenu_page(
+			self::MENU_SLUG,
+			__( 'Webhooks', 'woo-discount-analytics' ),
+			__( 'Webhooks', 'woo-discount-analytics' ),
+			self::get_capability(),
+			self::MENU_SLUG . '-webhooks',
+			array( $this, 'render_webhooks_page' )
+		);
+
+		// Settings submenu.
+		add_submenu_page(
+			self::MENU_SLUG,
+			__( 'Settings', 'woo-discount-analytics' ),
+			__( 'Settings', 'woo-discount-analytics' ),
+			self::get_capability(),
+			self::MENU_SLUG . '-settings',
+			array( $this, 'render_settings_page' )
+		);
 	}
 
 	/**
@@ -136,12 +196,19 @@ class WDA_Admin_Reports {
 		);
 
 		wp_localize_script( 'wda-admin-reports', 'wdaSettings', array(
-			'restUrl'   => rest_url( 'wda/v1/' ),
-			'nonce'     => wp_create_nonce( 'wp_rest' ),
-			'currency'  => function_exists( 'get_woocommerce_currency' ) ? get_woocommerce_currency() : 'USD',
-			'symbol'    => function_exists( 'get_woocommerce_currency_symbol' ) ? get_woocommerce_currency_symbol() : '$',
-			'adminUrl'  => admin_url(),
-			'exportUrl' => rest_url( 'wda/v1/export' ),
+			'restUrl'         => rest_url( 'wda/v1/' ),
+			'nonce'           => wp_create_nonce( 'wp_rest' ),
+			'currency'        => WDA_Discount_Capture::get_base_currency(),
+			'symbol'          => function_exists( 'get_woocommerce_currency_symbol' ) ? get_woocommerce_currency_symbol() : '$',
+			'locale'          => str_replace( '_', '-', get_user_locale() ),
+			'currencies'      => WDA_Database::instance()->table_exists() ? WDA_Database::instance()->get_currencies() : array(),
+			'adminUrl'        => admin_url(),
+			'adminEmail'      => get_option( 'admin_email' ),
+			'exportUrl'       => rest_url( 'wda/v1/export' ),
+			'canEditProducts' => current_user_can( 'edit_products' ),
+			'guardrails'      => WDA_Guardrails::get_rule_labels(),
+			'exportColumns'   => WDA_REST_Reports::instance()->get_export_column_sets(),
+			'canExportXlsx'   => WDA_XLSX_Writer::is_available(),
 		) );
 	}
 
@@ -216,6 +283,102 @@ class WDA_Admin_Reports {
 		<?php
 	}
 
+	/**
+	 * Render Sale Performance page.
+	 */
+	public function render_sale_performance_page() {
+		?>
+		<div class="wrap wda-wrap">
+			<h1><?php esc_html_e( 'Sale Performance', 'woo-discount-analytics' ); ?></h1>
+			<div id="wda-sale-performance-app" class="wda-app-container">
+				<div class="wda-loading">
+					<div class="wda-loading-spinner"></div>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render Discount Depth page.
+	 */
+	public function render_discount_depth_page() {
+		?>
+		<div class="wrap wda-wrap">
+			<h1><?php esc_html_e( 'Discount Depth', 'woo-discount-analytics' ); ?></h1>
+			<div id="wda-discount-depth-app" class="wda-app-container">
+				<div class="wda-loading">
+					<div class="wda-loading-spinner"></div>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render Price History page.
+	 */
+	public function render_price_history_page() {
+		?>
+		<div class="wrap wda-wrap">
+			<h1><?php esc_html_e( 'Price History', 'woo-discount-analytics' ); ?></h1>
+			<div id="wda-price-history-app" class="wda-app-container">
+				<div class="wda-loading">
+					<div class="wda-loading-spinner"></div>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render Backfill Orders page.
+	 */
+	public function render_backfill_page() {
+		?>
+		<div class="wrap wda-wrap">
+			<h1><?php esc_html_e( 'Backfill Orders', 'woo-discount-analytics' ); ?></h1>
+			<div id="wda-backfill-app" class="wda-app-container">
+				<div class="wda-loading">
+					<div class="wda-loading-spinner"></div>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render Webhooks page.
+	 */
+	public function render_webhooks_page() {
+		?>
+		<div class="wrap wda-wrap">
+			<h1><?php esc_html_e( 'Webhooks', 'woo-discount-analytics' ); ?></h1>
+			<div id="wda-webhooks-app" class="wda-app-container">
+				<div class="wda-loading">
+					<div class="wda-loading-spinner"></div>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render Settings page.
+	 */
+	public function render_settings_page() {
+		?>
+		<div class="wrap wda-wrap">
+			<h1><?php esc_html_e( 'Discount Analytics Settings', 'woo-discount-analytics' ); ?></h1>
+			<div id="wda-settings-app" class="wda-app-container">
+				<div class="wda-loading">
+					<div class="wda-loading-spinner"></div>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
+
 	/**
 	 * Add plugin action links.
 	 *
@@ -0,0 +1,309 @@
+<?php
+/**
+ * WooCommerce Analytics class.
+ *
+ * Adds the discount reports to WooCommerce > Analytics and sale discount
+ * data to its Products and Orders reports.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_Analytics
+ *
+ * Registers the wc-admin report pages and extends the built-in report
+ * queries with the captured discounts.
+ */
+class WDA_Analytics {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_Analytics
+	 */
+	private static $instance = null;
+
+	/**
+	 * Discount Summary report slug (the page is /analytics/{slug}).
+	 *
+	 * @var string
+	 */
+	const SUMMARY_REPORT = 'wda-discount-summary';
+
+	/**
+	 * Discount History report slug.
+	 *
+	 * @var string
+	 */
+	const HISTORY_REPORT = 'wda-discount-history';
+
+	/**
+	 * Query parameter of the sale discount filter: discounted or full_price.
+	 *
+	 * @var string
+	 */
+	const FILTER_PARAM = 'wda_discount';
+
+	/**
+	 * Alias of the discounts table in report queries.
+	 *
+	 * @var string
+	 */
+	const TABLE_ALIAS = 'wda_discounts';
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_Analytics
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		add_filter( 'woocommerce_analytics_report_menu_items', array( $this, 'add_report_menu_items' ) );
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_scripts' ) );
+
+		// The filter is part of the query args so results are cached per filter value.
+		foreach ( array( 'products', 'products_stats', 'orders', 'orders_stats' ) as $report ) {
+			add_filter( "woocommerce_analytics_{$report}_query_args", array( $this, 'add_query_args' ) );
+		}
+
+		add_filter( 'woocommerce_analytics_clauses_select_products_subquery', array( $this, 'add_products_select' ) );
+		add_filter( 'woocommerce_analytics_clauses_join_products_subquery', array( $this, 'add_products_join' ) );
+		add_filter( 'woocommerce_analytics_clauses_where_products_subquery', array( $this, 'add_products_where' ) );
+
+		add_filter( 'woocommerce_analytics_clauses_select_orders_subquery', array( $this, 'add_orders_select' ) );
+		add_filter( 'woocommerce_analytics_clauses_where_orders_subquery', array( $this, 'add_orders_where' ) );
+
+		// Charts and summary numbers only need the discounts table when the filter is on.
+		foreach ( array( 'total', 'interval' ) as $query ) {
+			add_filter( "woocommerce_analytics_clauses_join_products_stats_{$query}", array( $this, 'add_products_filter_join' ) );
+			add_filter( "woocommerce_analytics_clauses_where_products_stats_{$query}", array( $this, 'add_products_where' ) );
+			add_filter( "woocommerce_analytics_clauses_where_orders_stats_{$query}", array( $this, 'add_orders_where' ) );
+		}
+	}
+
+	/**
+	 * Add the discount reports to the Analytics menu, before its Settings.
+	 *
+	 * @param array $items Report menu items.
+	 * @return array
+	 */
+	public function add_report_menu_items( $items ) {
+		$reports = array(
+			self::SUMMARY_REPORT => __( 'Discount Summary', 'woo-discount-analytics' ),
+			self::HISTORY_REPORT => __( 'Discount History', 'woo-discount-analytics' ),
+		);
+
+		$new_items = array();
+		foreach ( $reports as $report => $title ) {
+			$new_items[] = array(
+				'id'         => 'woocommerce-analytics-' . $report,
+				'title'      => $title,
+				'parent'     => 'woocommerce-analytics',
+				'path'       => '/analytics/' . $report,
+				'capability' => WDA_Admin_Reports::get_capability(),
+				'nav_args'   => array(
+					'order'  => 100,
+					'parent' => 'woocommerce-analytics',
+				),
+			);
+		}
+
+		$settings = array_search( 'woocommerce-analytics-settings', wp_list_pluck( $items, 'id' ), true );
+		array_splice( $items, false === $settings ? count( $items ) : $settings, 0, $new_items );
+
+		return $items;
+	}
+
+	/**
+	 * Enqueue the Analytics script on wc-admin pages.
+	 */
+	public function enqueue_scripts() {
+		if ( ! class_exists( '\Automattic\WooCommerce\Admin\PageController' ) || ! \Automattic\WooCommerce\Admin\PageController::is_admin_page() ) {
+			return;
+		}
+
+		if ( ! current_user_can( WDA_Admin_Reports::get_capability() ) ) {
+			return;
+		}
+
+		wp_enqueue_script(
+			'wda-analytics',
+			WDA_PLUGIN_URL . 'assets/js/admin/analytics/index.js',
+			array( 'wp-api-fetch', 'wp-element', 'wp-hooks', 'wp-url', 'wc-components', 'wc-date', 'wc-navigation', 'wc-settings' ),
+			WDA_VERSION,
+			true
+		);
+
+		wp_localize_script( 'wda-analytics', 'wdaAnalytics', array(
+			'currency'         => WDA_Discount_Capture::get_base_currency(),
+			'locale'           => str_replace( '_', '-', get_user_locale() ),
+			'adminUrl'         => admin_url(),
+			'defaultDateRange' => get_option( 'woocommerce_default_date_range', 'period=month&compare=previous_year' ),
+			'reports'          => array(
+				'summary' => self::SUMMARY_REPORT,
+				'history' => self::HISTORY_REPORT,
+			),
+			'filterParam'      => self::FILTER_PARAM,
+		) );
+	}
+
+	/**
+	 * Add the sale discount filter to a report's query args.
+	 *
+	 * @param array $args Query args.
+	 * @return array
+	 */
+	public function add_query_args( $args ) {
+		$args[ self::FILTER_PARAM ] = self::get_discount_filter();
+		return $args;
+	}
+
+	/**
+	 * Add the sale discount to each Products report row.
+	 *
+	 * @param array $clauses Select clauses.
+	 * @return array
+	 */
+	public function add_products_select( $clauses ) {
+		$alias = self::TABLE_ALIAS;
+
+		// Refunded units are netted out, as they are from items sold.
+		$clauses[] = ", SUM( COALESCE( {$alias}.discount_amount * ( {$alias}.quantity - LEAST( {$alias}.refunded_quantity, {$alias}.quantity ) ), 0 ) ) AS wda_sale_discount";
+
+		return $clauses;
+	}
+
+	/**
+	 * Join the discounts table to the Products report lines.
+	 *
+	 * @param array $clauses Join clauses.
+	 * @return array
+	 */
+	public function add_products_join( $clauses ) {
+		global $wpdb;
+
+		$table     = WDA_Database::get_table_name();
+		$alias     = self::TABLE_ALIAS;
+		$clauses[] = "LEFT JOIN {$table} {$alias} ON {$alias}.order_item_id = {$wpdb->prefix}wc_order_product_lookup.order_item_id";
+
+		return $clauses;
+	}
+
+	/**
+	 * Join the discounts table to the Products charts when filtering.
+	 *
+	 * @param array $clauses Join clauses.
+	 * @return array
+	 */
+	public function add_products_filter_join( $clauses ) {
+		return '' === self::get_discount_filter() ? $clauses : $this->add_products_join( $clauses );
+	}
+
+	/**
+	 * Limit Products report lines to those sold with or without a sale discount.
+	 *
+	 * @param array $clauses Where clauses.
+	 * @return array
+	 */
+	public function add_products_where( $clauses ) {
+		$alias = self::TABLE_ALIAS;
+
+		switch ( self::get_discount_filter() ) {
+			case 'discounted':
+				$clauses[] = "AND {$alias}.discount_amount > 0";
+				break;
+
+			case 'full_price':
+				$clauses[] = "AND ( {$alias}.id IS NULL OR {$alias}.discount_amount <= 0 )";
+				break;
+		}
+
+		return $clauses;
+	}
+
+	/**
+	 * Add the sale discount to each Orders report row.
+	 *
+	 * @param array $clauses Select clauses.
+	 * @return array
+	 */
+	public function add_orders_select( $clauses ) {
+		$clauses[] = ', ' . self::get_order_sale_discount_sql() . ' AS wda_sale_discount';
+		return $clauses;
+	}
+
+	/**
+	 * Limit the Orders report to orders with or without a sale discount.
+	 *
+	 * @param array $clauses Where clauses.
+	 * @return array
+	 */
+	public function add_orders_where( $clauses ) {
+		$sale_discount = self::get_order_sale_discount_sql();
+
+		switch ( self::get_discount_filter() ) {
+			case 'discounted':
+				$clauses[] = "AND {$sale_discount} > 0";
+				break;
+
+			case 'full_price':
+				$clauses[] = "AND {$sale_discount} <= 0";
+				break;
+		}
+
+		return $clauses;
+	}
+
+	/**
+	 * Get the SQL for an Orders report row's sale discount, net of refunded units.
+	 *
+	 * A subquery per order row reads only that order's lines through the
+	 * order ID index, instead of aggregating the whole discounts table.
+	 *
+	 * @return string
+	 */
+	private static function get_order_sale_discount_sql() {
+		global $wpdb;
+
+		$table = WDA_Database::get_table_name();
+		$alias = self::TABLE_ALIAS;
+
+		return "COALESCE( (
+				SELECT SUM( {$alias}.discount_amount * ( {$alias}.quantity - LEAST( {$alias}.refunded_quantity, {$alias}.quantity ) ) )
+				FROM {$table} {$alias}
+				WHERE {$alias}.order_id = {$wpdb->prefix}wc_order_stats.order_id
+			), 0 )";
+	}
+
+	/**
+	 * Get the sale discount filter of the current report request.
+	 *
+	 * The report clauses have no access to the request, so it is read from
+	 * the query string like WooCommerce's own extension examples do.
+	 *
+	 * @return string discounted, full_price or empty for no filter.
+	 */
+	private static function get_discount_filter() {
+		$filter = isset( $_GET[ self::FILTER_PARAM ] ) ? sanitize_key( wp_unslash( $_GET[ self::FILTER_PARAM ] ) ) : '';
+
+		return in_array( $filter, array( 'discounted', 'full_price' ), true ) ? $filter : '';
+	}
+}
@@ -0,0 +1,418 @@
+<?php
+/**
+ * Backfill class.
+ *
+ * Captures discount data for orders placed before the plugin was active,
+ * in batches run in the background by Action Scheduler.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_Backfill
+ *
+ * Runs the historical order backfill and exposes its progress over REST.
+ */
+class WDA_Backfill {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_Backfill
+	 */
+	private static $instance = null;
+
+	/**
+	 * Option holding the backfill state.
+	 *
+	 * @var string
+	 */
+	const OPTION = 'wda_backfill';
+
+	/**
+	 * Action Scheduler hook that processes one batch.
+	 *
+	 * @var string
+	 */
+	const BATCH_HOOK = 'wda_backfill_batch';
+
+	/**
+	 * Action Scheduler group.
+	 *
+	 * @var string
+	 */
+	const GROUP = 'woo-discount-analytics';
+
+	/**
+	 * Orders processed per batch.
+	 *
+	 * @var int
+	 */
+	const BATCH_SIZE = 50;
+
+	/**
+	 * Maximum number of failures kept for the final report.
+	 *
+	 * @var int
+	 */
+	const MAX_FAILURES = 50;
+
+	/**
+	 * Order statuses that are captured, matching WDA_Discount_Capture.
+	 *
+	 * @var string[]
+	 */
+	const STATUSES = array( 'wc-processing', 'wc-completed' );
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_Backfill
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		add_action( self::BATCH_HOOK, array( $this, 'process_batch' ) );
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register REST API routes.
+	 */
+	public function register_routes() {
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/backfill', array(
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_status' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+			),
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'update_status' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+				'args'                => array(
+					'action'    => array(
+						'type'              => 'string',
+						'required'          => true,
+						'enum'              => array( 'start', 'pause', 'resume', 'cancel' ),
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+					'date_from' => array(
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+					'date_to'   => array(
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+				),
+			),
+		) );
+	}
+
+	/**
+	 * Check user permission.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function check_permission() {
+		if ( ! current_user_can( WDA_Admin_Reports::get_capability() ) ) {
+			return new WP_Error(
+				'wda_rest_forbidden',
+				__( 'You do not have permission to run the backfill.', 'woo-discount-analytics' ),
+				array( 'status' => 403 )
+			);
+		}
+		return true;
+	}
+
+	/**
+	 * Get the backfill state.
+	 *
+	 * @return array
+	 */
+	public function get_state() {
+		return wp_parse_args( get_option( self::OPTION, array() ), array(
+			'status'      => 'idle',
+			'date_from'   => '',
+			'date_to'     => '',
+			'page'        => 1,
+			'total'       => 0,
+			'processed'   => 0,
+			'captured'    => 0,
+			'skipped'     => 0,
+			'failed'      => 0,
+			'failures'    => array(),
+			'started_at'  => null,
+			'finished_at' => null,
+		) );
+	}
+
+	/**
+	 * Save the backfill state.
+	 *
+	 * @param array $state Backfill state.
+	 */
+	private function save_state( $state ) {
+		update_option( self::OPTION, $state, false );
+	}
+
+	/**
+	 * Get the backfill progress.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_status( $request ) {
+		return new WP_REST_Response( $this->get_state(), 200 );
+	}
+
+	/**
+	 * Start, pause, resume or cancel the backfill.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function update_status( $request ) {
+		$action = $request->get_param( 'action' );
+		$state  = $this->get_state();
+
+		switch ( $action ) {
+			case 'start':
+				if ( 'running' === $state['status'] ) {
+					return new WP_Error(
+						'wda_backfill_running',
+						__( 'A backfill is already running.', 'woo-discount-analytics' ),
+						array( 'status' => 409 )
+					);
+				}
+
+				$result = $this->start( $request->get_param( 'date_from' ), $request->get_param( 'date_to' ) );
+				if ( is_wp_error( $result ) ) {
+					return $result;
+				}
+				break;
+
+			case 'pause':
+				if ( 'running' === $state['status'] ) {
+					$state['status'] = 'paused';
+					$this->save_state( $state );
+					as_unschedule_all_actions( self::BATCH_HOOK, array(), self::GROUP );
+				}
+				break;
+
+			case 'resume':
+				if ( 'paused' === $state['status'] ) {
+					$state['status'] = 'running';
+					$this->save_state( $state );
+					$this->schedule_batch();
+				}
+				break;
+
+			case 'cancel':
+				as_unschedule_all_actions( self::BATCH_HOOK, array(), self::GROUP );
+				delete_option( self::OPTION );
+				break;
+		}
+
+		return new WP_REST_Response( $this->get_state(), 200 );
+	}
+
+	/**
+	 * Start a new backfill.
+	 *
+	 * @param string $date_from Only orders created on or after this date (Y-m-d), or empty.
+	 * @param string $date_to   Only orders created on or before this date (Y-m-d), or empty.
+	 * @return true|WP_Error
+	 */
+	public function start( $date_from, $date_to ) {
+		foreach ( array( $date_from, $date_to ) as $date ) {
+			if ( '' !== $date && false === strtotime( $date ) ) {
+				return new WP_Error(
+					'wda_invalid_date',
+					/* translators: %s: date */
+					sprintf( __( 'Invalid date: %s', 'woo-discount-analytics' ), $date ),
+					array( 'status' => 400 )
+				);
+			}
+		}
+
+		as_unschedule_all_actions( self::BATCH_HOOK, array(), self::GROUP );
+
+		$state              = $this->get_state();
+		$state['date_from'] = $date_from;
+		$state['date_to']   = $date_to;
+
+		$total = wc_get_orders( array_merge( $this->get_order_query( $state ), array(
+			'limit'    => 1,
+			'paginate' => true,
+		) ) )->total;
+
+		$this->save_state( array(
+			'status'      => $total > 0 ? 'running' : 'complete',
+			'date_from'   => $date_from,
+			'date_to'     => $date_to,
+			'page'        => 1,
+			'total'       => (int) $total,
+			'processed'   => 0,
+			'captured'    => 0,
+			'skipped'     => 0,
+			'failed'      => 0,
+			'failures'    => array(),
+			'started_at'  => current_time( 'mysql' ),
+			'finished_at' => $total > 0 ? null : current_time( 'mysql' ),
+		) );
+
+		if ( $total > 0 ) {
+			$this->schedule_batch();
+		}
+
+		return true;
+	}
+
+	/**
+	 * Queue the next batch.
+	 */
+	private function schedule_batch() {
+		if ( ! as_has_scheduled_action( self::BATCH_HOOK, array(), self::GROUP ) ) {
+			as_enqueue_async_action( self::BATCH_HOOK, array(), self::GROUP );
+		}
+	}
+
+	/**
+	 * Process one batch of orders, then queue the next one.
+	 *
+	 * Orders that are already captured are skipped by the `_wda_captured`
+	 * guard, so a batch that runs twice captures nothing twice.
+	 */
+	public function process_batch() {
+		$state = $this->get_state();
+
+		if ( 'running' !== $state['status'] ) {
+			return;
+		}
+
+		$order_ids = wc_get_orders( array_merge( $this->get_order_query( $state ), array(
+			'limit' => self::BATCH_SIZE,
+			'page'  => $state['page'],
+		) ) );
+
+		$database = WDA_Database::instance();
+		$capture  = WDA_Discount_Capture::instance();
+
+		foreach ( $order_ids as $order_id ) {
+			$state['processed']++;
+
+			if ( WDA_Discount_Capture::is_order_captured( $order_id ) ) {
+				$state['skipped']++;
+				continue;
+			}
+
+			try {
+				$capture->capture_discount_data( $order_id, 'backfill' );
+				$error = WDA_Discount_Capture::is_order_captured( $order_id ) ? '' : __( 'Order could not be loaded.', 'woo-discount-analytics' );
+
+				// Carry over refunds made before the order was captured.
+				if ( '' === $error && $database->table_exists() ) {
+					$database->sync_order_refunds( $order_id );
+				}
+			} catch ( Exception $e ) {
+				$error = $e->getMessage();
+			}
+
+			if ( '' === $error ) {
+				$state['captured']++;
+				continue;
+			}
+
+			$state['failed']++;
+			if ( count( $state['failures'] ) < self::MAX_FAILURES ) {
+				// The edit screen URL differs between posts and HPOS order storage.
+				$order = wc_get_order( $order_id );
+
+				$state['failures'][] = array(
+					'order_id'  => $order_id,
+					'message'   => $error,
+					'edit_link' => $order ? $order->get_edit_order_url() : '',
+				);
+			}
+		}
+
+		$state['page']++;
+
+		// The backfill may have been paused, cancelled or restarted while this batch ran.
+		$current = $this->get_state();
+		if ( 'idle' === $current['status'] || $current['started_at'] !== $state['started_at'] ) {
+			return;
+		}
+
+		if ( count( $order_ids ) < self::BATCH_SIZE ) {
+			$state['status']      = 'complete';
+			$state['finished_at'] = current_time( 'mysql' );
+			$this->save_state( $state );
+			return;
+		}
+
+		if ( 'paused' === $current['status'] ) {
+			$state['status'] = 'paused';
+			$this->save_state( $state );
+			return;
+		}
+
+		$this->save_state( $state );
+
+		// This action still counts as scheduled while it runs, so skip schedule_batch()'s check.
+		as_enqueue_async_action( self::BATCH_HOOK, array(), self::GROUP );
+	}
+
+	/**
+	 * Build the order query for the backfill's date range.
+	 *
+	 * Orders are walked oldest first by ID, so orders placed during the
+	 * backfill only ever extend the last page.
+	 *
+	 * @param array $state Backfill state.
+	 * @return array Arguments for wc_get_orders().
+	 */
+	private function get_order_query( $state ) {
+		$query = array(
+			'status'  => self::STATUSES,
+			'return'  => 'ids',
+			'orderby' => 'ID',
+			'order'   => 'ASC',
+		);
+
+		if ( ! empty( $state['date_from'] ) ) {
+			$query['date_created'] = '>=' . strtotime( $state['date_from'] );
+		}
+
+		if ( ! empty( $state['date_to'] ) ) {
+			if ( isset( $query['date_created'] ) ) {
+				$query['date_created'] = strtotime( $state['date_from'] ) . '...' . strtotime( $state['date_to'] . ' 23:59:59' );
+			} else {
+				$query['date_created'] = '<=' . strtotime( $state['date_to'] . ' 23:59:59' );
+			}
+		}
+
+		return $query;
+	}
+}
@@ -0,0 +1,601 @@
+<?php
+/**
+ * CLI class.
+ *
+ * Registers the `wp wda` command group for migrations, backfills, exports
+ * and data checks.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Manage and export WooCommerce discount analytics.
+ */
+class WDA_CLI {
+
+	/**
+	 * Report types that can be exported.
+	 *
+	 * @var string[]
+	 */
+	const REPORT_TYPES = array( 'current-discounts', 'discount-history', 'discount-summary', 'sale-performance', 'discount-depth', 'price-history' );
+
+	/**
+	 * Migrates discount data from order item meta to the custom table.
+	 *
+	 * Lines that are already in the table are skipped, so the command can be
+	 * run again safely.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--batch-size=<number>]
+	 * : Number of order items to read per batch.
+	 * ---
+	 * default: 500
+	 * ---
+	 *
+	 * [--dry-run]
+	 * : Count the lines that would be migrated without writing anything.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wda migrate
+	 *     wp wda migrate --batch-size=200 --dry-run
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function migrate( $args, $assoc_args ) {
+		$dry_run = (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false );
+
+		$results = WDA_Database::instance()->migrate_meta_to_table( array(
+			'batch_size' => absint( $assoc_args['batch-size'] ),
+			'dry_run'    => $dry_run,
+			'on_batch'   => function( $results ) {
+				WP_CLI::log( sprintf( 'Processed %d lines (%d migrated, %d skipped, %d errors).', $results['migrated'] + $results['skipped'] + $results['errors'], $results['migrated'], $results['skipped'], $results['errors'] ) );
+			},
+		) );
+
+		if ( ! $results['success'] ) {
+			WP_CLI::error( $results['message'] );
+		}
+
+		if ( ! $dry_run ) {
+			delete_option( 'wda_migration_pending' );
+		}
+
+		WP_CLI::success( $results['message'] );
+	}
+
+	/**
+	 * Captures discount data for past orders that were never captured.
+	 *
+	 * Regular prices are taken from the recorded price history at each
+	 * order's date where available, and from the current product otherwise.
+	 * Refunds already made on the orders are carried over.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--from=<date>]
+	 * : Only orders created on or after this date (YYYY-MM-DD).
+	 *
+	 * [--to=<date>]
+	 * : Only orders created on or before this date (YYYY-MM-DD).
+	 *
+	 * [--status=<statuses>]
+	 * : Comma-separated order statuses to capture.
+	 * ---
+	 * default: processing,completed
+	 * ---
+	 *
+	 * [--batch-size=<number>]
+	 * : Number of orders to load per batch.
+	 * ---
+	 * default: 100
+	 * ---
+	 *
+	 * [--dry-run]
+	 * : Count the orders that would be captured without writing anything.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wda backfill --from=2024-01-01
+	 *     wp wda backfill --status=completed --dry-run
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function backfill( $args, $assoc_args ) {
+		$dry_run    = (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false );
+		$batch_size = max( 1, absint( $assoc_args['batch-size'] ) );
+		$query      = $this->get_order_query( $assoc_args );
+		$database   = WDA_Database::instance();
+		$capture    = WDA_Discount_Capture::instance();
+		$captured   = 0;
+		$skipped    = 0;
+
+		$total = wc_get_orders( array_merge( $query, array(
+			'limit'    => 1,
+			'paginate' => true,
+		) ) )->total;
+
+		if ( 0 === (int) $total ) {
+			WP_CLI::success( 'No orders found.' );
+			return;
+		}
+
+		$progress = \WP_CLI\Utils\make_progress_bar( $dry_run ? 'Checking orders' : 'Capturing orders', $total );
+
+		$page = 1;
+		do {
+			$order_ids = wc_get_orders( array_merge( $query, array(
+				'limit' => $batch_size,
+				'page'  => $page,
+			) ) );
+
+			foreach ( $order_ids as $order_id ) {
+				$progress->tick();
+
+				if ( WDA_Discount_Capture::is_order_captured( $order_id ) ) {
+					$skipped++;
+					continue;
+				}
+
+				$captured++;
+
+				if ( $dry_run ) {
+					continue;
+				}
+
+				$capture->capture_discount_data( $order_id, 'backfill' );
+
+				// Carry over refunds made before the order was captured.
+				if ( $database->table_exists() ) {
+					$database->sync_order_refunds( $order_id );
+				}
+			}
+
+			$page++;
+			wp_cache_flush_runtime();
+		} while ( count( $order_ids ) === $batch_size );
+
+		$progress->finish();
+
+		if ( $dry_run ) {
+			WP_CLI::success( sprintf( 'Dry run: %d orders would be captured, %d already captured.', $captured, $skipped ) );
+			return;
+		}
+
+		WP_CLI::success( sprintf( 'Captured %d orders, %d already captured.', $captured, $skipped ) );
+	}
+
+	/**
+	 * Exports a report to CSV, XLSX or JSON.
+	 *
+	 * Any filter the report's REST endpoint accepts can be passed as an
+	 * option, using the endpoint's parameter name, including sorting and
+	 * discount history's group_by. Paginated reports are exported in full.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <type>
+	 * : Report to export.
+	 * ---
+	 * options:
+	 *   - current-discounts
+	 *   - discount-history
+	 *   - discount-summary
+	 *   - sale-performance
+	 *   - discount-depth
+	 *   - price-history
+	 * ---
+	 *
+	 * [--file=<path>]
+	 * : File to write to. Writes to standard output when omitted (not for xlsx).
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: csv
+	 * options:
+	 *   - csv
+	 *   - xlsx
+	 *   - json
+	 * ---
+	 *
+	 * [--columns=<columns>]
+	 * : Comma-separated columns to include, by field name. Defaults to all of them.
+	 *
+	 * [--<filter>=<value>]
+	 * : Report filter, e.g. --date_from=2024-01-01 or --sale_status=active.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wda export discount-history --date_from=2024-01-01 --date_to=2024-03-31 --file=q1.csv
+	 *     wp wda export current-discounts --sale_status=expired --discount_min=40 --format=json
+	 *     wp wda export discount-history --group_by=category --format=xlsx --file=by-category.xlsx
+	 *     wp wda export discount-history --columns=order_id,product_name,net_line_amount,currency
+	 *     wp wda export price-history --product_id=42
+	 *     wp wda export discount-depth --bands=10,25,50 --format=json
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function export( $args, $assoc_args ) {
+		list( $type ) = $args;
+
+		$file     = \WP_CLI\Utils\get_flag_value( $assoc_args, 'file', '' );
+		$format   = \WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'csv' );
+		$columns  = wp_parse_list( \WP_CLI\Utils\get_flag_value( $assoc_args, 'columns', '' ) );
+		$params   = array_diff_key( $assoc_args, array_flip( array( 'file', 'format', 'columns' ) ) );
+		$group_by = 'discount-history' === $type && ! empty( $params['group_by'] ) ? $params['group_by'] : '';
+		$reports  = WDA_REST_Reports::instance();
+
+		if ( 'xlsx' === $format && '' === $file ) {
+			WP_CLI::error( 'XLSX exports need --file.' );
+		}
+
+		$data = $this->get_report_data( $type, $params );
+
+		if ( 'json' === $format ) {
+			$records = $reports->get_export_records( $type, $data, $columns, $group_by );
+			if ( is_wp_error( $records ) ) {
+				WP_CLI::error( $records );
+			}
+			$count = in_array( $type, WDA_REST_Reports::WHOLE_REPORT_TYPES, true ) ? 1 : count( $records );
+		} else {
+			$table = $reports->get_export_table( $type, $data, $columns, $group_by );
+			if ( is_wp_error( $table ) ) {
+				WP_CLI::error( $table );
+			}
+			$count = count( $table['rows'] );
+		}
+
+		if ( 'xlsx' === $format ) {
+			$written = WDA_XLSX_Writer::write( $file, $table['headers'], $table['rows'], $type );
+			if ( is_wp_error( $written ) ) {
+				WP_CLI::error( $written );
+			}
+		} else {
+			$output = fopen( '' === $file ? 'php://stdout' : $file, 'w' );
+			if ( ! $output ) {
+				WP_CLI::error( sprintf( 'Could not open %s for writing.', $file ) );
+			}
+
+			if ( 'json' === $format ) {
+				fwrite( $output, wp_json_encode( $records, JSON_PRETTY_PRINT ) . "\n" );
+			} else {
+				fputcsv( $output, $table['headers'] );
+				foreach ( $table['rows'] as $row ) {
+					fputcsv( $output, $row );
+				}
+			}
+
+			fclose( $output );
+		}
+
+		if ( '' !== $file ) {
+			WP_CLI::success( sprintf( 'Exported %d rows to %s.', $count, $file ) );
+		}
+	}
+
+	/**
+	 * Prints the discount summary metrics.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--date_from=<date>]
+	 * : Start date (YYYY-MM-DD).
+	 *
+	 * [--date_to=<date>]
+	 * : End date (YYYY-MM-DD).
+	 *
+	 * [--currency=<code>]
+	 * : Only include orders in this currency.
+	 *
+	 * [--convert]
+	 * : Convert amounts to the store currency.
+	 *
+	 * [--include_refunded]
+	 * : Report lines as ordered, ignoring refunds.
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - csv
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wda summary --date_from=2024-01-01 --date_to=2024-01-31
+	 *     wp wda summary --convert --format=json
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function summary( $args, $assoc_args ) {
+		$format = \WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'table' );
+		$data   = $this->get_report_data( 'discount-summary', array_diff_key( $assoc_args, array( 'format' => true ) ) );
+
+		$metrics = array(
+			'currency'                => $data['currency'],
+			'sale_discount'           => $data['sale_discount'],
+			'coupon_discount'         => $data['coupon_discount'],
+			'total_discount'          => $data['total_discount'],
+			'gross_discount'          => $data['gross_discount'],
+			'refunded_discount'       => $data['refunded_discount'],
+			'net_discount'            => $data['net_discount'],
+			'total_revenue'           => $data['total_revenue'],
+			'discount_pct_of_revenue' => $data['discount_pct_of_revenue'],
+			'discounted_units'        => $data['discounted_units'],
+			'refunded_units'          => $data['refunded_units'],
+			'orders_count'            => $data['orders_count'],
+			'unconverted_orders'      => $data['unconverted_orders'],
+		);
+
+		$rows = array();
+		foreach ( $metrics as $metric => $value ) {
+			$rows[] = array(
+				'metric' => $metric,
+				'value'  => $value,
+			);
+		}
+
+		\WP_CLI\Utils\format_items( $format, $rows, array( 'metric', 'value' ) );
+
+		if ( 'table' === $format && count( $data['currencies'] ) > 1 ) {
+			WP_CLI::log( '' );
+			WP_CLI::log( 'By currency:' );
+			\WP_CLI\Utils\format_items( 'table', $data['currencies'], array( 'currency', 'sale_discount', 'coupon_discount', 'total_discount', 'total_revenue', 'discounted_units', 'orders_count' ) );
+		}
+	}
+
+	/**
+	 * Reports orders whose captured discount data is missing or inconsistent.
+	 *
+	 * Checks that orders were captured, that every line has discount meta,
+	 * that discounted lines have a table row, and that table rows match the
+	 * order meta and the order's current lines. Exits with status 1 when
+	 * issues are found.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--from=<date>]
+	 * : Only orders created on or after this date (YYYY-MM-DD).
+	 *
+	 * [--to=<date>]
+	 * : Only orders created on or before this date (YYYY-MM-DD).
+	 *
+	 * [--status=<statuses>]
+	 * : Comma-separated order statuses to check.
+	 * ---
+	 * default: processing,completed
+	 * ---
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - csv
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp wda verify --from=2024-01-01
+	 *     wp wda verify --format=csv > issues.csv
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function verify( $args, $assoc_args ) {
+		$format   = \WP_CLI\Utils\get_flag_value( $assoc_args, 'format', 'table' );
+		$query    = $this->get_order_query( $assoc_args );
+		$database = WDA_Database::instance();
+		$issues   = array();
+		$checked  = 0;
+
+		if ( ! $database->table_exists() ) {
+			WP_CLI::warning( 'The discount table does not exist; only order meta is checked.' );
+		}
+
+		$page = 1;
+		do {
+			$order_ids = wc_get_orders( array_merge( $query, array(
+				'limit' => 100,
+				'page'  => $page,
+			) ) );
+
+			foreach ( $order_ids as $order_id ) {
+				$order = wc_get_order( $order_id );
+				if ( $order ) {
+					$issues = array_merge( $issues, $this->verify_order( $order, $database ) );
+					$checked++;
+				}
+			}
+
+			$page++;
+			wp_cache_flush_runtime();
+		} while ( count( $order_ids ) === 100 );
+
+		if ( empty( $issues ) ) {
+			WP_CLI::success( sprintf( 'Checked %d orders; no issues found.', $checked ) );
+			return;
+		}
+
+		\WP_CLI\Utils\format_items( $format, $issues, array( 'order_id', 'item_id', 'issue', 'detail' ) );
+
+		WP_CLI::warning( sprintf( 'Checked %d orders; found %d issues.', $checked, count( $issues ) ) );
+		WP_CLI::halt( 1 );
+	}
+
+	/**
+	 * Check one order's captured data.
+	 *
+	 * @param WC_Order     $order    Order object.
+	 * @param WDA_Database $database Database instance.
+	 * @return array Issues, each with order_id, item_id, issue and detail.
+	 */
+	private function verify_order( $order, $database ) {
+		$order_id = $order->get_id();
+
+		if ( ! WDA_Discount_Capture::is_order_captured( $order ) ) {
+			return array( $this->get_issue( $order_id, '', 'not_captured', 'Order has no captured discount data.' ) );
+		}
+
+		$issues = array();
+		$rows   = array();
+		$items  = $order->get_items( 'line_item' );
+
+		foreach ( $database->get_discounts_by_order_id( $order_id ) as $row ) {
+			$item_id = absint( $row['order_item_id'] );
+
+			if ( isset( $rows[ $item_id ] ) ) {
+				$issues[] = $this->get_issue( $order_id, $item_id, 'duplicate_row', 'Line has more than one table row.' );
+			}
+
+			if ( ! isset( $items[ $item_id ] ) ) {
+				$issues[] = $this->get_issue( $order_id, $item_id, 'orphan_row', 'Table row has no matching order line.' );
+			}
+
+			$rows[ $item_id ] = $row;
+		}
+
+		foreach ( $items as $item_id => $item ) {
+			if ( $item->get_quantity() <= 0 ) {
+				continue;
+			}
+
+			$was_on_sale = wc_get_order_item_meta( $item_id, WDA_Discount_Capture::META_WAS_ON_SALE, true );
+
+			if ( '' === $was_on_sale ) {
+				$issues[] = $this->get_issue( $order_id, $item_id, 'missing_meta', 'Line has no captured discount meta.' );
+				continue;
+			}
+
+			if ( ! $database->table_exists() ) {
+				continue;
+			}
+
+			$discount_amount = floatval( wc_get_order_item_meta( $item_id, WDA_Discount_Capture::META_DISCOUNT_AMOUNT, true ) );
+			$coupon_discount = floatval( wc_get_order_item_meta( $item_id, WDA_Discount_Capture::META_COUPON_DISCOUNT, true ) );
+			$discounted      = 'yes' === $was_on_sale || $coupon_discount > 0;
+
+			if ( ! isset( $rows[ $item_id ] ) ) {
+				if ( $discounted ) {
+					$issues[] = $this->get_issue( $order_id, $item_id, 'missing_row', 'Discounted line has no table row.' );
+				}
+				continue;
+			}
+
+			$row        = $rows[ $item_id ];
+			$mismatches = array();
+			$compare    = array(
+				'discount_amount' => array( $discount_amount, $row['discount_amount'] ),
+				'coupon_discount' => array( $coupon_discount, $row['coupon_discount'] ),
+				'quantity'        => array( $item->get_quantity(), $row['quantity'] ),
+				'line_total'      => array( $item->get_total(), $row['line_total'] ),
+			);
+
+			foreach ( $compare as $field => $values ) {
+				if ( null !== $values[1] && abs( floatval( $values[0] ) - floatval( $values[1] ) ) > 0.0001 ) {
+					$mismatches[] = sprintf( '%s: order %s, table %s', $field, wc_format_decimal( $values[0] ), wc_format_decimal( $values[1] ) );
+				}
+			}
+
+			if ( ! empty( $mismatches ) ) {
+				$issues[] = $this->get_issue( $order_id, $item_id, 'mismatch', implode( '; ', $mismatches ) );
+			}
+		}
+
+		return $issues;
+	}
+
+	/**
+	 * Build a verify issue row.
+	 *
+	 * @param int        $order_id Order ID.
+	 * @param int|string $item_id  Order item ID, or empty for order-level issues.
+	 * @param string     $issue    Issue code.
+	 * @param string     $detail   Description.
+	 * @return array
+	 */
+	private function get_issue( $order_id, $item_id, $issue, $detail ) {
+		return array(
+			'order_id' => $order_id,
+			'item_id'  => $item_id,
+			'issue'    => $issue,
+			'detail'   => $detail,
+		);
+	}
+
+	/**
+	 * Build the order query shared by backfill and verify.
+	 *
+	 * @param array $assoc_args Associative arguments: from, to, status.
+	 * @return array Arguments for wc_get_orders().
+	 */
+	private function get_order_query( $assoc_args ) {
+		$statuses = array_filter( array_map( 'trim', explode( ',', $assoc_args['status'] ) ) );
+		$query    = array(
+			'status'  => array_map( function( $status ) {
+				return 'wc-' === substr( $status, 0, 3 ) ? $status : 'wc-' . $status;
+			}, $statuses ),
+			'return'  => 'ids',
+			'orderby' => 'ID',
+			'order'   => 'ASC',
+		);
+
+		$from = \WP_CLI\Utils\get_flag_value( $assoc_args, 'from', '' );
+		$to   = \WP_CLI\Utils\get_flag_value( $assoc_args, 'to', '' );
+
+		foreach ( array( $from, $to ) as $date ) {
+			if ( '' !== $date && false === strtotime( $date ) ) {
+				WP_CLI::error( sprintf( 'Invalid date: %s', $date ) );
+			}
+		}
+
+		if ( '' !== $from && '' !== $to ) {
+			$query['date_created'] = strtotime( $from ) . '...' . strtotime( $to . ' 23:59:59' );
+		} elseif ( '' !== $from ) {
+			$query['date_created'] = '>=' . strtotime( $from );
+		} elseif ( '' !== $to ) {
+			$query['date_created'] = '<=' . strtotime( $to . ' 23:59:59' );
+		}
+
+		return $query;
+	}
+
+	/**
+	 * Run a report through its REST handler over all pages, exiting on errors.
+	 *
+	 * The permission check is skipped, since shell access already implies
+	 * full access to the store.
+	 *
+	 * @param string $type   Report type (the endpoint path).
+	 * @param array  $params Request parameters.
+	 * @return array Response data.
+	 */
+	private function get_report_data( $type, $params ) {
+		if ( ! in_array( $type, self::REPORT_TYPES, true ) ) {
+			WP_CLI::error( sprintf( 'Unknown report: %s', $type ) );
+		}
+
+		$data = WDA_REST_Reports::instance()->run_full_report( $type, $params );
+		if ( is_wp_error( $data ) ) {
+			WP_CLI::error( $data );
+		}
+
+		return $data;
+	}
+}
@@ -0,0 +1,466 @@
+<?php
+/**
+ * Dashboard Widget class.
+ *
+ * Shows the key discount figures on the WordPress dashboard.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_Dashboard_Widget
+ *
+ * Registers the dashboard widget and keeps its figures cached. The figures
+ * are only ever built by WP-Cron, so loading the dashboard never runs the
+ * reports.
+ */
+class WDA_Dashboard_Widget {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_Dashboard_Widget
+	 */
+	private static $instance = null;
+
+	/**
+	 * Dashboard widget ID.
+	 *
+	 * @var string
+	 */
+	const WIDGET_ID = 'wda_discount_kpis';
+
+	/**
+	 * Transient holding the widget figures.
+	 *
+	 * @var string
+	 */
+	const CACHE_KEY = 'wda_dashboard_widget';
+
+	/**
+	 * Cron hook that rebuilds the figures (hourly).
+	 *
+	 * @var string
+	 */
+	const CRON_HOOK = 'wda_refresh_dashboard_widget';
+
+	/**
+	 * Day windows the figures are shown for.
+	 *
+	 * @var int[]
+	 */
+	const PERIODS = array( 7, 30 );
+
+	/**
+	 * Hours ahead to look for sales starting or ending.
+	 *
+	 * @var int
+	 */
+	const UPCOMING_HOURS = 48;
+
+	/**
+	 * Maximum number of sales listed as starting, and as ending.
+	 *
+	 * @var int
+	 */
+	const MAX_UPCOMING = 5;
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_Dashboard_Widget
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		add_action( 'wp_dashboard_setup', array( $this, 'register_widget' ) );
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_styles' ) );
+		add_action( 'admin_init', array( $this, 'maybe_schedule' ) );
+		add_action( self::CRON_HOOK, array( $this, 'refresh' ) );
+	}
+
+	/**
+	 * Register the dashboard widget.
+	 */
+	public function register_widget() {
+		if ( ! current_user_can( WDA_Admin_Reports::get_capability() ) ) {
+			return;
+		}
+
+		wp_add_dashboard_widget(
+			self::WIDGET_ID,
+			__( 'Discount Analytics', 'woo-discount-analytics' ),
+			array( $this, 'render' )
+		);
+	}
+
+	/**
+	 * Enqueue the report styles on the dashboard.
+	 *
+	 * @param string $hook Current admin page hook.
+	 */
+	public function enqueue_styles( $hook ) {
+		if ( 'index.php' !== $hook || ! current_user_can( WDA_Admin_Reports::get_capability() ) ) {
+			return;
+		}
+
+		wp_enqueue_style(
+			'wda-admin-reports',
+			WDA_PLUGIN_URL . 'assets/css/admin/reports.css',
+			array(),
+			WDA_VERSION
+		);
+	}
+
+	/**
+	 * Schedule the hourly refresh if it isn't scheduled yet.
+	 */
+	public function maybe_schedule() {
+		if ( ! wp_next_scheduled( self::CRON_HOOK ) ) {
+			wp_schedule_event( time(), 'hourly', self::CRON_HOOK );
+		}
+	}
+
+	/**
+	 * Rebuild the cached figures.
+	 *
+	 * The cache outlives two refreshes, so a missed cron run doesn't empty
+	 * the widget.
+	 */
+	public function refresh() {
+		$data = $this->get_widget_data();
+
+		if ( is_wp_error( $data ) ) {
+			$data = array(
+				'error'        => $data->get_error_message(),
+				'refreshed_at' => time(),
+			);
+		}
+
+		set_transient( self::CACHE_KEY, $data, 3 * HOUR_IN_SECONDS );
+	}
+
+	/**
+	 * Build the widget figures.
+	 *
+	 * Each window ends today and is compared with the window before it.
+	 * Amounts are converted to the store currency.
+	 *
+	 * @return array|WP_Error Array with periods, starting, ending and refreshed_at.
+	 */
+	public function get_widget_data() {
+		$reports = WDA_REST_Reports::instance();
+		$today   = current_time( 'Y-m-d' );
+		$periods = array();
+
+		foreach ( self::PERIODS as $days ) {
+			$date_from = gmdate( 'Y-m-d', strtotime( '-' . ( $days - 1 ) . ' days', strtotime( $today ) ) );
+
+			$summary = $reports->run_report( 'discount-summary', array(
+				'date_from' => $date_from,
+				'date_to'   => $today,
+				'interval'  => 'day',
+				'compare'   => 'previous_period',
+				'convert'   => true,
+			) );
+
+			if ( is_wp_error( $summary ) ) {
+				return $summary;
+			}
+
+			$metrics = array();
+			foreach ( array( 'total_discount', 'discount_pct_of_revenue', 'discounted_units' ) as $key ) {
+				$metrics[ $key ] = array(
+					'value'      => $summary[ $key ],
+					'change_pct' => $summary['comparison']['metrics'][ $key ]['change_pct'],
+				);
+			}
+
+			$periods[ $days ] = array(
+				'date_from' => $date_from,
+				'date_to'   => $today,
+				'currency'  => $summary['currency'],
+				'metrics'   => $metrics,
+				'series'    => wp_list_pluck( $summary['series'], 'total_discount' ),
+			);
+		}
+
+		$starting = $this->get_upcoming_sales( 'scheduled', 'sale_start' );
+		if ( is_wp_error( $starting ) ) {
+			return $starting;
+		}
+
+		$ending = $this->get_upcoming_sales( 'active', 'sale_end' );
+		if ( is_wp_error( $ending ) ) {
+			return $ending;
+		}
+
+		return array(
+			'periods'      => $periods,
+			'starting'     => $starting,
+			'ending'       => $ending,
+			'refreshed_at' => time(),
+		);
+	}
+
+	/**
+	 * Get the sales starting or ending within the next UPCOMING_HOURS.
+	 *
+	 * @param string $status     Sale status to look in (scheduled or active).
+	 * @param string $date_field Date to check (sale_start or sale_end).
+	 * @return array|WP_Error Array with items (soonest first, up to MAX_UPCOMING) and total.
+	 */
+	private function get_upcoming_sales( $status, $date_field ) {
+		$params = array(
+			'sale_status' => $status,
+			'orderby'     => $date_field,
+			'order'       => 'ASC',
+			'per_page'    => 100,
+		);
+
+		if ( 'sale_end' === $date_field ) {
+			$params['ends_within'] = (int) ceil( self::UPCOMING_HOURS / 24 );
+		}
+
+		$result = WDA_REST_Reports::instance()->run_report( 'current-discounts', $params );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$cutoff = time() + self::UPCOMING_HOURS * HOUR_IN_SECONDS;
+		$sales  = array();
+
+		foreach ( $result['items'] as $item ) {
+			// Report dates are in site time.
+			if ( empty( $item[ $date_field ] ) || strtotime( get_gmt_from_date( $item[ $date_field ] ) ) > $cutoff ) {
+				continue;
+			}
+
+			$sales[] = array(
+				'id'           => $item['id'],
+				'parent_id'    => $item['parent_id'],
+				'name'         => $item['name'],
+				'discount_pct' => $item['discount_pct'],
+				'date'         => $item[ $date_field ],
+			);
+		}
+
+		return array(
+			'items' => array_slice( $sales, 0, self::MAX_UPCOMING ),
+			'total' => count( $sales ),
+		);
+	}
+
+	/**
+	 * Render the widget from the cached figures.
+	 */
+	public function render() {
+		$data = get_transient( self::CACHE_KEY );
+
+		if ( false === $data ) {
+			// Build the figures in the background rather than on this page load.
+			if ( ! wp_next_scheduled( self::CRON_HOOK ) || wp_next_scheduled( self::CRON_HOOK ) > time() + MINUTE_IN_SECONDS ) {
+				wp_schedule_single_event( time(), self::CRON_HOOK );
+			}
+			?>
+			<p class="wda-dashboard-notice"><?php esc_html_e( 'The discount figures are being prepared and will show here shortly.', 'woo-discount-analytics' ); ?></p>
+			<?php
+			return;
+		}
+
+		if ( ! empty( $data['error'] ) ) {
+			?>
+			<p class="wda-dashboard-notice"><?php echo esc_html( sprintf( /* translators: %s: error message */ __( 'The discount figures could not be built: %s', 'woo-discount-analytics' ), $data['error'] ) ); ?></p>
+			<?php
+			$this->render_links( null );
+			return;
+		}
+
+		$labels = array(
+			'total_discount'          => __( 'Total discount', 'woo-discount-analytics' ),
+			'discount_pct_of_revenue' => __( 'Discount % of revenue', 'woo-discount-analytics' ),
+			'discounted_units'        => __( 'Discounted units', 'woo-discount-analytics' ),
+		);
+		$longest = $data['periods'][ max( self::PERIODS ) ];
+		?>
+		<div class="wda-dashboard-widget">
+			<table class="wda-dashboard-kpis">
+				<thead>
+					<tr>
+						<th></th>
+						<?php foreach ( $data['periods'] as $days => $period ) : ?>
+							<?php /* translators: %d: number of days */ ?>
+							<th class="col-numeric"><?php echo esc_html( sprintf( _n( 'Last %d day', 'Last %d days', $days, 'woo-discount-analytics' ), $days ) ); ?></th>
+						<?php endforeach; ?>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $labels as $key => $label ) : ?>
+						<tr>
+							<th scope="row"><?php echo esc_html( $label ); ?></th>
+							<?php foreach ( $data['periods'] as $period ) : ?>
+								<td class="col-numeric">
+									<?php echo wp_kses_post( $this->format_metric( $key, $period['metrics'][ $key ]['value'], $period['currency'] ) ); ?>
+									<?php if ( null !== $period['metrics'][ $key ]['change_pct'] ) : ?>
+										<span class="wda-dashboard-change"><?php echo esc_html( ( $period['metrics'][ $key ]['change_pct'] > 0 ? '+' : '' ) . wc_format_decimal( $period['metrics'][ $key ]['change_pct'], 1 ) . '%' ); ?></span>
+									<?php endif; ?>
+								</td>
+							<?php endforeach; ?>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+
+			<div class="wda-dashboard-sparkline">
+				<?php /* translators: %d: number of days */ ?>
+				<span class="wda-dashboard-sparkline-label"><?php echo esc_html( sprintf( __( 'Total discount per day, last %d days', 'woo-discount-analytics' ), max( self::PERIODS ) ) ); ?></span>
+				<?php $this->render_sparkline( $longest['series'] ); ?>
+			</div>
+
+			<?php
+			/* translators: %d: number of hours */
+			$this->render_upcoming( sprintf( __( 'Starting in the next %d hours', 'woo-discount-analytics' ), self::UPCOMING_HOURS ), $data['starting'], 'scheduled', 'sale_start' );
+			/* translators: %d: number of hours */
+			$this->render_upcoming( sprintf( __( 'Ending in the next %d hours', 'woo-discount-analytics' ), self::UPCOMING_HOURS ), $data['ending'], 'active', 'sale_end' );
+			$this->render_links( $longest );
+			?>
+
+			<p class="wda-dashboard-updated">
+				<?php /* translators: %s: time since the figures were built, e.g. "5 mins" */ ?>
+				<?php echo esc_html( sprintf( __( 'Updated %s ago.', 'woo-discount-analytics' ), human_time_diff( $data['refreshed_at'] ) ) ); ?>
+			</p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the sparkline as an inline SVG.
+	 *
+	 * @param float[] $values Values, oldest first.
+	 */
+	private function render_sparkline( $values ) {
+		$values = array_map( 'floatval', array_values( $values ) );
+		$count  = count( $values );
+		$max    = $count ? max( $values ) : 0;
+		$width  = 300;
+		$height = 40;
+		$points = array();
+
+		foreach ( $values as $index => $value ) {
+			$x        = $count > 1 ? $index / ( $count - 1 ) * $width : $width / 2;
+			$y        = $max > 0 ? $height - 2 - $value / $max * ( $height - 4 ) : $height - 2;
+			$points[] = round( $x, 1 ) . ',' . round( $y, 1 );
+		}
+		?>
+		<svg class="wda-sparkline" viewBox="0 0 <?php echo esc_attr( $width . ' ' . $height ); ?>" preserveAspectRatio="none" aria-hidden="true" focusable="false">
+			<polyline points="<?php echo esc_attr( implode( ' ', $points ) ); ?>" />
+		</svg>
+		<?php
+	}
+
+	/**
+	 * Render a list of upcoming sale starts or ends.
+	 *
+	 * @param string $title      List heading.
+	 * @param array  $sales      Sales, with items and total.
+	 * @param string $status     Sale status the list links to.
+	 * @param string $date_field Date the list is sorted by.
+	 */
+	private function render_upcoming( $title, $sales, $status, $date_field ) {
+		$url = add_query_arg( array(
+			'page'        => WDA_Admin_Reports::MENU_SLUG,
+			'sale_status' => $status,
+			'orderby'     => $date_field,
+			'order'       => 'ASC',
+		), admin_url( 'admin.php' ) );
+		?>
+		<h3 class="wda-dashboard-heading"><?php echo esc_html( $title ); ?></h3>
+		<?php if ( empty( $sales['items'] ) ) : ?>
+			<p class="wda-dashboard-empty"><?php esc_html_e( 'None.', 'woo-discount-analytics' ); ?></p>
+		<?php else : ?>
+			<ul class="wda-dashboard-sales">
+				<?php foreach ( $sales['items'] as $sale ) : ?>
+					<li>
+						<a href="<?php echo esc_url( get_edit_post_link( $sale['parent_id'] ? $sale['parent_id'] : $sale['id'] ) ); ?>"><?php echo esc_html( $sale['name'] ); ?></a>
+						<?php /* translators: %s: discount percentage */ ?>
+						<span class="wda-dashboard-sale-pct"><?php echo esc_html( sprintf( __( '%s%% off', 'woo-discount-analytics' ), wc_format_decimal( $sale['discount_pct'], 0 ) ) ); ?></span>
+						<span class="wda-dashboard-sale-date"><?php echo esc_html( date_i18n( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), strtotime( $sale['date'] ) ) ); ?></span>
+					</li>
+				<?php endforeach; ?>
+			</ul>
+			<?php if ( $sales['total'] > count( $sales['items'] ) ) : ?>
+				<?php /* translators: %d: number of further sales */ ?>
+				<p class="wda-dashboard-more"><a href="<?php echo esc_url( $url ); ?>"><?php echo esc_html( sprintf( _n( 'and %d more', 'and %d more', $sales['total'] - count( $sales['items'] ), 'woo-discount-analytics' ), $sales['total'] - count( $sales['items'] ) ) ); ?></a></p>
+			<?php endif; ?>
+		<?php endif; ?>
+		<?php
+	}
+
+	/**
+	 * Render the links into the full reports.
+	 *
+	 * @param array|null $period Period the summary link opens with, or null for the default.
+	 */
+	private function render_links( $period ) {
+		$summary_args = array( 'page' => WDA_Admin_Reports::MENU_SLUG . '-summary' );
+
+		if ( $period ) {
+			$summary_args += array(
+				'date_from' => $period['date_from'],
+				'date_to'   => $period['date_to'],
+				'interval'  => 'day',
+				'compare'   => 'previous_period',
+			);
+		}
+
+		$links = array(
+			array( add_query_arg( $summary_args, admin_url( 'admin.php' ) ), __( 'Discount Summary', 'woo-discount-analytics' ) ),
+			array( add_query_arg( 'page', WDA_Admin_Reports::MENU_SLUG . '-history', admin_url( 'admin.php' ) ), __( 'Discount History', 'woo-discount-analytics' ) ),
+			array( add_query_arg( 'page', WDA_Admin_Reports::MENU_SLUG, admin_url( 'admin.php' ) ), __( 'Current Discounts', 'woo-discount-analytics' ) ),
+		);
+		?>
+		<p class="wda-dashboard-links">
+			<?php foreach ( $links as $link ) : ?>
+				<a href="<?php echo esc_url( $link[0] ); ?>"><?php echo esc_html( $link[1] ); ?></a>
+			<?php endforeach; ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Format a figure for the widget.
+	 *
+	 * @param string $key      Metric key.
+	 * @param float  $value    Value.
+	 * @param string $currency Currency code.
+	 * @return string HTML.
+	 */
+	private function format_metric( $key, $value, $currency ) {
+		if ( 'discount_pct_of_revenue' === $key ) {
+			return wc_format_decimal( $value, 2 ) . '%';
+		}
+
+		if ( 'discounted_units' === $key ) {
+			return number_format_i18n( $value );
+		}
+
+		return wc_price( $value, array( 'currency' => $currency ) );
+	}
+}
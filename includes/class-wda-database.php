@@ -30,6 +30,27 @@ class WDA_Database {
 	 */
 	const TABLE_NAME = 'wc_sale_price_discounts';
 
+	/**
+	 * Lookup table of the product categories of each discount entry.
+	 *
+	 * @var string
+	 */
+	const CATEGORIES_TABLE_NAME = 'wc_sale_price_discount_categories';
+
+	/**
+	 * Lookup table of the coupon codes of each discount entry.
+	 *
+	 * @var string
+	 */
+	const COUPONS_TABLE_NAME = 'wc_sale_price_discount_coupons';
+
+	/**
+	 * Current table schema version.
+	 *
+	 * @var string
+	 */
+	const DB_VERSION = '1.6.0';
+
 	/**
 	 * Get the single instance.
 	 *
@@ -59,6 +80,26 @@ class WDA_Database {
 		return $wpdb->prefix . self::TABLE_NAME;
 	}
 
+	/**
+	 * Get category lookup table name with WordPress prefix.
+	 *
+	 * @return string
+	 */
+	public static function get_categories_table_name() {
+		global $wpdb;
+		return $wpdb->prefix . self::CATEGORIES_TABLE_NAME;
+	}
+
+	/**
+	 * Get coupon lookup table name with WordPress prefix.
+	 *
+	 * @return string
+	 */
+	public static function get_coupons_table_name() {
+		global $wpdb;
+		return $wpdb->prefix . self::COUPONS_TABLE_NAME;
+	}
+
 	/**
 	 * Create the custom table.
 	 *
@@ -67,6 +108,11 @@ class WDA_Database {
 	public function create_table() {
 		global $wpdb;
 
+		// An existing table is upgraded in place rather than recreated.
+		if ( $this->table_exists() ) {
+			return $this->maybe_upgrade_table();
+		}
+
 		$table_name = self::get_table_name();
 		$charset_collate = $wpdb->get_charset_collate();
 
@@ -76,34 +122,211 @@ class WDA_Database {
 			order_item_id BIGINT UNSIGNED NOT NULL,
 			product_id BIGINT UNSIGNED NOT NULL,
 			variation_id BIGINT UNSIGNED DEFAULT 0,
+			product_name VARCHAR(255) NOT NULL DEFAULT '',
 			regular_price DECIMAL(19,4) NOT NULL,
 			sale_price DECIMAL(19,4) NOT NULL,
 			discount_amount DECIMAL(19,4) NOT NULL,
 			discount_percentage DECIMAL(5,2) NOT NULL,
+			coupon_discount DECIMAL(19,4) NOT NULL DEFAULT 0,
+			coupon_codes VARCHAR(255) NOT NULL DEFAULT '',
 			quantity DECIMAL(10,2) NOT NULL,
+			line_total DECIMAL(19,4) NOT NULL DEFAULT 0,
+			unit_cost DECIMAL(19,4) DEFAULT NULL,
 			currency VARCHAR(3) NOT NULL,
+			exchange_rate DECIMAL(19,8) DEFAULT NULL,
 			created_at DATETIME NOT NULL,
 			refund_id BIGINT UNSIGNED DEFAULT 0,
 			refunded_at DATETIME DEFAULT NULL,
+			refunded_quantity DECIMAL(10,2) NOT NULL DEFAULT 0,
+			refunded_amount DECIMAL(19,4) NOT NULL DEFAULT 0,
 			INDEX idx_order_id (order_id),
 			INDEX idx_product_id (product_id),
 			INDEX idx_created_at (created_at),
+			INDEX idx_currency (currency),
 			INDEX idx_refund_id (refund_id)
 		) {$charset_collate};";
 
 		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
 		dbDelta( $sql );
 
+		$this->create_lookup_tables();
+
 		// Check if table was created successfully.
 		$table_exists = $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $table_name ) ) === $table_name;
 
 		if ( $table_exists ) {
-			update_option( 'wda_db_version', '1.1.0' );
+			update_option( 'wda_db_version', self::DB_VERSION );
 		}
 
 		return $table_exists;
 	}
 
+	/**
+	 * Create the category and coupon lookup tables.
+	 *
+	 * Reports filter and group on these instead of reading product terms
+	 * and coupon lists line by line.
+	 */
+	private function create_lookup_tables() {
+		global $wpdb;
+
+		$charset_collate = $wpdb->get_charset_collate();
+		$categories_table = self::get_categories_table_name();
+		$coupons_table = self::get_coupons_table_name();
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+		dbDelta( "CREATE TABLE IF NOT EXISTS {$categories_table} (
+			discount_id BIGINT UNSIGNED NOT NULL,
+			category_id BIGINT UNSIGNED NOT NULL,
+			PRIMARY KEY  (category_id, discount_id),
+			INDEX idx_discount_id (discount_id)
+		) {$charset_collate};" );
+
+		dbDelta( "CREATE TABLE IF NOT EXISTS {$coupons_table} (
+			discount_id BIGINT UNSIGNED NOT NULL,
+			coupon_code VARCHAR(100) NOT NULL,
+			PRIMARY KEY  (coupon_code, discount_id),
+			INDEX idx_discount_id (discount_id)
+		) {$charset_collate};" );
+	}
+
+	/**
+	 * Bring an existing table up to the current schema version.
+	 *
+	 * @return bool True if the table is current, false on failure.
+	 */
+	public function maybe_upgrade_table() {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return false;
+		}
+
+		$db_version = get_option( 'wda_db_version', '1.1.0' );
+		if ( version_compare( $db_version, self::DB_VERSION, '>=' ) ) {
+			return true;
+		}
+
+		$table_name = self::get_table_name();
+		$columns    = $wpdb->get_col( "SHOW COLUMNS FROM {$table_name}" );
+
+		// 1.2.0: coupon discounts per line.
+		if ( ! in_array( 'coupon_discount', $columns, true ) ) {
+			if ( false === $wpdb->query( "ALTER TABLE {$table_name} ADD COLUMN coupon_discount DECIMAL(19,4) NOT NULL DEFAULT 0 AFTER discount_percentage, ADD COLUMN coupon_codes VARCHAR(255) NOT NULL DEFAULT '' AFTER coupon_discount" ) ) {
+				return false;
+			}
+
+			// Backfill per-unit coupon discounts from the captured line totals.
+			$wpdb->query(
+				"UPDATE {$table_name} t
+				INNER JOIN {$wpdb->prefix}woocommerce_order_itemmeta s ON s.order_item_id = t.order_item_id AND s.meta_key = '_line_subtotal'
+				INNER JOIN {$wpdb->prefix}woocommerce_order_itemmeta l ON l.order_item_id = t.order_item_id AND l.meta_key = '_line_total'
+				SET t.coupon_discount = GREATEST( 0, ( s.meta_value - l.meta_value ) / t.quantity )
+				WHERE t.quantity > 0"
+			);
+		}
+
+		// 1.3.0: partial refunds per line.
+		if ( ! in_array( 'refunded_quantity', $columns, true ) ) {
+			if ( false === $wpdb->query( "ALTER TABLE {$table_name} ADD COLUMN refunded_quantity DECIMAL(10,2) NOT NULL DEFAULT 0 AFTER refunded_at, ADD COLUMN refunded_amount DECIMAL(19,4) NOT NULL DEFAULT 0 AFTER refunded_quantity" ) ) {
+				return false;
+			}
+
+			// Lines marked refunded were fully excluded before; recount them from their orders.
+			$refunded_order_ids = $wpdb->get_col( "SELECT DISTINCT order_id FROM {$table_name} WHERE refund_id > 0" );
+			foreach ( $refunded_order_ids as $order_id ) {
+				$this->sync_order_refunds( $order_id );
+			}
+		}
+
+		// 1.4.0: exchange rate to the base currency per line.
+		if ( ! in_array( 'exchange_rate', $columns, true ) ) {
+			if ( false === $wpdb->query( "ALTER TABLE {$table_name} ADD COLUMN exchange_rate DECIMAL(19,8) DEFAULT NULL AFTER currency, ADD INDEX idx_currency (currency)" ) ) {
+				return false;
+			}
+
+			// Only base-currency lines have a known rate; others stay unconverted.
+			$wpdb->query(
+				$wpdb->prepare(
+					"UPDATE {$table_name} SET exchange_rate = 1 WHERE currency = %s",
+					get_option( 'woocommerce_currency', 'USD' )
+				)
+			);
+		}
+
+		// 1.5.0: display data and category/coupon lookups stored per line.
+		if ( ! in_array( 'product_name', $columns, true ) ) {
+			if ( false === $wpdb->query( "ALTER TABLE {$table_name} ADD COLUMN product_name VARCHAR(255) NOT NULL DEFAULT '' AFTER variation_id, ADD COLUMN line_total DECIMAL(19,4) NOT NULL DEFAULT 0 AFTER quantity" ) ) {
+				return false;
+			}
+
+			$this->create_lookup_tables();
+			$this->backfill_lookups();
+		}
+
+		// 1.6.0: unit cost per line. Costs at the time of earlier orders are unknown, so they stay empty.
+		if ( ! in_array( 'unit_cost', $columns, true ) ) {
+			if ( false === $wpdb->query( "ALTER TABLE {$table_name} ADD COLUMN unit_cost DECIMAL(19,4) DEFAULT NULL AFTER line_total" ) ) {
+				return false;
+			}
+		}
+
+		update_option( 'wda_db_version', self::DB_VERSION );
+
+		return true;
+	}
+
+	/**
+	 * Fill the 1.5.0 columns and lookup tables for entries captured before them.
+	 *
+	 * Names and categories are taken from the products as they are now,
+	 * line totals from the order lines.
+	 */
+	private function backfill_lookups() {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$categories_table = self::get_categories_table_name();
+		$coupons_table = self::get_coupons_table_name();
+
+		$wpdb->query(
+			"UPDATE {$table_name} t
+			INNER JOIN {$wpdb->posts} p ON p.ID = t.product_id
+			SET t.product_name = LEFT( p.post_title, 255 )"
+		);
+
+		$wpdb->query(
+			"UPDATE {$table_name} t
+			INNER JOIN {$wpdb->prefix}woocommerce_order_itemmeta l ON l.order_item_id = t.order_item_id AND l.meta_key = '_line_total'
+			SET t.line_total = l.meta_value"
+		);
+
+		$wpdb->query(
+			"INSERT IGNORE INTO {$categories_table} ( discount_id, category_id )
+			SELECT t.id, tt.term_id FROM {$table_name} t
+			INNER JOIN {$wpdb->term_relationships} tr ON tr.object_id = t.product_id
+			INNER JOIN {$wpdb->term_taxonomy} tt ON tt.term_taxonomy_id = tr.term_taxonomy_id AND tt.taxonomy = 'product_cat'"
+		);
+
+		// Coupon lists are split in PHP, in batches.
+		$last_id = 0;
+		do {
+			$rows = $wpdb->get_results(
+				$wpdb->prepare(
+					"SELECT id, coupon_codes FROM {$table_name} WHERE id > %d AND coupon_codes <> '' ORDER BY id ASC LIMIT 1000",
+					$last_id
+				),
+				ARRAY_A
+			);
+
+			foreach ( $rows as $row ) {
+				$this->insert_coupon_lookups( $row['id'], $row['coupon_codes'] );
+				$last_id = absint( $row['id'] );
+			}
+		} while ( count( $rows ) === 1000 );
+	}
+
 	/**
 	 * Check if table exists.
 	 *
@@ -135,15 +358,23 @@ class WDA_Database {
 			'order_item_id'     => 0,
 			'product_id'        => 0,
 			'variation_id'      => 0,
+			'product_name'      => '',
 			'regular_price'     => 0,
 			'sale_price'        => 0,
 			'discount_amount'   => 0,
 			'discount_percentage' => 0,
+			'coupon_discount'   => 0,
+			'coupon_codes'      => '',
 			'quantity'          => 0,
+			'line_total'        => 0,
+			'unit_cost'         => null,
 			'currency'          => get_woocommerce_currency(),
+			'exchange_rate'     => null,
 			'created_at'        => current_time( 'mysql' ),
 			'refund_id'         => 0,
 			'refunded_at'       => null,
+			'refunded_quantity' => 0,
+			'refunded_amount'   => 0,
 		);
 
 		$data = wp_parse_args( $data, $defaults );
@@ -154,15 +385,23 @@ class WDA_Database {
 			'order_item_id'     => absint( $data['order_item_id'] ),
 			'product_id'        => absint( $data['product_id'] ),
 			'variation_id'      => absint( $data['variation_id'] ),
+			'product_name'      => sanitize_text_field( $data['product_name'] ),
 			'regular_price'     => floatval( $data['regular_price'] ),
 			'sale_price'        => floatval( $data['sale_price'] ),
 			'discount_amount'   => floatval( $data['discount_amount'] ),
 			'discount_percentage' => floatval( $data['discount_percentage'] ),
+			'coupon_discount'   => floatval( $data['coupon_discount'] ),
+			'coupon_codes'      => sanitize_text_field( is_array( $data['coupon_codes'] ) ? implode( ',', $data['coupon_codes'] ) : $data['coupon_codes'] ),
 			'quantity'          => floatval( $data['quantity'] ),
+			'line_total'        => floatval( $data['line_total'] ),
+			'unit_cost'         => null === $data['unit_cost'] ? null : floatval( $data['unit_cost'] ),
 			'currency'          => sanitize_text_field( $data['currency'] ),
+			'exchange_rate'     => null === $data['exchange_rate'] ? null : floatval( $data['exchange_rate'] ),
 			'created_at'        => sanitize_text_field( $data['created_at'] ),
 			'refund_id'         => absint( $data['refund_id'] ),
 			'refunded_at'       => $data['refunded_at'] ? sanitize_text_field( $data['refunded_at'] ) : null,
+			'refunded_quantity' => floatval( $data['refunded_quantity'] ),
+			'refunded_amount'   => floatval( $data['refunded_amount'] ),
 		);
 
 		$result = $wpdb->insert( $table_name, $insert_data );
@@ -171,7 +410,43 @@ class WDA_Database {
 			return false;
 		}
 
-		return $wpdb->insert_id;
+		$discount_id = $wpdb->insert_id;
+
+		// Categories are recorded as they are at capture time.
+		foreach ( wc_get_product_term_ids( $insert_data['product_id'], 'product_cat' ) as $category_id ) {
+			$wpdb->insert(
+				self::get_categories_table_name(),
+				array(
+					'discount_id' => $discount_id,
+					'category_id' => $category_id,
+				),
+				array( '%d', '%d' )
+			);
+		}
+
+		$this->insert_coupon_lookups( $discount_id, $insert_data['coupon_codes'] );
+
+		return $discount_id;
+	}
+
+	/**
+	 * Record the coupon codes of a discount entry in the coupon lookup table.
+	 *
+	 * @param int    $discount_id  Discount entry ID.
+	 * @param string $coupon_codes Stored comma-separated codes.
+	 */
+	private function insert_coupon_lookups( $discount_id, $coupon_codes ) {
+		global $wpdb;
+
+		foreach ( array_unique( WDA_Discount_Capture::parse_coupon_codes( $coupon_codes ) ) as $code ) {
+			$wpdb->query(
+				$wpdb->prepare(
+					'INSERT IGNORE INTO ' . self::get_coupons_table_name() . ' ( discount_id, coupon_code ) VALUES ( %d, %s )',
+					$discount_id,
+					$code
+				)
+			);
+		}
 	}
 
 	/**
@@ -192,7 +467,7 @@ class WDA_Database {
 
 		$result = $wpdb->get_row(
 			$wpdb->prepare(
-				"SELECT * FROM {$table_name} WHERE order_item_id = %d AND refund_id = 0 ORDER BY id DESC LIMIT 1",
+				"SELECT * FROM {$table_name} WHERE order_item_id = %d ORDER BY id DESC LIMIT 1",
 				$order_item_id
 			),
 			ARRAY_A
@@ -219,7 +494,7 @@ class WDA_Database {
 
 		$results = $wpdb->get_results(
 			$wpdb->prepare(
-				"SELECT * FROM {$table_name} WHERE order_id = %d AND refund_id = 0 ORDER BY id ASC",
+				"SELECT * FROM {$table_name} WHERE order_id = %d ORDER BY id ASC",
 				$order_id
 			),
 			ARRAY_A
@@ -229,7 +504,24 @@ class WDA_Database {
 	}
 
 	/**
-	 * Mark discount entries as refunded.
+	 * Get the currencies that discount entries were recorded in.
+	 *
+	 * @return string[] Currency codes, sorted.
+	 */
+	public function get_currencies() {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return array();
+		}
+
+		$table_name = self::get_table_name();
+
+		return $wpdb->get_col( "SELECT DISTINCT currency FROM {$table_name} ORDER BY currency ASC" );
+	}
+
+	/**
+	 * Mark discount entries as fully refunded.
 	 *
 	 * @param int    $order_item_id Original order item ID.
 	 * @param int    $refund_id Refund ID.
@@ -237,42 +529,134 @@ class WDA_Database {
 	 * @return bool True on success, false on failure.
 	 */
 	public function mark_as_refunded( $order_item_id, $refund_id, $refunded_at = null ) {
+		$discount = $this->get_discount_by_item_id( $order_item_id );
+		if ( ! $discount ) {
+			return false;
+		}
+
+		$line_total = floatval( $discount['sale_price'] ) - floatval( $discount['coupon_discount'] );
+
+		return $this->update_refund( $order_item_id, $refund_id, $discount['quantity'], $line_total * floatval( $discount['quantity'] ), $refunded_at );
+	}
+
+	/**
+	 * Set the refunded quantity and amount of a discount entry.
+	 *
+	 * Values are totals across all of the order's refunds, not increments,
+	 * so the entry can be recalculated whenever a refund is added or removed.
+	 *
+	 * @param int    $order_item_id     Original order item ID.
+	 * @param int    $refund_id         Latest refund ID (0 when nothing is refunded).
+	 * @param float  $refunded_quantity Total refunded quantity.
+	 * @param float  $refunded_amount   Total refunded line amount.
+	 * @param string $refunded_at       Latest refund timestamp.
+	 * @return bool True on success, false on failure.
+	 */
+	public function update_refund( $order_item_id, $refund_id, $refunded_quantity, $refunded_amount, $refunded_at = null ) {
 		global $wpdb;
 
 		if ( ! $this->table_exists() ) {
 			return false;
 		}
 
-		$table_name = self::get_table_name();
-		$order_item_id = absint( $order_item_id );
 		$refund_id = absint( $refund_id );
-		$refunded_at = $refunded_at ? sanitize_text_field( $refunded_at ) : current_time( 'mysql' );
+
+		if ( $refund_id ) {
+			$refunded_at = $refunded_at ? sanitize_text_field( $refunded_at ) : current_time( 'mysql' );
+		} else {
+			$refunded_at = null;
+		}
 
 		$result = $wpdb->update(
-			$table_name,
+			self::get_table_name(),
 			array(
-				'refund_id'   => $refund_id,
-				'refunded_at' => $refunded_at,
+				'refund_id'         => $refund_id,
+				'refunded_at'       => $refunded_at,
+				'refunded_quantity' => abs( floatval( $refunded_quantity ) ),
+				'refunded_amount'   => abs( floatval( $refunded_amount ) ),
 			),
 			array(
-				'order_item_id' => $order_item_id,
-				'refund_id'     => 0, // Only update non-refunded entries.
+				'order_item_id' => absint( $order_item_id ),
 			),
-			array( '%d', '%s' ),
-			array( '%d', '%d' )
+			array( '%d', '%s', '%f', '%f' ),
+			array( '%d' )
 		);
 
 		return $result !== false;
 	}
 
+	/**
+	 * Recalculate refunded quantities and amounts for an order's discount entries.
+	 *
+	 * Refunds are queried directly rather than read from the order, whose
+	 * cached refund list can be stale while a refund is being created.
+	 *
+	 * @param int $order_id Order ID.
+	 */
+	public function sync_order_refunds( $order_id ) {
+		$refunds = wc_get_orders( array(
+			'type'    => 'shop_order_refund',
+			'parent'  => absint( $order_id ),
+			'limit'   => -1,
+			'orderby' => 'date',
+			'order'   => 'ASC',
+		) );
+
+		$refunded = array();
+
+		foreach ( $refunds as $refund ) {
+			$refunded_at = $refund->get_date_created() ? $refund->get_date_created()->format( 'Y-m-d H:i:s' ) : current_time( 'mysql' );
+
+			foreach ( $refund->get_items( 'line_item' ) as $refunded_item ) {
+				$item_id = absint( $refunded_item->get_meta( '_refunded_item_id' ) );
+				if ( ! $item_id ) {
+					continue;
+				}
+
+				if ( ! isset( $refunded[ $item_id ] ) ) {
+					$refunded[ $item_id ] = array(
+						'quantity' => 0,
+						'amount'   => 0,
+					);
+				}
+
+				$refunded[ $item_id ]['quantity']   += abs( floatval( $refunded_item->get_quantity() ) );
+				$refunded[ $item_id ]['amount']     += abs( floatval( $refunded_item->get_total() ) );
+				$refunded[ $item_id ]['refund_id']   = $refund->get_id();
+				$refunded[ $item_id ]['refunded_at'] = $refunded_at;
+			}
+		}
+
+		foreach ( $this->get_discounts_by_order_id( $order_id ) as $discount ) {
+			$item_id = absint( $discount['order_item_id'] );
+
+			if ( isset( $refunded[ $item_id ] ) ) {
+				$this->update_refund( $item_id, $refunded[ $item_id ]['refund_id'], $refunded[ $item_id ]['quantity'], $refunded[ $item_id ]['amount'], $refunded[ $item_id ]['refunded_at'] );
+			} else {
+				$this->update_refund( $item_id, 0, 0, 0 );
+			}
+		}
+	}
+
 	/**
 	 * Migrate existing order item meta data to custom table.
 	 *
+	 * Order items are read in batches of `batch_size`. With `dry_run`, nothing
+	 * is written and `migrated` counts the lines that would be migrated.
+	 * `on_batch` is called with the running results after each batch.
+	 *
+	 * @param array $args Optional. Arguments: batch_size, dry_run, on_batch.
 	 * @return array Migration results.
 	 */
-	public function migrate_meta_to_table() {
+	public function migrate_meta_to_table( $args = array() ) {
 		global $wpdb;
 
+		$args = wp_parse_args( $args, array(
+			'batch_size' => 500,
+			'dry_run'    => false,
+			'on_batch'   => null,
+		) );
+
 		if ( ! $this->table_exists() ) {
 			return array(
 				'success' => false,
@@ -288,87 +672,53 @@ class WDA_Database {
 			'message'    => '',
 		);
 
-		// Get all order items with discount meta.
-		$meta_key = WDA_Discount_Capture::META_WAS_ON_SALE;
-		$order_item_meta = $wpdb->get_results(
-			$wpdb->prepare(
-				"SELECT order_item_id, meta_value FROM {$wpdb->prefix}woocommerce_order_itemmeta 
-				WHERE meta_key = %s AND meta_value = 'yes'",
-				$meta_key
-			),
-			ARRAY_A
-		);
-
-		if ( empty( $order_item_meta ) ) {
-			$results['message'] = __( 'No discount data found to migrate.', 'woo-discount-analytics' );
-			return $results;
-		}
-
-		foreach ( $order_item_meta as $meta ) {
-			$order_item_id = absint( $meta['order_item_id'] );
-
-			// Check if already migrated.
-			if ( $this->get_discount_by_item_id( $order_item_id ) ) {
-				$results['skipped']++;
-				continue;
-			}
-
-			// Get order item.
-			$order_item = new WC_Order_Item_Product( $order_item_id );
-			if ( ! $order_item->get_id() ) {
-				$results['errors']++;
-				continue;
-			}
+		$batch_size         = max( 1, absint( $args['batch_size'] ) );
+		$last_item_id       = 0;
+		$migrated_order_ids = array();
 
-			// Get order ID from order item meta or direct query.
-			global $wpdb;
-			$order_id = $wpdb->get_var(
+		do {
+			// Get the next batch of order items with sale or coupon discount meta.
+			$order_item_ids = $wpdb->get_col(
 				$wpdb->prepare(
-					"SELECT order_id FROM {$wpdb->prefix}woocommerce_order_items WHERE order_item_id = %d",
-					$order_item_id
+					"SELECT DISTINCT order_item_id FROM {$wpdb->prefix}woocommerce_order_itemmeta
+					WHERE order_item_id > %d AND ( ( meta_key = %s AND meta_value = 'yes' ) OR ( meta_key = %s AND meta_value + 0 > 0 ) )
+					ORDER BY order_item_id ASC LIMIT %d",
+					$last_item_id,
+					WDA_Discount_Capture::META_WAS_ON_SALE,
+					WDA_Discount_Capture::META_COUPON_DISCOUNT,
+					$batch_size
 				)
 			);
 
-			if ( ! $order_id ) {
-				$results['errors']++;
-				continue;
+			foreach ( $order_item_ids as $order_item_id ) {
+				$last_item_id = absint( $order_item_id );
+				$this->migrate_order_item( $last_item_id, $args['dry_run'], $results, $migrated_order_ids );
 			}
 
-			$order = wc_get_order( $order_id );
-			if ( ! $order ) {
-				$results['errors']++;
-				continue;
+			if ( is_callable( $args['on_batch'] ) && ! empty( $order_item_ids ) ) {
+				call_user_func( $args['on_batch'], $results );
 			}
+		} while ( count( $order_item_ids ) === $batch_size );
 
-			// Get discount data from meta.
-			$discount_data = WDA_Discount_Capture::get_item_discount_data( $order_item_id );
-			if ( ! $discount_data || $discount_data['was_on_sale'] !== 'yes' ) {
-				$results['skipped']++;
-				continue;
-			}
-
-			// Prepare data for insertion.
-			$insert_data = array(
-				'order_id'          => $order_id,
-				'order_item_id'     => $order_item_id,
-				'product_id'        => $order_item->get_product_id(),
-				'variation_id'      => $order_item->get_variation_id(),
-				'regular_price'     => floatval( $discount_data['regular_price'] ),
-				'sale_price'        => floatval( $discount_data['sale_price'] ),
-				'discount_amount'   => floatval( $discount_data['discount_amount'] ),
-				'discount_percentage' => floatval( $discount_data['discount_pct'] ),
-				'quantity'          => floatval( $order_item->get_quantity() ),
-				'currency'          => $order->get_currency(),
-				'created_at'        => $order->get_date_created() ? $order->get_date_created()->format( 'Y-m-d H:i:s' ) : current_time( 'mysql' ),
-			);
+		if ( 0 === $results['migrated'] + $results['skipped'] + $results['errors'] ) {
+			$results['message'] = __( 'No discount data found to migrate.', 'woo-discount-analytics' );
+			return $results;
+		}
 
-			$insert_id = $this->insert_discount( $insert_data );
+		// Carry over refunds made before the lines were migrated.
+		foreach ( array_keys( $migrated_order_ids ) as $order_id ) {
+			$this->sync_order_refunds( $order_id );
+		}
 
-			if ( $insert_id ) {
-				$results['migrated']++;
-			} else {
-				$results['errors']++;
-			}
+		if ( $args['dry_run'] ) {
+			$results['message'] = sprintf(
+				/* translators: 1: migrated count, 2: skipped count, 3: errors count */
+				__( 'Dry run: %1$d would be migrated, %2$d skipped, %3$d errors.', 'woo-discount-analytics' ),
+				$results['migrated'],
+				$results['skipped'],
+				$results['errors']
+			);
+			return $results;
 		}
 
 		$results['message'] = sprintf(
@@ -383,7 +733,93 @@ class WDA_Database {
 	}
 
 	/**
-	 * Drop the custom table.
+	 * Migrate a single order item's meta to the custom table.
+	 *
+	 * @param int   $order_item_id      Order item ID.
+	 * @param bool  $dry_run            Whether to only count the item.
+	 * @param array $results            Running migration results (passed by reference).
+	 * @param array $migrated_order_ids Migrated order IDs as keys (passed by reference).
+	 */
+	private function migrate_order_item( $order_item_id, $dry_run, &$results, &$migrated_order_ids ) {
+		global $wpdb;
+
+		// Check if already migrated.
+		if ( $this->get_discount_by_item_id( $order_item_id ) ) {
+			$results['skipped']++;
+			return;
+		}
+
+		// Get order item.
+		$order_item = new WC_Order_Item_Product( $order_item_id );
+		if ( ! $order_item->get_id() ) {
+			$results['errors']++;
+			return;
+		}
+
+		// Get order ID from order item meta or direct query.
+		$order_id = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT order_id FROM {$wpdb->prefix}woocommerce_order_items WHERE order_item_id = %d",
+				$order_item_id
+			)
+		);
+
+		if ( ! $order_id ) {
+			$results['errors']++;
+			return;
+		}
+
+		$order = wc_get_order( $order_id );
+		if ( ! $order ) {
+			$results['errors']++;
+			return;
+		}
+
+		// Get discount data from meta.
+		$discount_data = WDA_Discount_Capture::get_item_discount_data( $order_item_id );
+		if ( ! WDA_Discount_Capture::is_discounted( $discount_data ) ) {
+			$results['skipped']++;
+			return;
+		}
+
+		if ( $dry_run ) {
+			$results['migrated']++;
+			return;
+		}
+
+		// Prepare data for insertion.
+		$insert_data = array(
+			'order_id'          => $order_id,
+			'order_item_id'     => $order_item_id,
+			'product_id'        => $order_item->get_product_id(),
+			'variation_id'      => $order_item->get_variation_id(),
+			'product_name'      => WDA_Discount_Capture::get_line_product_name( $order_item ),
+			'regular_price'     => floatval( $discount_data['regular_price'] ),
+			'sale_price'        => floatval( $discount_data['sale_price'] ),
+			'discount_amount'   => floatval( $discount_data['discount_amount'] ),
+			'discount_percentage' => floatval( $discount_data['discount_pct'] ),
+			'coupon_discount'   => floatval( $discount_data['coupon_discount'] ),
+			'coupon_codes'      => $discount_data['coupon_codes'],
+			'quantity'          => floatval( $order_item->get_quantity() ),
+			'line_total'        => floatval( $order_item->get_total() ),
+			'unit_cost'         => $discount_data['unit_cost'],
+			'currency'          => $order->get_currency(),
+			'exchange_rate'     => WDA_Discount_Capture::get_order_exchange_rate( $order ),
+			'created_at'        => $order->get_date_created() ? $order->get_date_created()->format( 'Y-m-d H:i:s' ) : current_time( 'mysql' ),
+		);
+
+		$insert_id = $this->insert_discount( $insert_data );
+
+		if ( $insert_id ) {
+			$results['migrated']++;
+			$migrated_order_ids[ $order_id ] = true;
+		} else {
+			$results['errors']++;
+		}
+	}
+
+	/**
+	 * Drop the custom table and its lookup tables.
 	 *
 	 * @return bool True on success, false on failure.
 	 */
@@ -392,6 +828,7 @@ class WDA_Database {
 
 		$table_name = self::get_table_name();
 		$result = $wpdb->query( "DROP TABLE IF EXISTS {$table_name}" );
+		$wpdb->query( 'DROP TABLE IF EXISTS ' . self::get_categories_table_name() . ', ' . self::get_coupons_table_name() );
 
 		delete_option( 'wda_db_version' );
 
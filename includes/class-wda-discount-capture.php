@@ -36,7 +36,11 @@ class WDA_Discount_Capture {
 	const META_DISCOUNT_AMOUNT   = '_wda_discount_amount';
 	const META_DISCOUNT_PCT      = '_wda_discount_pct';
 	const META_WAS_ON_SALE       = '_wda_was_on_sale';
+	const META_COUPON_DISCOUNT   = '_wda_coupon_discount';
+	const META_COUPON_CODES      = '_wda_coupon_codes';
 	const META_CAPTURED          = '_wda_captured';
+	const META_EXCHANGE_RATE     = '_wda_exchange_rate';
+	const META_UNIT_COST         = '_wda_unit_cost';
 
 	/**
 	 * Get the single instance.
@@ -67,8 +71,9 @@ class WDA_Discount_Capture {
 		// Also capture on order creation for immediate processing orders.
 		add_action( 'woocommerce_checkout_order_created', array( $this, 'on_order_created' ), 10, 1 );
 
-		// Hook into refund creation.
+		// Hook into refund creation and deletion.
 		add_action( 'woocommerce_refund_created', array( $this, 'on_refund_created' ), 10, 2 );
+		add_action( 'woocommerce_refund_deleted', array( $this, 'on_refund_deleted' ), 10, 2 );
 	}
 
 	/**
@@ -104,9 +109,10 @@ class WDA_Discount_Capture {
 	/**
 	 * Capture discount data for an order.
 	 *
-	 * @param WC_Order $order Order object.
+	 * @param WC_Order|int $order  Order object or ID.
+	 * @param string       $source What triggered the capture: order (a status change) or backfill.
 	 */
-	public function capture_discount_data( $order ) {
+	public function capture_discount_data( $order, $source = 'order' ) {
 		if ( ! $order instanceof WC_Order ) {
 			$order = wc_get_order( $order );
 		}
@@ -126,11 +132,17 @@ class WDA_Discount_Capture {
 			$this->capture_item_discount_data( $item_id, $item, $order );
 		}
 
+		// Keep the rate to the base currency as it was when the order was placed.
+		$exchange_rate = self::get_order_exchange_rate( $order );
+		if ( null !== $exchange_rate ) {
+			$order->update_meta_data( self::META_EXCHANGE_RATE, $exchange_rate );
+		}
+
 		// Mark order as captured.
 		$order->update_meta_data( self::META_CAPTURED, 'yes' );
 		$order->save();
 
-		do_action( 'wda_discount_data_captured', $order );
+		do_action( 'wda_discount_data_captured', $order, $source );
 	}
 
 	/**
@@ -167,11 +179,19 @@ class WDA_Discount_Capture {
 		// Calculate per-unit prices from line item.
 		$sold_price = $line_total / $quantity;
 
-		// Get regular price from product (snapshot from current, but ideally from order).
-		// For historical accuracy, we check if the product was on sale.
+		// Use the regular price that was in effect at the order date, falling
+		// back to the current price when no recorded history covers it.
+		$order_date    = $order->get_date_created();
 		$regular_price = $product->get_regular_price();
 		$sale_price    = $product->get_sale_price();
 
+		if ( $order_date ) {
+			$historic_price = WDA_Price_History::instance()->get_regular_price_at( $product->get_id(), $order_date->date( 'Y-m-d H:i:s' ) );
+			if ( null !== $historic_price ) {
+				$regular_price = $historic_price;
+			}
+		}
+
 		// Determine if this was a sale price purchase.
 		// We use line subtotal vs line total to detect if there was a product-level discount.
 		// Line subtotal is before coupons, line total is after coupons.
@@ -192,33 +212,47 @@ class WDA_Discount_Capture {
 			}
 		}
 
+		// Coupons are the gap between line subtotal and line total.
+		$coupon_discount = max( 0, ( $line_subtotal - $line_total ) / $quantity );
+		$coupon_codes    = $coupon_discount > 0 ? $this->get_item_coupon_codes( $item, $order ) : array();
+
+		$unit_cost = $this->get_order_unit_cost( $product, $order );
+
 		// Store the captured data in order item meta (backward compatibility).
 		wc_update_order_item_meta( $item_id, self::META_REGULAR_PRICE, $regular_price );
 		wc_update_order_item_meta( $item_id, self::META_SALE_PRICE, $unit_subtotal );
 		wc_update_order_item_meta( $item_id, self::META_DISCOUNT_AMOUNT, round( $discount_amount, 4 ) );
 		wc_update_order_item_meta( $item_id, self::META_DISCOUNT_PCT, round( $discount_pct, 2 ) );
 		wc_update_order_item_meta( $item_id, self::META_WAS_ON_SALE, $was_on_sale ? 'yes' : 'no' );
+		wc_update_order_item_meta( $item_id, self::META_COUPON_DISCOUNT, round( $coupon_discount, 4 ) );
+		wc_update_order_item_meta( $item_id, self::META_COUPON_CODES, implode( ',', $coupon_codes ) );
+		wc_update_order_item_meta( $item_id, self::META_UNIT_COST, null === $unit_cost ? '' : $unit_cost );
 
 		// Also store in custom table if it exists (dual-write for migration period).
 		$database = WDA_Database::instance();
 		if ( $database->table_exists() ) {
-			$order_date = $order->get_date_created();
 			$insert_data = array(
 				'order_id'          => $order->get_id(),
 				'order_item_id'     => $item_id,
 				'product_id'        => $product_id,
 				'variation_id'      => $variation_id,
+				'product_name'      => self::get_line_product_name( $item ),
 				'regular_price'     => floatval( $regular_price ),
 				'sale_price'        => $unit_subtotal,
 				'discount_amount'   => round( $discount_amount, 4 ),
 				'discount_percentage' => round( $discount_pct, 2 ),
+				'coupon_discount'   => round( $coupon_discount, 4 ),
+				'coupon_codes'      => $coupon_codes,
 				'quantity'          => $quantity,
+				'line_total'        => floatval( $line_total ),
+				'unit_cost'         => $unit_cost,
 				'currency'          => $order->get_currency(),
+				'exchange_rate'     => self::get_order_exchange_rate( $order ),
 				'created_at'        => $order_date ? $order_date->format( 'Y-m-d H:i:s' ) : current_time( 'mysql' ),
 			);
 
-			// Only insert if this item was on sale.
-			if ( $was_on_sale ) {
+			// Only insert if this item had a sale or coupon discount.
+			if ( $was_on_sale || $coupon_discount > 0 ) {
 				$database->insert_discount( $insert_data );
 			}
 		}
@@ -229,9 +263,110 @@ class WDA_Discount_Capture {
 			'discount_amount' => $discount_amount,
 			'discount_pct'    => $discount_pct,
 			'was_on_sale'     => $was_on_sale,
+			'coupon_discount' => $coupon_discount,
+			'coupon_codes'    => $coupon_codes,
+			'unit_cost'       => $unit_cost,
 		) );
 	}
 
+	/**
+	 * Get a product's current cost in an order's currency.
+	 *
+	 * Costs are kept in the base currency, so they are converted with the
+	 * order's exchange rate.
+	 *
+	 * @param WC_Product $product Product or variation.
+	 * @param WC_Order   $order   Order object.
+	 * @return float|null Unit cost, or null if the cost or the rate is unknown.
+	 */
+	private function get_order_unit_cost( $product, $order ) {
+		$cost = WDA_Product_Cost::get_cost( $product->get_id(), $product->get_parent_id() );
+		$rate = self::get_order_exchange_rate( $order );
+
+		if ( null === $cost || null === $rate ) {
+			return null;
+		}
+
+		return round( $cost / $rate, 4 );
+	}
+
+	/**
+	 * Get the codes of the order's coupons that apply to a line item.
+	 *
+	 * Cart-wide coupons apply to every line; product coupons only to the
+	 * lines they are valid for. Coupons that no longer exist are kept,
+	 * since they can no longer be checked.
+	 *
+	 * @param WC_Order_Item_Product $item  Order item.
+	 * @param WC_Order              $order Order object.
+	 * @return string[]
+	 */
+	private function get_item_coupon_codes( $item, $order ) {
+		$product = $item->get_product();
+		$codes   = array();
+
+		foreach ( $order->get_coupon_codes() as $code ) {
+			$coupon = new WC_Coupon( $code );
+
+			if ( $coupon->get_id() && $product && $coupon->is_type( wc_get_product_coupon_types() ) && ! $coupon->is_valid_for_product( $product ) ) {
+				continue;
+			}
+
+			$codes[] = wc_format_coupon_code( $code );
+		}
+
+		return $codes;
+	}
+
+	/**
+	 * Get the store's base currency.
+	 *
+	 * Read from the option, since multi-currency plugins filter
+	 * get_woocommerce_currency() to the visitor's currency.
+	 *
+	 * @return string
+	 */
+	public static function get_base_currency() {
+		return get_option( 'woocommerce_currency', 'USD' );
+	}
+
+	/**
+	 * Get the rate that converts an order's amounts to the base currency.
+	 *
+	 * Uses the rate stored when the order was captured, if any. Orders in
+	 * the base currency have a rate of 1; for others, a multi-currency
+	 * plugin can supply the rate through the `wda_order_exchange_rate` filter.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @return float|null Rate, or null if unknown.
+	 */
+	public static function get_order_exchange_rate( $order ) {
+		$stored = $order->get_meta( self::META_EXCHANGE_RATE );
+		if ( '' !== $stored ) {
+			return floatval( $stored );
+		}
+
+		$rate = $order->get_currency() === self::get_base_currency() ? 1.0 : null;
+
+		$rate = apply_filters( 'wda_order_exchange_rate', $rate, $order );
+
+		return null === $rate || floatval( $rate ) <= 0 ? null : floatval( $rate );
+	}
+
+	/**
+	 * Check whether captured discount data has a sale or coupon discount.
+	 *
+	 * @param array|false $discount_data Data from get_item_discount_data().
+	 * @return bool
+	 */
+	public static function is_discounted( $discount_data ) {
+		if ( ! $discount_data ) {
+			return false;
+		}
+
+		return 'yes' === $discount_data['was_on_sale'] || floatval( $discount_data['coupon_discount'] ) > 0;
+	}
+
 	/**
 	 * Capture data from line item when product is unavailable.
 	 *
@@ -255,6 +390,7 @@ class WDA_Discount_Capture {
 		wc_update_order_item_meta( $item_id, self::META_DISCOUNT_AMOUNT, 0 );
 		wc_update_order_item_meta( $item_id, self::META_DISCOUNT_PCT, 0 );
 		wc_update_order_item_meta( $item_id, self::META_WAS_ON_SALE, 'unknown' );
+		wc_update_order_item_meta( $item_id, self::META_COUPON_DISCOUNT, round( max( 0, ( $line_subtotal - $item->get_total() ) / $quantity ), 4 ) );
 	}
 
 	/**
@@ -274,9 +410,12 @@ class WDA_Discount_Capture {
 					'sale_price'      => floatval( $table_data['sale_price'] ),
 					'discount_amount' => floatval( $table_data['discount_amount'] ),
 					'discount_pct'    => floatval( $table_data['discount_percentage'] ),
-					'was_on_sale'     => 'yes',
+					'was_on_sale'     => floatval( $table_data['discount_amount'] ) > 0 ? 'yes' : 'no',
+					'coupon_discount' => floatval( $table_data['coupon_discount'] ),
+					'coupon_codes'    => self::parse_coupon_codes( $table_data['coupon_codes'] ),
 					'currency'        => $table_data['currency'],
 					'quantity'        => floatval( $table_data['quantity'] ),
+					'unit_cost'       => null === $table_data['unit_cost'] ? null : floatval( $table_data['unit_cost'] ),
 				);
 			}
 		}
@@ -288,15 +427,44 @@ class WDA_Discount_Capture {
 			return false;
 		}
 
+		$unit_cost = wc_get_order_item_meta( $item_id, self::META_UNIT_COST, true );
+
 		return array(
 			'regular_price'   => wc_get_order_item_meta( $item_id, self::META_REGULAR_PRICE, true ),
 			'sale_price'      => wc_get_order_item_meta( $item_id, self::META_SALE_PRICE, true ),
 			'discount_amount' => wc_get_order_item_meta( $item_id, self::META_DISCOUNT_AMOUNT, true ),
 			'discount_pct'    => wc_get_order_item_meta( $item_id, self::META_DISCOUNT_PCT, true ),
 			'was_on_sale'     => $was_on_sale,
+			'coupon_discount' => floatval( wc_get_order_item_meta( $item_id, self::META_COUPON_DISCOUNT, true ) ),
+			'coupon_codes'    => self::parse_coupon_codes( wc_get_order_item_meta( $item_id, self::META_COUPON_CODES, true ) ),
+			'unit_cost'       => is_numeric( $unit_cost ) ? floatval( $unit_cost ) : null,
 		);
 	}
 
+	/**
+	 * Get the product name to report an order line under.
+	 *
+	 * Variations are reported under their parent product's name.
+	 *
+	 * @param WC_Order_Item_Product $item Order item.
+	 * @return string
+	 */
+	public static function get_line_product_name( $item ) {
+		$product = wc_get_product( $item->get_product_id() );
+
+		return $product ? $product->get_name() : $item->get_name();
+	}
+
+	/**
+	 * Split a stored comma-separated coupon code list.
+	 *
+	 * @param string $codes Stored codes.
+	 * @return string[]
+	 */
+	public static function parse_coupon_codes( $codes ) {
+		return array_values( array_filter( array_map( 'trim', explode( ',', (string) $codes ) ) ) );
+	}
+
 	/**
 	 * Check if an order has been captured.
 	 *
@@ -318,7 +486,8 @@ class WDA_Discount_Capture {
 	/**
 	 * Handle refund creation.
 	 *
-	 * Marks discount entries as refunded when an order is refunded.
+	 * Updates the refunded quantity and amount of the order's discount
+	 * entries, so partially refunded lines stay in reports at their net value.
 	 *
 	 * @param int       $refund_id Refund ID.
 	 * @param array     $args      Refund arguments.
@@ -330,8 +499,7 @@ class WDA_Discount_Capture {
 		}
 
 		$parent_order_id = $refund->get_parent_id();
-		$parent_order = wc_get_order( $parent_order_id );
-		if ( ! $parent_order ) {
+		if ( ! $parent_order_id ) {
 			return;
 		}
 
@@ -340,20 +508,28 @@ class WDA_Discount_Capture {
 			return;
 		}
 
-		$refunded_at = $refund->get_date_created();
-		$refunded_at_str = $refunded_at ? $refunded_at->format( 'Y-m-d H:i:s' ) : current_time( 'mysql' );
+		$database->sync_order_refunds( $parent_order_id );
 
-		// Get refunded line items.
-		$refunded_items = $refund->get_items( 'line_item' );
+		do_action( 'wda_refund_processed', $refund_id, $parent_order_id );
+	}
 
-		foreach ( $refunded_items as $refunded_item ) {
-			$original_item_id = $refunded_item->get_meta( '_refunded_item_id' );
-			if ( $original_item_id ) {
-				// Mark the original discount entry as refunded.
-				$database->mark_as_refunded( $original_item_id, $refund_id, $refunded_at_str );
-			}
+	/**
+	 * Handle refund deletion.
+	 *
+	 * Fires its own action rather than wda_refund_processed, so listeners
+	 * that expect a refund to exist are not handed a deleted one.
+	 *
+	 * @param int $refund_id Refund ID.
+	 * @param int $order_id  Parent order ID.
+	 */
+	public function on_refund_deleted( $refund_id, $order_id ) {
+		$database = WDA_Database::instance();
+		if ( ! $order_id || ! $database->table_exists() ) {
+			return;
 		}
 
-		do_action( 'wda_refund_processed', $refund_id, $parent_order_id );
+		$database->sync_order_refunds( $order_id );
+
+		do_action( 'wda_refund_deleted', $refund_id, $order_id );
 	}
 }
@@ -0,0 +1,545 @@
+<?php
+/**
+ * Email Digest class.
+ *
+ * Sends a scheduled HTML email summarising discount performance, built from
+ * the same data as the Discount Summary report.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_Email_Digest
+ *
+ * Schedules, builds and sends the discount digest email.
+ */
+class WDA_Email_Digest {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_Email_Digest
+	 */
+	private static $instance = null;
+
+	/**
+	 * Cron hook that sends the digest.
+	 *
+	 * @var string
+	 */
+	const CRON_HOOK = 'wda_send_digest';
+
+	/**
+	 * Option holding when the digest was last sent, and to whom.
+	 *
+	 * @var string
+	 */
+	const LAST_SENT_OPTION = 'wda_digest_last_sent';
+
+	/**
+	 * Hour of the day (site time) the digest is sent.
+	 *
+	 * @var int
+	 */
+	const SEND_HOUR = 8;
+
+	/**
+	 * Days ahead to look for expiring sales.
+	 *
+	 * @var int
+	 */
+	const EXPIRING_DAYS = 7;
+
+	/**
+	 * Maximum number of expiring sales listed.
+	 *
+	 * @var int
+	 */
+	const MAX_EXPIRING = 20;
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_Email_Digest
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		add_action( self::CRON_HOOK, array( $this, 'send_scheduled' ) );
+		add_action( 'wda_settings_updated', array( $this, 'schedule' ) );
+		add_action( 'admin_init', array( $this, 'maybe_schedule' ) );
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register REST API routes.
+	 */
+	public function register_routes() {
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/digest', array(
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => array( $this, 'get_status' ),
+			'permission_callback' => array( WDA_Settings::instance(), 'check_permission' ),
+		) );
+
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/digest/test', array(
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => array( $this, 'send_test' ),
+			'permission_callback' => array( WDA_Settings::instance(), 'check_permission' ),
+		) );
+	}
+
+	/**
+	 * Get when the digest is next due and when it was last sent.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_status( $request ) {
+		$next      = wp_next_scheduled( self::CRON_HOOK );
+		$last_sent = get_option( self::LAST_SENT_OPTION, null );
+
+		return new WP_REST_Response( array(
+			'next_send' => $next ? wp_date( 'Y-m-d H:i:s', $next ) : null,
+			'last_sent' => $last_sent,
+		), 200 );
+	}
+
+	/**
+	 * Send the digest now, using the saved settings.
+	 *
+	 * Goes to the configured recipients, or to the current user when none
+	 * are set yet.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function send_test( $request ) {
+		$recipients = WDA_Settings::parse_email_list( WDA_Settings::get( 'digest_recipients' ) );
+		if ( empty( $recipients ) ) {
+			$recipients = array( wp_get_current_user()->user_email );
+		}
+
+		$result = $this->send( $recipients );
+		if ( is_wp_error( $result ) ) {
+			$result->add_data( array( 'status' => 500 ) );
+			return $result;
+		}
+
+		return new WP_REST_Response( array(
+			'sent'       => true,
+			'recipients' => $recipients,
+		), 200 );
+	}
+
+	/**
+	 * Schedule the next digest from the current settings.
+	 *
+	 * Each send schedules the next one, so monthly digests stay on the 1st.
+	 */
+	public function schedule() {
+		wp_clear_scheduled_hook( self::CRON_HOOK );
+
+		if ( ! $this->is_enabled() ) {
+			return;
+		}
+
+		wp_schedule_single_event( $this->get_next_run( WDA_Settings::get( 'digest_frequency' ) ), self::CRON_HOOK );
+	}
+
+	/**
+	 * Restore the schedule if it was lost, e.g. after reactivation.
+	 */
+	public function maybe_schedule() {
+		if ( $this->is_enabled() && ! wp_next_scheduled( self::CRON_HOOK ) ) {
+			$this->schedule();
+		}
+	}
+
+	/**
+	 * Whether the digest is enabled and has recipients.
+	 *
+	 * @return bool
+	 */
+	private function is_enabled() {
+		return WDA_Settings::get( 'digest_enabled' ) && '' !== WDA_Settings::get( 'digest_recipients' );
+	}
+
+	/**
+	 * Get the next send time for a frequency.
+	 *
+	 * Daily digests go out every day, weekly ones on the first day of the
+	 * site's week and monthly ones on the 1st, at SEND_HOUR site time.
+	 *
+	 * @param string $frequency daily, weekly or monthly.
+	 * @return int Timestamp.
+	 */
+	public function get_next_run( $frequency ) {
+		$now  = new DateTimeImmutable( 'now', wp_timezone() );
+		$next = $now->setTime( self::SEND_HOUR, 0 );
+
+		switch ( $frequency ) {
+			case 'daily':
+				if ( $next <= $now ) {
+					$next = $next->modify( '+1 day' );
+				}
+				break;
+
+			case 'monthly':
+				$next = $next->modify( 'first day of this month' );
+				if ( $next <= $now ) {
+					$next = $next->modify( 'first day of next month' );
+				}
+				break;
+
+			default:
+				$days = ( (int) get_option( 'start_of_week', 1 ) - (int) $now->format( 'w' ) + 7 ) % 7;
+				$next = $next->modify( '+' . $days . ' days' );
+				if ( $next <= $now ) {
+					$next = $next->modify( '+7 days' );
+				}
+				break;
+		}
+
+		return $next->getTimestamp();
+	}
+
+	/**
+	 * Send the scheduled digest and schedule the next one.
+	 */
+	public function send_scheduled() {
+		if ( $this->is_enabled() ) {
+			$result = $this->send( WDA_Settings::parse_email_list( WDA_Settings::get( 'digest_recipients' ) ) );
+
+			if ( is_wp_error( $result ) ) {
+				error_log( 'WDA Digest Error: ' . $result->get_error_message() );
+			}
+		}
+
+		$this->schedule();
+	}
+
+	/**
+	 * Build and send the digest.
+	 *
+	 * @param string[] $recipients Email addresses.
+	 * @return true|WP_Error
+	 */
+	public function send( $recipients ) {
+		$data = $this->get_digest_data();
+		if ( is_wp_error( $data ) ) {
+			return $data;
+		}
+
+		$subject = sprintf(
+			/* translators: 1: site name, 2: start date, 3: end date */
+			__( '[%1$s] Discount digest: %2$s – %3$s', 'woo-discount-analytics' ),
+			wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES ),
+			$this->format_date( $data['date_from'] ),
+			$this->format_date( $data['date_to'] )
+		);
+
+		$attachments = array();
+		if ( WDA_Settings::get( 'digest_attach_csv' ) ) {
+			$attachments[] = $this->write_csv( $data['summary'] );
+		}
+
+		$sent = wp_mail( $recipients, $subject, $this->render( $data ), array( 'Content-Type: text/html; charset=UTF-8' ), $attachments );
+
+		foreach ( $attachments as $attachment ) {
+			wp_delete_file( $attachment );
+		}
+
+		if ( ! $sent ) {
+			return new WP_Error( 'wda_digest_not_sent', __( 'The digest email could not be sent.', 'woo-discount-analytics' ) );
+		}
+
+		update_option( self::LAST_SENT_OPTION, array(
+			'sent_at'    => current_time( 'mysql' ),
+			'recipients' => $recipients,
+		), false );
+
+		return true;
+	}
+
+	/**
+	 * Collect the digest data.
+	 *
+	 * Covers the configured window of complete days up to yesterday, with
+	 * amounts converted to the store currency, compared with the window
+	 * before it.
+	 *
+	 * @return array|WP_Error Array with date_from, date_to, summary and expiring.
+	 */
+	public function get_digest_data() {
+		$reports   = WDA_REST_Reports::instance();
+		$yesterday = strtotime( '-1 day', strtotime( current_time( 'Y-m-d' ) ) );
+		$date_to   = gmdate( 'Y-m-d', $yesterday );
+		$date_from = gmdate( 'Y-m-d', strtotime( '-' . ( max( 1, (int) WDA_Settings::get( 'digest_window' ) ) - 1 ) . ' days', $yesterday ) );
+
+		$summary = $reports->run_report( 'discount-summary', array(
+			'date_from' => $date_from,
+			'date_to'   => $date_to,
+			'compare'   => 'previous_period',
+			'convert'   => true,
+		) );
+
+		if ( is_wp_error( $summary ) ) {
+			return $summary;
+		}
+
+		$expiring = $reports->run_report( 'current-discounts', array(
+			'sale_status' => 'active',
+			'ends_within' => self::EXPIRING_DAYS,
+			'orderby'     => 'sale_end',
+			'order'       => 'ASC',
+			'per_page'    => self::MAX_EXPIRING,
+		) );
+
+		if ( is_wp_error( $expiring ) ) {
+			return $expiring;
+		}
+
+		return array(
+			'date_from' => $date_from,
+			'date_to'   => $date_to,
+			'summary'   => $summary,
+			'expiring'  => $expiring,
+		);
+	}
+
+	/**
+	 * Write the summary CSV export to a temporary file.
+	 *
+	 * @param array $summary Summary report data.
+	 * @return string File path.
+	 */
+	private function write_csv( $summary ) {
+		$table = WDA_REST_Reports::instance()->get_export_table( 'discount-summary', $summary );
+		$dir   = get_temp_dir();
+		$file  = $dir . wp_unique_filename( $dir, 'discount-summary-' . current_time( 'Y-m-d' ) . '.csv' );
+
+		$output = fopen( $file, 'w' );
+		fputcsv( $output, $table['headers'] );
+		foreach ( $table['rows'] as $row ) {
+			fputcsv( $output, $row );
+		}
+		fclose( $output );
+
+		return $file;
+	}
+
+	/**
+	 * Render the digest email body.
+	 *
+	 * Styles are inline, since most email clients ignore style sheets.
+	 *
+	 * @param array $data Digest data.
+	 * @return string HTML.
+	 */
+	public function render( $data ) {
+		$summary  = $data['summary'];
+		$currency = $summary['currency'];
+		$metrics  = array(
+			'sale_discount'           => __( 'Sale Discounts', 'woo-discount-analytics' ),
+			'coupon_discount'         => __( 'Coupon Discounts', 'woo-discount-analytics' ),
+			'total_discount'          => __( 'Total Discounts Given', 'woo-discount-analytics' ),
+			'refunded_discount'       => __( 'Refunded Discounts', 'woo-discount-analytics' ),
+			'total_revenue'           => __( 'Total Revenue', 'woo-discount-analytics' ),
+			'discount_pct_of_revenue' => __( 'Discount % of Revenue', 'woo-discount-analytics' ),
+			'discounted_units'        => __( 'Units Sold at Discount', 'woo-discount-analytics' ),
+			'orders_count'            => __( 'Orders Analyzed', 'woo-discount-analytics' ),
+		);
+
+		$report_url = add_query_arg( array(
+			'page'      => WDA_Admin_Reports::MENU_SLUG . '-summary',
+			'date_from' => $data['date_from'],
+			'date_to'   => $data['date_to'],
+			'compare'   => 'previous_period',
+			'convert'   => 1,
+		), admin_url( 'admin.php' ) );
+
+		$cell = 'padding: 8px 12px; border-bottom: 1px solid #e0e0e0; text-align: left;';
+		$num  = 'padding: 8px 12px; border-bottom: 1px solid #e0e0e0; text-align: right;';
+		$head = 'padding: 8px 12px; border-bottom: 2px solid #c3c4c7; text-align: left; font-size: 12px; text-transform: uppercase; color: #757575;';
+
+		ob_start();
+		?>
+		<div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e1e1e; max-width: 640px; margin: 0 auto;">
+			<h1 style="font-size: 22px; font-weight: 600; margin: 0 0 4px;"><?php esc_html_e( 'Discount digest', 'woo-discount-analytics' ); ?></h1>
+			<p style="margin: 0 0 24px; color: #757575;">
+				<?php
+				printf(
+					/* translators: 1: start date, 2: end date, 3: comparison start date, 4: comparison end date */
+					esc_html__( '%1$s – %2$s, compared with %3$s – %4$s', 'woo-discount-analytics' ),
+					esc_html( $this->format_date( $data['date_from'] ) ),
+					esc_html( $this->format_date( $data['date_to'] ) ),
+					esc_html( $this->format_date( $summary['comparison']['date_from'] ) ),
+					esc_html( $this->format_date( $summary['comparison']['date_to'] ) )
+				);
+				?>
+			</p>
+
+			<table cellspacing="0" cellpadding="0" style="width: 100%; border-collapse: collapse; margin-bottom: 24px;">
+				<thead>
+					<tr>
+						<th style="<?php echo esc_attr( $head ); ?>"><?php esc_html_e( 'Metric', 'woo-discount-analytics' ); ?></th>
+						<th style="<?php echo esc_attr( $head ); ?> text-align: right;"><?php esc_html_e( 'This period', 'woo-discount-analytics' ); ?></th>
+						<th style="<?php echo esc_attr( $head ); ?> text-align: right;"><?php esc_html_e( 'Change', 'woo-discount-analytics' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $metrics as $key => $label ) : ?>
+						<?php $delta = $summary['comparison']['metrics'][ $key ]; ?>
+						<tr>
+							<td style="<?php echo esc_attr( $cell ); ?>"><?php echo esc_html( $label ); ?></td>
+							<td style="<?php echo esc_attr( $num ); ?> font-weight: 600;"><?php echo wp_kses_post( $this->format_metric( $key, $summary[ $key ], $currency ) ); ?></td>
+							<td style="<?php echo esc_attr( $num ); ?> color: <?php echo esc_attr( $delta['change'] > 0 ? '#007017' : ( $delta['change'] < 0 ? '#d63638' : '#757575' ) ); ?>;">
+								<?php
+								echo wp_kses_post( ( $delta['change'] > 0 ? '+' : ( $delta['change'] < 0 ? '−' : '' ) ) . $this->format_metric( $key, abs( $delta['change'] ), $currency ) );
+								if ( null !== $delta['change_pct'] ) {
+									echo esc_html( ' (' . ( $delta['change_pct'] > 0 ? '+' : '' ) . wc_format_decimal( $delta['change_pct'], 1 ) . '%)' );
+								}
+								?>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+
+			<?php if ( $summary['unconverted_orders'] > 0 ) : ?>
+				<p style="margin: 0 0 24px; color: #8a4d00;">
+					<?php
+					printf(
+						/* translators: %d: number of orders */
+						esc_html( _n( '%d order has no exchange rate and is left out of the totals.', '%d orders have no exchange rate and are left out of the totals.', $summary['unconverted_orders'], 'woo-discount-analytics' ) ),
+						(int) $summary['unconverted_orders']
+					);
+					?>
+				</p>
+			<?php endif; ?>
+
+			<h2 style="font-size: 16px; font-weight: 600; margin: 0 0 8px;"><?php esc_html_e( 'Top discounted products', 'woo-discount-analytics' ); ?></h2>
+			<?php if ( empty( $summary['top_discounted_products'] ) ) : ?>
+				<p style="margin: 0 0 24px; color: #757575;"><?php esc_html_e( 'No discounted sales in this period.', 'woo-discount-analytics' ); ?></p>
+			<?php else : ?>
+				<table cellspacing="0" cellpadding="0" style="width: 100%; border-collapse: collapse; margin-bottom: 24px;">
+					<thead>
+						<tr>
+							<th style="<?php echo esc_attr( $head ); ?>"><?php esc_html_e( 'Product', 'woo-discount-analytics' ); ?></th>
+							<th style="<?php echo esc_attr( $head ); ?> text-align: right;"><?php esc_html_e( 'Units', 'woo-discount-analytics' ); ?></th>
+							<th style="<?php echo esc_attr( $head ); ?> text-align: right;"><?php esc_html_e( 'Total Discount', 'woo-discount-analytics' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $summary['top_discounted_products'] as $product ) : ?>
+							<tr>
+								<td style="<?php echo esc_attr( $cell ); ?>"><?php echo esc_html( $product['product_name'] ); ?></td>
+								<td style="<?php echo esc_attr( $num ); ?>"><?php echo esc_html( wc_format_decimal( $product['units_sold'], 0 ) ); ?></td>
+								<td style="<?php echo esc_attr( $num ); ?>"><?php echo wp_kses_post( wc_price( $product['total_discount'], array( 'currency' => $currency ) ) ); ?></td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+
+			<h2 style="font-size: 16px; font-weight: 600; margin: 0 0 8px;">
+				<?php
+				printf(
+					/* translators: %d: number of days */
+					esc_html( _n( 'Sales ending in the next %d day', 'Sales ending in the next %d days', self::EXPIRING_DAYS, 'woo-discount-analytics' ) ),
+					(int) self::EXPIRING_DAYS
+				);
+				?>
+			</h2>
+			<?php if ( empty( $data['expiring']['items'] ) ) : ?>
+				<p style="margin: 0 0 24px; color: #757575;"><?php esc_html_e( 'No active sales end in this time.', 'woo-discount-analytics' ); ?></p>
+			<?php else : ?>
+				<table cellspacing="0" cellpadding="0" style="width: 100%; border-collapse: collapse; margin-bottom: 8px;">
+					<thead>
+						<tr>
+							<th style="<?php echo esc_attr( $head ); ?>"><?php esc_html_e( 'Product', 'woo-discount-analytics' ); ?></th>
+							<th style="<?php echo esc_attr( $head ); ?> text-align: right;"><?php esc_html_e( 'Sale Price', 'woo-discount-analytics' ); ?></th>
+							<th style="<?php echo esc_attr( $head ); ?> text-align: right;"><?php esc_html_e( 'Discount %', 'woo-discount-analytics' ); ?></th>
+							<th style="<?php echo esc_attr( $head ); ?> text-align: right;"><?php esc_html_e( 'Ends', 'woo-discount-analytics' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $data['expiring']['items'] as $item ) : ?>
+							<tr>
+								<td style="<?php echo esc_attr( $cell ); ?>"><a href="<?php echo esc_url( admin_url( 'post.php?post=' . ( $item['parent_id'] ? $item['parent_id'] : $item['id'] ) . '&action=edit' ) ); ?>" style="color: #2271b1;"><?php echo esc_html( $item['name'] ); ?></a></td>
+								<td style="<?php echo esc_attr( $num ); ?>"><?php echo wp_kses_post( wc_price( $item['sale_price'] ) ); ?></td>
+								<td style="<?php echo esc_attr( $num ); ?>"><?php echo esc_html( wc_format_decimal( $item['discount_pct'], 1 ) . '%' ); ?></td>
+								<td style="<?php echo esc_attr( $num ); ?>"><?php echo esc_html( $this->format_date( $item['sale_end'] ) ); ?></td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+				<?php if ( $data['expiring']['total'] > count( $data['expiring']['items'] ) ) : ?>
+					<p style="margin: 0 0 24px; color: #757575;">
+						<?php
+						printf(
+							/* translators: %d: number of sales */
+							esc_html__( 'And %d more.', 'woo-discount-analytics' ),
+							(int) ( $data['expiring']['total'] - count( $data['expiring']['items'] ) )
+						);
+						?>
+					</p>
+				<?php endif; ?>
+			<?php endif; ?>
+
+			<p style="margin: 24px 0 0; font-size: 12px; color: #757575;">
+				<a href="<?php echo esc_url( $report_url ); ?>" style="color: #2271b1;"><?php esc_html_e( 'Open the Discount Summary', 'woo-discount-analytics' ); ?></a>
+				· <a href="<?php echo esc_url( admin_url( 'admin.php?page=' . WDA_Admin_Reports::MENU_SLUG . '-settings' ) ); ?>" style="color: #2271b1;"><?php esc_html_e( 'Digest settings', 'woo-discount-analytics' ); ?></a>
+			</p>
+		</div>
+		<?php
+		return ob_get_clean();
+	}
+
+	/**
+	 * Format a summary metric for the email.
+	 *
+	 * @param string $key      Metric key.
+	 * @param float  $value    Value.
+	 * @param string $currency Currency code.
+	 * @return string HTML.
+	 */
+	private function format_metric( $key, $value, $currency ) {
+		if ( 'discount_pct_of_revenue' === $key ) {
+			return wc_format_decimal( $value, 2 ) . '%';
+		}
+
+		if ( in_array( $key, array( 'discounted_units', 'orders_count' ), true ) ) {
+			return number_format_i18n( $value );
+		}
+
+		return wc_price( $value, array( 'currency' => $currency ) );
+	}
+
+	/**
+	 * Format a Y-m-d (or Y-m-d H:i:s) date in the site's date format.
+	 *
+	 * @param string $date Date.
+	 * @return string
+	 */
+	private function format_date( $date ) {
+		return date_i18n( get_option( 'date_format' ), strtotime( $date ) );
+	}
+}
@@ -0,0 +1,776 @@
+<?php
+/**
+ * Export Jobs class.
+ *
+ * Builds large report exports in the background, in batches run by Action
+ * Scheduler, and keeps the finished files for download until they expire.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_Export_Jobs
+ *
+ * Runs export jobs and exposes them over REST.
+ */
+class WDA_Export_Jobs {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_Export_Jobs
+	 */
+	private static $instance = null;
+
+	/**
+	 * Option holding the IDs of all export jobs.
+	 *
+	 * @var string
+	 */
+	const INDEX_OPTION = 'wda_export_jobs';
+
+	/**
+	 * Prefix of the option holding each job, followed by its ID.
+	 *
+	 * @var string
+	 */
+	const JOB_OPTION_PREFIX = 'wda_export_job_';
+
+	/**
+	 * Action Scheduler hook that processes one batch of a job.
+	 *
+	 * @var string
+	 */
+	const BATCH_HOOK = 'wda_export_batch';
+
+	/**
+	 * Action Scheduler group for export batches.
+	 *
+	 * @var string
+	 */
+	const GROUP = 'woo-discount-analytics-exports';
+
+	/**
+	 * Cron hook that deletes expired exports.
+	 *
+	 * @var string
+	 */
+	const CLEANUP_HOOK = 'wda_cleanup_exports';
+
+	/**
+	 * Report pages fetched per batch.
+	 *
+	 * @var int
+	 */
+	const PAGES_PER_BATCH = 5;
+
+	/**
+	 * Name of the directory holding export files.
+	 *
+	 * @var string
+	 */
+	const DIRECTORY = 'wda-exports';
+
+	/**
+	 * Content types of the export formats.
+	 *
+	 * @var string[]
+	 */
+	const CONTENT_TYPES = array(
+		'csv'  => 'text/csv; charset=utf-8',
+		'xlsx' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+		'json' => 'application/json; charset=utf-8',
+	);
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_Export_Jobs
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		add_action( self::BATCH_HOOK, array( $this, 'process_batch' ) );
+		add_action( self::CLEANUP_HOOK, array( $this, 'delete_expired_jobs' ) );
+		add_action( 'admin_init', array( $this, 'maybe_schedule' ) );
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Schedule the hourly cleanup if it is missing.
+	 */
+	public function maybe_schedule() {
+		if ( ! wp_next_scheduled( self::CLEANUP_HOOK ) ) {
+			wp_schedule_event( time(), 'hourly', self::CLEANUP_HOOK );
+		}
+	}
+
+	/**
+	 * Register REST API routes.
+	 */
+	public function register_routes() {
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/export-jobs', array(
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_jobs' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+			),
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'create_job' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+				'args'                => array(
+					'type'    => array(
+						'type'              => 'string',
+						'required'          => true,
+						'enum'              => array( 'current-discounts', 'discount-history', 'discount-summary', 'sale-performance', 'discount-depth', 'price-history' ),
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+					'format'  => array(
+						'type'              => 'string',
+						'default'           => 'csv',
+						'enum'              => array_keys( self::CONTENT_TYPES ),
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+					'columns' => array(
+						'type'              => 'array',
+						'items'             => array( 'type' => 'string' ),
+						'default'           => array(),
+						'sanitize_callback' => 'wp_parse_list',
+					),
+					'filters' => array(
+						'type'    => 'object',
+						'default' => array(),
+					),
+				),
+			),
+		) );
+
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/export-jobs/(?P<id>[a-z0-9]+)', array(
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_job_status' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+			),
+			array(
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => array( $this, 'cancel_job' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+			),
+		) );
+
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/export-jobs/(?P<id>[a-z0-9]+)/download', array(
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => array( $this, 'download' ),
+			'permission_callback' => array( $this, 'check_permission' ),
+		) );
+	}
+
+	/**
+	 * Check user permission.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function check_permission() {
+		if ( ! current_user_can( WDA_Admin_Reports::get_capability() ) ) {
+			return new WP_Error(
+				'wda_rest_forbidden',
+				__( 'You do not have permission to export reports.', 'woo-discount-analytics' ),
+				array( 'status' => 403 )
+			);
+		}
+		return true;
+	}
+
+	/**
+	 * List the current user's exports, newest first.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_jobs( $request ) {
+		$this->delete_expired_jobs();
+
+		$items = array();
+		foreach ( array_reverse( $this->get_job_ids() ) as $id ) {
+			$job = $this->get_job( $id );
+			if ( $job && get_current_user_id() === $job['user_id'] ) {
+				$items[] = $this->prepare_job( $job );
+			}
+		}
+
+		return new WP_REST_Response( array(
+			'items'        => $items,
+			'expiry_hours' => (int) WDA_Settings::get( 'export_expiry_hours' ),
+		), 200 );
+	}
+
+	/**
+	 * Get one of the current user's exports.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_job_status( $request ) {
+		$job = $this->get_user_job( $request->get_param( 'id' ) );
+		if ( is_wp_error( $job ) ) {
+			return $job;
+		}
+
+		return new WP_REST_Response( $this->prepare_job( $job ), 200 );
+	}
+
+	/**
+	 * Queue an export.
+	 *
+	 * Filters are the report's own REST parameters and are checked now, so
+	 * a bad filter fails the request rather than the job.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_job( $request ) {
+		$type    = $request->get_param( 'type' );
+		$format  = $request->get_param( 'format' );
+		$columns = $request->get_param( 'columns' );
+		$filters = array_diff_key( (array) $request->get_param( 'filters' ), array_flip( array( 'page', 'per_page' ) ) );
+		$reports = WDA_REST_Reports::instance();
+
+		$valid = $reports->validate_report_params( $type, $filters );
+		if ( is_wp_error( $valid ) ) {
+			return $valid;
+		}
+
+		$group_by = 'discount-history' === $type && ! empty( $filters['group_by'] ) ? sanitize_key( $filters['group_by'] ) : '';
+
+		$valid = $reports->get_selected_export_columns( $type, $columns, $group_by );
+		if ( is_wp_error( $valid ) ) {
+			return $valid;
+		}
+
+		if ( 'xlsx' === $format && ! WDA_XLSX_Writer::is_available() ) {
+			return new WP_Error(
+				'wda_xlsx_unavailable',
+				__( 'XLSX export needs the PHP zip extension.', 'woo-discount-analytics' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$job = array(
+			'id'          => strtolower( wp_generate_password( 16, false ) ),
+			'token'       => wp_generate_password( 32, false ),
+			'user_id'     => get_current_user_id(),
+			'type'        => $type,
+			'format'      => $format,
+			'filters'     => $filters,
+			'columns'     => $columns,
+			'group_by'    => $group_by,
+			'filename'    => $reports->get_export_filename( $type, $group_by, $format ),
+			'status'      => 'queued',
+			'page'        => 1,
+			'total_pages' => 0,
+			'rows'        => 0,
+			'headers'     => array(),
+			'size'        => 0,
+			'error'       => '',
+			'created_at'  => current_time( 'mysql' ),
+			'finished_at' => null,
+			// Unfinished jobs are dropped after a day; finishing sets the real expiry.
+			'expires'     => time() + DAY_IN_SECONDS,
+		);
+
+		$part = $this->get_file_path( $job, 'part' );
+		if ( ! $part || false === file_put_contents( $part, '' ) ) {
+			return new WP_Error(
+				'wda_export_unwritable',
+				__( 'Could not create the export file. Check that the uploads folder is writable.', 'woo-discount-analytics' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		$this->save_job( $job );
+		update_option( self::INDEX_OPTION, array_merge( $this->get_job_ids(), array( $job['id'] ) ), false );
+
+		as_enqueue_async_action( self::BATCH_HOOK, array( $job['id'] ), self::GROUP );
+
+		return new WP_REST_Response( $this->prepare_job( $job ), 201 );
+	}
+
+	/**
+	 * Cancel an export, or remove a finished one, deleting its files.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function cancel_job( $request ) {
+		$job = $this->get_user_job( $request->get_param( 'id' ) );
+		if ( is_wp_error( $job ) ) {
+			return $job;
+		}
+
+		$this->delete_job( $job );
+
+		return new WP_REST_Response( array(
+			'id'      => $job['id'],
+			'deleted' => true,
+		), 200 );
+	}
+
+	/**
+	 * Send a finished export file.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_Error|void
+	 */
+	public function download( $request ) {
+		$job = $this->get_user_job( $request->get_param( 'id' ) );
+		if ( is_wp_error( $job ) ) {
+			return $job;
+		}
+
+		$file = $this->get_file_path( $job, $job['format'] );
+
+		if ( 'complete' !== $job['status'] || ! $file || ! file_exists( $file ) ) {
+			return new WP_Error(
+				'wda_export_not_ready',
+				__( 'This export is not ready to download.', 'woo-discount-analytics' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		WDA_REST_Reports::instance()->send_export_headers( self::CONTENT_TYPES[ $job['format'] ], $job['filename'] );
+		header( 'Content-Length: ' . filesize( $file ) );
+		readfile( $file );
+		exit;
+	}
+
+	/**
+	 * Process one batch of an export, then queue the next one.
+	 *
+	 * Each batch appends the rows of a few report pages to the job's part
+	 * file, one JSON-encoded row per line. The last batch turns the part
+	 * file into the requested format.
+	 *
+	 * @param string $job_id Job ID.
+	 */
+	public function process_batch( $job_id ) {
+		$job = $this->get_job( $job_id );
+
+		if ( ! $job || ! in_array( $job['status'], array( 'queued', 'running' ), true ) ) {
+			return;
+		}
+
+		$job['status'] = 'running';
+		$paged         = in_array( $job['type'], WDA_REST_Reports::PAGED_REPORT_TYPES, true );
+		$error         = '';
+
+		for ( $i = 0; $i < self::PAGES_PER_BATCH; $i++ ) {
+			$params = $job['filters'];
+			if ( $paged ) {
+				$params['page']     = $job['page'];
+				$params['per_page'] = WDA_REST_Reports::EXPORT_PAGE_SIZE;
+			}
+
+			$data = WDA_REST_Reports::instance()->run_report( $job['type'], $params );
+			$rows = is_wp_error( $data ) ? $data : $this->get_rows( $job, $data );
+
+			if ( is_wp_error( $rows ) ) {
+				$error = $rows->get_error_message();
+				break;
+			}
+
+			if ( ! $this->append_rows( $job, $rows ) ) {
+				$error = __( 'Could not write the export file.', 'woo-discount-analytics' );
+				break;
+			}
+
+			$job['rows']       += count( $rows );
+			$job['total_pages'] = $paged ? max( 1, (int) $data['total_pages'] ) : 1;
+			$job['page']++;
+
+			if ( $job['page'] > $job['total_pages'] ) {
+				break;
+			}
+		}
+
+		// The job may have been cancelled while this batch ran; don't save it back.
+		if ( $this->is_cancelled( $job ) ) {
+			$this->delete_files( $job );
+			return;
+		}
+
+		if ( '' !== $error ) {
+			$this->fail_job( $job, $error );
+			return;
+		}
+
+		if ( $job['page'] > $job['total_pages'] ) {
+			$this->finish_job( $job );
+			return;
+		}
+
+		$this->save_job( $job );
+
+		as_enqueue_async_action( self::BATCH_HOOK, array( $job['id'] ), self::GROUP );
+	}
+
+	/**
+	 * Get the rows a report page adds to an export.
+	 *
+	 * Spreadsheet formats get the export table's cell values, and the
+	 * headers are kept on the job from the first page. JSON gets the raw
+	 * records, or a whole report (such as the summary) as a single record.
+	 *
+	 * @param array $job  Export job (passed by reference).
+	 * @param array $data Report response data.
+	 * @return array|WP_Error
+	 */
+	private function get_rows( &$job, $data ) {
+		$reports = WDA_REST_Reports::instance();
+
+		if ( 'json' === $job['format'] ) {
+			$records = $reports->get_export_records( $job['type'], $data, $job['columns'], $job['group_by'] );
+			if ( is_wp_error( $records ) ) {
+				return $records;
+			}
+			return in_array( $job['type'], WDA_REST_Reports::WHOLE_REPORT_TYPES, true ) ? array( $records ) : $records;
+		}
+
+		$table = $reports->get_export_table( $job['type'], $data, $job['columns'], $job['group_by'] );
+		if ( is_wp_error( $table ) ) {
+			return $table;
+		}
+
+		$job['headers'] = $table['headers'];
+
+		return $table['rows'];
+	}
+
+	/**
+	 * Append rows to a job's part file.
+	 *
+	 * @param array $job  Export job.
+	 * @param array $rows Rows to append.
+	 * @return bool
+	 */
+	private function append_rows( $job, $rows ) {
+		$lines = '';
+		foreach ( $rows as $row ) {
+			$lines .= wp_json_encode( $row ) . "\n";
+		}
+
+		$file = $this->get_file_path( $job, 'part' );
+
+		return $file && false !== file_put_contents( $file, $lines, FILE_APPEND );
+	}
+
+	/**
+	 * Read the rows back from a part file, one at a time.
+	 *
+	 * @param string $file Part file path.
+	 * @return Generator Rows.
+	 */
+	private function read_rows( $file ) {
+		$handle = fopen( $file, 'r' );
+
+		while ( false !== ( $line = fgets( $handle ) ) ) {
+			yield json_decode( $line, true );
+		}
+
+		fclose( $handle );
+	}
+
+	/**
+	 * Write the finished export file from the part file.
+	 *
+	 * @param array $job Export job.
+	 */
+	private function finish_job( $job ) {
+		$part = $this->get_file_path( $job, 'part' );
+		$file = $this->get_file_path( $job, $job['format'] );
+
+		switch ( $job['format'] ) {
+			case 'xlsx':
+				$written = WDA_XLSX_Writer::write( $file, $job['headers'], $this->read_rows( $part ), $job['type'] );
+				if ( is_wp_error( $written ) ) {
+					$this->fail_job( $job, $written->get_error_message() );
+					return;
+				}
+				break;
+
+			case 'json':
+				$output = fopen( $file, 'w' );
+				$single = in_array( $job['type'], WDA_REST_Reports::WHOLE_REPORT_TYPES, true );
+				$first  = true;
+
+				fwrite( $output, $single ? '' : "[\n" );
+				foreach ( $this->read_rows( $part ) as $record ) {
+					fwrite( $output, ( $first ? '' : ",\n" ) . wp_json_encode( $record ) );
+					$first = false;
+				}
+				fwrite( $output, $single ? "\n" : "\n]\n" );
+				fclose( $output );
+				break;
+
+			default:
+				$output = fopen( $file, 'w' );
+				fputcsv( $output, $job['headers'] );
+				foreach ( $this->read_rows( $part ) as $row ) {
+					fputcsv( $output, $row );
+				}
+				fclose( $output );
+				break;
+		}
+
+		unlink( $part );
+
+		$job['status']      = 'complete';
+		$job['size']        = filesize( $file );
+		$job['finished_at'] = current_time( 'mysql' );
+		$job['expires']     = time() + (int) WDA_Settings::get( 'export_expiry_hours' ) * HOUR_IN_SECONDS;
+		$this->save_job( $job );
+
+		/**
+		 * Fires when a background export has finished.
+		 *
+		 * @param array  $job  Export job.
+		 * @param string $file Path of the export file.
+		 */
+		do_action( 'wda_export_completed', $job, $file );
+	}
+
+	/**
+	 * Mark a job as failed and delete its files.
+	 *
+	 * @param array  $job     Export job.
+	 * @param string $message Error message.
+	 */
+	private function fail_job( $job, $message ) {
+		$this->delete_files( $job );
+
+		$job['status']      = 'failed';
+		$job['error']       = $message;
+		$job['finished_at'] = current_time( 'mysql' );
+		$job['expires']     = time() + (int) WDA_Settings::get( 'export_expiry_hours' ) * HOUR_IN_SECONDS;
+		$this->save_job( $job );
+	}
+
+	/**
+	 * Delete every job past its expiry, with its files.
+	 */
+	public function delete_expired_jobs() {
+		foreach ( $this->get_job_ids() as $id ) {
+			$job = $this->get_job( $id );
+
+			if ( ! $job ) {
+				$this->remove_from_index( $id );
+			} elseif ( $job['expires'] <= time() ) {
+				$this->delete_job( $job );
+			}
+		}
+	}
+
+	/**
+	 * Delete a job, its queued batches and its files.
+	 *
+	 * @param array $job Export job.
+	 */
+	private function delete_job( $job ) {
+		as_unschedule_all_actions( self::BATCH_HOOK, array( $job['id'] ), self::GROUP );
+		$this->delete_files( $job );
+		delete_option( self::JOB_OPTION_PREFIX . $job['id'] );
+		$this->remove_from_index( $job['id'] );
+	}
+
+	/**
+	 * Delete a job's part and export files.
+	 *
+	 * @param array $job Export job.
+	 */
+	private function delete_files( $job ) {
+		foreach ( array( 'part', $job['format'] ) as $extension ) {
+			$file = $this->get_file_path( $job, $extension );
+			if ( $file && file_exists( $file ) ) {
+				unlink( $file );
+			}
+		}
+	}
+
+	/**
+	 * Shape a job for REST responses.
+	 *
+	 * @param array $job Export job.
+	 * @return array
+	 */
+	private function prepare_job( $job ) {
+		if ( 'complete' === $job['status'] ) {
+			$progress = 100;
+		} else {
+			$progress = $job['total_pages'] ? (int) floor( ( $job['page'] - 1 ) / $job['total_pages'] * 100 ) : 0;
+		}
+
+		return array(
+			'id'           => $job['id'],
+			'type'         => $job['type'],
+			'format'       => $job['format'],
+			'group_by'     => $job['group_by'],
+			'filename'     => $job['filename'],
+			'status'       => $job['status'],
+			'progress'     => $progress,
+			'rows'         => $job['rows'],
+			'size'         => $job['size'],
+			'error'        => $job['error'],
+			'created_at'   => $job['created_at'],
+			'finished_at'  => $job['finished_at'],
+			'expires_at'   => 'complete' === $job['status'] ? wp_date( 'Y-m-d H:i:s', $job['expires'] ) : null,
+			'download_url' => 'complete' === $job['status'] ? add_query_arg( '_wpnonce', wp_create_nonce( 'wp_rest' ), rest_url( WDA_REST_Reports::NAMESPACE . '/export-jobs/' . $job['id'] . '/download' ) ) : null,
+		);
+	}
+
+	/**
+	 * Get one of the current user's jobs.
+	 *
+	 * @param string $id Job ID.
+	 * @return array|WP_Error
+	 */
+	private function get_user_job( $id ) {
+		$job = $this->get_job( $id );
+
+		if ( ! $job || get_current_user_id() !== $job['user_id'] || $job['expires'] <= time() ) {
+			return new WP_Error(
+				'wda_export_not_found',
+				__( 'Export not found. It may have expired.', 'woo-discount-analytics' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Get a job.
+	 *
+	 * @param string $id Job ID.
+	 * @return array|null
+	 */
+	private function get_job( $id ) {
+		$job = get_option( self::JOB_OPTION_PREFIX . sanitize_key( $id ), null );
+		return is_array( $job ) ? $job : null;
+	}
+
+	/**
+	 * Check whether a job was cancelled or removed since it was read.
+	 *
+	 * The cancel request runs in another process, so the job is read past
+	 * the object cache.
+	 *
+	 * @param array $job Export job.
+	 * @return bool
+	 */
+	private function is_cancelled( $job ) {
+		wp_cache_delete( self::JOB_OPTION_PREFIX . $job['id'], 'options' );
+		$current = $this->get_job( $job['id'] );
+
+		return ! $current || ! in_array( $current['status'], array( 'queued', 'running' ), true );
+	}
+
+	/**
+	 * Save a job.
+	 *
+	 * Each job has its own option, so batches of different jobs never
+	 * overwrite each other's progress.
+	 *
+	 * @param array $job Export job.
+	 */
+	private function save_job( $job ) {
+		update_option( self::JOB_OPTION_PREFIX . $job['id'], $job, false );
+	}
+
+	/**
+	 * Get the IDs of all jobs, oldest first.
+	 *
+	 * @return string[]
+	 */
+	private function get_job_ids() {
+		return array_values( (array) get_option( self::INDEX_OPTION, array() ) );
+	}
+
+	/**
+	 * Remove a job ID from the index.
+	 *
+	 * @param string $id Job ID.
+	 */
+	private function remove_from_index( $id ) {
+		update_option( self::INDEX_OPTION, array_values( array_diff( $this->get_job_ids(), array( $id ) ) ), false );
+	}
+
+	/**
+	 * Get the path of one of a job's files, creating the export directory
+	 * if needed.
+	 *
+	 * Files are named with a random token and the directory denies direct
+	 * web access, so exports are only reachable through the download
+	 * endpoint.
+	 *
+	 * @param array  $job       Export job.
+	 * @param string $extension File extension (part for the rows in progress).
+	 * @return string|false Path, or false if the directory can't be created.
+	 */
+	private function get_file_path( $job, $extension ) {
+		$dir = $this->get_directory();
+		return $dir ? $dir . '/' . $job['id'] . '-' . $job['token'] . '.' . $extension : false;
+	}
+
+	/**
+	 * Get the export directory, creating and protecting it if needed.
+	 *
+	 * Exports go under uploads, which persists and is shared by every
+	 * server on most multi-server setups, unlike the temp directory.
+	 *
+	 * @return string|false
+	 */
+	private function get_directory() {
+		$uploads = wp_upload_dir();
+
+		/**
+		 * Filters the directory export files are written to.
+		 *
+		 * Use it to keep exports outside the web root, on storage every
+		 * server running the site can reach.
+		 *
+		 * @param string $dir Absolute path.
+		 */
+		$dir = untrailingslashit( apply_filters( 'wda_export_directory', $uploads['basedir'] . '/' . self::DIRECTORY ) );
+
+		if ( ! is_dir( $dir ) && ! wp_mkdir_p( $dir ) ) {
+			return false;
+		}
+
+		if ( ! file_exists( $dir . '/.htaccess' ) ) {
+			file_put_contents( $dir . '/.htaccess', "deny from all\n" );
+		}
+
+		if ( ! file_exists( $dir . '/index.php' ) ) {
+			file_put_contents( $dir . '/index.php', "<?php\n// Silence is golden.\n" );
+		}
+
+		return $dir;
+	}
+}
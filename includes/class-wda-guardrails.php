@@ -0,0 +1,393 @@
+<?php
+/**
+ * Guardrails class.
+ *
+ * Flags sales that break the configured discount rules, such as a typo'd
+ * 90% off or a "temporary" sale left running for months.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_Guardrails
+ *
+ * Evaluates sales against the guardrail rules and raises alerts.
+ */
+class WDA_Guardrails {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_Guardrails
+	 */
+	private static $instance = null;
+
+	/**
+	 * Cron hook for the daily check.
+	 *
+	 * @var string
+	 */
+	const CHECK_HOOK = 'wda_check_guardrails';
+
+	/**
+	 * Rule codes.
+	 *
+	 * @var string[]
+	 */
+	const RULES = array( 'max_discount', 'max_duration', 'no_end_date', 'below_cost' );
+
+	/**
+	 * Settings that change how sales are evaluated.
+	 *
+	 * @var string[]
+	 */
+	const RULE_SETTINGS = array( 'guardrail_max_discount', 'guardrail_max_duration', 'guardrail_no_end_date', 'guardrail_below_cost', 'cost_meta_key' );
+
+	/**
+	 * Maximum number of sales listed in an alert email.
+	 *
+	 * @var int
+	 */
+	const MAX_ALERT_ITEMS = 50;
+
+	/**
+	 * Products that started breaking a rule during this request.
+	 *
+	 * @var int[]
+	 */
+	private $pending_alerts = array();
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_Guardrails
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		add_action( self::CHECK_HOOK, array( $this, 'run_check' ) );
+		add_action( 'admin_init', array( $this, 'maybe_schedule' ) );
+		add_action( 'wda_settings_updated', array( $this, 'on_settings_updated' ), 10, 2 );
+		add_action( 'wda_sale_violations_changed', array( $this, 'on_violations_changed' ), 10, 3 );
+		add_action( 'admin_notices', array( $this, 'render_notices' ) );
+	}
+
+	/**
+	 * Schedule the daily check if it is missing.
+	 */
+	public function maybe_schedule() {
+		if ( ! wp_next_scheduled( self::CHECK_HOOK ) ) {
+			wp_schedule_event( time(), 'daily', self::CHECK_HOOK );
+		}
+	}
+
+	/**
+	 * Re-evaluate every indexed sale.
+	 *
+	 * Runs daily, since sales run past their maximum duration or end
+	 * without being saved.
+	 */
+	public function run_check() {
+		$sale_index = WDA_Sale_Index::instance();
+
+		// Nothing to flag and nothing to clear.
+		if ( ! self::get_rule_labels() && ! $sale_index->count_violations() ) {
+			return;
+		}
+
+		$sale_index->refresh_violations();
+	}
+
+	/**
+	 * Re-evaluate every sale in the background when the rules change.
+	 *
+	 * The check walks the whole sale index, so it runs as a one-off cron
+	 * event rather than holding up the settings save.
+	 *
+	 * @param array $settings New settings.
+	 * @param array $old      Previous settings.
+	 */
+	public function on_settings_updated( $settings, $old ) {
+		foreach ( self::RULE_SETTINGS as $key ) {
+			if ( $settings[ $key ] !== $old[ $key ] ) {
+				wp_schedule_single_event( time(), self::CHECK_HOOK );
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Queue an alert for a sale that started breaking a rule.
+	 *
+	 * Alerts are collected and emailed once at the end of the request, so a
+	 * bulk edit or the daily check sends a single email.
+	 *
+	 * @param int      $product_id Product or variation ID.
+	 * @param string[] $violations Rules the sale breaks now.
+	 * @param string[] $previous   Rules it broke before.
+	 */
+	public function on_violations_changed( $product_id, $violations, $previous ) {
+		if ( ! WDA_Settings::get( 'guardrail_email' ) || ! array_diff( $violations, $previous ) ) {
+			return;
+		}
+
+		if ( empty( $this->pending_alerts ) ) {
+			add_action( 'shutdown', array( $this, 'send_alerts' ) );
+		}
+
+		$this->pending_alerts[] = absint( $product_id );
+	}
+
+	/**
+	 * Get the enabled rules with their labels.
+	 *
+	 * @return array Labels keyed by rule code.
+	 */
+	public static function get_rule_labels() {
+		$settings = WDA_Settings::get_all();
+		$labels   = array();
+
+		if ( $settings['guardrail_max_discount'] > 0 ) {
+			/* translators: %s: maximum discount percentage */
+			$labels['max_discount'] = sprintf( __( 'Over %s%% off', 'woo-discount-analytics' ), wc_format_localized_decimal( $settings['guardrail_max_discount'] ) );
+		}
+
+		if ( $settings['guardrail_max_duration'] > 0 ) {
+			/* translators: %d: maximum sale duration in days */
+			$labels['max_duration'] = sprintf( _n( 'Runs over %d day', 'Runs over %d days', $settings['guardrail_max_duration'], 'woo-discount-analytics' ), $settings['guardrail_max_duration'] );
+		}
+
+		if ( $settings['guardrail_no_end_date'] ) {
+			$labels['no_end_date'] = __( 'No end date', 'woo-discount-analytics' );
+		}
+
+		if ( $settings['guardrail_below_cost'] ) {
+			$labels['below_cost'] = __( 'Below cost', 'woo-discount-analytics' );
+		}
+
+		return $labels;
+	}
+
+	/**
+	 * Evaluate a sale against the enabled rules.
+	 *
+	 * Sales that have already ended are not flagged. The duration rule needs
+	 * a start date, and counts an open-ended sale up to now.
+	 *
+	 * @param array $item Sale, as returned by the current-discounts endpoint (id, parent_id, sale_price, discount_pct, sale_start, sale_end).
+	 * @return string[] Codes of the rules the sale breaks.
+	 */
+	public static function evaluate( $item ) {
+		$settings = WDA_Settings::get_all();
+		$now      = time();
+		$start    = $item['sale_start'] ? (int) get_gmt_from_date( $item['sale_start'], 'U' ) : 0;
+		$end      = $item['sale_end'] ? (int) get_gmt_from_date( $item['sale_end'], 'U' ) : 0;
+
+		if ( $end && $end < $now ) {
+			return array();
+		}
+
+		$violations = array();
+
+		if ( $settings['guardrail_max_discount'] > 0 && $item['discount_pct'] > $settings['guardrail_max_discount'] ) {
+			$violations[] = 'max_discount';
+		}
+
+		if ( $settings['guardrail_max_duration'] > 0 && $start && ( $end ? $end : $now ) - $start > $settings['guardrail_max_duration'] * DAY_IN_SECONDS ) {
+			$violations[] = 'max_duration';
+		}
+
+		if ( $settings['guardrail_no_end_date'] && ! $end ) {
+			$violations[] = 'no_end_date';
+		}
+
+		if ( $settings['guardrail_below_cost'] ) {
+			$cost = WDA_Product_Cost::get_cost( $item['id'], $item['parent_id'] );
+			if ( null !== $cost && $item['sale_price'] < $cost ) {
+				$violations[] = 'below_cost';
+			}
+		}
+
+		return $violations;
+	}
+
+	/**
+	 * Show guardrail notices.
+	 *
+	 * The product edit screen lists the rules that product's sales break;
+	 * the dashboard, product list and report pages show the overall count.
+	 */
+	public function render_notices() {
+		$screen     = get_current_screen();
+		$sale_index = WDA_Sale_Index::instance();
+
+		if ( ! $screen || ! current_user_can( WDA_Admin_Reports::get_capability() ) || ! $sale_index->is_built() || ! self::get_rule_labels() ) {
+			return;
+		}
+
+		if ( 'product' === $screen->id ) {
+			$this->render_product_notice();
+			return;
+		}
+
+		if ( ! in_array( $screen->id, array( 'dashboard', 'edit-product' ), true ) && false === strpos( $screen->id, WDA_Admin_Reports::MENU_SLUG ) ) {
+			return;
+		}
+
+		$count = $sale_index->count_violations();
+		if ( ! $count ) {
+			return;
+		}
+
+		printf(
+			'<div class="notice notice-warning"><p>%s <a href="%s">%s</a></p></div>',
+			esc_html(
+				sprintf(
+					/* translators: %d: number of sales */
+					_n( '%d sale breaks your discount guardrails.', '%d sales break your discount guardrails.', $count, 'woo-discount-analytics' ),
+					$count
+				)
+			),
+			esc_url( admin_url( 'admin.php?page=' . WDA_Admin_Reports::MENU_SLUG . '&violation=any' ) ),
+			esc_html__( 'Review them', 'woo-discount-analytics' )
+		);
+	}
+
+	/**
+	 * Show the rules broken by the product being edited, and its variations.
+	 */
+	private function render_product_notice() {
+		global $post;
+
+		if ( ! $post ) {
+			return;
+		}
+
+		$items = WDA_Sale_Index::instance()->get_violating_items( array( $post->ID ) );
+		if ( empty( $items ) ) {
+			return;
+		}
+
+		$labels = self::get_rule_labels();
+
+		echo '<div class="notice notice-warning"><p><strong>' . esc_html__( 'This sale breaks your discount guardrails:', 'woo-discount-analytics' ) . '</strong></p><ul>';
+		foreach ( $items as $item ) {
+			echo '<li>' . esc_html( $item['name'] . ': ' . self::format_violations( $item['violations'], $labels ) ) . '</li>';
+		}
+		echo '</ul></div>';
+	}
+
+	/**
+	 * Email the sales that started breaking a rule during this request.
+	 */
+	public function send_alerts() {
+		$items = WDA_Sale_Index::instance()->get_violating_items( array_unique( $this->pending_alerts ), self::MAX_ALERT_ITEMS );
+
+		$this->pending_alerts = array();
+
+		if ( empty( $items ) ) {
+			return;
+		}
+
+		$recipients = WDA_Settings::parse_email_list( WDA_Settings::get( 'guardrail_recipients' ) );
+		if ( empty( $recipients ) ) {
+			$recipients = array( get_option( 'admin_email' ) );
+		}
+
+		$subject = sprintf(
+			/* translators: 1: site name, 2: number of sales */
+			_n( '[%1$s] %2$d sale breaks your discount guardrails', '[%1$s] %2$d sales break your discount guardrails', count( $items ), 'woo-discount-analytics' ),
+			wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES ),
+			count( $items )
+		);
+
+		wp_mail( $recipients, $subject, $this->render_alert_email( $items ), array( 'Content-Type: text/html; charset=UTF-8' ) );
+	}
+
+	/**
+	 * Render the alert email body.
+	 *
+	 * @param array $items Sales that break a rule.
+	 * @return string HTML.
+	 */
+	private function render_alert_email( $items ) {
+		$labels = self::get_rule_labels();
+		$cell   = 'padding: 8px 12px; border-bottom: 1px solid #e0e0e0; text-align: left; vertical-align: top;';
+		$head   = 'padding: 8px 12px; border-bottom: 2px solid #c3c4c7; text-align: left; font-size: 12px; text-transform: uppercase; color: #757575;';
+
+		ob_start();
+		?>
+		<div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e1e1e; max-width: 640px; margin: 0 auto;">
+			<h1 style="font-size: 20px; font-weight: 600; margin: 0 0 16px;"><?php esc_html_e( 'Sales that break your discount guardrails', 'woo-discount-analytics' ); ?></h1>
+			<table cellspacing="0" cellpadding="0" style="width: 100%; border-collapse: collapse; margin-bottom: 24px;">
+				<thead>
+					<tr>
+						<th style="<?php echo esc_attr( $head ); ?>"><?php esc_html_e( 'Product', 'woo-discount-analytics' ); ?></th>
+						<th style="<?php echo esc_attr( $head ); ?>"><?php esc_html_e( 'Problem', 'woo-discount-analytics' ); ?></th>
+						<th style="<?php echo esc_attr( $head ); ?>"><?php esc_html_e( 'Sale', 'woo-discount-analytics' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $items as $item ) : ?>
+						<tr>
+							<td style="<?php echo esc_attr( $cell ); ?>"><a href="<?php echo esc_url( admin_url( 'post.php?post=' . ( $item['parent_id'] ? $item['parent_id'] : $item['id'] ) . '&action=edit' ) ); ?>" style="color: #2271b1;"><?php echo esc_html( $item['name'] ); ?></a></td>
+							<td style="<?php echo esc_attr( $cell ); ?> color: #d63638;"><?php echo esc_html( self::format_violations( $item['violations'], $labels ) ); ?></td>
+							<td style="<?php echo esc_attr( $cell ); ?>">
+								<?php echo wp_kses_post( wc_price( $item['sale_price'] ) ); ?>
+								(<?php echo esc_html( wc_format_decimal( $item['discount_pct'], 1 ) . '%' ); ?>)<br>
+								<span style="color: #757575;">
+									<?php
+									echo esc_html(
+										( $item['sale_start'] ? date_i18n( get_option( 'date_format' ), strtotime( $item['sale_start'] ) ) : __( 'No start date', 'woo-discount-analytics' ) ) .
+										' – ' .
+										( $item['sale_end'] ? date_i18n( get_option( 'date_format' ), strtotime( $item['sale_end'] ) ) : __( 'No end date', 'woo-discount-analytics' ) )
+									);
+									?>
+								</span>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+			<p style="margin: 0; font-size: 12px; color: #757575;">
+				<a href="<?php echo esc_url( admin_url( 'admin.php?page=' . WDA_Admin_Reports::MENU_SLUG . '&violation=any' ) ); ?>" style="color: #2271b1;"><?php esc_html_e( 'Review all flagged sales', 'woo-discount-analytics' ); ?></a>
+				· <a href="<?php echo esc_url( admin_url( 'admin.php?page=' . WDA_Admin_Reports::MENU_SLUG . '-settings' ) ); ?>" style="color: #2271b1;"><?php esc_html_e( 'Guardrail settings', 'woo-discount-analytics' ); ?></a>
+			</p>
+		</div>
+		<?php
+		return ob_get_clean();
+	}
+
+	/**
+	 * Join the labels of broken rules.
+	 *
+	 * @param string[] $violations Rule codes.
+	 * @param array    $labels     Labels keyed by rule code.
+	 * @return string
+	 */
+	public static function format_violations( $violations, $labels ) {
+		$names = array();
+		foreach ( $violations as $code ) {
+			$names[] = isset( $labels[ $code ] ) ? $labels[ $code ] : $code;
+		}
+
+		return implode( '; ', $names );
+	}
+}
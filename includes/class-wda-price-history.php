@@ -0,0 +1,335 @@
+<?php
+/**
+ * Price History class.
+ *
+ * Records regular and sale price changes on product save so captured
+ * discounts can use the price that was effective at the order date.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_Price_History
+ *
+ * Manages the price history table and price lookups by date.
+ */
+class WDA_Price_History {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_Price_History
+	 */
+	private static $instance = null;
+
+	/**
+	 * Table name.
+	 *
+	 * @var string
+	 */
+	const TABLE_NAME = 'wc_sale_price_history';
+
+	/**
+	 * Product props that make up a price snapshot.
+	 *
+	 * @var string[]
+	 */
+	const PRICE_PROPS = array( 'regular_price', 'sale_price', 'date_on_sale_from', 'date_on_sale_to' );
+
+	/**
+	 * Whether the table exists (cached per request).
+	 *
+	 * @var bool|null
+	 */
+	private $table_exists = null;
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_Price_History
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		// Variations save with the same object type as products.
+		add_action( 'woocommerce_before_product_object_save', array( $this, 'on_before_product_save' ), 10, 1 );
+		add_action( 'woocommerce_after_product_object_save', array( $this, 'on_after_product_save' ), 10, 1 );
+	}
+
+	/**
+	 * Get table name with WordPress prefix.
+	 *
+	 * @return string
+	 */
+	public static function get_table_name() {
+		global $wpdb;
+		return $wpdb->prefix . self::TABLE_NAME;
+	}
+
+	/**
+	 * Create the price history table.
+	 *
+	 * @return bool True on success, false on failure.
+	 */
+	public function create_table() {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$charset_collate = $wpdb->get_charset_collate();
+
+		$sql = "CREATE TABLE IF NOT EXISTS {$table_name} (
+			id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			product_id BIGINT UNSIGNED NOT NULL,
+			regular_price DECIMAL(19,4) DEFAULT NULL,
+			sale_price DECIMAL(19,4) DEFAULT NULL,
+			sale_start DATETIME DEFAULT NULL,
+			sale_end DATETIME DEFAULT NULL,
+			changed_at DATETIME NOT NULL,
+			INDEX idx_product_changed (product_id, changed_at)
+		) {$charset_collate};";
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+		dbDelta( $sql );
+
+		$this->table_exists = null;
+
+		return $this->table_exists();
+	}
+
+	/**
+	 * Check if table exists.
+	 *
+	 * @return bool
+	 */
+	public function table_exists() {
+		global $wpdb;
+
+		if ( null === $this->table_exists ) {
+			$table_name = self::get_table_name();
+			$this->table_exists = $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $table_name ) ) === $table_name;
+		}
+
+		return $this->table_exists;
+	}
+
+	/**
+	 * Before a product is saved, keep its old prices if this is the first
+	 * recorded change, so the price it is replacing is not lost.
+	 *
+	 * The old snapshot is dated to the product's creation, since that is
+	 * the earliest it can have been in effect.
+	 *
+	 * @param WC_Product $product Product being saved.
+	 */
+	public function on_before_product_save( $product ) {
+		if ( ! $product->get_id() || ! array_intersect( self::PRICE_PROPS, array_keys( $product->get_changes() ) ) ) {
+			return;
+		}
+
+		if ( ! $this->table_exists() || $this->get_latest_snapshot( $product->get_id() ) ) {
+			return;
+		}
+
+		$data         = $product->get_data();
+		$date_created = $product->get_date_created();
+
+		$this->insert_snapshot( $product->get_id(), array(
+			'regular_price' => $data['regular_price'],
+			'sale_price'    => $data['sale_price'],
+			'sale_start'    => $data['date_on_sale_from'],
+			'sale_end'      => $data['date_on_sale_to'],
+		), $date_created ? $date_created->format( 'Y-m-d H:i:s' ) : current_time( 'mysql' ) );
+	}
+
+	/**
+	 * After a product is saved, record its prices if they changed.
+	 *
+	 * @param WC_Product $product Saved product.
+	 */
+	public function on_after_product_save( $product ) {
+		if ( ! $product->get_id() || ! $this->table_exists() ) {
+			return;
+		}
+
+		$snapshot = array(
+			'regular_price' => $product->get_regular_price( 'edit' ),
+			'sale_price'    => $product->get_sale_price( 'edit' ),
+			'sale_start'    => $product->get_date_on_sale_from( 'edit' ),
+			'sale_end'      => $product->get_date_on_sale_to( 'edit' ),
+		);
+
+		$latest = $this->get_latest_snapshot( $product->get_id() );
+		if ( $latest && $this->format_snapshot( $snapshot ) === $this->format_snapshot( $latest ) ) {
+			return;
+		}
+
+		$this->insert_snapshot( $product->get_id(), $snapshot, current_time( 'mysql' ) );
+	}
+
+	/**
+	 * Insert a price snapshot.
+	 *
+	 * @param int    $product_id Product or variation ID.
+	 * @param array  $snapshot   Prices and sale dates (WC_DateTime or null).
+	 * @param string $changed_at When the prices took effect (Y-m-d H:i:s).
+	 * @return int|false Insert ID on success, false on failure.
+	 */
+	private function insert_snapshot( $product_id, $snapshot, $changed_at ) {
+		global $wpdb;
+
+		$row = array_merge(
+			array( 'product_id' => absint( $product_id ) ),
+			$this->format_snapshot( $snapshot ),
+			array( 'changed_at' => $changed_at )
+		);
+
+		$result = $wpdb->insert( self::get_table_name(), $row );
+
+		if ( $result === false ) {
+			return false;
+		}
+
+		do_action( 'wda_price_change_recorded', $product_id, $row );
+
+		return $wpdb->insert_id;
+	}
+
+	/**
+	 * Normalize a snapshot to the column formats stored in the table.
+	 *
+	 * @param array $snapshot Snapshot from a product or a table row.
+	 * @return array
+	 */
+	private function format_snapshot( $snapshot ) {
+		$format_price = function( $price ) {
+			return ( '' === $price || null === $price ) ? null : number_format( (float) $price, 4, '.', '' );
+		};
+		$format_date  = function( $date ) {
+			if ( $date instanceof WC_DateTime ) {
+				return $date->date( 'Y-m-d H:i:s' );
+			}
+			return empty( $date ) ? null : $date;
+		};
+
+		return array(
+			'regular_price' => $format_price( $snapshot['regular_price'] ),
+			'sale_price'    => $format_price( $snapshot['sale_price'] ),
+			'sale_start'    => $format_date( $snapshot['sale_start'] ),
+			'sale_end'      => $format_date( $snapshot['sale_end'] ),
+		);
+	}
+
+	/**
+	 * Get the most recent snapshot for a product.
+	 *
+	 * @param int $product_id Product or variation ID.
+	 * @return array|null
+	 */
+	public function get_latest_snapshot( $product_id ) {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+
+		return $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT * FROM {$table_name} WHERE product_id = %d ORDER BY changed_at DESC, id DESC LIMIT 1",
+				absint( $product_id )
+			),
+			ARRAY_A
+		);
+	}
+
+	/**
+	 * Get the regular price that was in effect for a product at a date.
+	 *
+	 * @param int    $product_id Product or variation ID.
+	 * @param string $date       Date (Y-m-d H:i:s, site time).
+	 * @return float|null Regular price, or null if no history covers the date.
+	 */
+	public function get_regular_price_at( $product_id, $date ) {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return null;
+		}
+
+		$table_name = self::get_table_name();
+
+		$price = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT regular_price FROM {$table_name} WHERE product_id = %d AND changed_at <= %s ORDER BY changed_at DESC, id DESC LIMIT 1",
+				absint( $product_id ),
+				$date
+			)
+		);
+
+		return null === $price ? null : floatval( $price );
+	}
+
+	/**
+	 * Get a product's price history, newest first.
+	 *
+	 * @param int $product_id Product or variation ID.
+	 * @return array
+	 */
+	public function get_history( $product_id ) {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return array();
+		}
+
+		$table_name = self::get_table_name();
+
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT * FROM {$table_name} WHERE product_id = %d ORDER BY changed_at DESC, id DESC",
+				absint( $product_id )
+			),
+			ARRAY_A
+		);
+
+		return array_map( function( $row ) {
+			return array(
+				'regular_price' => null === $row['regular_price'] ? null : floatval( $row['regular_price'] ),
+				'sale_price'    => null === $row['sale_price'] ? null : floatval( $row['sale_price'] ),
+				'sale_start'    => $row['sale_start'],
+				'sale_end'      => $row['sale_end'],
+				'changed_at'    => $row['changed_at'],
+			);
+		}, $rows ? $rows : array() );
+	}
+
+	/**
+	 * Drop the price history table.
+	 *
+	 * @return bool True on success, false on failure.
+	 */
+	public function drop_table() {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$result = $wpdb->query( "DROP TABLE IF EXISTS {$table_name}" );
+
+		$this->table_exists = null;
+
+		return $result !== false;
+	}
+}
@@ -0,0 +1,167 @@
+<?php
+/**
+ * Product Cost class.
+ *
+ * Adds a cost price field to products and variations so reports can show
+ * what discounts did to margin.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_Product_Cost
+ *
+ * Manages the cost price field and cost lookups.
+ */
+class WDA_Product_Cost {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_Product_Cost
+	 */
+	private static $instance = null;
+
+	/**
+	 * Product meta key holding the cost price, in the base currency.
+	 *
+	 * @var string
+	 */
+	const META_KEY = '_wda_cost';
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_Product_Cost
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		add_action( 'woocommerce_product_options_pricing', array( $this, 'render_product_field' ) );
+		add_action( 'woocommerce_variation_options_pricing', array( $this, 'render_variation_field' ), 10, 3 );
+
+		// Costs are set on the product object so they are saved (and indexed) with it.
+		add_action( 'woocommerce_admin_process_product_object', array( $this, 'save_product_field' ) );
+		add_action( 'woocommerce_admin_process_variation_object', array( $this, 'save_variation_field' ), 10, 2 );
+	}
+
+	/**
+	 * Render the cost field on the product General tab.
+	 */
+	public function render_product_field() {
+		global $product_object;
+
+		woocommerce_wp_text_input( array(
+			'id'          => self::META_KEY,
+			'value'       => $product_object ? wc_format_localized_price( $product_object->get_meta( self::META_KEY ) ) : '',
+			/* translators: %s: currency symbol */
+			'label'       => sprintf( __( 'Cost price (%s)', 'woo-discount-analytics' ), get_woocommerce_currency_symbol() ),
+			'data_type'   => 'price',
+			'desc_tip'    => true,
+			'description' => __( 'What one unit costs you. Used for margin reports; variations without their own cost use this one.', 'woo-discount-analytics' ),
+		) );
+	}
+
+	/**
+	 * Render the cost field in a variation's pricing options.
+	 *
+	 * @param int     $loop           Variation index.
+	 * @param array   $variation_data Variation data.
+	 * @param WP_Post $variation      Variation post.
+	 */
+	public function render_variation_field( $loop, $variation_data, $variation ) {
+		woocommerce_wp_text_input( array(
+			'id'            => 'wda_variable_cost' . $loop,
+			'name'          => 'wda_variable_cost[' . $loop . ']',
+			'value'         => wc_format_localized_price( get_post_meta( $variation->ID, self::META_KEY, true ) ),
+			/* translators: %s: currency symbol */
+			'label'         => sprintf( __( 'Cost price (%s)', 'woo-discount-analytics' ), get_woocommerce_currency_symbol() ),
+			'data_type'     => 'price',
+			'placeholder'   => __( 'Parent cost', 'woo-discount-analytics' ),
+			'wrapper_class' => 'form-row form-row-full',
+		) );
+	}
+
+	/**
+	 * Save the product cost field.
+	 *
+	 * @param WC_Product $product Product being saved.
+	 */
+	public function save_product_field( $product ) {
+		// WooCommerce has checked the nonce before this runs.
+		if ( isset( $_POST[ self::META_KEY ] ) ) {
+			$this->set_cost( $product, sanitize_text_field( wp_unslash( $_POST[ self::META_KEY ] ) ) );
+		}
+	}
+
+	/**
+	 * Save a variation's cost field.
+	 *
+	 * @param WC_Product_Variation $variation Variation being saved.
+	 * @param int                  $loop      Variation index.
+	 */
+	public function save_variation_field( $variation, $loop ) {
+		if ( isset( $_POST['wda_variable_cost'][ $loop ] ) ) {
+			$this->set_cost( $variation, sanitize_text_field( wp_unslash( $_POST['wda_variable_cost'][ $loop ] ) ) );
+		}
+	}
+
+	/**
+	 * Set or clear a product's cost from a submitted value.
+	 *
+	 * @param WC_Product $product Product object.
+	 * @param string     $value   Localized price, or empty to clear.
+	 */
+	private function set_cost( $product, $value ) {
+		$cost = wc_format_decimal( $value );
+
+		if ( '' === $cost ) {
+			$product->delete_meta_data( self::META_KEY );
+		} else {
+			$product->update_meta_data( self::META_KEY, $cost );
+		}
+	}
+
+	/**
+	 * Get a product's cost in the base currency.
+	 *
+	 * Uses the plugin's cost field, then the meta key configured in the
+	 * settings (e.g. one kept by a cost-of-goods plugin). Variations without
+	 * a cost of their own use their parent's.
+	 *
+	 * @param int $product_id Product or variation ID.
+	 * @param int $parent_id  Parent ID for variations, 0 otherwise.
+	 * @return float|null Cost, or null if none is set.
+	 */
+	public static function get_cost( $product_id, $parent_id = 0 ) {
+		$meta_keys = array_unique( array_filter( array( self::META_KEY, (string) WDA_Settings::get( 'cost_meta_key' ) ) ) );
+
+		foreach ( array_filter( array( $product_id, $parent_id ) ) as $id ) {
+			foreach ( $meta_keys as $meta_key ) {
+				$cost = get_post_meta( $id, $meta_key, true );
+				if ( is_numeric( $cost ) ) {
+					return floatval( $cost );
+				}
+			}
+		}
+
+		return null;
+	}
+}
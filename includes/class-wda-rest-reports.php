@@ -25,9 +25,100 @@ class WDA_REST_Reports {
 
 	/**
 	 * REST API namespace.
+	 *
+	 * @var string
 	 */
 	const NAMESPACE = 'wda/v1';
 
+	/**
+	 * Maximum number of below-cost lines listed in the summary.
+	 *
+	 * @var int
+	 */
+	const BELOW_COST_LIMIT = 20;
+
+	/**
+	 * Maximum number of buckets in a summary series.
+	 *
+	 * @var int
+	 */
+	const MAX_SERIES_BUCKETS = 366;
+
+	/**
+	 * Days per series bucket, rounded down so bucket counts are not underestimated.
+	 *
+	 * @var int[]
+	 */
+	const SERIES_BUCKET_DAYS = array(
+		'day'   => 1,
+		'week'  => 7,
+		'month' => 30,
+	);
+
+	/**
+	 * Coupon filter value that selects lines without a coupon.
+	 *
+	 * @var string
+	 */
+	const NO_COUPON = 'none';
+
+	/**
+	 * Number of most discounted products listed in the summary.
+	 *
+	 * @var int
+	 */
+	const TOP_PRODUCTS_LIMIT = 10;
+
+	/**
+	 * Reports whose items are paginated.
+	 *
+	 * @var string[]
+	 */
+	const PAGED_REPORT_TYPES = array( 'current-discounts', 'discount-history', 'sale-performance' );
+
+	/**
+	 * Reports that aren't a list of items, so are exported whole.
+	 *
+	 * @var string[]
+	 */
+	const WHOLE_REPORT_TYPES = array( 'discount-summary', 'discount-depth' );
+
+	/**
+	 * Maximum number of products listed in the discount depth elasticity table.
+	 *
+	 * @var int
+	 */
+	const ELASTICITY_LIMIT = 25;
+
+	/**
+	 * Fewest orders a discount level needs to count towards an elasticity estimate.
+	 *
+	 * @var int
+	 */
+	const ELASTICITY_MIN_ORDERS = 3;
+
+	/**
+	 * Fewest days from first to last sale a discount level needs to count
+	 * towards an elasticity estimate.
+	 *
+	 * @var int
+	 */
+	const ELASTICITY_MIN_DAYS = 7;
+
+	/**
+	 * Sale windows aggregated per sale performance query.
+	 *
+	 * @var int
+	 */
+	const SALE_WINDOWS_PER_QUERY = 100;
+
+	/**
+	 * Items fetched per page when running a report in full (the largest page reports allow).
+	 *
+	 * @var int
+	 */
+	const EXPORT_PAGE_SIZE = 100;
+
 	/**
 	 * Get the single instance.
 	 *
@@ -82,10 +173,67 @@ class WDA_REST_Reports {
 			'args'                => $this->get_summary_args(),
 		) );
 
-		// CSV Export.
+		// Sale performance (lift vs. pre-sale baseline).
+		register_rest_route( self::NAMESPACE, '/sale-performance', array(
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => array( $this, 'get_sale_performance' ),
+			'permission_callback' => array( $this, 'check_permission' ),
+			'args'                => $this->get_sale_performance_args(),
+		) );
+
+		// Discount depth (units by discount band, price elasticity).
+		register_rest_route( self::NAMESPACE, '/discount-depth', array(
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => array( $this, 'get_discount_depth' ),
+			'permission_callback' => array( $this, 'check_permission' ),
+			'args'                => $this->get_discount_depth_args(),
+		) );
+
+		// Price history for a product or variation.
+		register_rest_route( self::NAMESPACE, '/price-history', array(
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => array( $this, 'get_price_history' ),
+			'permission_callback' => array( $this, 'check_permission' ),
+			'args'                => array(
+				'product_id' => array(
+					'type'              => 'integer',
+					'required'          => true,
+					'sanitize_callback' => 'absint',
+				),
+			),
+		) );
+
+		// Product category tree.
+		register_rest_route( self::NAMESPACE, '/categories', array(
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => array( $this, 'get_categories' ),
+			'permission_callback' => array( $this, 'check_permission' ),
+		) );
+
+		// Product and variation search.
+		register_rest_route( self::NAMESPACE, '/products/search', array(
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => array( $this, 'search_products' ),
+			'permission_callback' => array( $this, 'check_permission' ),
+			'args'                => array(
+				'search'  => array(
+					'type'              => 'string',
+					'default'           => '',
+					'sanitize_callback' => 'sanitize_text_field',
+				),
+				'include' => array(
+					'type'              => 'array',
+					'items'             => array( 'type' => 'integer' ),
+					'default'           => array(),
+					'sanitize_callback' => 'wp_parse_id_list',
+				),
+			),
+		) );
+
+		// Export (CSV, XLSX or JSON). Takes the report's own filters as well.
 		register_rest_route( self::NAMESPACE, '/export/(?P<type>[a-z-]+)', array(
 			'methods'             => WP_REST_Server::READABLE,
-			'callback'            => array( $this, 'export_csv' ),
+			'callback'            => array( $this, 'export_report' ),
 			'permission_callback' => array( $this, 'check_permission' ),
 			'args'                => $this->get_export_args(),
 		) );
@@ -114,52 +262,69 @@ class WDA_REST_Reports {
 	 */
 	private function get_current_discounts_args() {
 		return array(
-			'page'            => array(
+			'page'                  => array(
 				'type'              => 'integer',
 				'default'           => 1,
 				'sanitize_callback' => 'absint',
 			),
-			'per_page'        => array(
+			'per_page'              => array(
 				'type'              => 'integer',
 				'default'           => 25,
 				'sanitize_callback' => 'absint',
 			),
-			'category'        => array(
+			'category'              => array(
 				'type'              => 'integer',
 				'default'           => 0,
 				'sanitize_callback' => 'absint',
 			),
-			'product_type'    => array(
+			'include_subcategories' => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'product_type'          => array(
 				'type'              => 'string',
 				'default'           => '',
+				'enum'              => array( '', 'simple', 'variable', 'variation', 'external', 'grouped' ),
 				'sanitize_callback' => 'sanitize_text_field',
 			),
-			'discount_min'    => array(
+			'discount_min'          => array(
 				'type'              => 'number',
 				'default'           => 0,
 				'sanitize_callback' => function( $value ) {
 					return floatval( $value );
 				},
 			),
-			'discount_max'    => array(
+			'discount_max'          => array(
 				'type'              => 'number',
 				'default'           => 100,
 				'sanitize_callback' => function( $value ) {
 					return floatval( $value );
 				},
 			),
-			'sale_status'     => array(
+			'sale_status'           => array(
 				'type'              => 'string',
 				'default'           => 'all',
 				'enum'              => array( 'active', 'scheduled', 'expired', 'all' ),
 				'sanitize_callback' => 'sanitize_text_field',
 			),
-			'orderby'         => array(
+			'ends_within'           => array(
+				'type'              => 'integer',
+				'default'           => 0,
+				'sanitize_callback' => 'absint',
+			),
+			'violation'             => array(
+				'type'              => 'string',
+				'default'           => '',
+				'enum'              => array_merge( array( '', 'any' ), WDA_Guardrails::RULES ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'orderby'               => array(
 				'type'              => 'string',
 				'default'           => 'discount_pct',
 				'sanitize_callback' => 'sanitize_text_field',
 			),
-			'order'           => array(
+			'order'                 => array(
 				'type'              => 'string',
 				'default'           => 'DESC',
 				'enum'              => array( 'ASC', 'DESC' ),
@@ -175,40 +340,78 @@ class WDA_REST_Reports {
 	 */
 	private function get_history_args() {
 		return array(
-			'page'       => array(
+			'page'                  => array(
 				'type'              => 'integer',
 				'default'           => 1,
 				'sanitize_callback' => 'absint',
 			),
-			'per_page'   => array(
+			'per_page'              => array(
 				'type'              => 'integer',
 				'default'           => 25,
 				'sanitize_callback' => 'absint',
 			),
-			'date_from'  => array(
+			'date_from'             => array(
 				'type'              => 'string',
 				'default'           => '',
 				'sanitize_callback' => 'sanitize_text_field',
 			),
-			'date_to'    => array(
+			'date_to'               => array(
 				'type'              => 'string',
 				'default'           => '',
 				'sanitize_callback' => 'sanitize_text_field',
 			),
-			'product_id' => array(
+			'product_id'            => array(
 				'type'              => 'integer',
 				'default'           => 0,
 				'sanitize_callback' => 'absint',
 			),
-			'category'   => array(
+			'category'              => array(
 				'type'              => 'integer',
 				'default'           => 0,
 				'sanitize_callback' => 'absint',
 			),
-			'group_by'   => array(
+			'include_subcategories' => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'coupon'                => array(
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'wc_format_coupon_code',
+			),
+			'include_refunded'      => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'currency'              => array(
+				'type'              => 'string',
+				'default'           => '',
+				'pattern'           => '^([A-Za-z]{3})?$',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'convert'               => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'group_by'              => array(
 				'type'              => 'string',
 				'default'           => '',
-				'enum'              => array( '', 'product', 'category', 'date' ),
+				'enum'              => array( '', 'product', 'category', 'date', 'coupon' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'orderby'               => array(
+				'type'              => 'string',
+				'default'           => 'date',
+				'enum'              => array( 'date', 'units_sold', 'total_discount', 'total_revenue' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'order'                 => array(
+				'type'              => 'string',
+				'default'           => 'DESC',
+				'enum'              => array( 'ASC', 'DESC' ),
 				'sanitize_callback' => 'sanitize_text_field',
 			),
 		);
@@ -221,64 +424,254 @@ class WDA_REST_Reports {
 	 */
 	private function get_summary_args() {
 		return array(
-			'date_from' => array(
+			'date_from'        => array(
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'date_to'          => array(
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'interval'         => array(
+				'type'              => 'string',
+				'default'           => '',
+				'enum'              => array( '', 'day', 'week', 'month' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'compare'          => array(
+				'type'              => 'string',
+				'default'           => '',
+				'enum'              => array( '', 'previous_period', 'previous_year', 'custom' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'compare_from'     => array(
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'compare_to'       => array(
 				'type'              => 'string',
 				'default'           => '',
 				'sanitize_callback' => 'sanitize_text_field',
 			),
-			'date_to'   => array(
+			'include_refunded' => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'currency'         => array(
 				'type'              => 'string',
 				'default'           => '',
+				'pattern'           => '^([A-Za-z]{3})?$',
 				'sanitize_callback' => 'sanitize_text_field',
 			),
+			'convert'          => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
 		);
 	}
 
 	/**
-	 * Get export arguments.
+	 * Get sale performance arguments.
 	 *
 	 * @return array
 	 */
-	private function get_export_args() {
+	private function get_sale_performance_args() {
+		return array(
+			'page'                  => array(
+				'type'              => 'integer',
+				'default'           => 1,
+				'sanitize_callback' => 'absint',
+			),
+			'per_page'              => array(
+				'type'              => 'integer',
+				'default'           => 25,
+				'sanitize_callback' => 'absint',
+			),
+			'category'              => array(
+				'type'              => 'integer',
+				'default'           => 0,
+				'sanitize_callback' => 'absint',
+			),
+			'include_subcategories' => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'sale_status'           => array(
+				'type'              => 'string',
+				'default'           => 'all',
+				'enum'              => array( 'active', 'expired', 'all' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'orderby'               => array(
+				'type'              => 'string',
+				'default'           => 'incremental_units',
+				'enum'              => array( 'name', 'sale_start', 'lift_pct', 'revenue_lift_pct', 'incremental_units', 'discount_cost', 'cost_per_incremental_unit' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'order'                 => array(
+				'type'              => 'string',
+				'default'           => 'DESC',
+				'enum'              => array( 'ASC', 'DESC' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+		);
+	}
+
+	/**
+	 * Get discount depth arguments.
+	 *
+	 * @return array
+	 */
+	private function get_discount_depth_args() {
 		return array(
-			'type'      => array(
+			'date_from'             => array(
 				'type'              => 'string',
-				'required'          => true,
-				'enum'              => array( 'current-discounts', 'discount-history', 'discount-summary' ),
+				'default'           => '',
 				'sanitize_callback' => 'sanitize_text_field',
 			),
-			'date_from' => array(
+			'date_to'               => array(
 				'type'              => 'string',
 				'default'           => '',
 				'sanitize_callback' => 'sanitize_text_field',
 			),
-			'date_to'   => array(
+			'category'              => array(
+				'type'              => 'integer',
+				'default'           => 0,
+				'sanitize_callback' => 'absint',
+			),
+			'include_subcategories' => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'band_width'            => array(
+				'type'              => 'number',
+				'default'           => 10,
+				'minimum'           => 1,
+				'maximum'           => 100,
+				'sanitize_callback' => 'floatval',
+			),
+			'bands'                 => array(
+				'type'              => 'array',
+				'items'             => array( 'type' => 'number' ),
+				'default'           => array(),
+				'sanitize_callback' => 'wp_parse_list',
+			),
+			'include_refunded'      => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'currency'              => array(
 				'type'              => 'string',
 				'default'           => '',
+				'pattern'           => '^([A-Za-z]{3})?$',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'convert'               => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+		);
+	}
+
+	/**
+	 * Get export arguments.
+	 *
+	 * @return array
+	 */
+	private function get_export_args() {
+		return array(
+			'type'    => array(
+				'type'              => 'string',
+				'required'          => true,
+				'enum'              => array( 'current-discounts', 'discount-history', 'discount-summary', 'sale-performance', 'discount-depth', 'price-history' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'format'  => array(
+				'type'              => 'string',
+				'default'           => 'csv',
+				'enum'              => array( 'csv', 'xlsx', 'json' ),
 				'sanitize_callback' => 'sanitize_text_field',
 			),
+			'columns' => array(
+				'type'              => 'array',
+				'items'             => array( 'type' => 'string' ),
+				'default'           => array(),
+				'sanitize_callback' => 'wp_parse_list',
+			),
 		);
 	}
 
 	/**
 	 * Get current discounted products.
 	 *
-	 * Scans ALL products in the catalog to find those with sale prices set.
-	 * This does not depend on order history - it looks at current product data.
+	 * Reads the sale index once it has been built. Until then, falls back to
+	 * scanning the catalogue. This does not depend on order history - it looks
+	 * at current product data.
 	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response
 	 */
 	public function get_current_discounts( $request ) {
-		$page         = $request->get_param( 'page' );
-		$per_page     = min( $request->get_param( 'per_page' ), 100 );
-		$category     = $request->get_param( 'category' );
-		$product_type = $request->get_param( 'product_type' );
-		$discount_min = $request->get_param( 'discount_min' );
-		$discount_max = $request->get_param( 'discount_max' );
-		$sale_status  = $request->get_param( 'sale_status' );
-		$orderby      = $request->get_param( 'orderby' );
-		$order        = $request->get_param( 'order' );
+		$page     = max( 1, $request->get_param( 'page' ) );
+		$per_page = max( 1, min( $request->get_param( 'per_page' ), 100 ) );
+		$orderby  = $request->get_param( 'orderby' );
+		$order    = $request->get_param( 'order' );
+		$filters  = array(
+			'category'     => $this->get_category_filter_ids( $request->get_param( 'category' ), $request->get_param( 'include_subcategories' ) ),
+			'product_type' => $request->get_param( 'product_type' ),
+			'discount_min' => $request->get_param( 'discount_min' ),
+			'discount_max' => $request->get_param( 'discount_max' ),
+			'sale_status'  => $request->get_param( 'sale_status' ),
+			'ends_within'  => $request->get_param( 'ends_within' ),
+			'violation'    => $request->get_param( 'violation' ),
+		);
+
+		$sale_index = WDA_Sale_Index::instance();
+
+		if ( $sale_index->is_built() ) {
+			$data = $sale_index->query( $filters, $orderby, $order, $page, $per_page );
+		} else {
+			$data = $this->scan_current_discounts( $filters, $orderby, $order, $page, $per_page );
+		}
+
+		return new WP_REST_Response( array(
+			'items'       => $data['items'],
+			'total'       => $data['total'],
+			'total_pages' => (int) ceil( $data['total'] / $per_page ),
+			'page'        => $page,
+			'per_page'    => $per_page,
+		), 200 );
+	}
+
+	/**
+	 * Find current discounts by scanning the whole catalogue.
+	 *
+	 * Used until the sale index has finished its first build.
+	 *
+	 * @param array  $filters  Filters: category (IDs), product_type, discount_min, discount_max, sale_status, ends_within (days), violation (rule code or any).
+	 * @param string $orderby  Sort field.
+	 * @param string $order    Sort direction (ASC or DESC).
+	 * @param int    $page     Page number.
+	 * @param int    $per_page Items per page.
+	 * @return array Array with items and total.
+	 */
+	private function scan_current_discounts( $filters, $orderby, $order, $page, $per_page ) {
+		$category_ids = $filters['category'];
+		$product_type = $filters['product_type'];
+		$discount_min = $filters['discount_min'];
+		$discount_max = $filters['discount_max'];
+		$sale_status  = $filters['sale_status'];
+		$ends_within  = $filters['ends_within'];
+		$violation    = $filters['violation'];
 
 		// Query ALL products (we'll filter by sale price in PHP for reliability).
 		$args = array(
@@ -288,12 +681,17 @@ class WDA_REST_Reports {
 			'type'   => array( 'simple', 'variable', 'external', 'grouped' ),
 		);
 
-		// Add category filter.
-		if ( $category > 0 ) {
-			$term = get_term( $category, 'product_cat' );
-			if ( $term && ! is_wp_error( $term ) ) {
-				$args['category'] = array( $term->slug );
+		// Add category filter. The query narrows by slug (which WP_Query
+		// widens to child terms); exact matching happens per product below.
+		if ( ! empty( $category_ids ) ) {
+			$slugs = array();
+			foreach ( $category_ids as $term_id ) {
+				$term = get_term( $term_id, 'product_cat' );
+				if ( $term && ! is_wp_error( $term ) ) {
+					$slugs[] = $term->slug;
+				}
 			}
+			$args['category'] = $slugs;
 		}
 
 		// Add product type filter.
@@ -301,17 +699,20 @@ class WDA_REST_Reports {
 			$args['type'] = $product_type;
 		}
 
-		$products = wc_get_products( $args );
+		$products = 'variation' === $product_type ? array() : wc_get_products( $args );
 
-		// Also get ALL variations.
-		$variation_args = array(
-			'status' => 'publish',
-			'limit'  => -1,
-			'type'   => 'variation',
-			'return' => 'objects',
-		);
+		// Also get ALL variations, unless filtering to another product type.
+		$variations = array();
+		if ( empty( $product_type ) || 'variation' === $product_type ) {
+			$variation_args = array(
+				'status' => 'publish',
+				'limit'  => -1,
+				'type'   => 'variation',
+				'return' => 'objects',
+			);
 
-		$variations = wc_get_products( $variation_args );
+			$variations = wc_get_products( $variation_args );
+		}
 
 		// Merge all products and variations.
 		$all_products = array_merge( $products, $variations );
@@ -326,6 +727,11 @@ class WDA_REST_Reports {
 				continue;
 			}
 
+			// Filter by category (variations use their parent's categories).
+			if ( ! empty( $category_ids ) && ! $this->product_in_categories( $product, $category_ids ) ) {
+				continue;
+			}
+
 			$discount_amount = $regular_price - $sale_price;
 			$discount_pct    = ( $discount_amount / $regular_price ) * 100;
 
@@ -354,6 +760,11 @@ class WDA_REST_Reports {
 				continue;
 			}
 
+			// Filter to sales ending within the next N days.
+			if ( $ends_within > 0 && ( ! $sale_to || $sale_to > $now + $ends_within * DAY_IN_SECONDS ) ) {
+				continue;
+			}
+
 			$parent_id = 0;
 			$name      = $product->get_name();
 
@@ -361,7 +772,7 @@ class WDA_REST_Reports {
 				$parent_id = $product->get_parent_id();
 			}
 
-			$results[] = array(
+			$item = array(
 				'id'                 => $product->get_id(),
 				'parent_id'          => $parent_id,
 				'name'               => $name,
@@ -378,6 +789,15 @@ class WDA_REST_Reports {
 				'stock_quantity'     => $product->get_stock_quantity(),
 				'edit_link'          => get_edit_post_link( $parent_id ? $parent_id : $product->get_id(), 'raw' ),
 			);
+
+			$item['violations'] = WDA_Guardrails::evaluate( $item );
+
+			// Filter by guardrail violation.
+			if ( ( 'any' === $violation && empty( $item['violations'] ) ) || ( $violation && 'any' !== $violation && ! in_array( $violation, $item['violations'], true ) ) ) {
+				continue;
+			}
+
+			$results[] = $item;
 		}
 
 		// Sort results.
@@ -397,162 +817,596 @@ class WDA_REST_Reports {
 		$offset  = ( $page - 1 ) * $per_page;
 		$results = array_slice( $results, $offset, $per_page );
 
-		return new WP_REST_Response( array(
-			'items'       => $results,
-			'total'       => $total,
-			'total_pages' => (int) ceil( $total / $per_page ),
-			'page'        => $page,
-			'per_page'    => $per_page,
-		), 200 );
+		return array(
+			'items' => $results,
+			'total' => $total,
+		);
 	}
 
 	/**
-	 * Get discount history.
+	 * Get the product category tree.
+	 *
+	 * Categories are returned as a flat list in tree order (each parent
+	 * followed by its children) with a depth for indentation.
 	 *
 	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response
+	 * @return WP_REST_Response|WP_Error
 	 */
-	public function get_discount_history( $request ) {
-		$page       = $request->get_param( 'page' );
-		$per_page   = min( $request->get_param( 'per_page' ), 100 );
-		$date_from  = $request->get_param( 'date_from' );
-		$date_to    = $request->get_param( 'date_to' );
-		$product_id = $request->get_param( 'product_id' );
-		$category   = $request->get_param( 'category' );
-		$group_by   = $request->get_param( 'group_by' );
-
-		$results = array();
+	public function get_categories( $request ) {
+		$terms = get_terms( array(
+			'taxonomy'   => 'product_cat',
+			'hide_empty' => false,
+			'orderby'    => 'name',
+		) );
 
-		// Try to read from custom table first (preferred method).
-		if ( class_exists( 'WDA_Database' ) ) {
-			$database = WDA_Database::instance();
-			if ( $database && $database->table_exists() ) {
-				$results = $this->get_discount_history_from_table( $date_from, $date_to, $product_id, $category );
-			} else {
-				// Fallback to order item meta method (backward compatibility).
-				$results = $this->get_discount_history_from_meta( $date_from, $date_to, $product_id, $category );
-			}
-		} else {
-			// Fallback to order item meta method (backward compatibility).
-			$results = $this->get_discount_history_from_meta( $date_from, $date_to, $product_id, $category );
+		if ( is_wp_error( $terms ) ) {
+			return $terms;
 		}
 
-		// Handle grouping.
-		if ( ! empty( $group_by ) ) {
-			$results = $this->group_history_results( $results, $group_by );
+		$children = array();
+		foreach ( $terms as $term ) {
+			$children[ $term->parent ][] = $term;
 		}
 
-		$total = count( $results );
-
-		// Paginate.
-		$offset  = ( $page - 1 ) * $per_page;
-		$results = array_slice( $results, $offset, $per_page );
+		$items = array();
+		$this->flatten_category_tree( $children, 0, 0, $items );
 
 		return new WP_REST_Response( array(
-			'items'       => array_values( $results ),
-			'total'       => $total,
-			'total_pages' => ceil( $total / $per_page ),
-			'page'        => $page,
-			'per_page'    => $per_page,
+			'items' => $items,
 		), 200 );
 	}
 
 	/**
-	 * Get discount history from custom table.
+	 * Append categories to a flat list in tree order.
 	 *
-	 * @param string $date_from  Date from.
-	 * @param string $date_to    Date to.
-	 * @param int    $product_id Product ID filter.
-	 * @param int    $category   Category ID filter.
-	 * @return array
+	 * @param array $children  Terms keyed by parent ID.
+	 * @param int   $parent_id Parent term ID to start from.
+	 * @param int   $depth     Current depth.
+	 * @param array $items     Output list (passed by reference).
 	 */
-	private function get_discount_history_from_table( $date_from, $date_to, $product_id, $category ) {
-		global $wpdb;
+	private function flatten_category_tree( $children, $parent_id, $depth, &$items ) {
+		if ( empty( $children[ $parent_id ] ) ) {
+			return;
+		}
 
-		if ( ! class_exists( 'WDA_Database' ) ) {
+		foreach ( $children[ $parent_id ] as $term ) {
+			$items[] = array(
+				'id'     => $term->term_id,
+				'name'   => $term->name,
+				'slug'   => $term->slug,
+				'parent' => $term->parent,
+				'depth'  => $depth,
+				'count'  => $term->count,
+			);
+
+			$this->flatten_category_tree( $children, $term->term_id, $depth + 1, $items );
+		}
+	}
+
+	/**
+	 * Get the category IDs a category filter matches.
+	 *
+	 * @param int  $category         Category ID (0 for no filter).
+	 * @param bool $include_children Whether to include all descendant categories.
+	 * @return int[] Empty when not filtering.
+	 */
+	private function get_category_filter_ids( $category, $include_children ) {
+		if ( $category <= 0 ) {
 			return array();
 		}
 
-		$database = WDA_Database::instance();
-		$table_name = WDA_Database::get_table_name();
-		$results = array();
+		$ids = array( $category );
 
-		// Build WHERE clause.
-		$where = array( 'refund_id = 0' ); // Only non-refunded items.
+		if ( $include_children ) {
+			$descendants = get_term_children( $category, 'product_cat' );
+			if ( ! is_wp_error( $descendants ) ) {
+				$ids = array_merge( $ids, array_map( 'absint', $descendants ) );
+			}
+		}
 
-		if ( ! empty( $date_from ) ) {
-			$where[] = $wpdb->prepare( 'created_at >= %s', $date_from );
+		return $ids;
+	}
+
+	/**
+	 * Check whether a product belongs to any of the given categories.
+	 *
+	 * @param WC_Product $product      Product or variation.
+	 * @param int[]      $category_ids Category IDs.
+	 * @return bool
+	 */
+	private function product_in_categories( $product, $category_ids ) {
+		$id       = $product->is_type( 'variation' ) ? $product->get_parent_id() : $product->get_id();
+		$term_ids = wc_get_product_term_ids( $id, 'product_cat' );
+
+		return (bool) array_intersect( $term_ids, $category_ids );
+	}
+
+	/**
+	 * Search products and variations by name or SKU.
+	 *
+	 * Pass `include` instead of `search` to look up known IDs (e.g. to label
+	 * a product filter restored from the URL).
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function search_products( $request ) {
+		$search  = $request->get_param( 'search' );
+		$include = $request->get_param( 'include' );
+
+		if ( ! empty( $include ) ) {
+			$ids = $include;
+		} elseif ( strlen( $search ) >= 2 ) {
+			$data_store = WC_Data_Store::load( 'product' );
+			$ids        = $data_store->search_products( $search, '', true, true, 20 );
+		} else {
+			$ids = array();
 		}
 
-		if ( ! empty( $date_to ) ) {
-			$where[] = $wpdb->prepare( 'created_at <= %s', $date_to . ' 23:59:59' );
+		$items = array();
+		foreach ( array_filter( array_map( 'absint', $ids ) ) as $id ) {
+			$product = wc_get_product( $id );
+			if ( ! $product ) {
+				continue;
+			}
+
+			$items[] = array(
+				'id'        => $product->get_id(),
+				'parent_id' => $product->get_parent_id(),
+				'name'      => $product->get_name(),
+				'sku'       => $product->get_sku(),
+				'type'      => $product->get_type(),
+			);
+		}
+
+		return new WP_REST_Response( array(
+			'items' => $items,
+		), 200 );
+	}
+
+	/**
+	 * Get recorded price changes for a product or variation, newest first.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_price_history( $request ) {
+		$product = wc_get_product( $request->get_param( 'product_id' ) );
+
+		if ( ! $product ) {
+			return new WP_Error(
+				'wda_product_not_found',
+				__( 'Product not found.', 'woo-discount-analytics' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		return new WP_REST_Response( array(
+			'product' => array(
+				'id'            => $product->get_id(),
+				'name'          => $product->get_name(),
+				'sku'           => $product->get_sku(),
+				'regular_price' => floatval( $product->get_regular_price() ),
+				'sale_price'    => '' === $product->get_sale_price() ? null : floatval( $product->get_sale_price() ),
+				'edit_link'     => get_edit_post_link( $product->get_parent_id() ? $product->get_parent_id() : $product->get_id(), 'raw' ),
+			),
+			'items'   => WDA_Price_History::instance()->get_history( $product->get_id() ),
+		), 200 );
+	}
+
+	/**
+	 * Get discount history.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_discount_history( $request ) {
+		$page       = $request->get_param( 'page' );
+		$per_page   = min( $request->get_param( 'per_page' ), 100 );
+		$date_from  = $request->get_param( 'date_from' );
+		$date_to    = $request->get_param( 'date_to' );
+		$product_id = $request->get_param( 'product_id' );
+		$category   = $this->get_category_filter_ids( $request->get_param( 'category' ), $request->get_param( 'include_subcategories' ) );
+		$coupon     = (string) $request->get_param( 'coupon' );
+		$refunded   = (bool) $request->get_param( 'include_refunded' );
+		$currency   = strtoupper( (string) $request->get_param( 'currency' ) );
+		$convert    = (bool) $request->get_param( 'convert' );
+		$group_by   = $request->get_param( 'group_by' );
+		$orderby    = $request->get_param( 'orderby' );
+		$order      = $request->get_param( 'order' );
+
+		// Try to read from custom table first (preferred method).
+		if ( class_exists( 'WDA_Database' ) && WDA_Database::instance()->table_exists() ) {
+			$data = $this->get_discount_history_from_table(
+				array(
+					'date_from'  => $date_from,
+					'date_to'    => $date_to,
+					'product_id' => $product_id,
+					'category'   => $category,
+					'coupon'     => $coupon,
+					'refunded'   => $refunded,
+					'currency'   => $currency,
+					'convert'    => $convert,
+				),
+				$group_by,
+				$orderby,
+				$order,
+				$page,
+				$per_page
+			);
+
+			$results     = $data['items'];
+			$total       = $data['total'];
+			$unconverted = $data['unconverted_orders'];
+		} else {
+			// Fallback to order item meta method (backward compatibility).
+			$results = $this->get_discount_history_from_meta( $date_from, $date_to, $product_id, $category, $coupon, $refunded, $currency );
+
+			$unconverted = 0;
+			if ( $convert ) {
+				$results = $this->convert_history_results( $results, $unconverted );
+			}
+
+			// Handle grouping.
+			if ( ! empty( $group_by ) ) {
+				$results = $this->group_history_results( $results, $group_by );
+			}
+
+			$results = $this->sort_history_results( $results, $orderby, $order );
+			$total   = count( $results );
+
+			// Paginate.
+			$offset  = ( $page - 1 ) * $per_page;
+			$results = array_slice( $results, $offset, $per_page );
+		}
+
+		return new WP_REST_Response( array(
+			'items'              => array_values( $results ),
+			'total'              => $total,
+			'total_pages'        => ceil( $total / $per_page ),
+			'page'               => $page,
+			'per_page'           => $per_page,
+			'unconverted_orders' => $unconverted,
+		), 200 );
+	}
+
+	/**
+	 * Get a page of discount history from the custom table.
+	 *
+	 * Filtering, grouping, sorting and pagination all run in SQL, using the
+	 * display data and category/coupon lookups stored at capture time.
+	 *
+	 * @param array  $filters  History filters: date_from, date_to, product_id, category (IDs), coupon, refunded, currency, convert.
+	 * @param string $group_by Grouping method (empty for order lines).
+	 * @param string $orderby  Sort column: date, units_sold, total_discount or total_revenue.
+	 * @param string $order    Sort direction (ASC or DESC).
+	 * @param int    $page     Page number.
+	 * @param int    $per_page Items per page.
+	 * @return array Array with items, total and unconverted_orders.
+	 */
+	private function get_discount_history_from_table( $filters, $group_by, $orderby, $order, $page, $per_page ) {
+		global $wpdb;
+
+		$table_name    = WDA_Database::get_table_name();
+		$base_currency = WDA_Discount_Capture::get_base_currency();
+		$where         = $this->get_history_table_where( $filters );
+		$unconverted   = 0;
+
+		// Net out refunds unless refunded units are requested.
+		$refunded_quantity = 'LEAST( d.refunded_quantity, d.quantity )';
+		$quantity          = $filters['refunded'] ? 'd.quantity' : "( d.quantity - {$refunded_quantity} )";
+		$line_total        = $filters['refunded'] ? 'd.line_total' : '( d.line_total - d.refunded_amount )';
+		$rate              = '1';
+
+		if ( $filters['convert'] ) {
+			$unconverted = (int) $wpdb->get_var(
+				"SELECT COUNT( DISTINCT d.order_id ) FROM {$table_name} d WHERE " .
+				implode( ' AND ', array_merge( $where, array( $wpdb->prepare( 'd.currency <> %s AND d.exchange_rate IS NULL', $base_currency ) ) ) )
+			);
+
+			// Lines without a rate are left out; the rest are reported in the base currency.
+			$where[] = $wpdb->prepare( '( d.currency = %s OR d.exchange_rate IS NOT NULL )', $base_currency );
+			$rate    = $wpdb->prepare( 'CASE WHEN d.currency = %s THEN 1 ELSE d.exchange_rate END', $base_currency );
+		}
+
+		$where_clause = $where ? 'WHERE ' . implode( ' AND ', $where ) : '';
+		$direction    = 'ASC' === $order ? 'ASC' : 'DESC';
+		$limit        = $wpdb->prepare( 'LIMIT %d OFFSET %d', $per_page, ( $page - 1 ) * $per_page );
+
+		if ( empty( $group_by ) ) {
+			$sort_columns = array(
+				'date'           => 'd.created_at',
+				'units_sold'     => $quantity,
+				'total_discount' => '( d.discount_amount + d.coupon_discount )',
+				'total_revenue'  => $line_total,
+			);
+			$sort = isset( $sort_columns[ $orderby ] ) ? $sort_columns[ $orderby ] : $sort_columns['date'];
+
+			$total     = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table_name} d {$where_clause}" );
+			$discounts = $wpdb->get_results(
+				"SELECT d.* FROM {$table_name} d {$where_clause} ORDER BY {$sort} {$direction}, d.id {$direction} {$limit}",
+				ARRAY_A
+			);
+
+			$items = array();
+			foreach ( $discounts as $discount ) {
+				$items[] = $this->format_history_table_row( $discount, $filters['refunded'] );
+			}
+
+			if ( $filters['convert'] ) {
+				$skipped = 0;
+				$items   = $this->convert_history_results( $items, $skipped );
+			}
+
+			return array(
+				'items'              => $items,
+				'total'              => $total,
+				'unconverted_orders' => $unconverted,
+			);
 		}
 
-		if ( $product_id > 0 ) {
-			$where[] = $wpdb->prepare( 'product_id = %d', $product_id );
+		$join  = '';
+		$share = '1';
+
+		switch ( $group_by ) {
+			case 'category':
+				$join   = 'INNER JOIN ' . WDA_Database::get_categories_table_name() . ' c ON c.discount_id = d.id';
+				$key    = 'c.category_id';
+				$fields = 'c.category_id AS category_id';
+				break;
+
+			case 'date':
+				$key    = 'DATE( d.created_at )';
+				$fields = "{$key} AS date";
+				break;
+
+			case 'coupon':
+				// Lines with several coupons are split evenly between them; lines without one group under ''.
+				$join   = 'LEFT JOIN ' . WDA_Database::get_coupons_table_name() . ' k ON k.discount_id = d.id';
+				$key    = "COALESCE( k.coupon_code, '' )";
+				$fields = "{$key} AS coupon_code";
+				$share  = "CASE WHEN k.coupon_code IS NULL THEN 1 ELSE 1 / ( LENGTH( d.coupon_codes ) - LENGTH( REPLACE( d.coupon_codes, ',', '' ) ) + 1 ) END";
+				break;
+
+			default:
+				$key    = 'd.product_id';
+				$fields = 'd.product_id AS product_id, MAX( d.product_name ) AS product_name';
+				break;
 		}
 
-		$where_clause = 'WHERE ' . implode( ' AND ', $where );
+		// Converted groups are all in the base currency; otherwise groups never mix currencies.
+		$currency     = $filters['convert'] ? $wpdb->prepare( '%s', $base_currency ) : 'd.currency';
+		$group_clause = $filters['convert'] ? "GROUP BY {$key}" : "GROUP BY {$key}, d.currency";
 
-		// Query custom table.
-		$discounts = $wpdb->get_results(
-			"SELECT * FROM {$table_name} {$where_clause} ORDER BY created_at DESC",
+		$sort_columns = array(
+			'date'           => 'last_date',
+			'units_sold'     => 'units_sold',
+			'total_discount' => 'total_discount',
+			'total_revenue'  => 'total_revenue',
+		);
+		$sort = isset( $sort_columns[ $orderby ] ) ? $sort_columns[ $orderby ] : $sort_columns['date'];
+
+		$total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM ( SELECT 1 FROM {$table_name} d {$join} {$where_clause} {$group_clause} ) g" );
+
+		$groups = $wpdb->get_results(
+			"SELECT {$fields}, {$currency} AS currency,
+				SUM( {$quantity} * {$share} ) AS units_sold,
+				SUM( {$refunded_quantity} * {$share} ) AS refunded_units,
+				SUM( d.discount_amount * {$quantity} * {$rate} * {$share} ) AS sale_discount,
+				SUM( d.coupon_discount * {$quantity} * {$rate} * {$share} ) AS coupon_discount,
+				SUM( ( d.discount_amount + d.coupon_discount ) * {$quantity} * {$rate} * {$share} ) AS total_discount,
+				SUM( ( d.discount_amount + d.coupon_discount ) * {$refunded_quantity} * {$rate} * {$share} ) AS refunded_discount,
+				SUM( {$line_total} * {$rate} * {$share} ) AS total_revenue,
+				SUM( ( d.regular_price - d.unit_cost ) * {$quantity} * {$rate} * {$share} ) AS regular_margin,
+				SUM( ( d.sale_price - d.coupon_discount - d.unit_cost ) * {$quantity} * {$rate} * {$share} ) AS sale_margin,
+				AVG( d.discount_percentage ) AS avg_discount_pct,
+				MAX( d.created_at ) AS last_date
+			FROM {$table_name} d {$join} {$where_clause} {$group_clause}
+			ORDER BY {$sort} {$direction}, {$key} ASC {$limit}",
 			ARRAY_A
 		);
 
-		foreach ( $discounts as $discount ) {
-			$order_id = absint( $discount['order_id'] );
-			$order = wc_get_order( $order_id );
+		$category_names = array();
+		if ( 'category' === $group_by && $groups ) {
+			$terms = get_terms( array(
+				'taxonomy'   => 'product_cat',
+				'include'    => wp_list_pluck( $groups, 'category_id' ),
+				'hide_empty' => false,
+			) );
+			if ( ! is_wp_error( $terms ) ) {
+				$category_names = wp_list_pluck( $terms, 'name', 'term_id' );
+			}
+		}
 
-			if ( ! $order ) {
-				continue;
+		$items = array();
+		foreach ( $groups as $group ) {
+			foreach ( array( 'units_sold', 'refunded_units' ) as $field ) {
+				$group[ $field ] = floatval( $group[ $field ] );
+			}
+			foreach ( array( 'sale_discount', 'coupon_discount', 'total_discount', 'refunded_discount', 'total_revenue', 'avg_discount_pct' ) as $field ) {
+				$group[ $field ] = round( floatval( $group[ $field ] ), 2 );
 			}
 
-			// Filter by category if specified.
-			if ( $category > 0 ) {
-				$product_categories = wp_get_post_terms( $discount['product_id'], 'product_cat', array( 'fields' => 'ids' ) );
-				if ( ! in_array( $category, $product_categories, true ) ) {
-					continue;
+			// Margins only cover lines with a known cost; groups without any have none.
+			$group = array_merge( $group, $this->get_margin_fields( $group['regular_margin'], $group['sale_margin'] ) );
+
+			if ( 'category' === $group_by ) {
+				$group['category_id']   = absint( $group['category_id'] );
+				$group['category_name'] = isset( $category_names[ $group['category_id'] ] ) ? $category_names[ $group['category_id'] ] : sprintf( __( 'Category #%d', 'woo-discount-analytics' ), $group['category_id'] );
+			} elseif ( 'product' === $group_by ) {
+				$group['product_id'] = absint( $group['product_id'] );
+				if ( '' === $group['product_name'] ) {
+					$group['product_name'] = sprintf( __( 'Product #%d', 'woo-discount-analytics' ), $group['product_id'] );
 				}
 			}
 
-			// Get product name.
-			$product = wc_get_product( $discount['product_id'] );
-			$product_name = $product ? $product->get_name() : sprintf( __( 'Product #%d', 'woo-discount-analytics' ), $discount['product_id'] );
-
-			// Get order item for line total.
-			$order_item = $order->get_item( $discount['order_item_id'] );
-			$line_total = $order_item ? floatval( $order_item->get_total() ) : 0;
-
-			// Calculate ERP-ready price decomposition.
-			$gross_unit_price = floatval( $discount['regular_price'] );
-			$line_discount = floatval( $discount['discount_amount'] );
-			$net_unit_price = floatval( $discount['sale_price'] );
-			$net_line_amount = $net_unit_price * floatval( $discount['quantity'] );
-
-			$results[] = array(
-				'order_id'          => $order_id,
-				'order_date'        => $discount['created_at'],
-				'item_id'           => absint( $discount['order_item_id'] ),
-				'product_id'        => absint( $discount['product_id'] ),
-				'variation_id'      => absint( $discount['variation_id'] ),
-				'product_name'      => $product_name,
-				'quantity'          => floatval( $discount['quantity'] ),
-				'regular_price'     => $gross_unit_price,
-				'sale_price'        => $net_unit_price,
-				'discount_amount'   => $line_discount,
-				'discount_pct'      => floatval( $discount['discount_percentage'] ),
-				'line_total'        => $line_total,
-				'currency'          => $discount['currency'],
-				// ERP-ready price decomposition.
-				'gross_unit_price'  => $gross_unit_price,
-				'line_discount'     => $line_discount,
-				'net_unit_price'    => $net_unit_price,
-				'net_line_amount'   => $net_line_amount,
+			unset( $group['last_date'] );
+			$items[] = $group;
+		}
+
+		return array(
+			'items'              => $items,
+			'total'              => $total,
+			'unconverted_orders' => $unconverted,
+		);
+	}
+
+	/**
+	 * Build the WHERE conditions for history queries on the custom table.
+	 *
+	 * @param array $filters History filters.
+	 * @return string[] Prepared conditions on the `d` table alias.
+	 */
+	private function get_history_table_where( $filters ) {
+		global $wpdb;
+
+		$where = array();
+
+		if ( ! $filters['refunded'] ) {
+			$where[] = 'd.refunded_quantity < d.quantity'; // Skip fully refunded lines.
+		}
+
+		if ( ! empty( $filters['date_from'] ) ) {
+			$where[] = $wpdb->prepare( 'd.created_at >= %s', $filters['date_from'] );
+		}
+
+		if ( ! empty( $filters['date_to'] ) ) {
+			$where[] = $wpdb->prepare( 'd.created_at <= %s', $filters['date_to'] . ' 23:59:59' );
+		}
+
+		if ( $filters['product_id'] > 0 ) {
+			$where[] = $wpdb->prepare( '( d.product_id = %d OR d.variation_id = %d )', $filters['product_id'], $filters['product_id'] );
+		}
+
+		if ( ! empty( $filters['category'] ) ) {
+			$where[] = 'EXISTS ( SELECT 1 FROM ' . WDA_Database::get_categories_table_name() . ' cf WHERE cf.discount_id = d.id AND cf.category_id IN ( ' . implode( ',', array_map( 'absint', $filters['category'] ) ) . ' ) )';
+		}
+
+		if ( self::NO_COUPON === $filters['coupon'] ) {
+			$where[] = 'NOT EXISTS ( SELECT 1 FROM ' . WDA_Database::get_coupons_table_name() . ' kf WHERE kf.discount_id = d.id )';
+		} elseif ( '' !== $filters['coupon'] ) {
+			$where[] = $wpdb->prepare( 'EXISTS ( SELECT 1 FROM ' . WDA_Database::get_coupons_table_name() . ' kf WHERE kf.discount_id = d.id AND kf.coupon_code = %s )', $filters['coupon'] );
+		}
+
+		if ( '' !== $filters['currency'] ) {
+			$where[] = $wpdb->prepare( 'd.currency = %s', $filters['currency'] );
+		}
+
+		return $where;
+	}
+
+	/**
+	 * Format a custom table row as a history line.
+	 *
+	 * @param array $discount Table row.
+	 * @param bool  $refunded Whether to report refunded units instead of netting them out.
+	 * @return array
+	 */
+	public function format_history_table_row( $discount, $refunded ) {
+		$product_id   = absint( $discount['product_id'] );
+		$product_name = '' !== $discount['product_name'] ? $discount['product_name'] : sprintf( __( 'Product #%d', 'woo-discount-analytics' ), $product_id );
+
+		// Net out refunds unless refunded units are requested.
+		$ordered_quantity  = floatval( $discount['quantity'] );
+		$refunded_quantity = min( $ordered_quantity, floatval( $discount['refunded_quantity'] ) );
+		$quantity          = $refunded ? $ordered_quantity : $ordered_quantity - $refunded_quantity;
+		$line_total        = floatval( $discount['line_total'] );
+		if ( ! $refunded ) {
+			$line_total -= floatval( $discount['refunded_amount'] );
+		}
+
+		// Calculate ERP-ready price decomposition.
+		$gross_unit_price = floatval( $discount['regular_price'] );
+		$line_discount = floatval( $discount['discount_amount'] );
+		$net_unit_price = floatval( $discount['sale_price'] );
+		$net_line_amount = $net_unit_price * $quantity;
+		$coupon_discount = floatval( $discount['coupon_discount'] );
+		$unit_cost       = null === $discount['unit_cost'] ? null : floatval( $discount['unit_cost'] );
+
+		return array_merge( array(
+			'order_id'          => absint( $discount['order_id'] ),
+			'order_date'        => $discount['created_at'],
+			'item_id'           => absint( $discount['order_item_id'] ),
+			'product_id'        => $product_id,
+			'variation_id'      => absint( $discount['variation_id'] ),
+			'product_name'      => $product_name,
+			'quantity'          => $quantity,
+			'ordered_quantity'  => $ordered_quantity,
+			'refunded_quantity' => $refunded_quantity,
+			'refunded_discount' => round( ( $line_discount + $coupon_discount ) * $refunded_quantity, 2 ),
+			'regular_price'     => $gross_unit_price,
+			'sale_price'        => $net_unit_price,
+			'discount_amount'   => $line_discount,
+			'discount_pct'      => floatval( $discount['discount_percentage'] ),
+			'coupon_discount'   => $coupon_discount,
+			'coupon_codes'      => WDA_Discount_Capture::parse_coupon_codes( $discount['coupon_codes'] ),
+			'total_discount'    => $line_discount + $coupon_discount,
+			'line_total'        => $line_total,
+			'currency'          => $discount['currency'],
+			'exchange_rate'     => null === $discount['exchange_rate'] ? null : floatval( $discount['exchange_rate'] ),
+			// ERP-ready price decomposition.
+			'gross_unit_price'  => $gross_unit_price,
+			'line_discount'     => $line_discount,
+			'net_unit_price'    => $net_unit_price,
+			'net_line_amount'   => $net_line_amount,
+			'unit_cost'         => $unit_cost,
+		), $this->get_line_margins( $gross_unit_price, $net_unit_price - $coupon_discount, $unit_cost, $quantity ) );
+	}
+
+	/**
+	 * Get the margin fields of a history line.
+	 *
+	 * The sale margin is at the price actually paid, after sale and coupon
+	 * discounts. Lines without a known cost have no margins.
+	 *
+	 * @param float      $regular_price Regular unit price.
+	 * @param float      $paid_price    Unit price paid.
+	 * @param float|null $unit_cost     Unit cost, or null if unknown.
+	 * @param float      $quantity      Quantity.
+	 * @return array
+	 */
+	private function get_line_margins( $regular_price, $paid_price, $unit_cost, $quantity ) {
+		if ( null === $unit_cost ) {
+			$margins = $this->get_margin_fields( null, null );
+		} else {
+			$margins = $this->get_margin_fields( ( $regular_price - $unit_cost ) * $quantity, ( $paid_price - $unit_cost ) * $quantity );
+		}
+
+		$margins['below_cost'] = null !== $unit_cost && $paid_price < $unit_cost;
+
+		return $margins;
+	}
+
+	/**
+	 * Build margin fields from regular and sale margin totals.
+	 *
+	 * Margin erosion is what the discounts took out of the regular margin;
+	 * its percentage is only given while the regular margin is positive.
+	 *
+	 * @param float|null $regular_margin Margin at regular prices, or null if no cost is known.
+	 * @param float|null $sale_margin    Margin at the prices paid, or null if no cost is known.
+	 * @return array
+	 */
+	private function get_margin_fields( $regular_margin, $sale_margin ) {
+		if ( null === $regular_margin ) {
+			return array(
+				'regular_margin'     => null,
+				'sale_margin'        => null,
+				'margin_erosion'     => null,
+				'margin_erosion_pct' => null,
 			);
 		}
 
-		return $results;
+		$regular_margin = floatval( $regular_margin );
+		$sale_margin    = floatval( $sale_margin );
+		$erosion        = $regular_margin - $sale_margin;
+
+		return array(
+			'regular_margin'     => round( $regular_margin, 2 ),
+			'sale_margin'        => round( $sale_margin, 2 ),
+			'margin_erosion'     => round( $erosion, 2 ),
+			'margin_erosion_pct' => $regular_margin > 0 ? round( ( $erosion / $regular_margin ) * 100, 2 ) : null,
+		);
 	}
 
 	/**
@@ -560,14 +1414,17 @@ class WDA_REST_Reports {
 	 *
 	 * @param string $date_from  Date from.
 	 * @param string $date_to    Date to.
-	 * @param int    $product_id Product ID filter.
-	 * @param int    $category   Category ID filter.
+	 * @param int    $product_id Product or variation ID filter.
+	 * @param int[]  $category   Category IDs filter (empty for all).
+	 * @param string $coupon     Coupon code filter (empty for all).
+	 * @param bool   $refunded   Whether to report refunded units instead of netting them out.
+	 * @param string $currency   Currency code filter (empty for all).
 	 * @return array
 	 */
-	private function get_discount_history_from_meta( $date_from, $date_to, $product_id, $category ) {
-		// Build order query.
+	private function get_discount_history_from_meta( $date_from, $date_to, $product_id, $category, $coupon = '', $refunded = false, $currency = '' ) {
+		// Build order query; fully refunded orders only matter when refunds are included.
 		$order_args = array(
-			'status'   => array( 'wc-processing', 'wc-completed' ),
+			'status'   => $refunded ? array( 'wc-processing', 'wc-completed', 'wc-refunded' ) : array( 'wc-processing', 'wc-completed' ),
 			'limit'    => -1,
 			'return'   => 'ids',
 			'orderby'  => 'date',
@@ -586,6 +1443,10 @@ class WDA_REST_Reports {
 			}
 		}
 
+		if ( '' !== $currency ) {
+			$order_args['currency'] = $currency;
+		}
+
 		$order_ids = wc_get_orders( $order_args );
 		$results   = array();
 
@@ -595,26 +1456,33 @@ class WDA_REST_Reports {
 				continue;
 			}
 
+			$exchange_rate = WDA_Discount_Capture::get_order_exchange_rate( $order );
+
 			$items = $order->get_items( 'line_item' );
 
 			foreach ( $items as $item_id => $item ) {
 				$discount_data = WDA_Discount_Capture::get_item_discount_data( $item_id );
 
-				if ( ! $discount_data || $discount_data['was_on_sale'] !== 'yes' ) {
+				if ( ! WDA_Discount_Capture::is_discounted( $discount_data ) ) {
+					continue;
+				}
+
+				// Filter by coupon.
+				if ( self::NO_COUPON === $coupon ? ! empty( $discount_data['coupon_codes'] ) : '' !== $coupon && ! in_array( $coupon, $discount_data['coupon_codes'], true ) ) {
 					continue;
 				}
 
 				$item_product_id = $item->get_product_id();
 
-				// Filter by product.
-				if ( $product_id > 0 && $item_product_id !== $product_id ) {
+				// Filter by product or variation.
+				if ( $product_id > 0 && $item_product_id !== $product_id && $item->get_variation_id() !== $product_id ) {
 					continue;
 				}
 
 				// Filter by category.
-				if ( $category > 0 ) {
+				if ( ! empty( $category ) ) {
 					$product_categories = wp_get_post_terms( $item_product_id, 'product_cat', array( 'fields' => 'ids' ) );
-					if ( ! in_array( $category, $product_categories, true ) ) {
+					if ( ! array_intersect( $category, $product_categories ) ) {
 						continue;
 					}
 				}
@@ -628,10 +1496,24 @@ class WDA_REST_Reports {
 				$gross_unit_price = floatval( $discount_data['regular_price'] );
 				$line_discount = floatval( $discount_data['discount_amount'] );
 				$net_unit_price = floatval( $discount_data['sale_price'] );
-				$quantity = floatval( $item->get_quantity() );
+				$coupon_discount = floatval( $discount_data['coupon_discount'] );
+
+				// Net out refunds unless refunded units are requested.
+				$ordered_quantity  = floatval( $item->get_quantity() );
+				$refunded_quantity = min( $ordered_quantity, abs( $order->get_qty_refunded_for_item( $item_id ) ) );
+				$quantity          = $refunded ? $ordered_quantity : $ordered_quantity - $refunded_quantity;
+				$line_total        = floatval( $item->get_total() );
+
+				if ( ! $refunded ) {
+					if ( $quantity <= 0 ) {
+						continue;
+					}
+					$line_total -= $order->get_total_refunded_for_item( $item_id );
+				}
+
 				$net_line_amount = $net_unit_price * $quantity;
 
-				$results[] = array(
+				$results[] = array_merge( array(
 					'order_id'          => $order_id,
 					'order_date'        => $date_created ? $date_created->format( 'Y-m-d H:i:s' ) : '',
 					'item_id'           => $item_id,
@@ -639,27 +1521,113 @@ class WDA_REST_Reports {
 					'variation_id'      => $item->get_variation_id(),
 					'product_name'      => $product_name,
 					'quantity'          => $quantity,
+					'ordered_quantity'  => $ordered_quantity,
+					'refunded_quantity' => $refunded_quantity,
+					'refunded_discount' => round( ( $line_discount + $coupon_discount ) * $refunded_quantity, 2 ),
 					'regular_price'     => $gross_unit_price,
 					'sale_price'        => $net_unit_price,
 					'discount_amount'   => $line_discount,
 					'discount_pct'      => floatval( $discount_data['discount_pct'] ),
-					'line_total'        => floatval( $item->get_total() ),
+					'coupon_discount'   => $coupon_discount,
+					'coupon_codes'      => $discount_data['coupon_codes'],
+					'total_discount'    => $line_discount + $coupon_discount,
+					'line_total'        => $line_total,
 					'currency'          => $order->get_currency(),
+					'exchange_rate'     => $exchange_rate,
 					// ERP-ready price decomposition.
 					'gross_unit_price'  => $gross_unit_price,
 					'line_discount'     => $line_discount,
 					'net_unit_price'    => $net_unit_price,
 					'net_line_amount'   => $net_line_amount,
-				);
+					'unit_cost'         => $discount_data['unit_cost'],
+				), $this->get_line_margins( $gross_unit_price, $net_unit_price - $coupon_discount, $discount_data['unit_cost'], $quantity ) );
+			}
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Convert history lines to the base currency with their stored rates.
+	 *
+	 * Lines without a known rate are dropped; their orders are counted in
+	 * $unconverted so the report can say what was left out.
+	 *
+	 * @param array $results     Raw results.
+	 * @param int   $unconverted Number of orders that could not be converted (passed by reference).
+	 * @return array
+	 */
+	private function convert_history_results( $results, &$unconverted ) {
+		$base_currency = WDA_Discount_Capture::get_base_currency();
+		$money_fields  = array( 'regular_price', 'sale_price', 'discount_amount', 'coupon_discount', 'total_discount', 'refunded_discount', 'line_total', 'gross_unit_price', 'line_discount', 'net_unit_price', 'net_line_amount', 'unit_cost', 'regular_margin', 'sale_margin', 'margin_erosion' );
+		$converted     = array();
+		$skipped       = array();
+
+		foreach ( $results as $row ) {
+			$row['original_currency'] = $row['currency'];
+
+			if ( $row['currency'] !== $base_currency ) {
+				if ( null === $row['exchange_rate'] ) {
+					$skipped[ $row['order_id'] ] = true;
+					continue;
+				}
+
+				foreach ( $money_fields as $field ) {
+					if ( null !== $row[ $field ] ) {
+						$row[ $field ] = round( $row[ $field ] * $row['exchange_rate'], 4 );
+					}
+				}
+				$row['currency'] = $base_currency;
 			}
+
+			$converted[] = $row;
+		}
+
+		$unconverted = count( $skipped );
+
+		return $converted;
+	}
+
+	/**
+	 * Sort history lines or groups built in PHP.
+	 *
+	 * Lines arrive newest first, and groups in the order of their newest line,
+	 * so sorting by date only needs to flip the order.
+	 *
+	 * @param array  $results Lines or groups.
+	 * @param string $orderby Sort column: date, units_sold, total_discount or total_revenue.
+	 * @param string $order   Sort direction (ASC or DESC).
+	 * @return array
+	 */
+	private function sort_history_results( $results, $orderby, $order ) {
+		if ( 'date' === $orderby ) {
+			return 'ASC' === $order ? array_reverse( $results ) : $results;
 		}
 
+		// Order lines have their own names for the grouped columns.
+		$line_fields = array(
+			'units_sold'     => 'quantity',
+			'total_discount' => 'total_discount',
+			'total_revenue'  => 'line_total',
+		);
+
+		usort( $results, function( $a, $b ) use ( $orderby, $order, $line_fields ) {
+			$field  = isset( $a[ $orderby ] ) ? $orderby : $line_fields[ $orderby ];
+			$result = $a[ $field ] <=> $b[ $field ];
+			return 'ASC' === $order ? $result : -$result;
+		} );
+
 		return $results;
 	}
 
 	/**
 	 * Group history results.
 	 *
+	 * When grouping by coupon, lines with several coupons are split evenly
+	 * between them so groups add up to the totals; lines without a coupon
+	 * are grouped under an empty code. Groups never mix currencies: a
+	 * product sold in two currencies gets a group for each.
+	 *
 	 * @param array  $results  Raw results.
 	 * @param string $group_by Grouping method.
 	 * @return array
@@ -670,68 +1638,36 @@ class WDA_REST_Reports {
 		foreach ( $results as $row ) {
 			switch ( $group_by ) {
 				case 'product':
-					$key = $row['product_id'];
-					if ( ! isset( $grouped[ $key ] ) ) {
-						$grouped[ $key ] = array(
-							'product_id'          => $row['product_id'],
-							'product_name'        => $row['product_name'],
-							'units_sold'          => 0,
-							'total_discount'      => 0,
-							'total_revenue'       => 0,
-							'avg_discount_pct'    => 0,
-							'discount_pct_sum'    => 0,
-							'count'               => 0,
-						);
-					}
-					$grouped[ $key ]['units_sold']       += $row['quantity'];
-					$grouped[ $key ]['total_discount']   += $row['discount_amount'] * $row['quantity'];
-					$grouped[ $key ]['total_revenue']    += $row['line_total'];
-					$grouped[ $key ]['discount_pct_sum'] += $row['discount_pct'];
-					$grouped[ $key ]['count']++;
+					$this->add_to_history_group( $grouped, $row['product_id'], array(
+						'product_id'   => $row['product_id'],
+						'product_name' => $row['product_name'],
+					), $row );
 					break;
 
 				case 'category':
 					$categories = wp_get_post_terms( $row['product_id'], 'product_cat', array( 'fields' => 'all' ) );
 					foreach ( $categories as $cat ) {
-						$key = $cat->term_id;
-						if ( ! isset( $grouped[ $key ] ) ) {
-							$grouped[ $key ] = array(
-								'category_id'         => $cat->term_id,
-								'category_name'       => $cat->name,
-								'units_sold'          => 0,
-								'total_discount'      => 0,
-								'total_revenue'       => 0,
-								'avg_discount_pct'    => 0,
-								'discount_pct_sum'    => 0,
-								'count'               => 0,
-							);
-						}
-						$grouped[ $key ]['units_sold']       += $row['quantity'];
-						$grouped[ $key ]['total_discount']   += $row['discount_amount'] * $row['quantity'];
-						$grouped[ $key ]['total_revenue']    += $row['line_total'];
-						$grouped[ $key ]['discount_pct_sum'] += $row['discount_pct'];
-						$grouped[ $key ]['count']++;
+						$this->add_to_history_group( $grouped, $cat->term_id, array(
+							'category_id'   => $cat->term_id,
+							'category_name' => $cat->name,
+						), $row );
 					}
 					break;
 
 				case 'date':
 					$key = substr( $row['order_date'], 0, 10 );
-					if ( ! isset( $grouped[ $key ] ) ) {
-						$grouped[ $key ] = array(
-							'date'                => $key,
-							'units_sold'          => 0,
-							'total_discount'      => 0,
-							'total_revenue'       => 0,
-							'avg_discount_pct'    => 0,
-							'discount_pct_sum'    => 0,
-							'count'               => 0,
-						);
+					$this->add_to_history_group( $grouped, $key, array(
+						'date' => $key,
+					), $row );
+					break;
+
+				case 'coupon':
+					$codes = ! empty( $row['coupon_codes'] ) ? $row['coupon_codes'] : array( '' );
+					foreach ( $codes as $code ) {
+						$this->add_to_history_group( $grouped, 'coupon:' . $code, array(
+							'coupon_code' => $code,
+						), $row, 1 / count( $codes ) );
 					}
-					$grouped[ $key ]['units_sold']       += $row['quantity'];
-					$grouped[ $key ]['total_discount']   += $row['discount_amount'] * $row['quantity'];
-					$grouped[ $key ]['total_revenue']    += $row['line_total'];
-					$grouped[ $key ]['discount_pct_sum'] += $row['discount_pct'];
-					$grouped[ $key ]['count']++;
 					break;
 			}
 		}
@@ -741,14 +1677,69 @@ class WDA_REST_Reports {
 			if ( $group['count'] > 0 ) {
 				$group['avg_discount_pct'] = round( $group['discount_pct_sum'] / $group['count'], 2 );
 			}
-			$group['total_discount'] = round( $group['total_discount'], 2 );
-			$group['total_revenue']  = round( $group['total_revenue'], 2 );
+			$group['sale_discount']     = round( $group['sale_discount'], 2 );
+			$group['coupon_discount']   = round( $group['coupon_discount'], 2 );
+			$group['total_discount']    = round( $group['total_discount'], 2 );
+			$group['refunded_discount'] = round( $group['refunded_discount'], 2 );
+			$group['total_revenue']     = round( $group['total_revenue'], 2 );
+			$group                      = array_merge( $group, $this->get_margin_fields( $group['regular_margin'], $group['sale_margin'] ) );
 			unset( $group['discount_pct_sum'], $group['count'] );
 		}
+		unset( $group );
 
 		return array_values( $grouped );
 	}
 
+	/**
+	 * Add a history line to a group, creating the group if needed.
+	 *
+	 * @param array      $grouped Groups keyed by group key (passed by reference).
+	 * @param string|int $key     Group key.
+	 * @param array      $fields  Identifying fields for a new group.
+	 * @param array      $row     History line.
+	 * @param float      $share   Share of the line attributed to this group.
+	 */
+	private function add_to_history_group( &$grouped, $key, $fields, $row, $share = 1 ) {
+		$key = $key . '|' . $row['currency'];
+
+		if ( ! isset( $grouped[ $key ] ) ) {
+			$grouped[ $key ] = array_merge( $fields, array(
+				'currency'          => $row['currency'],
+				'units_sold'        => 0,
+				'refunded_units'    => 0,
+				'sale_discount'     => 0,
+				'coupon_discount'   => 0,
+				'total_discount'    => 0,
+				'refunded_discount' => 0,
+				'total_revenue'     => 0,
+				'regular_margin'    => null,
+				'sale_margin'       => null,
+				'avg_discount_pct'  => 0,
+				'discount_pct_sum'  => 0,
+				'count'             => 0,
+			) );
+		}
+
+		$quantity        = $row['quantity'] * $share;
+		$sale_discount   = $row['discount_amount'] * $quantity;
+		$coupon_discount = $row['coupon_discount'] * $quantity;
+
+		$grouped[ $key ]['units_sold']        += $quantity;
+		$grouped[ $key ]['refunded_units']    += $row['refunded_quantity'] * $share;
+		$grouped[ $key ]['sale_discount']     += $sale_discount;
+		$grouped[ $key ]['coupon_discount']   += $coupon_discount;
+		$grouped[ $key ]['total_discount']    += $sale_discount + $coupon_discount;
+		$grouped[ $key ]['refunded_discount'] += $row['refunded_discount'] * $share;
+		$grouped[ $key ]['total_revenue']     += $row['line_total'] * $share;
+
+		if ( null !== $row['regular_margin'] ) {
+			$grouped[ $key ]['regular_margin'] += $row['regular_margin'] * $share;
+			$grouped[ $key ]['sale_margin']    += $row['sale_margin'] * $share;
+		}
+		$grouped[ $key ]['discount_pct_sum']  += $row['discount_pct'];
+		$grouped[ $key ]['count']++;
+	}
+
 	/**
 	 * Get discount summary.
 	 *
@@ -758,38 +1749,228 @@ class WDA_REST_Reports {
 	public function get_discount_summary( $request ) {
 		$date_from = $request->get_param( 'date_from' );
 		$date_to   = $request->get_param( 'date_to' );
+		$interval  = $request->get_param( 'interval' );
+		$compare   = $request->get_param( 'compare' );
+		$refunded  = (bool) $request->get_param( 'include_refunded' );
+		$currency  = strtoupper( (string) $request->get_param( 'currency' ) );
+		$convert   = (bool) $request->get_param( 'convert' );
+
+		$comparison_range = null;
+		if ( ! empty( $compare ) ) {
+			$comparison_range = $this->get_comparison_range(
+				$compare,
+				$date_from,
+				$date_to,
+				$request->get_param( 'compare_from' ),
+				$request->get_param( 'compare_to' )
+			);
 
-		// Try to read from custom table first (preferred method).
-		if ( class_exists( 'WDA_Database' ) ) {
-			$database = WDA_Database::instance();
-			if ( $database && $database->table_exists() ) {
-				return $this->get_discount_summary_from_table( $date_from, $date_to );
+			if ( is_wp_error( $comparison_range ) ) {
+				return $comparison_range;
+			}
+
+			// Comparison needs a closed range; default the end to today.
+			if ( empty( $date_to ) ) {
+				$date_to = current_time( 'Y-m-d' );
 			}
 		}
 
-		// Fallback to order item meta method (backward compatibility).
-		return $this->get_discount_summary_from_meta( $date_from, $date_to );
+		if ( ! empty( $interval ) ) {
+			$interval = $this->get_series_interval( $interval, $date_from, $date_to );
+
+			if ( is_wp_error( $interval ) ) {
+				return $interval;
+			}
+		}
+
+		$data = $this->get_summary_data( $date_from, $date_to, $interval, $refunded, $currency, $convert );
+
+		$data['refund_rates'] = $this->get_refund_rates( $date_from, $date_to );
+
+		if ( $comparison_range ) {
+			$rank_ids           = wp_list_pluck( $data['top_discounted_products'], 'product_id' );
+			$previous           = $this->get_summary_data( $comparison_range['date_from'], $comparison_range['date_to'], '', $refunded, $currency, $convert, $rank_ids );
+			$data['comparison'] = $this->build_comparison( $data, $previous, $comparison_range );
+		}
+
+		return new WP_REST_Response( $data, 200 );
+	}
+
+	/**
+	 * Get summary data for a date range from the best available source.
+	 *
+	 * Totals are in a single currency: the filtered currency, or the base
+	 * currency when unfiltered or converting. Every currency in range is
+	 * still listed in the per-currency breakdown.
+	 *
+	 * @param string $date_from Date from.
+	 * @param string $date_to   Date to.
+	 * @param string $interval  Series interval (day, week, month) or empty for no series.
+	 * @param bool   $refunded  Whether to report refunded units instead of netting them out.
+	 * @param string $currency  Currency code filter (empty for all).
+	 * @param bool   $convert   Whether to convert other currencies to the base currency.
+	 * @param int[]  $rank_ids  Products to look up the rank of, returned in product_ranks.
+	 * @return array
+	 */
+	private function get_summary_data( $date_from, $date_to, $interval = '', $refunded = false, $currency = '', $convert = false, $rank_ids = array() ) {
+		// Try to read from custom table first (preferred method).
+		if ( class_exists( 'WDA_Database' ) ) {
+			$database = WDA_Database::instance();
+			if ( $database && $database->table_exists() ) {
+				return $this->get_discount_summary_from_table( $date_from, $date_to, $interval, $refunded, $currency, $convert, $rank_ids );
+			}
+		}
+
+		// Fallback to order item meta method (backward compatibility).
+		$data = $this->get_discount_summary_from_meta( $date_from, $date_to, $interval, $refunded, $currency, $convert );
+
+		if ( $rank_ids ) {
+			$data['product_ranks'] = array();
+			foreach ( array_values( $data['top_discounted_products'] ) as $index => $product ) {
+				if ( in_array( $product['product_id'], $rank_ids, true ) ) {
+					$data['product_ranks'][ $product['product_id'] ] = $index + 1;
+				}
+			}
+		}
+
+		$data['top_discounted_products'] = array_slice( $data['top_discounted_products'], 0, self::TOP_PRODUCTS_LIMIT );
+
+		return $data;
+	}
+
+	/**
+	 * Resolve the date range to compare the selected range against.
+	 *
+	 * @param string $compare      Compare mode: previous_period, previous_year or custom.
+	 * @param string $date_from    Selected range start.
+	 * @param string $date_to      Selected range end (defaults to today).
+	 * @param string $compare_from Custom comparison start.
+	 * @param string $compare_to   Custom comparison end.
+	 * @return array|WP_Error Array with date_from and date_to, or error.
+	 */
+	private function get_comparison_range( $compare, $date_from, $date_to, $compare_from, $compare_to ) {
+		if ( 'custom' === $compare ) {
+			if ( empty( $compare_from ) || empty( $compare_to ) || strtotime( $compare_from ) > strtotime( $compare_to ) ) {
+				return new WP_Error(
+					'wda_invalid_compare_range',
+					__( 'A custom comparison needs a valid start and end date.', 'woo-discount-analytics' ),
+					array( 'status' => 400 )
+				);
+			}
+
+			return array(
+				'date_from' => $compare_from,
+				'date_to'   => $compare_to,
+			);
+		}
+
+		if ( empty( $date_from ) ) {
+			return new WP_Error(
+				'wda_compare_range_required',
+				__( 'Select a start date to compare against a previous period.', 'woo-discount-analytics' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$from = strtotime( $date_from );
+		$to   = strtotime( ! empty( $date_to ) ? $date_to : current_time( 'Y-m-d' ) );
+
+		if ( $from > $to ) {
+			return new WP_Error(
+				'wda_invalid_date_range',
+				__( 'The start date must be before the end date.', 'woo-discount-analytics' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( 'previous_year' === $compare ) {
+			return array(
+				'date_from' => gmdate( 'Y-m-d', strtotime( '-1 year', $from ) ),
+				'date_to'   => gmdate( 'Y-m-d', strtotime( '-1 year', $to ) ),
+			);
+		}
+
+		// Previous period: the same number of days immediately before the range.
+		$days = (int) round( ( $to - $from ) / DAY_IN_SECONDS ) + 1;
+
+		return array(
+			'date_from' => gmdate( 'Y-m-d', $from - $days * DAY_IN_SECONDS ),
+			'date_to'   => gmdate( 'Y-m-d', $from - DAY_IN_SECONDS ),
+		);
+	}
+
+	/**
+	 * Build comparison values and rank movement against a previous summary.
+	 *
+	 * Adds previous_rank and rank_change to each ranked product in $current
+	 * (rank_change is positive when a product moved up).
+	 *
+	 * @param array $current  Current summary data (passed by reference).
+	 * @param array $previous Previous summary data, with product_ranks for the current top products.
+	 * @param array $range    Comparison date range.
+	 * @return array
+	 */
+	private function build_comparison( &$current, $previous, $range ) {
+		$metrics = array( 'sale_discount', 'coupon_discount', 'total_discount', 'refunded_discount', 'total_revenue', 'discount_pct_of_revenue', 'discounted_units', 'orders_count', 'regular_margin', 'sale_margin', 'margin_erosion' );
+		$deltas  = array();
+
+		foreach ( $metrics as $metric ) {
+			$now    = floatval( $current[ $metric ] );
+			$before = floatval( $previous[ $metric ] );
+
+			$deltas[ $metric ] = array(
+				'previous'   => $previous[ $metric ],
+				'change'     => round( $now - $before, 2 ),
+				'change_pct' => 0.0 !== $before ? round( ( ( $now - $before ) / abs( $before ) ) * 100, 2 ) : null,
+			);
+		}
+
+		$previous_ranks = isset( $previous['product_ranks'] ) ? $previous['product_ranks'] : array();
+
+		foreach ( $current['top_discounted_products'] as $index => &$product ) {
+			$rank          = $index + 1;
+			$previous_rank = isset( $previous_ranks[ $product['product_id'] ] ) ? $previous_ranks[ $product['product_id'] ] : null;
+
+			$product['previous_rank'] = $previous_rank;
+			$product['rank_change']   = null === $previous_rank ? null : $previous_rank - $rank;
+		}
+		unset( $product );
+
+		return array(
+			'date_from' => $range['date_from'],
+			'date_to'   => $range['date_to'],
+			'metrics'   => $deltas,
+		);
 	}
 
 	/**
 	 * Get discount summary from custom table.
 	 *
+	 * Totals, the per-currency breakdown, the series and the product ranking
+	 * are each aggregated in SQL.
+	 *
 	 * @param string $date_from Date from.
 	 * @param string $date_to   Date to.
-	 * @return WP_REST_Response
+	 * @param string $interval  Series interval (day, week, month) or empty for no series.
+	 * @param bool   $refunded  Whether to report refunded units instead of netting them out.
+	 * @param string $currency  Currency code filter (empty for all).
+	 * @param bool   $convert   Whether to convert other currencies to the base currency.
+	 * @param int[]  $rank_ids  Products to look up the rank of, returned in product_ranks.
+	 * @return array Summary data with the most discounted products ranked by total discount.
 	 */
-	private function get_discount_summary_from_table( $date_from, $date_to ) {
+	private function get_discount_summary_from_table( $date_from, $date_to, $interval = '', $refunded = false, $currency = '', $convert = false, $rank_ids = array() ) {
 		global $wpdb;
 
 		if ( ! class_exists( 'WDA_Database' ) ) {
-			return $this->get_discount_summary_from_meta( $date_from, $date_to );
+			return $this->get_discount_summary_from_meta( $date_from, $date_to, $interval, $refunded, $currency, $convert );
 		}
 
-		$database = WDA_Database::instance();
-		$table_name = WDA_Database::get_table_name();
+		$table_name      = WDA_Database::get_table_name();
+		$base_currency   = WDA_Discount_Capture::get_base_currency();
+		$report_currency = $convert || '' === $currency ? $base_currency : $currency;
 
 		// Build WHERE clause.
-		$where = array( 'refund_id = 0' ); // Only non-refunded items.
+		$where = array();
 
 		if ( ! empty( $date_from ) ) {
 			$where[] = $wpdb->prepare( 'created_at >= %s', $date_from );
@@ -799,72 +1980,198 @@ class WDA_REST_Reports {
 			$where[] = $wpdb->prepare( 'created_at <= %s', $date_to . ' 23:59:59' );
 		}
 
-		$where_clause = 'WHERE ' . implode( ' AND ', $where );
+		if ( '' !== $currency ) {
+			$where[] = $wpdb->prepare( 'currency = %s', $currency );
+		}
 
-		// Get all discount entries.
-		$discounts = $wpdb->get_results(
-			"SELECT * FROM {$table_name} {$where_clause}",
-			ARRAY_A
-		);
+		// Net out refunds unless refunded units are requested.
+		$refunded_quantity = 'LEAST( refunded_quantity, quantity )';
+		$quantity          = $refunded ? 'quantity' : "( quantity - {$refunded_quantity} )";
 
-		$total_discount     = 0;
-		$total_revenue      = 0;
-		$discounted_units   = 0;
-		$product_discounts = array();
-		$order_ids         = array();
-
-		foreach ( $discounts as $discount ) {
-			$order_id = absint( $discount['order_id'] );
-			if ( ! in_array( $order_id, $order_ids, true ) ) {
-				$order_ids[] = $order_id;
-			}
-
-			$quantity = floatval( $discount['quantity'] );
-			$line_discount = floatval( $discount['discount_amount'] ) * $quantity;
-			$net_line_amount = floatval( $discount['sale_price'] ) * $quantity;
-
-			$total_discount   += $line_discount;
-			$discounted_units += $quantity;
-			$total_revenue    += $net_line_amount;
-
-			$product_id = absint( $discount['product_id'] );
-			if ( ! isset( $product_discounts[ $product_id ] ) ) {
-				$product = wc_get_product( $product_id );
-				$product_name = $product ? $product->get_name() : sprintf( __( 'Product #%d', 'woo-discount-analytics' ), $product_id );
-				$product_discounts[ $product_id ] = array(
-					'product_id'     => $product_id,
-					'product_name'   => $product_name,
-					'total_discount' => 0,
-					'units_sold'     => 0,
-				);
-			}
-			$product_discounts[ $product_id ]['total_discount'] += $line_discount;
-			$product_discounts[ $product_id ]['units_sold']     += $quantity;
+		// Lines outside the report currency, or without a rate when converting,
+		// have no rate: they are left out of everything but the breakdown.
+		if ( $convert ) {
+			$rate = $wpdb->prepare( 'CASE WHEN currency = %s THEN 1 ELSE exchange_rate END', $base_currency );
+		} else {
+			$rate = $wpdb->prepare( 'CASE WHEN currency = %s THEN 1 END', $report_currency );
 		}
 
-		// Sort products by discount amount.
-		usort( $product_discounts, function( $a, $b ) {
-			return $b['total_discount'] <=> $a['total_discount'];
-		} );
+		$where_clause = $where ? 'WHERE ' . implode( ' AND ', $where ) : '';
+		$sold_clause  = 'WHERE ' . implode( ' AND ', array_merge( $where, array( "{$quantity} > 0" ) ) );
+		$report_where = 'WHERE ' . implode( ' AND ', array_merge( $where, array( "{$quantity} > 0", "{$rate} IS NOT NULL" ) ) );
+
+		$totals = $wpdb->get_row(
+			"SELECT
+				SUM( discount_amount * {$quantity} * {$rate} ) AS sale_discount,
+				SUM( coupon_discount * {$quantity} * {$rate} ) AS coupon_discount,
+				SUM( ( sale_price - coupon_discount ) * {$quantity} * {$rate} ) AS total_revenue,
+				SUM( CASE WHEN {$rate} IS NOT NULL THEN {$quantity} END ) AS discounted_units,
+				COUNT( DISTINCT CASE WHEN {$quantity} > 0 AND {$rate} IS NOT NULL THEN order_id END ) AS orders_count,
+				COUNT( DISTINCT CASE WHEN {$quantity} > 0 AND {$rate} IS NULL THEN order_id END ) AS unconverted_orders,
+				SUM( ( discount_amount + coupon_discount ) * quantity * {$rate} ) AS gross_discount,
+				SUM( ( discount_amount + coupon_discount ) * {$refunded_quantity} * {$rate} ) AS refunded_discount,
+				SUM( CASE WHEN {$rate} IS NOT NULL THEN {$refunded_quantity} END ) AS refunded_units,
+				SUM( ( regular_price - unit_cost ) * {$quantity} * {$rate} ) AS regular_margin,
+				SUM( ( sale_price - coupon_discount - unit_cost ) * {$quantity} * {$rate} ) AS sale_margin,
+				SUM( CASE WHEN unit_cost IS NOT NULL AND {$rate} IS NOT NULL THEN {$quantity} END ) AS costed_units,
+				COUNT( CASE WHEN {$quantity} > 0 AND {$rate} IS NOT NULL AND sale_price - coupon_discount < unit_cost THEN 1 END ) AS below_cost_count
+			FROM {$table_name} {$where_clause}",
+			ARRAY_A
+		);
 
-		// Get top 10.
-		$top_discounted = array_slice( $product_discounts, 0, 10 );
+		// Per-currency breakdown, in each currency's own amounts.
+		$currencies = $wpdb->get_results(
+			"SELECT currency,
+				SUM( discount_amount * {$quantity} ) AS sale_discount,
+				SUM( coupon_discount * {$quantity} ) AS coupon_discount,
+				SUM( ( sale_price - coupon_discount ) * {$quantity} ) AS total_revenue,
+				SUM( {$quantity} ) AS discounted_units,
+				COUNT( DISTINCT order_id ) AS orders_count
+			FROM {$table_name} {$sold_clause}
+			GROUP BY currency
+			ORDER BY currency ASC",
+			ARRAY_A
+		);
 
-		// Round values.
-		foreach ( $top_discounted as &$product ) {
-			$product['total_discount'] = round( $product['total_discount'], 2 );
+		foreach ( $currencies as &$breakdown ) {
+			$breakdown['sale_discount']    = round( floatval( $breakdown['sale_discount'] ), 2 );
+			$breakdown['coupon_discount']  = round( floatval( $breakdown['coupon_discount'] ), 2 );
+			$breakdown['total_discount']   = round( $breakdown['sale_discount'] + $breakdown['coupon_discount'], 2 );
+			$breakdown['total_revenue']    = round( floatval( $breakdown['total_revenue'] ), 2 );
+			$breakdown['discounted_units'] = floatval( $breakdown['discounted_units'] );
+			$breakdown['orders_count']     = absint( $breakdown['orders_count'] );
+		}
+		unset( $breakdown );
+
+		// Products ranked by total discount.
+		$product_discounts = $wpdb->get_results(
+			"SELECT product_id, MAX( product_name ) AS product_name,
+				SUM( discount_amount * {$quantity} * {$rate} ) AS sale_discount,
+				SUM( coupon_discount * {$quantity} * {$rate} ) AS coupon_discount,
+				SUM( ( discount_amount + coupon_discount ) * {$quantity} * {$rate} ) AS total_discount,
+				SUM( {$quantity} ) AS units_sold,
+				SUM( ( regular_price - unit_cost ) * {$quantity} * {$rate} ) AS regular_margin,
+				SUM( ( sale_price - coupon_discount - unit_cost ) * {$quantity} * {$rate} ) AS sale_margin
+			FROM {$table_name} {$report_where}
+			GROUP BY product_id
+			ORDER BY total_discount DESC, product_id ASC
+			LIMIT " . self::TOP_PRODUCTS_LIMIT,
+			ARRAY_A
+		);
+
+		foreach ( $product_discounts as &$product ) {
+			$product['product_id']      = absint( $product['product_id'] );
+			$product['product_name']    = '' !== $product['product_name'] ? $product['product_name'] : sprintf( __( 'Product #%d', 'woo-discount-analytics' ), $product['product_id'] );
+			$product['sale_discount']   = round( floatval( $product['sale_discount'] ), 2 );
+			$product['coupon_discount'] = round( floatval( $product['coupon_discount'] ), 2 );
+			$product['total_discount']  = round( floatval( $product['total_discount'] ), 2 );
+			$product['units_sold']      = floatval( $product['units_sold'] );
+			$product                    = array_merge( $product, $this->get_margin_fields( $product['regular_margin'], $product['sale_margin'] ) );
 		}
+		unset( $product );
+
+		// Discounted lines sold below cost, biggest loss first.
+		$below_cost_lines = $wpdb->get_results(
+			"SELECT order_id, order_item_id AS item_id, created_at AS order_date, product_id, variation_id, product_name,
+				{$quantity} AS quantity,
+				regular_price * {$rate} AS regular_price,
+				( sale_price - coupon_discount ) * {$rate} AS paid_price,
+				unit_cost * {$rate} AS unit_cost,
+				( unit_cost - sale_price + coupon_discount ) * {$quantity} * {$rate} AS loss
+			FROM {$table_name} {$report_where} AND sale_price - coupon_discount < unit_cost
+			ORDER BY loss DESC, id ASC
+			LIMIT " . self::BELOW_COST_LIMIT,
+			ARRAY_A
+		);
 
+		foreach ( $below_cost_lines as &$line ) {
+			foreach ( array( 'order_id', 'item_id', 'product_id', 'variation_id' ) as $field ) {
+				$line[ $field ] = absint( $line[ $field ] );
+			}
+			foreach ( array( 'regular_price', 'paid_price', 'unit_cost', 'loss' ) as $field ) {
+				$line[ $field ] = round( floatval( $line[ $field ] ), 2 );
+			}
+			$line['quantity']     = floatval( $line['quantity'] );
+			$line['product_name'] = '' !== $line['product_name'] ? $line['product_name'] : sprintf( __( 'Product #%d', 'woo-discount-analytics' ), $line['product_id'] );
+		}
+		unset( $line );
+
+		$sale_discount           = floatval( $totals['sale_discount'] );
+		$coupon_discount         = floatval( $totals['coupon_discount'] );
+		$total_revenue           = floatval( $totals['total_revenue'] );
+		$gross_discount          = floatval( $totals['gross_discount'] );
+		$refunded_discount       = floatval( $totals['refunded_discount'] );
+		$total_discount          = $sale_discount + $coupon_discount;
 		$discount_pct_of_revenue = $total_revenue > 0 ? ( $total_discount / $total_revenue ) * 100 : 0;
 
-		return new WP_REST_Response( array(
+		$response = array(
+			'sale_discount'           => round( $sale_discount, 2 ),
+			'coupon_discount'         => round( $coupon_discount, 2 ),
 			'total_discount'          => round( $total_discount, 2 ),
+			'gross_discount'          => round( $gross_discount, 2 ),
+			'refunded_discount'       => round( $refunded_discount, 2 ),
+			'net_discount'            => round( $gross_discount - $refunded_discount, 2 ),
+			'refunded_units'          => floatval( $totals['refunded_units'] ),
 			'total_revenue'           => round( $total_revenue, 2 ),
 			'discount_pct_of_revenue' => round( $discount_pct_of_revenue, 2 ),
-			'discounted_units'        => $discounted_units,
-			'orders_count'            => count( $order_ids ),
-			'top_discounted_products' => $top_discounted,
-		), 200 );
+			'discounted_units'        => floatval( $totals['discounted_units'] ),
+			'orders_count'            => absint( $totals['orders_count'] ),
+			'top_discounted_products' => $product_discounts,
+			'currency'                => $report_currency,
+			'currencies'              => $currencies,
+			'unconverted_orders'      => $convert ? absint( $totals['unconverted_orders'] ) : 0,
+			'costed_units'            => floatval( $totals['costed_units'] ),
+			'below_cost_count'        => absint( $totals['below_cost_count'] ),
+			'below_cost_lines'        => $below_cost_lines,
+		);
+
+		$response = array_merge( $response, $this->get_margin_fields( $totals['regular_margin'], $totals['sale_margin'] ) );
+
+		// Rank of each requested product: one more than the products ahead of it in the ordering above.
+		if ( $rank_ids ) {
+			$ids_sql    = implode( ',', array_map( 'absint', $rank_ids ) );
+			$totals_sql = "SELECT product_id, SUM( ( discount_amount + coupon_discount ) * {$quantity} * {$rate} ) AS total_discount
+				FROM {$table_name} {$report_where}";
+
+			$ranks = $wpdb->get_results(
+				"SELECT ranked.product_id, COUNT( ahead.product_id ) + 1 AS product_rank
+				FROM ( {$totals_sql} AND product_id IN ( {$ids_sql} ) GROUP BY product_id ) ranked
+				LEFT JOIN ( {$totals_sql} GROUP BY product_id ) ahead
+					ON ahead.total_discount > ranked.total_discount
+					OR ( ahead.total_discount = ranked.total_discount AND ahead.product_id < ranked.product_id )
+				GROUP BY ranked.product_id",
+				ARRAY_A
+			);
+
+			$response['product_ranks'] = array();
+			foreach ( $ranks as $rank ) {
+				$response['product_ranks'][ absint( $rank['product_id'] ) ] = absint( $rank['product_rank'] );
+			}
+		}
+
+		if ( ! empty( $interval ) ) {
+			$bucket  = $this->get_interval_bucket_sql( 'created_at', $interval );
+			$buckets = $wpdb->get_results(
+				"SELECT {$bucket} AS bucket,
+					SUM( discount_amount * {$quantity} * {$rate} ) AS sale_discount,
+					SUM( coupon_discount * {$quantity} * {$rate} ) AS coupon_discount,
+					SUM( ( sale_price - coupon_discount ) * {$quantity} * {$rate} ) AS total_revenue,
+					SUM( {$quantity} ) AS discounted_units
+				FROM {$table_name} {$report_where}
+				GROUP BY bucket",
+				ARRAY_A
+			);
+
+			$series = array();
+			foreach ( $buckets as $row ) {
+				$this->add_to_series( $series, $row['bucket'], floatval( $row['sale_discount'] ), floatval( $row['coupon_discount'] ), floatval( $row['total_revenue'] ), floatval( $row['discounted_units'] ) );
+			}
+
+			$response['interval'] = $interval;
+			$response['series']   = $this->fill_series( $series, $date_from, $date_to, $interval );
+		}
+
+		return $response;
 	}
 
 	/**
@@ -872,12 +2179,16 @@ class WDA_REST_Reports {
 	 *
 	 * @param string $date_from Date from.
 	 * @param string $date_to   Date to.
-	 * @return WP_REST_Response
+	 * @param string $interval  Series interval (day, week, month) or empty for no series.
+	 * @param bool   $refunded  Whether to report refunded units instead of netting them out.
+	 * @param string $currency  Currency code filter (empty for all).
+	 * @param bool   $convert   Whether to convert other currencies to the base currency.
+	 * @return array Summary data with every discounted product ranked by total discount.
 	 */
-	private function get_discount_summary_from_meta( $date_from, $date_to ) {
-		// Build order query.
+	private function get_discount_summary_from_meta( $date_from, $date_to, $interval = '', $refunded = false, $currency = '', $convert = false ) {
+		// Build order query. Fully refunded orders are read for the refund totals.
 		$order_args = array(
-			'status'  => array( 'wc-processing', 'wc-completed' ),
+			'status'  => array( 'wc-processing', 'wc-completed', 'wc-refunded' ),
 			'limit'   => -1,
 			'return'  => 'ids',
 		);
@@ -894,12 +2205,30 @@ class WDA_REST_Reports {
 			}
 		}
 
+		if ( '' !== $currency ) {
+			$order_args['currency'] = $currency;
+		}
+
 		$order_ids = wc_get_orders( $order_args );
 
-		$total_discount     = 0;
+		$report_currency = $convert || '' === $currency ? WDA_Discount_Capture::get_base_currency() : $currency;
+
+		$sale_discount      = 0;
+		$coupon_discount    = 0;
 		$total_revenue      = 0;
 		$discounted_units   = 0;
+		$gross_discount     = 0;
+		$refunded_discount  = 0;
+		$refunded_units     = 0;
+		$orders_count       = 0;
+		$regular_margin     = null;
+		$sale_margin        = null;
+		$costed_units       = 0;
 		$product_discounts  = array();
+		$below_cost_lines   = array();
+		$series             = array();
+		$currencies         = array();
+		$unconverted        = array();
 
 		foreach ( $order_ids as $order_id ) {
 			$order = wc_get_order( $order_id );
@@ -907,167 +2236,1959 @@ class WDA_REST_Reports {
 				continue;
 			}
 
-			$total_revenue += floatval( $order->get_total() );
-			$items          = $order->get_items( 'line_item' );
+			// Fully refunded orders only add to the refund totals unless refunds are included.
+			$counted = $refunded || 'refunded' !== $order->get_status();
+
+			$order_total = floatval( $order->get_total() );
+			if ( ! $refunded ) {
+				$order_total -= floatval( $order->get_total_refunded() );
+			}
+
+			if ( $counted ) {
+				$this->add_to_currency_breakdown( $currencies, $order->get_currency(), $order_id, 0, 0, $order_total, 0 );
+			}
+
+			// Orders outside the report currency only appear in the breakdown.
+			$rate = $this->get_report_rate( $order->get_currency(), WDA_Discount_Capture::get_order_exchange_rate( $order ), $report_currency, $convert );
+			if ( null === $rate ) {
+				if ( $convert && $counted ) {
+					$unconverted[ $order_id ] = true;
+				}
+				$counted = false;
+			} else {
+				$order_total *= $rate;
+			}
+
+			if ( $counted ) {
+				$total_revenue += $order_total;
+				$orders_count++;
+			}
+
+			$items = $order->get_items( 'line_item' );
+
+			$bucket = '';
+			if ( $counted && ! empty( $interval ) && $order->get_date_created() ) {
+				$bucket = $this->get_interval_bucket( $order->get_date_created()->format( 'Y-m-d H:i:s' ), $interval );
+				$this->add_to_series( $series, $bucket, 0, 0, $order_total, 0 );
+			}
 
 			foreach ( $items as $item_id => $item ) {
 				$discount_data = WDA_Discount_Capture::get_item_discount_data( $item_id );
 
-				if ( ! $discount_data || $discount_data['was_on_sale'] !== 'yes' ) {
+				if ( ! WDA_Discount_Capture::is_discounted( $discount_data ) ) {
+					continue;
+				}
+
+				$unit_sale_discount = 'yes' === $discount_data['was_on_sale'] ? floatval( $discount_data['discount_amount'] ) : 0;
+				$unit_discount      = $unit_sale_discount + floatval( $discount_data['coupon_discount'] );
+				$ordered_quantity   = floatval( $item->get_quantity() );
+				$refunded_quantity  = min( $ordered_quantity, abs( $order->get_qty_refunded_for_item( $item_id ) ) );
+
+				if ( null !== $rate ) {
+					$gross_discount    += $unit_discount * $ordered_quantity * $rate;
+					$refunded_discount += $unit_discount * $refunded_quantity * $rate;
+					$refunded_units    += $refunded_quantity;
+				}
+
+				// Net out refunds unless refunded units are requested.
+				$quantity = $refunded ? $ordered_quantity : $ordered_quantity - $refunded_quantity;
+				if ( $quantity <= 0 || ( ! $refunded && 'refunded' === $order->get_status() ) ) {
+					continue;
+				}
+
+				$line_sale_discount   = $unit_sale_discount * $quantity;
+				$line_coupon_discount = floatval( $discount_data['coupon_discount'] ) * $quantity;
+
+				$this->add_to_currency_breakdown( $currencies, $order->get_currency(), $order_id, $line_sale_discount, $line_coupon_discount, 0, $quantity );
+
+				if ( ! $counted ) {
 					continue;
 				}
 
-				$quantity        = $item->get_quantity();
-				$discount_amount = floatval( $discount_data['discount_amount'] ) * $quantity;
+				$line_sale_discount   *= $rate;
+				$line_coupon_discount *= $rate;
 
-				$total_discount   += $discount_amount;
+				$sale_discount    += $line_sale_discount;
+				$coupon_discount  += $line_coupon_discount;
 				$discounted_units += $quantity;
 
+				if ( $bucket ) {
+					$this->add_to_series( $series, $bucket, $line_sale_discount, $line_coupon_discount, 0, $quantity );
+				}
+
 				$product_id = $item->get_product_id();
 				if ( ! isset( $product_discounts[ $product_id ] ) ) {
 					$product      = $item->get_product();
 					$product_name = $product ? $product->get_name() : $item->get_name();
 					$product_discounts[ $product_id ] = array(
-						'product_id'     => $product_id,
-						'product_name'   => $product_name,
-						'total_discount' => 0,
-						'units_sold'     => 0,
+						'product_id'      => $product_id,
+						'product_name'    => $product_name,
+						'sale_discount'   => 0,
+						'coupon_discount' => 0,
+						'total_discount'  => 0,
+						'units_sold'      => 0,
+						'regular_margin'  => null,
+						'sale_margin'     => null,
+					);
+				}
+				$product_discounts[ $product_id ]['sale_discount']   += $line_sale_discount;
+				$product_discounts[ $product_id ]['coupon_discount'] += $line_coupon_discount;
+				$product_discounts[ $product_id ]['total_discount']  += $line_sale_discount + $line_coupon_discount;
+				$product_discounts[ $product_id ]['units_sold']      += $quantity;
+
+				// Margins only cover lines with a known cost.
+				if ( null === $discount_data['unit_cost'] ) {
+					continue;
+				}
+
+				$unit_cost           = $discount_data['unit_cost'] * $rate;
+				$paid_price          = ( floatval( $discount_data['sale_price'] ) - floatval( $discount_data['coupon_discount'] ) ) * $rate;
+				$line_regular_margin = ( floatval( $discount_data['regular_price'] ) * $rate - $unit_cost ) * $quantity;
+				$line_sale_margin    = ( $paid_price - $unit_cost ) * $quantity;
+
+				$regular_margin += $line_regular_margin;
+				$sale_margin    += $line_sale_margin;
+				$costed_units   += $quantity;
+
+				$product_discounts[ $product_id ]['regular_margin'] += $line_regular_margin;
+				$product_discounts[ $product_id ]['sale_margin']    += $line_sale_margin;
+
+				if ( $paid_price < $unit_cost ) {
+					$date_created       = $order->get_date_created();
+					$below_cost_lines[] = array(
+						'order_id'      => $order_id,
+						'item_id'       => $item_id,
+						'order_date'    => $date_created ? $date_created->format( 'Y-m-d H:i:s' ) : '',
+						'product_id'    => $product_id,
+						'variation_id'  => $item->get_variation_id(),
+						'product_name'  => $product_discounts[ $product_id ]['product_name'],
+						'quantity'      => $quantity,
+						'regular_price' => round( floatval( $discount_data['regular_price'] ) * $rate, 2 ),
+						'paid_price'    => round( $paid_price, 2 ),
+						'unit_cost'     => round( $unit_cost, 2 ),
+						'loss'          => round( ( $unit_cost - $paid_price ) * $quantity, 2 ),
 					);
 				}
-				$product_discounts[ $product_id ]['total_discount'] += $discount_amount;
-				$product_discounts[ $product_id ]['units_sold']     += $quantity;
 			}
 		}
 
+		// Biggest loss first.
+		usort( $below_cost_lines, function( $a, $b ) {
+			return $b['loss'] <=> $a['loss'];
+		} );
+
 		// Sort products by discount amount.
 		usort( $product_discounts, function( $a, $b ) {
 			return $b['total_discount'] <=> $a['total_discount'];
 		} );
 
-		// Get top 10.
-		$top_discounted = array_slice( $product_discounts, 0, 10 );
-
 		// Round values.
-		foreach ( $top_discounted as &$product ) {
-			$product['total_discount'] = round( $product['total_discount'], 2 );
+		foreach ( $product_discounts as &$product ) {
+			$product['sale_discount']   = round( $product['sale_discount'], 2 );
+			$product['coupon_discount'] = round( $product['coupon_discount'], 2 );
+			$product['total_discount']  = round( $product['total_discount'], 2 );
+			$product                    = array_merge( $product, $this->get_margin_fields( $product['regular_margin'], $product['sale_margin'] ) );
 		}
+		unset( $product );
 
+		$total_discount          = $sale_discount + $coupon_discount;
 		$discount_pct_of_revenue = $total_revenue > 0 ? ( $total_discount / $total_revenue ) * 100 : 0;
 
-		return new WP_REST_Response( array(
+		$response = array(
+			'sale_discount'           => round( $sale_discount, 2 ),
+			'coupon_discount'         => round( $coupon_discount, 2 ),
 			'total_discount'          => round( $total_discount, 2 ),
+			'gross_discount'          => round( $gross_discount, 2 ),
+			'refunded_discount'       => round( $refunded_discount, 2 ),
+			'net_discount'            => round( $gross_discount - $refunded_discount, 2 ),
+			'refunded_units'          => $refunded_units,
 			'total_revenue'           => round( $total_revenue, 2 ),
 			'discount_pct_of_revenue' => round( $discount_pct_of_revenue, 2 ),
 			'discounted_units'        => $discounted_units,
-			'orders_count'            => count( $order_ids ),
-			'top_discounted_products' => $top_discounted,
-		), 200 );
+			'orders_count'            => $orders_count,
+			'top_discounted_products' => $product_discounts,
+			'currency'                => $report_currency,
+			'currencies'              => $this->format_currency_breakdown( $currencies ),
+			'unconverted_orders'      => count( $unconverted ),
+			'costed_units'            => $costed_units,
+			'below_cost_count'        => count( $below_cost_lines ),
+			'below_cost_lines'        => array_slice( $below_cost_lines, 0, self::BELOW_COST_LIMIT ),
+		);
+
+		$response = array_merge( $response, $this->get_margin_fields( $regular_margin, $sale_margin ) );
+
+		if ( ! empty( $interval ) ) {
+			$response['interval'] = $interval;
+			$response['series']   = $this->fill_series( $series, $date_from, $date_to, $interval );
+		}
+
+		return $response;
 	}
 
 	/**
-	 * Export CSV.
+	 * Get the series bucket a date falls into.
 	 *
-	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response|void
+	 * Weeks start on Monday (ISO-8601); months are keyed by their first day.
+	 *
+	 * @param string $date     Date string (Y-m-d or Y-m-d H:i:s).
+	 * @param string $interval Interval: day, week or month.
+	 * @return string Bucket start date (Y-m-d).
 	 */
-	public function export_csv( $request ) {
-		$type      = $request->get_param( 'type' );
-		$date_from = $request->get_param( 'date_from' );
-		$date_to   = $request->get_param( 'date_to' );
+	private function get_interval_bucket( $date, $interval ) {
+		$timestamp = strtotime( substr( $date, 0, 10 ) );
 
-		// Set unlimited request params for export.
-		$request->set_param( 'page', 1 );
-		$request->set_param( 'per_page', 10000 );
+		switch ( $interval ) {
+			case 'week':
+				$offset = (int) gmdate( 'N', $timestamp ) - 1;
+				return gmdate( 'Y-m-d', $timestamp - $offset * DAY_IN_SECONDS );
 
-		switch ( $type ) {
-			case 'current-discounts':
-				$response = $this->get_current_discounts( $request );
-				$data     = $response->get_data();
-				$items    = $data['items'];
-				$filename = 'current-discounts-' . gmdate( 'Y-m-d' ) . '.csv';
-				$headers  = array( 'ID', 'Name', 'Type', 'SKU', 'Regular Price', 'Sale Price', 'Discount Amount', 'Discount %', 'Sale Start', 'Sale End', 'Status', 'Stock Status' );
-				$rows     = array();
-				foreach ( $items as $item ) {
-					$rows[] = array(
-						$item['id'],
-						$item['name'],
-						$item['type'],
-						$item['sku'],
-						$item['regular_price'],
-						$item['sale_price'],
-						$item['discount_amount'],
-						$item['discount_pct'],
-						$item['sale_start'],
-						$item['sale_end'],
-						$item['sale_status'],
-						$item['stock_status'],
-					);
-				}
-				break;
+			case 'month':
+				return gmdate( 'Y-m-01', $timestamp );
 
-			case 'discount-history':
-				$response = $this->get_discount_history( $request );
-				$data     = $response->get_data();
-				$items    = $data['items'];
-				$filename = 'discount-history-' . gmdate( 'Y-m-d' ) . '.csv';
-				$headers  = array( 'Order ID', 'Order Date', 'Product ID', 'Product Name', 'Quantity', 'Regular Price', 'Sale Price', 'Discount Amount', 'Discount %', 'Line Total' );
-				$rows     = array();
-				foreach ( $items as $item ) {
-					$rows[] = array(
-						$item['order_id'],
-						$item['order_date'],
-						$item['product_id'],
-						$item['product_name'],
-						$item['quantity'],
-						$item['regular_price'],
-						$item['sale_price'],
-						$item['discount_amount'],
-						$item['discount_pct'],
-						$item['line_total'],
-					);
-				}
-				break;
+			default:
+				return gmdate( 'Y-m-d', $timestamp );
+		}
+	}
 
-			case 'discount-summary':
-				$response = $this->get_discount_summary( $request );
-				$data     = $response->get_data();
-				$filename = 'discount-summary-' . gmdate( 'Y-m-d' ) . '.csv';
-				$headers  = array( 'Metric', 'Value' );
-				$rows     = array(
-					array( 'Total Discount', $data['total_discount'] ),
-					array( 'Total Revenue', $data['total_revenue'] ),
-					array( 'Discount % of Revenue', $data['discount_pct_of_revenue'] ),
-					array( 'Discounted Units', $data['discounted_units'] ),
-					array( 'Orders Count', $data['orders_count'] ),
-				);
+	/**
+	 * Get the SQL expression for the series bucket a datetime column falls in.
+	 *
+	 * Matches get_interval_bucket(): weeks start on Monday.
+	 *
+	 * @param string $column   Datetime column.
+	 * @param string $interval Interval (day, week, month).
+	 * @return string
+	 */
+	private function get_interval_bucket_sql( $column, $interval ) {
+		switch ( $interval ) {
+			case 'week':
+				return "DATE_SUB( DATE( {$column} ), INTERVAL WEEKDAY( {$column} ) DAY )";
 
-				// Add top products section.
-				$rows[] = array( '', '' );
-				$rows[] = array( 'Top Discounted Products', '' );
-				$rows[] = array( 'Product Name', 'Total Discount' );
-				foreach ( $data['top_discounted_products'] as $product ) {
-					$rows[] = array( $product['product_name'], $product['total_discount'] );
-				}
-				break;
+			case 'month':
+				return "DATE_FORMAT( {$column}, '%Y-%m-01' )";
 
 			default:
-				return new WP_REST_Response( array( 'error' => 'Invalid export type.' ), 400 );
+				return "DATE( {$column} )";
 		}
+	}
 
-		// Output CSV.
-		header( 'Content-Type: text/csv; charset=utf-8' );
-		header( 'Content-Disposition: attachment; filename=' . $filename );
-		header( 'Pragma: no-cache' );
-		header( 'Expires: 0' );
+	/**
+	 * Add values to a series bucket, creating the bucket if needed.
+	 *
+	 * @param array  $series          Series keyed by bucket date (passed by reference).
+	 * @param string $bucket          Bucket start date.
+	 * @param float  $sale_discount   Sale-price discount amount.
+	 * @param float  $coupon_discount Coupon discount amount.
+	 * @param float  $revenue         Revenue amount.
+	 * @param float  $units           Discounted units.
+	 */
+	private function add_to_series( &$series, $bucket, $sale_discount, $coupon_discount, $revenue, $units ) {
+		if ( ! isset( $series[ $bucket ] ) ) {
+			$series[ $bucket ] = array(
+				'date'             => $bucket,
+				'sale_discount'    => 0,
+				'coupon_discount'  => 0,
+				'total_discount'   => 0,
+				'total_revenue'    => 0,
+				'discounted_units' => 0,
+			);
+		}
 
-		$output = fopen( 'php://output', 'w' );
-		fputcsv( $output, $headers );
+		$series[ $bucket ]['sale_discount']    += $sale_discount;
+		$series[ $bucket ]['coupon_discount']  += $coupon_discount;
+		$series[ $bucket ]['total_discount']   += $sale_discount + $coupon_discount;
+		$series[ $bucket ]['total_revenue']    += $revenue;
+		$series[ $bucket ]['discounted_units'] += $units;
+	}
 
-		foreach ( $rows as $row ) {
-			fputcsv( $output, $row );
+	/**
+	 * Get the multiplier that brings a line's amounts into the report currency.
+	 *
+	 * @param string            $line_currency   Line currency.
+	 * @param float|string|null $exchange_rate   Line rate to the base currency (null if unknown).
+	 * @param string            $report_currency Currency the report totals are in.
+	 * @param bool              $convert         Whether other currencies are converted to the base currency.
+	 * @return float|null Multiplier, or null if the line is left out of the totals.
+	 */
+	private function get_report_rate( $line_currency, $exchange_rate, $report_currency, $convert ) {
+		if ( $line_currency === $report_currency ) {
+			return 1.0;
 		}
 
-		fclose( $output );
-		exit;
+		if ( $convert && null !== $exchange_rate && floatval( $exchange_rate ) > 0 ) {
+			return floatval( $exchange_rate );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Add amounts in their own currency to the per-currency breakdown.
+	 *
+	 * @param array  $currencies      Breakdown keyed by currency code (passed by reference).
+	 * @param string $currency        Currency code.
+	 * @param int    $order_id        Order ID.
+	 * @param float  $sale_discount   Sale-price discount amount.
+	 * @param float  $coupon_discount Coupon discount amount.
+	 * @param float  $revenue         Revenue amount.
+	 * @param float  $units           Discounted units.
+	 */
+	private function add_to_currency_breakdown( &$currencies, $currency, $order_id, $sale_discount, $coupon_discount, $revenue, $units ) {
+		if ( ! isset( $currencies[ $currency ] ) ) {
+			$currencies[ $currency ] = array(
+				'currency'         => $currency,
+				'sale_discount'    => 0,
+				'coupon_discount'  => 0,
+				'total_discount'   => 0,
+				'total_revenue'    => 0,
+				'discounted_units' => 0,
+				'order_ids'        => array(),
+			);
+		}
+
+		$currencies[ $currency ]['sale_discount']    += $sale_discount;
+		$currencies[ $currency ]['coupon_discount']  += $coupon_discount;
+		$currencies[ $currency ]['total_discount']   += $sale_discount + $coupon_discount;
+		$currencies[ $currency ]['total_revenue']    += $revenue;
+		$currencies[ $currency ]['discounted_units'] += $units;
+		$currencies[ $currency ]['order_ids'][ $order_id ] = true;
+	}
+
+	/**
+	 * Round the per-currency breakdown and list it by currency code.
+	 *
+	 * @param array $currencies Breakdown keyed by currency code.
+	 * @return array
+	 */
+	private function format_currency_breakdown( $currencies ) {
+		ksort( $currencies );
+
+		return array_values( array_map( function( $row ) {
+			return array(
+				'currency'         => $row['currency'],
+				'sale_discount'    => round( $row['sale_discount'], 2 ),
+				'coupon_discount'  => round( $row['coupon_discount'], 2 ),
+				'total_discount'   => round( $row['total_discount'], 2 ),
+				'total_revenue'    => round( $row['total_revenue'], 2 ),
+				'discounted_units' => $row['discounted_units'],
+				'orders_count'     => count( $row['order_ids'] ),
+			);
+		}, $currencies ) );
+	}
+
+	/**
+	 * Get the interval a summary series can use within MAX_SERIES_BUCKETS,
+	 * moving from days to weeks to months as the date range grows.
+	 *
+	 * Without a start date the range starts at the first captured line.
+	 *
+	 * @param string $interval  Requested interval: day, week or month.
+	 * @param string $date_from Date from.
+	 * @param string $date_to   Date to (defaults to today).
+	 * @return string|WP_Error Interval to use, or error if even months are too many.
+	 */
+	private function get_series_interval( $interval, $date_from, $date_to ) {
+		global $wpdb;
+
+		if ( empty( $date_from ) && class_exists( 'WDA_Database' ) && WDA_Database::instance()->table_exists() ) {
+			$date_from = $wpdb->get_var( 'SELECT MIN( created_at ) FROM ' . WDA_Database::get_table_name() );
+		}
+
+		// Nothing to size the range by; fill_series() still caps it.
+		if ( empty( $date_from ) ) {
+			return $interval;
+		}
+
+		$to   = strtotime( ! empty( $date_to ) ? $date_to : current_time( 'Y-m-d' ) );
+		$days = max( 0, floor( ( $to - strtotime( $date_from ) ) / DAY_IN_SECONDS ) ) + 1;
+
+		foreach ( self::SERIES_BUCKET_DAYS as $candidate => $bucket_days ) {
+			if ( $bucket_days >= self::SERIES_BUCKET_DAYS[ $interval ] && ceil( $days / $bucket_days ) <= self::MAX_SERIES_BUCKETS ) {
+				return $candidate;
+			}
+		}
+
+		return new WP_Error(
+			'wda_series_range_too_long',
+			__( 'The date range is too long to chart. Choose a shorter range.', 'woo-discount-analytics' ),
+			array( 'status' => 400 )
+		);
+	}
+
+	/**
+	 * Fill gaps in a series so every bucket in the range is present.
+	 *
+	 * Missing ends of the range fall back to the first and last buckets with data.
+	 * Ranges longer than MAX_SERIES_BUCKETS keep only the buckets with data.
+	 *
+	 * @param array  $series    Series keyed by bucket date.
+	 * @param string $date_from Date from.
+	 * @param string $date_to   Date to.
+	 * @param string $interval  Interval: day, week or month.
+	 * @return array Ordered list of buckets.
+	 */
+	private function fill_series( $series, $date_from, $date_to, $interval ) {
+		ksort( $series );
+		$keys = array_keys( $series );
+
+		$start = ! empty( $date_from ) ? $this->get_interval_bucket( $date_from, $interval ) : reset( $keys );
+		$end   = ! empty( $date_to ) ? $this->get_interval_bucket( $date_to, $interval ) : end( $keys );
+
+		if ( ! $start || ! $end || $start > $end ) {
+			return array_values( $series );
+		}
+
+		if ( ( strtotime( $end ) - strtotime( $start ) ) / ( self::SERIES_BUCKET_DAYS[ $interval ] * DAY_IN_SECONDS ) >= self::MAX_SERIES_BUCKETS ) {
+			return array_values( $series );
+		}
+
+		$steps  = array(
+			'day'   => '+1 day',
+			'week'  => '+1 week',
+			'month' => '+1 month',
+		);
+		$filled = array();
+		$cursor = $start;
+
+		while ( $cursor <= $end ) {
+			if ( isset( $series[ $cursor ] ) ) {
+				$bucket = $series[ $cursor ];
+			} else {
+				$bucket = array(
+					'date'             => $cursor,
+					'sale_discount'    => 0,
+					'coupon_discount'  => 0,
+					'total_discount'   => 0,
+					'total_revenue'    => 0,
+					'discounted_units' => 0,
+				);
+			}
+
+			$bucket['sale_discount']   = round( $bucket['sale_discount'], 2 );
+			$bucket['coupon_discount'] = round( $bucket['coupon_discount'], 2 );
+			$bucket['total_discount']  = round( $bucket['total_discount'], 2 );
+			$bucket['total_revenue']   = round( $bucket['total_revenue'], 2 );
+			$filled[]                  = $bucket;
+
+			$cursor = gmdate( 'Y-m-d', strtotime( $steps[ $interval ], strtotime( $cursor ) ) );
+		}
+
+		return $filled;
+	}
+
+	/**
+	 * Get the share of units refunded on discounted and on full-price lines.
+	 *
+	 * Discounted lines come from the discounts table. Full-price lines are
+	 * not stored there, so they come from WooCommerce's order product lookup
+	 * table, limited to lines capture has marked as not on sale so orders
+	 * placed before capture started do not skew the rate; their refunds are
+	 * matched by product from the order's refunds.
+	 *
+	 * @param string $date_from Date from.
+	 * @param string $date_to   Date to.
+	 * @return array Units, refunded units and refund rate (percent, null without units) per group.
+	 */
+	private function get_refund_rates( $date_from, $date_to ) {
+		global $wpdb;
+
+		$table_name  = WDA_Database::get_table_name();
+		$where       = array();
+		$order_where = array(
+			'os.parent_id = 0',
+			"os.status IN ( 'wc-processing', 'wc-completed', 'wc-refunded' )",
+			'd.order_item_id IS NULL',
+		);
+		$refund_where = array( 'rs.parent_id > 0' );
+
+		if ( ! empty( $date_from ) ) {
+			$where[]        = $wpdb->prepare( 'created_at >= %s', $date_from );
+			$order_where[]  = $wpdb->prepare( 'os.date_created >= %s', $date_from );
+			// Refunds come after their order, so this bounds them too.
+			$refund_where[] = $wpdb->prepare( 'rs.date_created >= %s', $date_from );
+		}
+
+		if ( ! empty( $date_to ) ) {
+			$where[]       = $wpdb->prepare( 'created_at <= %s', $date_to . ' 23:59:59' );
+			$order_where[] = $wpdb->prepare( 'os.date_created <= %s', $date_to . ' 23:59:59' );
+		}
+
+		$where_clause        = $where ? 'WHERE ' . implode( ' AND ', $where ) : '';
+		$order_where_clause  = implode( ' AND ', $order_where );
+		$refund_where_clause = implode( ' AND ', $refund_where );
+
+		$discounted = $wpdb->get_row(
+			"SELECT SUM( quantity ) AS units, SUM( LEAST( refunded_quantity, quantity ) ) AS refunded_units
+			FROM {$table_name}
+			{$where_clause}",
+			ARRAY_A
+		);
+
+		$full_price = $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT SUM( l.product_qty ) AS units, SUM( LEAST( COALESCE( r.refunded_units, 0 ), l.product_qty ) ) AS refunded_units
+				FROM {$wpdb->prefix}wc_order_product_lookup l
+				INNER JOIN {$wpdb->prefix}wc_order_stats os ON os.order_id = l.order_id
+				INNER JOIN {$wpdb->prefix}woocommerce_order_itemmeta m ON m.order_item_id = l.order_item_id AND m.meta_key = %s AND m.meta_value = 'no'
+				LEFT JOIN {$table_name} d ON d.order_item_id = l.order_item_id
+				LEFT JOIN (
+					SELECT rs.parent_id AS order_id, rl.product_id, rl.variation_id, -SUM( rl.product_qty ) AS refunded_units
+					FROM {$wpdb->prefix}wc_order_stats rs
+					INNER JOIN {$wpdb->prefix}wc_order_product_lookup rl ON rl.order_id = rs.order_id
+					WHERE {$refund_where_clause}
+					GROUP BY rs.parent_id, rl.product_id, rl.variation_id
+				) r ON r.order_id = l.order_id AND r.product_id = l.product_id AND r.variation_id = l.variation_id
+				WHERE {$order_where_clause}",
+				WDA_Discount_Capture::META_WAS_ON_SALE
+			),
+			ARRAY_A
+		);
+
+		$groups = array();
+
+		foreach ( array( 'discounted' => $discounted, 'full_price' => $full_price ) as $group => $row ) {
+			$units          = $row ? floatval( $row['units'] ) : 0;
+			$refunded_units = $row ? floatval( $row['refunded_units'] ) : 0;
+
+			$groups[ $group ] = array(
+				'units'          => $units,
+				'refunded_units' => $refunded_units,
+				'rate'           => $units > 0 ? round( ( $refunded_units / $units ) * 100, 2 ) : null,
+			);
+		}
+
+		return $groups;
+	}
+
+	/**
+	 * Get sale performance: per sale, how the product sold during the sale
+	 * window compared with an equal-length baseline window just before it.
+	 *
+	 * Sales that have started are read from the price history, so sales that
+	 * have since ended are included; products without price history fall
+	 * back to their current sale in the sale index. Each sale window runs to
+	 * the sale's end or now, whichever is earlier. Units and revenue come
+	 * from WooCommerce's order product lookup table, which also holds
+	 * full-price sales, and the discount cost from the discounts table.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_sale_performance( $request ) {
+		if ( ! WDA_Sale_Index::instance()->is_built() ) {
+			return new WP_Error(
+				'wda_sale_index_building',
+				__( 'The sale index is still being built. Try again in a few minutes.', 'woo-discount-analytics' ),
+				array( 'status' => 503 )
+			);
+		}
+
+		$page         = max( 1, $request->get_param( 'page' ) );
+		$per_page     = max( 1, min( $request->get_param( 'per_page' ), 100 ) );
+		$sale_status  = $request->get_param( 'sale_status' );
+		$orderby      = $request->get_param( 'orderby' );
+		$order        = $request->get_param( 'order' );
+		$category_ids = $this->get_category_filter_ids( $request->get_param( 'category' ), $request->get_param( 'include_subcategories' ) );
+
+		$now     = time();
+		$windows = array();
+
+		foreach ( $this->get_sale_windows() as $sale ) {
+			$expired = null !== $sale['sale_end'] && $sale['sale_end'] < $now;
+
+			if ( ( 'expired' === $sale_status && ! $expired ) || ( 'active' === $sale_status && $expired ) ) {
+				continue;
+			}
+
+			$sale_to = null === $sale['sale_end'] ? $now : min( $sale['sale_end'], $now );
+			$length  = $sale_to - $sale['sale_start'];
+
+			$windows[] = array(
+				'id'               => $sale['product_id'],
+				'sale_status'      => $expired ? 'expired' : 'active',
+				'sale_start'       => wp_date( 'Y-m-d H:i:s', $sale['sale_start'] ),
+				'sale_end'         => null === $sale['sale_end'] ? null : wp_date( 'Y-m-d H:i:s', $sale['sale_end'] ),
+				'sale_from'        => $sale['sale_start'],
+				'sale_to'          => $sale_to,
+				'baseline_from'    => $sale['sale_start'] - $length,
+				'days'             => $length / DAY_IN_SECONDS,
+				'sale_units'       => 0,
+				'sale_revenue'     => 0,
+				'discount_cost'    => 0,
+				'baseline_units'   => 0,
+				'baseline_revenue' => 0,
+			);
+		}
+
+		$this->add_sale_performance_products( $windows, $category_ids );
+
+		if ( ! empty( $windows ) ) {
+			$this->add_sale_performance_lines( $windows );
+		}
+
+		$first_order = $this->get_first_order_time();
+		$results     = array();
+
+		foreach ( $windows as $window ) {
+			$results[] = $this->build_sale_performance_row( $window, $first_order );
+		}
+
+		// Sort results, keeping rows without a value (no baseline sales) last.
+		usort( $results, function( $a, $b ) use ( $orderby, $order ) {
+			$val_a = $a[ $orderby ];
+			$val_b = $b[ $orderby ];
+
+			if ( null === $val_a || null === $val_b ) {
+				return ( null === $val_a ) <=> ( null === $val_b );
+			}
+			if ( 'name' === $orderby || 'sale_start' === $orderby ) {
+				$cmp = strcasecmp( $val_a, $val_b );
+			} else {
+				$cmp = $val_a <=> $val_b;
+			}
+			return 'ASC' === $order ? $cmp : -$cmp;
+		} );
+
+		$total   = count( $results );
+		$totals  = $this->get_sale_performance_totals( $results );
+		$offset  = ( $page - 1 ) * $per_page;
+		$results = array_slice( $results, $offset, $per_page );
+
+		return new WP_REST_Response( array(
+			'items'       => $results,
+			'totals'      => $totals,
+			'total'       => $total,
+			'total_pages' => (int) ceil( $total / $per_page ),
+			'page'        => $page,
+			'per_page'    => $per_page,
+		), 200 );
+	}
+
+	/**
+	 * Get every sale that has started, oldest first per product.
+	 *
+	 * A product is on sale while its recorded prices have a sale price below
+	 * the regular price: from the later of the change and the sale start
+	 * date (just the start date for the first record, which may predate it)
+	 * to the earlier of the next change and the sale end date. Back-to-back
+	 * records of one sale, such as a price change mid-sale, are merged.
+	 * Products without price history use their current sale from the sale
+	 * index, if it has a start date.
+	 *
+	 * @return array[] Sales with product_id and sale_start and sale_end timestamps (sale_end null when open-ended).
+	 */
+	private function get_sale_windows() {
+		global $wpdb;
+
+		$now      = time();
+		$sales    = array();
+		$recorded = array();
+
+		// Price history dates are in site time.
+		$to_time = function( $date ) {
+			return strtotime( get_gmt_from_date( $date ) . ' UTC' );
+		};
+
+		if ( class_exists( 'WDA_Price_History' ) && WDA_Price_History::instance()->table_exists() ) {
+			$history_table = WDA_Price_History::get_table_name();
+
+			$rows = $wpdb->get_results(
+				"SELECT product_id, regular_price, sale_price, sale_start, sale_end, changed_at
+				FROM {$history_table}
+				WHERE product_id IN ( SELECT product_id FROM {$history_table} WHERE sale_price < regular_price )
+				ORDER BY product_id ASC, changed_at ASC, id ASC",
+				ARRAY_A
+			);
+
+			foreach ( $rows as $i => $row ) {
+				$product_id = (int) $row['product_id'];
+				$first      = ! isset( $recorded[ $product_id ] );
+
+				$recorded[ $product_id ] = true;
+
+				if ( null === $row['sale_price'] || null === $row['regular_price'] || floatval( $row['sale_price'] ) >= floatval( $row['regular_price'] ) ) {
+					continue;
+				}
+
+				$changed_at = $to_time( $row['changed_at'] );
+				$sale_start = $row['sale_start'] ? $to_time( $row['sale_start'] ) : null;
+				$start      = null === $sale_start ? $changed_at : ( $first ? $sale_start : max( $changed_at, $sale_start ) );
+
+				$ends = array();
+				if ( isset( $rows[ $i + 1 ] ) && (int) $rows[ $i + 1 ]['product_id'] === $product_id ) {
+					$ends[] = $to_time( $rows[ $i + 1 ]['changed_at'] );
+				}
+				if ( $row['sale_end'] ) {
+					$ends[] = $to_time( $row['sale_end'] );
+				}
+				$end = $ends ? min( $ends ) : null;
+
+				if ( $start >= $now || ( null !== $end && $start >= $end ) ) {
+					continue;
+				}
+
+				$last = count( $sales ) - 1;
+				if ( $last >= 0 && $sales[ $last ]['product_id'] === $product_id && $sales[ $last ]['sale_end'] === $start ) {
+					$sales[ $last ]['sale_end'] = $end;
+					continue;
+				}
+
+				$sales[] = array(
+					'product_id' => $product_id,
+					'sale_start' => $start,
+					'sale_end'   => $end,
+				);
+			}
+		}
+
+		$index_table = WDA_Sale_Index::get_table_name();
+
+		$rows = $wpdb->get_results(
+			"SELECT product_id, sale_start, sale_end FROM {$index_table}
+			WHERE type IN ( 'simple', 'external', 'variation' )
+				AND sale_start IS NOT NULL
+				AND sale_start < UTC_TIMESTAMP()
+				AND ( sale_end IS NULL OR sale_end > sale_start )",
+			ARRAY_A
+		);
+
+		foreach ( $rows as $row ) {
+			if ( isset( $recorded[ (int) $row['product_id'] ] ) ) {
+				continue;
+			}
+
+			$sales[] = array(
+				'product_id' => (int) $row['product_id'],
+				'sale_start' => strtotime( $row['sale_start'] . ' UTC' ),
+				'sale_end'   => $row['sale_end'] ? strtotime( $row['sale_end'] . ' UTC' ) : null,
+			);
+		}
+
+		return $sales;
+	}
+
+	/**
+	 * Add each sale's product name, SKU and edit link, dropping sales of
+	 * products that were deleted or are outside the category filter.
+	 *
+	 * @param array $windows      Sale windows (passed by reference).
+	 * @param int[] $category_ids Category filter IDs (empty for all).
+	 */
+	private function add_sale_performance_products( &$windows, $category_ids ) {
+		global $wpdb;
+
+		if ( empty( $windows ) ) {
+			return;
+		}
+
+		$where = array(
+			'p.ID IN ( ' . implode( ',', array_unique( array_map( 'absint', wp_list_pluck( $windows, 'id' ) ) ) ) . ' )',
+			"p.post_type IN ( 'product', 'product_variation' )",
+			"p.post_status <> 'trash'",
+		);
+
+		// Variations use their parent's categories.
+		if ( ! empty( $category_ids ) ) {
+			$where[] = "EXISTS ( SELECT 1 FROM {$wpdb->term_relationships} tr
+				INNER JOIN {$wpdb->term_taxonomy} tt ON tt.term_taxonomy_id = tr.term_taxonomy_id AND tt.taxonomy = 'product_cat'
+				WHERE tr.object_id = IF( p.post_type = 'product_variation', p.post_parent, p.ID ) AND tt.term_id IN ( " . implode( ',', array_map( 'absint', $category_ids ) ) . ' ) )';
+		}
+
+		$products = $wpdb->get_results(
+			"SELECT p.ID AS id, IF( p.post_type = 'product_variation', p.post_parent, 0 ) AS parent_id, p.post_title AS name, sku.meta_value AS sku
+			FROM {$wpdb->posts} p
+			LEFT JOIN {$wpdb->postmeta} sku ON sku.post_id = p.ID AND sku.meta_key = '_sku'
+			WHERE " . implode( ' AND ', $where ),
+			OBJECT_K
+		);
+
+		foreach ( $windows as $key => &$window ) {
+			if ( ! isset( $products[ $window['id'] ] ) ) {
+				unset( $windows[ $key ] );
+				continue;
+			}
+
+			$product   = $products[ $window['id'] ];
+			$parent_id = (int) $product->parent_id;
+
+			$window['parent_id'] = $parent_id;
+			$window['name']      = $product->name;
+			$window['sku']       = (string) $product->sku;
+			$window['edit_link'] = get_edit_post_link( $parent_id ? $parent_id : $window['id'], 'raw' );
+		}
+		unset( $window );
+	}
+
+	/**
+	 * Add sale and baseline window totals to each sale, aggregating the
+	 * order product lookup table over a batch of windows per query, joined
+	 * to the discounts table for the discount cost.
+	 *
+	 * Windows are compared against the order's GMT date.
+	 *
+	 * @param array $windows Sale windows with product details (passed by reference).
+	 */
+	private function add_sale_performance_lines( &$windows ) {
+		global $wpdb;
+
+		$discounts_table = WDA_Database::get_table_name();
+		$in_sale         = 'os.date_created_gmt >= w.sale_from';
+
+		foreach ( array_chunk( array_keys( $windows ), self::SALE_WINDOWS_PER_QUERY ) as $keys ) {
+			$selects = array();
+			foreach ( $keys as $key ) {
+				$window    = $windows[ $key ];
+				$selects[] = $wpdb->prepare(
+					'SELECT %d AS window_key, %d AS product_id, %d AS variation_id, %s AS baseline_from, %s AS sale_from, %s AS sale_to',
+					$key,
+					$window['parent_id'] ? $window['parent_id'] : $window['id'],
+					$window['parent_id'] ? $window['id'] : 0,
+					gmdate( 'Y-m-d H:i:s', $window['baseline_from'] ),
+					gmdate( 'Y-m-d H:i:s', $window['sale_from'] ),
+					gmdate( 'Y-m-d H:i:s', $window['sale_to'] )
+				);
+			}
+
+			$rows = $wpdb->get_results(
+				"SELECT w.window_key,
+					SUM( IF( {$in_sale}, l.product_qty, 0 ) ) AS sale_units,
+					SUM( IF( {$in_sale}, l.product_net_revenue + l.coupon_amount, 0 ) ) AS sale_revenue,
+					SUM( IF( {$in_sale}, COALESCE( d.discount_amount * d.quantity, 0 ), 0 ) ) AS discount_cost,
+					SUM( IF( {$in_sale}, 0, l.product_qty ) ) AS baseline_units,
+					SUM( IF( {$in_sale}, 0, l.product_net_revenue + l.coupon_amount ) ) AS baseline_revenue
+				FROM ( " . implode( ' UNION ALL ', $selects ) . " ) w
+				INNER JOIN {$wpdb->prefix}wc_order_product_lookup l
+					ON l.product_id = w.product_id
+					AND l.variation_id = w.variation_id
+				INNER JOIN {$wpdb->prefix}wc_order_stats os ON os.order_id = l.order_id
+				LEFT JOIN {$discounts_table} d ON d.order_item_id = l.order_item_id
+				WHERE os.parent_id = 0
+					AND os.status IN ( 'wc-processing', 'wc-completed' )
+					AND os.date_created_gmt >= w.baseline_from
+					AND os.date_created_gmt <= w.sale_to
+				GROUP BY w.window_key",
+				ARRAY_A
+			);
+
+			foreach ( $rows as $row ) {
+				$key = (int) $row['window_key'];
+
+				$windows[ $key ]['sale_units']       = floatval( $row['sale_units'] );
+				$windows[ $key ]['sale_revenue']     = floatval( $row['sale_revenue'] );
+				$windows[ $key ]['discount_cost']    = floatval( $row['discount_cost'] );
+				$windows[ $key ]['baseline_units']   = floatval( $row['baseline_units'] );
+				$windows[ $key ]['baseline_revenue'] = floatval( $row['baseline_revenue'] );
+			}
+		}
+	}
+
+	/**
+	 * Get when the first paid order in the order lookup tables was placed.
+	 *
+	 * Baselines that start before this have no recorded sales to compare with.
+	 *
+	 * @return int|null Timestamp, or null if there are no orders.
+	 */
+	private function get_first_order_time() {
+		global $wpdb;
+
+		$first = $wpdb->get_var(
+			"SELECT MIN( date_created_gmt ) FROM {$wpdb->prefix}wc_order_stats WHERE parent_id = 0 AND status IN ( 'wc-processing', 'wc-completed' )"
+		);
+
+		return $first ? strtotime( $first . ' UTC' ) : null;
+	}
+
+	/**
+	 * Build a sale performance row from a product's window totals.
+	 *
+	 * @param array    $window         Sale window with unit and revenue totals.
+	 * @param int|null $first_order    First order timestamp.
+	 * @return array
+	 */
+	private function build_sale_performance_row( $window, $first_order ) {
+		$days                   = max( $window['days'], 1 / 24 );
+		$sale_units_per_day     = $window['sale_units'] / $days;
+		$baseline_units_per_day = $window['baseline_units'] / $days;
+		$incremental_units      = $window['sale_units'] - $window['baseline_units'];
+
+		return array(
+			'id'                        => $window['id'],
+			'parent_id'                 => $window['parent_id'],
+			'name'                      => $window['name'],
+			'sku'                       => $window['sku'],
+			'sale_status'               => $window['sale_status'],
+			'sale_start'                => $window['sale_start'],
+			'sale_end'                  => $window['sale_end'],
+			'baseline_start'            => wp_date( 'Y-m-d H:i:s', $window['baseline_from'] ),
+			'days'                      => round( $window['days'], 1 ),
+			'sale_units'                => $window['sale_units'],
+			'sale_revenue'              => round( $window['sale_revenue'], 2 ),
+			'sale_units_per_day'        => round( $sale_units_per_day, 2 ),
+			'sale_revenue_per_day'      => round( $window['sale_revenue'] / $days, 2 ),
+			'baseline_units'            => $window['baseline_units'],
+			'baseline_revenue'          => round( $window['baseline_revenue'], 2 ),
+			'baseline_units_per_day'    => round( $baseline_units_per_day, 2 ),
+			'baseline_revenue_per_day'  => round( $window['baseline_revenue'] / $days, 2 ),
+			'lift_pct'                  => $window['baseline_units'] > 0 ? round( ( $window['sale_units'] - $window['baseline_units'] ) / $window['baseline_units'] * 100, 2 ) : null,
+			'revenue_lift_pct'          => $window['baseline_revenue'] > 0 ? round( ( $window['sale_revenue'] - $window['baseline_revenue'] ) / $window['baseline_revenue'] * 100, 2 ) : null,
+			'incremental_units'         => $incremental_units,
+			'discount_cost'             => round( $window['discount_cost'], 2 ),
+			'cost_per_incremental_unit' => $incremental_units > 0 ? round( $window['discount_cost'] / $incremental_units, 2 ) : null,
+			'baseline_complete'         => null !== $first_order && $window['baseline_from'] >= $first_order,
+			'edit_link'                 => $window['edit_link'],
+		);
+	}
+
+	/**
+	 * Get totals across all sale performance rows.
+	 *
+	 * @param array $rows Sale performance rows.
+	 * @return array
+	 */
+	private function get_sale_performance_totals( $rows ) {
+		$totals = array(
+			'products'          => count( $rows ),
+			'sale_units'        => 0,
+			'baseline_units'    => 0,
+			'incremental_units' => 0,
+			'discount_cost'     => 0,
+		);
+
+		foreach ( $rows as $row ) {
+			$totals['sale_units']        += $row['sale_units'];
+			$totals['baseline_units']    += $row['baseline_units'];
+			$totals['incremental_units'] += $row['incremental_units'];
+			$totals['discount_cost']     += $row['discount_cost'];
+		}
+
+		$totals['discount_cost']             = round( $totals['discount_cost'], 2 );
+		$totals['lift_pct']                  = $totals['baseline_units'] > 0 ? round( $totals['incremental_units'] / $totals['baseline_units'] * 100, 2 ) : null;
+		$totals['cost_per_incremental_unit'] = $totals['incremental_units'] > 0 ? round( $totals['discount_cost'] / $totals['incremental_units'], 2 ) : null;
+
+		return $totals;
+	}
+
+	/**
+	 * Get discount depth: captured lines bucketed by sale discount band,
+	 * overall and per category, with a price elasticity estimate for each
+	 * product sold at several discount levels.
+	 *
+	 * Each band runs from its lower edge up to, but not including, the next
+	 * edge; the last one includes 100%. Lines discounted by a coupon alone
+	 * have a band of their own.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_discount_depth( $request ) {
+		global $wpdb;
+
+		if ( ! class_exists( 'WDA_Database' ) || ! WDA_Database::instance()->table_exists() ) {
+			return new WP_Error(
+				'wda_table_missing',
+				__( 'The discounts table has not been created yet.', 'woo-discount-analytics' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		$filters = array(
+			'date_from'  => $request->get_param( 'date_from' ),
+			'date_to'    => $request->get_param( 'date_to' ),
+			'product_id' => 0,
+			'category'   => $this->get_category_filter_ids( $request->get_param( 'category' ), $request->get_param( 'include_subcategories' ) ),
+			'coupon'     => '',
+			'refunded'   => (bool) $request->get_param( 'include_refunded' ),
+			'currency'   => strtoupper( (string) $request->get_param( 'currency' ) ),
+		);
+		$convert = (bool) $request->get_param( 'convert' );
+
+		$table_name      = WDA_Database::get_table_name();
+		$base_currency   = WDA_Discount_Capture::get_base_currency();
+		$report_currency = $convert || '' === $filters['currency'] ? $base_currency : $filters['currency'];
+		$bands           = $this->get_depth_bands( $request->get_param( 'band_width' ), $request->get_param( 'bands' ) );
+		$band            = $this->get_depth_band_sql( $bands );
+
+		// Net out refunds unless refunded units are requested.
+		$quantity = $filters['refunded'] ? 'd.quantity' : '( d.quantity - LEAST( d.refunded_quantity, d.quantity ) )';
+
+		// As in the summary, lines without a rate to the report currency are left out.
+		if ( $convert ) {
+			$rate = $wpdb->prepare( 'CASE WHEN d.currency = %s THEN 1 ELSE d.exchange_rate END', $base_currency );
+		} else {
+			$rate = $wpdb->prepare( 'CASE WHEN d.currency = %s THEN 1 END', $report_currency );
+		}
+
+		$where        = array_merge( $this->get_history_table_where( $filters ), array( "{$quantity} > 0" ) );
+		$sold_clause  = 'WHERE ' . implode( ' AND ', $where );
+		$report_where = 'WHERE ' . implode( ' AND ', array_merge( $where, array( "{$rate} IS NOT NULL" ) ) );
+		$metrics      = "SUM( {$quantity} ) AS units_sold,
+				COUNT( DISTINCT d.order_id ) AS orders_count,
+				SUM( ( d.sale_price - d.coupon_discount ) * {$quantity} * {$rate} ) AS total_revenue,
+				SUM( d.discount_amount * {$quantity} * {$rate} ) AS sale_discount,
+				SUM( d.coupon_discount * {$quantity} * {$rate} ) AS coupon_discount,
+				SUM( d.discount_percentage * {$quantity} ) AS weighted_pct";
+
+		$unconverted = 0;
+		if ( $convert ) {
+			$unconverted = (int) $wpdb->get_var( "SELECT COUNT( DISTINCT d.order_id ) FROM {$table_name} d {$sold_clause} AND {$rate} IS NULL" );
+		}
+
+		$totals    = $wpdb->get_row( "SELECT {$metrics} FROM {$table_name} d {$report_where}", ARRAY_A );
+		$band_rows = $wpdb->get_results( "SELECT {$band} AS band, {$metrics} FROM {$table_name} d {$report_where} GROUP BY band", ARRAY_A );
+
+		// Lines count towards each of their product's categories.
+		$category_join  = 'INNER JOIN ' . WDA_Database::get_categories_table_name() . ' c ON c.discount_id = d.id';
+		$category_where = $report_where;
+		if ( ! empty( $filters['category'] ) ) {
+			$category_where .= ' AND c.category_id IN ( ' . implode( ',', array_map( 'absint', $filters['category'] ) ) . ' )';
+		}
+
+		$category_rows      = $wpdb->get_results(
+			"SELECT c.category_id, {$metrics}
+			FROM {$table_name} d {$category_join} {$category_where}
+			GROUP BY c.category_id
+			ORDER BY units_sold DESC, c.category_id ASC",
+			ARRAY_A
+		);
+		$category_band_rows = $wpdb->get_results(
+			"SELECT c.category_id, {$band} AS band, {$metrics}
+			FROM {$table_name} d {$category_join} {$category_where}
+			GROUP BY c.category_id, band",
+			ARRAY_A
+		);
+
+		$category_names = array();
+		if ( $category_rows ) {
+			$terms = get_terms( array(
+				'taxonomy'   => 'product_cat',
+				'include'    => wp_list_pluck( $category_rows, 'category_id' ),
+				'hide_empty' => false,
+			) );
+			if ( ! is_wp_error( $terms ) ) {
+				$category_names = wp_list_pluck( $terms, 'name', 'term_id' );
+			}
+		}
+
+		$category_bands = array();
+		foreach ( $category_band_rows as $row ) {
+			$category_bands[ $row['category_id'] ][] = $row;
+		}
+
+		$total_units = floatval( $totals['units_sold'] );
+		$categories  = array();
+
+		foreach ( $category_rows as $row ) {
+			$category_id  = absint( $row['category_id'] );
+			$categories[] = array_merge(
+				array(
+					'category_id'   => $category_id,
+					/* translators: %d: category ID */
+					'category_name' => isset( $category_names[ $category_id ] ) ? $category_names[ $category_id ] : sprintf( __( 'Category #%d', 'woo-discount-analytics' ), $category_id ),
+				),
+				$this->format_depth_metrics( $row, $total_units ),
+				array( 'bands' => $this->build_depth_bands( $bands, isset( $category_bands[ $category_id ] ) ? $category_bands[ $category_id ] : array() ) )
+			);
+		}
+
+		// Each product's sale price and rate of sale at each discount level it sold at.
+		$item_id = 'CASE WHEN d.variation_id > 0 THEN d.variation_id ELSE d.product_id END';
+		$levels  = $wpdb->get_results(
+			"SELECT {$item_id} AS item_id, MAX( d.product_id ) AS product_id, MAX( d.product_name ) AS product_name, {$band} AS band,
+				SUM( {$quantity} ) AS units_sold,
+				SUM( d.sale_price * {$quantity} * {$rate} ) / SUM( {$quantity} ) AS avg_price,
+				COUNT( DISTINCT d.order_id ) AS orders,
+				DATEDIFF( MAX( d.created_at ), MIN( d.created_at ) ) + 1 AS days
+			FROM {$table_name} d {$report_where} AND d.discount_percentage > 0
+			GROUP BY item_id, band",
+			ARRAY_A
+		);
+
+		$elasticity = $this->get_depth_elasticity( $levels, $bands );
+
+		return new WP_REST_Response( array(
+			'totals'             => $this->format_depth_metrics( $totals, $total_units ),
+			'bands'              => $this->build_depth_bands( $bands, $band_rows ),
+			'categories'         => $categories,
+			'elasticity'         => array_slice( $elasticity, 0, self::ELASTICITY_LIMIT ),
+			'elasticity_total'   => count( $elasticity ),
+			'elasticity_note'    => sprintf(
+				/* translators: 1: minimum number of orders, 2: minimum number of days */
+				__( 'The rate of sale at each discount level is measured over the days from its first to its last sale at that level, not the days the product was on offer at that price. Levels with fewer than %1$d orders or spanning fewer than %2$d days are left out, so one-off sales don\'t look fast.', 'woo-discount-analytics' ),
+				self::ELASTICITY_MIN_ORDERS,
+				self::ELASTICITY_MIN_DAYS
+			),
+			'currency'           => $report_currency,
+			'unconverted_orders' => $unconverted,
+		), 200 );
+	}
+
+	/**
+	 * Get the discount depth bands.
+	 *
+	 * @param float   $width Band width in percentage points, used without custom edges.
+	 * @param float[] $edges Custom band edges between 0 and 100 (empty for equal widths).
+	 * @return array Bands keyed by band key: 'none' for coupon-only lines, then 0, 1, ...
+	 */
+	private function get_depth_bands( $width, $edges ) {
+		$edges = array_filter( array_map( 'floatval', (array) $edges ), function( $edge ) {
+			return $edge > 0 && $edge < 100;
+		} );
+
+		if ( empty( $edges ) ) {
+			for ( $i = 1; $i * $width < 100; $i++ ) {
+				$edges[] = round( $i * $width, 2 );
+			}
+		}
+
+		$edges = array_unique( $edges );
+		sort( $edges );
+		$edges[] = 100;
+
+		$bands = array(
+			'none' => array(
+				'key'   => 'none',
+				'label' => 'No sale discount',
+				'min'   => null,
+				'max'   => null,
+			),
+		);
+		$lower = 0;
+
+		foreach ( $edges as $key => $upper ) {
+			$bands[ $key ] = array(
+				'key'   => $key,
+				'label' => sprintf( '%s–%s%%', $lower, $upper ),
+				'min'   => $lower,
+				'max'   => $upper,
+			);
+			$lower = $upper;
+		}
+
+		return $bands;
+	}
+
+	/**
+	 * Build the SQL expression giving the band key of a discounts table line.
+	 *
+	 * @param array $bands Bands from get_depth_bands().
+	 * @return string
+	 */
+	private function get_depth_band_sql( $bands ) {
+		global $wpdb;
+
+		$last = count( $bands ) - 2;
+		$sql  = "CASE WHEN d.discount_percentage <= 0 THEN 'none'";
+
+		for ( $key = 0; $key < $last; $key++ ) {
+			$sql .= $wpdb->prepare( ' WHEN d.discount_percentage < %f THEN %s', $bands[ $key ]['max'], $key );
+		}
+
+		return $sql . $wpdb->prepare( ' ELSE %s END', $last );
+	}
+
+	/**
+	 * List every band with its metrics, including bands nothing sold in.
+	 *
+	 * @param array $bands Bands from get_depth_bands().
+	 * @param array $rows  Metric rows with a band key.
+	 * @return array
+	 */
+	private function build_depth_bands( $bands, $rows ) {
+		$rows  = array_column( $rows, null, 'band' );
+		$units = array_sum( wp_list_pluck( $rows, 'units_sold' ) );
+		$items = array();
+
+		foreach ( $bands as $key => $band ) {
+			$items[] = array_merge( $band, $this->format_depth_metrics( isset( $rows[ $key ] ) ? $rows[ $key ] : array(), $units ) );
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Format a discount depth metric row.
+	 *
+	 * @param array $row         Row with units_sold, orders_count, total_revenue, sale_discount, coupon_discount and weighted_pct.
+	 * @param float $total_units Units the share of units is taken of.
+	 * @return array
+	 */
+	private function format_depth_metrics( $row, $total_units ) {
+		$row = wp_parse_args( $row, array(
+			'units_sold'      => 0,
+			'orders_count'    => 0,
+			'total_revenue'   => 0,
+			'sale_discount'   => 0,
+			'coupon_discount' => 0,
+			'weighted_pct'    => 0,
+		) );
+
+		$units           = floatval( $row['units_sold'] );
+		$sale_discount   = round( floatval( $row['sale_discount'] ), 2 );
+		$coupon_discount = round( floatval( $row['coupon_discount'] ), 2 );
+		$total_discount  = round( $sale_discount + $coupon_discount, 2 );
+
+		return array(
+			'units_sold'        => $units,
+			'units_share'       => $total_units > 0 ? round( $units / $total_units * 100, 2 ) : 0,
+			'orders_count'      => absint( $row['orders_count'] ),
+			'total_revenue'     => round( floatval( $row['total_revenue'] ), 2 ),
+			'sale_discount'     => $sale_discount,
+			'coupon_discount'   => $coupon_discount,
+			'total_discount'    => $total_discount,
+			'discount_per_unit' => $units > 0 ? round( $total_discount / $units, 2 ) : 0,
+			'avg_discount_pct'  => $units > 0 ? round( floatval( $row['weighted_pct'] ) / $units, 2 ) : 0,
+		);
+	}
+
+	/**
+	 * Estimate the price elasticity of each product sold at several discount levels.
+	 *
+	 * The estimate is the slope of a log-log fit of the rate of sale (units
+	 * per day between the first and last sale at a level) against the
+	 * average sale price at that level. That span is not the time the price
+	 * was on offer, so a level with a single sale would look fast; levels
+	 * below ELASTICITY_MIN_ORDERS or ELASTICITY_MIN_DAYS are left out. Only
+	 * discounted sales are captured, so full-price sales aren't part of it.
+	 *
+	 * @param array $levels Rows of item_id, product_id, product_name, band, units_sold, avg_price, orders and days.
+	 * @param array $bands  Bands from get_depth_bands().
+	 * @return array Products with an estimate, most units sold first.
+	 */
+	private function get_depth_elasticity( $levels, $bands ) {
+		$products = array();
+
+		foreach ( $levels as $level ) {
+			if ( absint( $level['orders'] ) < self::ELASTICITY_MIN_ORDERS || absint( $level['days'] ) < self::ELASTICITY_MIN_DAYS ) {
+				continue;
+			}
+
+			$id = absint( $level['item_id'] );
+
+			if ( ! isset( $products[ $id ] ) ) {
+				$parent_id       = absint( $level['product_id'] );
+				$products[ $id ] = array(
+					'product_id'   => $id,
+					'parent_id'    => $parent_id !== $id ? $parent_id : 0,
+					/* translators: %d: product ID */
+					'product_name' => '' !== $level['product_name'] ? $level['product_name'] : sprintf( __( 'Product #%d', 'woo-discount-analytics' ), $id ),
+					'units_sold'   => 0,
+					'elasticity'   => null,
+					'levels'       => array(),
+				);
+			}
+
+			$units = floatval( $level['units_sold'] );
+			$days  = absint( $level['days'] );
+
+			$products[ $id ]['units_sold'] += $units;
+			$products[ $id ]['levels'][]    = array(
+				'band'          => $level['band'],
+				'label'         => $bands[ $level['band'] ]['label'],
+				'avg_price'     => floatval( $level['avg_price'] ),
+				'units_sold'    => $units,
+				'orders'        => absint( $level['orders'] ),
+				'days'          => $days,
+				'units_per_day' => $units / $days,
+			);
+		}
+
+		$results = array();
+
+		foreach ( $products as $product ) {
+			$points = array();
+			foreach ( $product['levels'] as $level ) {
+				if ( $level['avg_price'] > 0 ) {
+					$points[] = array( log( $level['avg_price'] ), log( $level['units_per_day'] ) );
+				}
+			}
+
+			$slope = $this->get_regression_slope( $points );
+			if ( null === $slope ) {
+				continue;
+			}
+
+			usort( $product['levels'], function( $a, $b ) {
+				return $a['band'] <=> $b['band'];
+			} );
+
+			foreach ( $product['levels'] as &$level ) {
+				$level['band']          = (int) $level['band'];
+				$level['avg_price']     = round( $level['avg_price'], 2 );
+				$level['units_per_day'] = round( $level['units_per_day'], 4 );
+			}
+			unset( $level );
+
+			$product['elasticity'] = round( $slope, 2 );
+			$results[]             = $product;
+		}
+
+		usort( $results, function( $a, $b ) {
+			return $b['units_sold'] <=> $a['units_sold'] ?: $a['product_id'] <=> $b['product_id'];
+		} );
+
+		return $results;
+	}
+
+	/**
+	 * Get the least-squares slope of a set of points.
+	 *
+	 * @param array $points Points as array( x, y ).
+	 * @return float|null Slope, or null without two distinct x values.
+	 */
+	private function get_regression_slope( $points ) {
+		$count = count( $points );
+		if ( $count < 2 ) {
+			return null;
+		}
+
+		$mean_x = array_sum( array_column( $points, 0 ) ) / $count;
+		$mean_y = array_sum( array_column( $points, 1 ) ) / $count;
+		$sxx    = 0;
+		$sxy    = 0;
+
+		foreach ( $points as $point ) {
+			$sxx += ( $point[0] - $mean_x ) ** 2;
+			$sxy += ( $point[0] - $mean_x ) * ( $point[1] - $mean_y );
+		}
+
+		return $sxx > 1e-9 ? $sxy / $sxx : null;
+	}
+
+	/**
+	 * Run a report in-process, without the REST permission check.
+	 *
+	 * Parameters are validated, defaulted and sanitized exactly as the REST
+	 * server would. For callers that already run with full access, such as
+	 * WP-CLI and scheduled tasks.
+	 *
+	 * @param string $type   Report type (the endpoint path, e.g. discount-summary).
+	 * @param array  $params Request parameters.
+	 * @return array|WP_Error Response data.
+	 */
+	public function run_report( $type, $params ) {
+		$request = $this->get_report_request( $type, $params );
+		if ( is_wp_error( $request ) ) {
+			return $request;
+		}
+
+		$response = call_user_func( $request->get_attributes()['callback'], $request );
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		return rest_ensure_response( $response )->get_data();
+	}
+
+	/**
+	 * Check report parameters without running the report.
+	 *
+	 * @param string $type   Report type.
+	 * @param array  $params Request parameters.
+	 * @return true|WP_Error
+	 */
+	public function validate_report_params( $type, $params ) {
+		$request = $this->get_report_request( $type, $params );
+		return is_wp_error( $request ) ? $request : true;
+	}
+
+	/**
+	 * Build a validated, sanitized request for a report.
+	 *
+	 * @param string $type   Report type.
+	 * @param array  $params Request parameters.
+	 * @return WP_REST_Request|WP_Error
+	 */
+	private function get_report_request( $type, $params ) {
+		$route  = '/' . self::NAMESPACE . '/' . $type;
+		$routes = rest_get_server()->get_routes();
+
+		if ( empty( $routes[ $route ] ) ) {
+			return new WP_Error(
+				'wda_unknown_report',
+				/* translators: %s: report type */
+				sprintf( __( 'Unknown report: %s', 'woo-discount-analytics' ), $type ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$handler = $routes[ $route ][0];
+		$unknown = array_diff( array_keys( $params ), array_keys( $handler['args'] ) );
+
+		if ( ! empty( $unknown ) ) {
+			return new WP_Error(
+				'wda_unknown_param',
+				/* translators: 1: report type, 2: parameter names */
+				sprintf( __( 'Unknown filter for %1$s: %2$s', 'woo-discount-analytics' ), $type, implode( ', ', $unknown ) ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$defaults = array();
+		foreach ( $handler['args'] as $arg => $options ) {
+			if ( isset( $options['default'] ) ) {
+				$defaults[ $arg ] = $options['default'];
+			}
+		}
+
+		$request = new WP_REST_Request( 'GET', $route );
+		$request->set_query_params( $params );
+		$request->set_default_params( $defaults );
+		$request->set_attributes( $handler );
+
+		$valid = $request->has_valid_params();
+		if ( is_wp_error( $valid ) ) {
+			return $valid;
+		}
+
+		$sanitized = $request->sanitize_params();
+		if ( is_wp_error( $sanitized ) ) {
+			return $sanitized;
+		}
+
+		return $request;
+	}
+
+	/**
+	 * Run a report in-process over every page of its items.
+	 *
+	 * Reports that aren't paginated are returned as they are.
+	 *
+	 * @param string $type   Report type.
+	 * @param array  $params Request parameters; page and per_page are set here.
+	 * @return array|WP_Error Response data with all items.
+	 */
+	public function run_full_report( $type, $params ) {
+		if ( ! in_array( $type, self::PAGED_REPORT_TYPES, true ) ) {
+			return $this->run_report( $type, $params );
+		}
+
+		$params['per_page'] = self::EXPORT_PAGE_SIZE;
+		$items              = array();
+		$page               = 1;
+
+		do {
+			$params['page'] = $page;
+			$data           = $this->run_report( $type, $params );
+			if ( is_wp_error( $data ) ) {
+				return $data;
+			}
+
+			$items = array_merge( $items, $data['items'] );
+			$page++;
+		} while ( $page <= $data['total_pages'] );
+
+		$data['items'] = $items;
+		unset( $data['page'], $data['per_page'], $data['total_pages'] );
+
+		return $data;
+	}
+
+	/**
+	 * Export a report as CSV, XLSX or JSON.
+	 *
+	 * The report runs with the filters, sorting and grouping it was sent, so
+	 * the file holds exactly what the report shows, across every page.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_Error|void
+	 */
+	public function export_report( $request ) {
+		$type    = $request->get_param( 'type' );
+		$format  = $request->get_param( 'format' );
+		$columns = $request->get_param( 'columns' );
+		$params  = array_diff_key( $request->get_query_params(), array_flip( array( 'rest_route', '_wpnonce', '_locale', 'format', 'columns' ) ) );
+
+		$data = $this->run_full_report( $type, $params );
+		if ( is_wp_error( $data ) ) {
+			return $data;
+		}
+
+		$group_by = 'discount-history' === $type && ! empty( $params['group_by'] ) ? sanitize_key( $params['group_by'] ) : '';
+		$filename = $this->get_export_filename( $type, $group_by, $format );
+
+		if ( 'json' === $format ) {
+			$records = $this->get_export_records( $type, $data, $columns, $group_by );
+			if ( is_wp_error( $records ) ) {
+				return $records;
+			}
+
+			$this->send_export_headers( 'application/json; charset=utf-8', $filename );
+			echo wp_json_encode( $records, JSON_PRETTY_PRINT );
+			exit;
+		}
+
+		$table = $this->get_export_table( $type, $data, $columns, $group_by );
+		if ( is_wp_error( $table ) ) {
+			return $table;
+		}
+
+		if ( 'xlsx' === $format ) {
+			$dir     = get_temp_dir();
+			$file    = $dir . wp_unique_filename( $dir, $filename );
+			$written = WDA_XLSX_Writer::write( $file, $table['headers'], $table['rows'], $type );
+
+			if ( is_wp_error( $written ) ) {
+				if ( file_exists( $file ) ) {
+					unlink( $file );
+				}
+				$written->add_data( array( 'status' => 500 ) );
+				return $written;
+			}
+
+			$this->send_export_headers( 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', $filename );
+			header( 'Content-Length: ' . filesize( $file ) );
+			readfile( $file );
+			unlink( $file );
+			exit;
+		}
+
+		$this->send_export_headers( 'text/csv; charset=utf-8', $filename );
+
+		$output = fopen( 'php://output', 'w' );
+		fputcsv( $output, $table['headers'] );
+
+		foreach ( $table['rows'] as $row ) {
+			fputcsv( $output, $row );
+		}
+
+		fclose( $output );
+		exit;
+	}
+
+	/**
+	 * Get the download filename for an export.
+	 *
+	 * @param string $type     Report type.
+	 * @param string $group_by History grouping.
+	 * @param string $format   File format (csv, xlsx or json).
+	 * @return string
+	 */
+	public function get_export_filename( $type, $group_by, $format ) {
+		return $type . ( $group_by ? '-by-' . $group_by : '' ) . '-' . gmdate( 'Y-m-d' ) . '.' . $format;
+	}
+
+	/**
+	 * Send the headers for an export download.
+	 *
+	 * @param string $content_type Content type.
+	 * @param string $filename     Download filename.
+	 */
+	public function send_export_headers( $content_type, $filename ) {
+		header( 'Content-Type: ' . $content_type );
+		header( 'Content-Disposition: attachment; filename=' . $filename );
+		header( 'Pragma: no-cache' );
+		header( 'Expires: 0' );
+	}
+
+	/**
+	 * Get the columns a report can be exported with, in export order.
+	 *
+	 * Column names are the report's own item fields. Discount history has one
+	 * set for order lines and one for each grouping. The summary and discount
+	 * depth aren't lists of items, so they have none.
+	 *
+	 * @param string $type     Report type.
+	 * @param string $group_by History grouping (empty for order lines).
+	 * @return array Column labels keyed by column name.
+	 */
+	public function get_export_columns( $type, $group_by = '' ) {
+		$margins = array(
+			'regular_margin'     => 'Margin at Regular Price',
+			'sale_margin'        => 'Margin at Sale Price',
+			'margin_erosion'     => 'Margin Erosion',
+			'margin_erosion_pct' => 'Margin Erosion %',
+		);
+
+		switch ( $type ) {
+			case 'current-discounts':
+				return array(
+					'id'              => 'ID',
+					'parent_id'       => 'Parent ID',
+					'name'            => 'Name',
+					'type'            => 'Type',
+					'sku'             => 'SKU',
+					'regular_price'   => 'Regular Price',
+					'sale_price'      => 'Sale Price',
+					'discount_amount' => 'Discount Amount',
+					'discount_pct'    => 'Discount %',
+					'sale_start'      => 'Sale Start',
+					'sale_end'        => 'Sale End',
+					'sale_status'     => 'Status',
+					'stock_status'    => 'Stock Status',
+					'stock_quantity'  => 'Stock Quantity',
+					'violations'      => 'Guardrails',
+				);
+
+			case 'discount-history':
+				$groups = array(
+					'product'  => array(
+						'product_id'   => 'Product ID',
+						'product_name' => 'Product Name',
+					),
+					'category' => array(
+						'category_id'   => 'Category ID',
+						'category_name' => 'Category',
+					),
+					'date'     => array( 'date' => 'Date' ),
+					'coupon'   => array( 'coupon_code' => 'Coupon Code' ),
+				);
+
+				if ( isset( $groups[ $group_by ] ) ) {
+					return array_merge( $groups[ $group_by ], array(
+						'currency'          => 'Currency',
+						'units_sold'        => 'Units Sold',
+						'refunded_units'    => 'Refunded Units',
+						'sale_discount'     => 'Sale Discount',
+						'coupon_discount'   => 'Coupon Discount',
+						'total_discount'    => 'Total Discount',
+						'refunded_discount' => 'Refunded Discount',
+						'avg_discount_pct'  => 'Avg Discount %',
+						'total_revenue'     => 'Revenue',
+					), $margins );
+				}
+
+				return array_merge( array(
+					'order_id'          => 'Order ID',
+					'order_date'        => 'Order Date',
+					'item_id'           => 'Item ID',
+					'product_id'        => 'Product ID',
+					'variation_id'      => 'Variation ID',
+					'product_name'      => 'Product Name',
+					'quantity'          => 'Quantity',
+					'ordered_quantity'  => 'Ordered Quantity',
+					'refunded_quantity' => 'Refunded Quantity',
+					'regular_price'     => 'Regular Price',
+					'sale_price'        => 'Sale Price',
+					'discount_amount'   => 'Sale Discount',
+					'discount_pct'      => 'Discount %',
+					'coupon_discount'   => 'Coupon Discount',
+					'coupon_codes'      => 'Coupon Codes',
+					'total_discount'    => 'Total Discount',
+					'refunded_discount' => 'Refunded Discount',
+					'line_total'        => 'Line Total',
+					'currency'          => 'Currency',
+					'exchange_rate'     => 'Exchange Rate',
+					'gross_unit_price'  => 'Gross Unit Price',
+					'line_discount'     => 'Line Discount',
+					'net_unit_price'    => 'Net Unit Price',
+					'net_line_amount'   => 'Net Line Amount',
+					'unit_cost'         => 'Unit Cost',
+				), $margins );
+
+			case 'sale-performance':
+				return array(
+					'id'                        => 'ID',
+					'parent_id'                 => 'Parent ID',
+					'name'                      => 'Name',
+					'sku'                       => 'SKU',
+					'sale_status'               => 'Status',
+					'sale_start'                => 'Sale Start',
+					'sale_end'                  => 'Sale End',
+					'baseline_start'            => 'Baseline Start',
+					'days'                      => 'Days',
+					'sale_units'                => 'Sale Units',
+					'sale_revenue'              => 'Sale Revenue',
+					'sale_units_per_day'        => 'Sale Units per Day',
+					'sale_revenue_per_day'      => 'Sale Revenue per Day',
+					'baseline_units'            => 'Baseline Units',
+					'baseline_revenue'          => 'Baseline Revenue',
+					'baseline_units_per_day'    => 'Baseline Units per Day',
+					'baseline_revenue_per_day'  => 'Baseline Revenue per Day',
+					'lift_pct'                  => 'Lift %',
+					'revenue_lift_pct'          => 'Revenue Lift %',
+					'incremental_units'         => 'Incremental Units',
+					'discount_cost'             => 'Discount Cost',
+					'cost_per_incremental_unit' => 'Cost per Incremental Unit',
+					'baseline_complete'         => 'Baseline Complete',
+				);
+
+			case 'price-history':
+				return array(
+					'changed_at'    => 'Changed At',
+					'regular_price' => 'Regular Price',
+					'sale_price'    => 'Sale Price',
+					'sale_start'    => 'Sale Start',
+					'sale_end'      => 'Sale End',
+				);
+
+			default:
+				return array();
+		}
+	}
+
+	/**
+	 * Get every report's export columns, for the column chooser.
+	 *
+	 * @return array Columns keyed by report type, then by history grouping ('' for ungrouped reports).
+	 */
+	public function get_export_column_sets() {
+		$sets = array();
+
+		foreach ( array( 'current-discounts', 'sale-performance', 'price-history' ) as $type ) {
+			$sets[ $type ] = array( '' => $this->get_export_columns( $type ) );
+		}
+
+		foreach ( array( '', 'product', 'category', 'date', 'coupon' ) as $group_by ) {
+			$sets['discount-history'][ $group_by ] = $this->get_export_columns( 'discount-history', $group_by );
+		}
+
+		return $sets;
+	}
+
+	/**
+	 * Pick the export columns to write.
+	 *
+	 * @param string   $type     Report type.
+	 * @param string[] $columns  Column names, or empty for all of them.
+	 * @param string   $group_by History grouping.
+	 * @return array|WP_Error Column labels keyed by column name, in export order.
+	 */
+	public function get_selected_export_columns( $type, $columns, $group_by ) {
+		$available = $this->get_export_columns( $type, $group_by );
+
+		if ( empty( $columns ) ) {
+			return $available;
+		}
+
+		$unknown = array_diff( $columns, array_keys( $available ) );
+		if ( ! empty( $unknown ) ) {
+			return new WP_Error(
+				'wda_unknown_column',
+				/* translators: 1: report type, 2: column names */
+				sprintf( __( 'Unknown column for %1$s: %2$s', 'woo-discount-analytics' ), $type, implode( ', ', $unknown ) ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return array_intersect_key( $available, array_flip( $columns ) );
+	}
+
+	/**
+	 * Build the JSON export records for a report.
+	 *
+	 * Items keep their raw values, limited to the chosen columns. Reports that
+	 * aren't lists of items are exported whole.
+	 *
+	 * @param string   $type     Report type.
+	 * @param array    $data     Report response data.
+	 * @param string[] $columns  Column names, or empty for all of them.
+	 * @param string   $group_by History grouping.
+	 * @return array|WP_Error
+	 */
+	public function get_export_records( $type, $data, $columns = array(), $group_by = '' ) {
+		$columns = $this->get_selected_export_columns( $type, $columns, $group_by );
+		if ( is_wp_error( $columns ) ) {
+			return $columns;
+		}
+
+		if ( in_array( $type, self::WHOLE_REPORT_TYPES, true ) ) {
+			return $data;
+		}
+
+		$records = array();
+		foreach ( $data['items'] as $item ) {
+			$record = array();
+			foreach ( array_keys( $columns ) as $column ) {
+				$record[ $column ] = isset( $item[ $column ] ) ? $item[ $column ] : null;
+			}
+			$records[] = $record;
+		}
+
+		return $records;
+	}
+
+	/**
+	 * Build the CSV headers and rows for a report.
+	 *
+	 * @param string   $type     Report type.
+	 * @param array    $data     Report response data.
+	 * @param string[] $columns  Column names, or empty for all of them.
+	 * @param string   $group_by History grouping, matching the data.
+	 * @return array|WP_Error|null Array with headers and rows, or null for an unknown type.
+	 */
+	public function get_export_table( $type, $data, $columns = array(), $group_by = '' ) {
+		$columns = $this->get_selected_export_columns( $type, $columns, $group_by );
+		if ( is_wp_error( $columns ) ) {
+			return $columns;
+		}
+
+		if ( 'discount-summary' === $type ) {
+			return $this->get_summary_export_table( $data );
+		}
+
+		if ( 'discount-depth' === $type ) {
+			return $this->get_depth_export_table( $data );
+		}
+
+		if ( empty( $columns ) ) {
+			return null;
+		}
+
+		$labels = isset( $columns['violations'] ) ? WDA_Guardrails::get_rule_labels() : array();
+		$rows   = array();
+
+		foreach ( $data['items'] as $item ) {
+			$row = array();
+			foreach ( array_keys( $columns ) as $column ) {
+				$value = isset( $item[ $column ] ) ? $item[ $column ] : null;
+
+				if ( 'coupon_codes' === $column ) {
+					$value = implode( ', ', (array) $value );
+				} elseif ( 'violations' === $column ) {
+					$value = WDA_Guardrails::format_violations( (array) $value, $labels );
+				} elseif ( is_bool( $value ) ) {
+					$value = $value ? 'Yes' : 'No';
+				}
+
+				$row[] = $value;
+			}
+			$rows[] = $row;
+		}
+
+		return array(
+			'headers' => array_values( $columns ),
+			'rows'    => $rows,
+		);
+	}
+
+	/**
+	 * Build the CSV rows for the discount summary: its metrics, then a
+	 * section each for currencies, top products and lines sold below cost.
+	 *
+	 * @param array $data Summary response data.
+	 * @return array Array with headers and rows.
+	 */
+	private function get_summary_export_table( $data ) {
+		$headers = array( 'Metric', 'Value' );
+		$rows    = array(
+			array( 'Currency', $data['currency'] ),
+			array( 'Sale Discount', $data['sale_discount'] ),
+			array( 'Coupon Discount', $data['coupon_discount'] ),
+			array( 'Total Discount', $data['total_discount'] ),
+			array( 'Gross Discount', $data['gross_discount'] ),
+			array( 'Refunded Discount', $data['refunded_discount'] ),
+			array( 'Net Discount', $data['net_discount'] ),
+			array( 'Total Revenue', $data['total_revenue'] ),
+			array( 'Discount % of Revenue', $data['discount_pct_of_revenue'] ),
+			array( 'Discounted Units', $data['discounted_units'] ),
+			array( 'Refunded Units', $data['refunded_units'] ),
+			array( 'Refund Rate % (Discounted)', $data['refund_rates']['discounted']['rate'] ),
+			array( 'Refund Rate % (Full Price)', $data['refund_rates']['full_price']['rate'] ),
+			array( 'Orders Count', $data['orders_count'] ),
+			array( 'Margin at Regular Price', $data['regular_margin'] ),
+			array( 'Margin at Sale Price', $data['sale_margin'] ),
+			array( 'Margin Erosion', $data['margin_erosion'] ),
+			array( 'Margin Erosion %', $data['margin_erosion_pct'] ),
+			array( 'Units With Cost', $data['costed_units'] ),
+			array( 'Lines Sold Below Cost', $data['below_cost_count'] ),
+		);
+
+		if ( $data['unconverted_orders'] > 0 ) {
+			$rows[] = array( 'Orders Without Exchange Rate', $data['unconverted_orders'] );
+		}
+
+		// Add per-currency section, in each currency's own amounts.
+		$rows[] = array( '', '' );
+		$rows[] = array( 'By Currency', '' );
+		$rows[] = array( 'Currency', 'Sale Discount', 'Coupon Discount', 'Total Discount', 'Total Revenue', 'Discounted Units', 'Orders Count' );
+		foreach ( $data['currencies'] as $breakdown ) {
+			$rows[] = array( $breakdown['currency'], $breakdown['sale_discount'], $breakdown['coupon_discount'], $breakdown['total_discount'], $breakdown['total_revenue'], $breakdown['discounted_units'], $breakdown['orders_count'] );
+		}
+
+		// Add top products section.
+		$rows[] = array( '', '' );
+		$rows[] = array( 'Top Discounted Products', '' );
+		$rows[] = array( 'Product Name', 'Sale Discount', 'Coupon Discount', 'Total Discount', 'Margin Erosion', 'Margin Erosion %' );
+		foreach ( $data['top_discounted_products'] as $product ) {
+			$rows[] = array( $product['product_name'], $product['sale_discount'], $product['coupon_discount'], $product['total_discount'], $product['margin_erosion'], $product['margin_erosion_pct'] );
+		}
+
+		// Add below-cost section.
+		if ( ! empty( $data['below_cost_lines'] ) ) {
+			$rows[] = array( '', '' );
+			$rows[] = array( 'Sold Below Cost', '' );
+			$rows[] = array( 'Order ID', 'Order Date', 'Product Name', 'Quantity', 'Regular Price', 'Paid Price', 'Unit Cost', 'Loss' );
+			foreach ( $data['below_cost_lines'] as $line ) {
+				$rows[] = array( $line['order_id'], $line['order_date'], $line['product_name'], $line['quantity'], $line['regular_price'], $line['paid_price'], $line['unit_cost'], $line['loss'] );
+			}
+		}
+
+		return array(
+			'headers' => $headers,
+			'rows'    => $rows,
+		);
+	}
+
+	/**
+	 * Build the CSV rows for discount depth: its totals, then a section each
+	 * for the bands, the bands of each category and price elasticity.
+	 *
+	 * @param array $data Discount depth response data.
+	 * @return array Array with headers and rows.
+	 */
+	private function get_depth_export_table( $data ) {
+		$metrics = function( $row ) {
+			return array( $row['units_sold'], $row['units_share'], $row['orders_count'], $row['total_revenue'], $row['sale_discount'], $row['coupon_discount'], $row['total_discount'], $row['discount_per_unit'], $row['avg_discount_pct'] );
+		};
+		$labels  = array( 'Units Sold', 'Units Share %', 'Orders Count', 'Total Revenue', 'Sale Discount', 'Coupon Discount', 'Total Discount', 'Discount per Unit', 'Avg Discount %' );
+
+		$headers = array( 'Metric', 'Value' );
+		$rows    = array(
+			array( 'Currency', $data['currency'] ),
+			array( 'Units Sold', $data['totals']['units_sold'] ),
+			array( 'Orders Count', $data['totals']['orders_count'] ),
+			array( 'Total Revenue', $data['totals']['total_revenue'] ),
+			array( 'Sale Discount', $data['totals']['sale_discount'] ),
+			array( 'Coupon Discount', $data['totals']['coupon_discount'] ),
+			array( 'Total Discount', $data['totals']['total_discount'] ),
+			array( 'Discount per Unit', $data['totals']['discount_per_unit'] ),
+			array( 'Avg Discount %', $data['totals']['avg_discount_pct'] ),
+		);
+
+		if ( $data['unconverted_orders'] > 0 ) {
+			$rows[] = array( 'Orders Without Exchange Rate', $data['unconverted_orders'] );
+		}
+
+		// Add bands section.
+		$rows[] = array( '', '' );
+		$rows[] = array( 'By Discount Band', '' );
+		$rows[] = array_merge( array( 'Band' ), $labels );
+		foreach ( $data['bands'] as $band ) {
+			$rows[] = array_merge( array( $band['label'] ), $metrics( $band ) );
+		}
+
+		// Add per-category section, leaving out bands the category sold nothing in.
+		if ( ! empty( $data['categories'] ) ) {
+			$rows[] = array( '', '' );
+			$rows[] = array( 'By Category', '' );
+			$rows[] = array_merge( array( 'Category', 'Band' ), $labels );
+			foreach ( $data['categories'] as $category ) {
+				$rows[] = array_merge( array( $category['category_name'], 'All' ), $metrics( $category ) );
+				foreach ( $category['bands'] as $band ) {
+					if ( $band['units_sold'] > 0 ) {
+						$rows[] = array_merge( array( $category['category_name'], $band['label'] ), $metrics( $band ) );
+					}
+				}
+			}
+		}
+
+		// Add elasticity section, one row per discount level.
+		if ( ! empty( $data['elasticity'] ) ) {
+			$rows[] = array( '', '' );
+			$rows[] = array( 'Price Elasticity', '' );
+			$rows[] = array( $data['elasticity_note'], '' );
+			$rows[] = array( 'Product ID', 'Product Name', 'Elasticity', 'Band', 'Avg Sale Price', 'Units Sold', 'Orders', 'Days', 'Units per Day' );
+			foreach ( $data['elasticity'] as $product ) {
+				foreach ( $product['levels'] as $level ) {
+					$rows[] = array( $product['product_id'], $product['product_name'], $product['elasticity'], $level['label'], $level['avg_price'], $level['units_sold'], $level['orders'], $level['days'], $level['units_per_day'] );
+				}
+			}
+		}
+
+		return array(
+			'headers' => $headers,
+			'rows'    => $rows,
+		);
 	}
 }
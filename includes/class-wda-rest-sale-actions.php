@@ -0,0 +1,412 @@
+<?php
+/**
+ * REST Sale Actions class.
+ *
+ * Handles the REST API endpoint for bulk sale-price changes from the reports.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_REST_Sale_Actions
+ *
+ * Previews and applies bulk sale-price actions to products and variations.
+ */
+class WDA_REST_Sale_Actions {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_REST_Sale_Actions
+	 */
+	private static $instance = null;
+
+	/**
+	 * Maximum number of products per bulk request.
+	 */
+	const MAX_ITEMS = 200;
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_REST_Sale_Actions
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register REST API routes.
+	 */
+	public function register_routes() {
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/bulk-sale', array(
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => array( $this, 'bulk_sale' ),
+			'permission_callback' => array( $this, 'check_permission' ),
+			'args'                => $this->get_bulk_sale_args(),
+		) );
+	}
+
+	/**
+	 * Check user permission.
+	 *
+	 * Requires report access plus the ability to edit products. Per-product
+	 * capability is checked again for each item.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function check_permission() {
+		if ( ! current_user_can( WDA_Admin_Reports::get_capability() ) || ! current_user_can( 'edit_products' ) ) {
+			return new WP_Error(
+				'wda_rest_forbidden',
+				__( 'You do not have permission to edit product prices.', 'woo-discount-analytics' ),
+				array( 'status' => 403 )
+			);
+		}
+		return true;
+	}
+
+	/**
+	 * Get bulk sale arguments.
+	 *
+	 * @return array
+	 */
+	private function get_bulk_sale_args() {
+		return array(
+			'ids'        => array(
+				'type'              => 'array',
+				'items'             => array( 'type' => 'integer' ),
+				'required'          => true,
+				'sanitize_callback' => 'wp_parse_id_list',
+			),
+			'action'     => array(
+				'type'              => 'string',
+				'required'          => true,
+				'enum'              => array( 'percent_off', 'set_dates', 'end_now' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'percent'    => array(
+				'type'              => 'number',
+				'default'           => 0,
+				'sanitize_callback' => function( $value ) {
+					return floatval( $value );
+				},
+			),
+			'sale_start' => array(
+				'type'              => array( 'string', 'null' ),
+				'default'           => null,
+				'sanitize_callback' => array( $this, 'sanitize_optional_date' ),
+			),
+			'sale_end'   => array(
+				'type'              => array( 'string', 'null' ),
+				'default'           => null,
+				'sanitize_callback' => array( $this, 'sanitize_optional_date' ),
+			),
+			'preview'    => array(
+				'type'              => 'boolean',
+				'default'           => true,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+		);
+	}
+
+	/**
+	 * Sanitize an optional date, keeping null (leave unchanged) and '' (clear).
+	 *
+	 * @param string|null $value Date in Y-m-d format.
+	 * @return string|null
+	 */
+	public function sanitize_optional_date( $value ) {
+		if ( null === $value ) {
+			return null;
+		}
+		return sanitize_text_field( $value );
+	}
+
+	/**
+	 * Preview or apply a bulk sale action.
+	 *
+	 * The response lists each product's current and resulting prices and
+	 * dates, so the same call with preview=false applies exactly what was shown.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function bulk_sale( $request ) {
+		$ids     = array_unique( $request->get_param( 'ids' ) );
+		$action  = $request->get_param( 'action' );
+		$preview = $request->get_param( 'preview' );
+
+		if ( empty( $ids ) ) {
+			return new WP_Error(
+				'wda_no_products',
+				__( 'Select at least one product.', 'woo-discount-analytics' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( count( $ids ) > self::MAX_ITEMS ) {
+			return new WP_Error(
+				'wda_too_many_products',
+				/* translators: %d: maximum number of products */
+				sprintf( __( 'Bulk actions are limited to %d products at a time.', 'woo-discount-analytics' ), self::MAX_ITEMS ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$options = $this->validate_options( $request );
+		if ( is_wp_error( $options ) ) {
+			return $options;
+		}
+
+		$items   = array();
+		$parents = array();
+		$counts  = array(
+			'updated' => 0,
+			'skipped' => 0,
+		);
+
+		foreach ( $ids as $id ) {
+			$product = wc_get_product( $id );
+			$item    = $this->prepare_item( $product, $id, $action, $options );
+
+			if ( 'ok' === $item['status'] && ! $preview ) {
+				$this->apply_item( $product, $item['after'] );
+
+				if ( $product->is_type( 'variation' ) ) {
+					$parents[ $product->get_parent_id() ] = true;
+				}
+			}
+
+			$counts[ 'ok' === $item['status'] ? 'updated' : 'skipped' ]++;
+			$items[] = $item;
+		}
+
+		// Keep variable product price ranges in sync with their variations.
+		foreach ( array_keys( $parents ) as $parent_id ) {
+			WC_Product_Variable::sync( $parent_id );
+			wc_delete_product_transients( $parent_id );
+		}
+
+		if ( ! $preview ) {
+			do_action( 'wda_bulk_sale_applied', $action, $items, $options );
+		}
+
+		return new WP_REST_Response( array(
+			'action'  => $action,
+			'applied' => ! $preview,
+			'updated' => $counts['updated'],
+			'skipped' => $counts['skipped'],
+			'items'   => $items,
+		), 200 );
+	}
+
+	/**
+	 * Validate action-specific options.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return array|WP_Error
+	 */
+	private function validate_options( $request ) {
+		$action  = $request->get_param( 'action' );
+		$options = array(
+			'percent'    => $request->get_param( 'percent' ),
+			'sale_start' => $request->get_param( 'sale_start' ),
+			'sale_end'   => $request->get_param( 'sale_end' ),
+		);
+
+		if ( 'percent_off' === $action && ( $options['percent'] <= 0 || $options['percent'] >= 100 ) ) {
+			return new WP_Error(
+				'wda_invalid_percent',
+				__( 'The discount must be greater than 0% and less than 100%.', 'woo-discount-analytics' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( 'set_dates' === $action ) {
+			if ( null === $options['sale_start'] && null === $options['sale_end'] ) {
+				return new WP_Error(
+					'wda_no_dates',
+					__( 'Choose a sale start or end date to set or clear.', 'woo-discount-analytics' ),
+					array( 'status' => 400 )
+				);
+			}
+
+			foreach ( array( 'sale_start', 'sale_end' ) as $key ) {
+				if ( ! empty( $options[ $key ] ) && ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $options[ $key ] ) ) {
+					return new WP_Error(
+						'wda_invalid_date',
+						__( 'Sale dates must use the YYYY-MM-DD format.', 'woo-discount-analytics' ),
+						array( 'status' => 400 )
+					);
+				}
+			}
+
+			if ( ! empty( $options['sale_start'] ) && ! empty( $options['sale_end'] ) && $options['sale_start'] > $options['sale_end'] ) {
+				return new WP_Error(
+					'wda_invalid_date_range',
+					__( 'The sale start date must be before the end date.', 'woo-discount-analytics' ),
+					array( 'status' => 400 )
+				);
+			}
+		}
+
+		return $options;
+	}
+
+	/**
+	 * Work out the before/after state of one product for an action.
+	 *
+	 * @param WC_Product|false $product Product object.
+	 * @param int              $id      Requested product ID.
+	 * @param string           $action  Bulk action.
+	 * @param array            $options Validated options.
+	 * @return array
+	 */
+	private function prepare_item( $product, $id, $action, $options ) {
+		$item = array(
+			'id'     => $id,
+			/* translators: %d: product ID */
+			'name'   => $product ? $product->get_name() : sprintf( __( 'Product #%d', 'woo-discount-analytics' ), $id ),
+			'status' => 'ok',
+			'reason' => '',
+			'before' => null,
+			'after'  => null,
+		);
+
+		if ( ! $product ) {
+			return $this->skip_item( $item, __( 'Product not found.', 'woo-discount-analytics' ) );
+		}
+
+		$capability_id = $product->is_type( 'variation' ) ? $product->get_parent_id() : $product->get_id();
+		if ( ! current_user_can( 'edit_product', $capability_id ) ) {
+			return $this->skip_item( $item, __( 'You cannot edit this product.', 'woo-discount-analytics' ) );
+		}
+
+		if ( $product->is_type( array( 'variable', 'grouped' ) ) ) {
+			return $this->skip_item( $item, __( 'Prices are set on the individual variations or child products.', 'woo-discount-analytics' ) );
+		}
+
+		$date_from = $product->get_date_on_sale_from( 'edit' );
+		$date_to   = $product->get_date_on_sale_to( 'edit' );
+
+		$before = array(
+			'regular_price' => $product->get_regular_price( 'edit' ),
+			'sale_price'    => $product->get_sale_price( 'edit' ),
+			'sale_start'    => $date_from ? $date_from->date( 'Y-m-d H:i:s' ) : null,
+			'sale_end'      => $date_to ? $date_to->date( 'Y-m-d H:i:s' ) : null,
+		);
+		$after  = $before;
+
+		$item['before'] = $this->with_discount( $before );
+
+		switch ( $action ) {
+			case 'percent_off':
+				$regular = floatval( $before['regular_price'] );
+				if ( $regular <= 0 ) {
+					return $this->skip_item( $item, __( 'No regular price set.', 'woo-discount-analytics' ) );
+				}
+				$after['sale_price'] = wc_format_decimal( $regular * ( 1 - $options['percent'] / 100 ), wc_get_price_decimals() );
+				// WooCommerce drops the sale price on save when the end date has passed, so restart the sale without one.
+				if ( $after['sale_end'] && $after['sale_end'] < wp_date( 'Y-m-d H:i:s' ) ) {
+					$after['sale_end'] = null;
+				}
+				break;
+
+			case 'set_dates':
+				if ( '' === $before['sale_price'] ) {
+					return $this->skip_item( $item, __( 'No sale price set.', 'woo-discount-analytics' ) );
+				}
+				if ( null !== $options['sale_start'] ) {
+					$after['sale_start'] = '' === $options['sale_start'] ? null : $options['sale_start'] . ' 00:00:00';
+				}
+				if ( null !== $options['sale_end'] ) {
+					$after['sale_end'] = '' === $options['sale_end'] ? null : $options['sale_end'] . ' 23:59:59';
+				}
+				if ( $after['sale_start'] && $after['sale_end'] && $after['sale_start'] > $after['sale_end'] ) {
+					return $this->skip_item( $item, __( 'The sale would end before it starts.', 'woo-discount-analytics' ) );
+				}
+				break;
+
+			case 'end_now':
+				if ( '' === $before['sale_price'] ) {
+					return $this->skip_item( $item, __( 'No sale price set.', 'woo-discount-analytics' ) );
+				}
+				// End the sale a second ago so it reports as expired; cancel any future start.
+				$after['sale_end'] = wp_date( 'Y-m-d H:i:s', time() - 1 );
+				if ( $after['sale_start'] && $after['sale_start'] > $after['sale_end'] ) {
+					$after['sale_start'] = null;
+				}
+				break;
+		}
+
+		if ( $after === $before ) {
+			return $this->skip_item( $item, __( 'No change.', 'woo-discount-analytics' ) );
+		}
+
+		$item['after'] = $this->with_discount( $after );
+
+		return $item;
+	}
+
+	/**
+	 * Mark an item as skipped.
+	 *
+	 * @param array  $item   Item data.
+	 * @param string $reason Reason shown to the user.
+	 * @return array
+	 */
+	private function skip_item( $item, $reason ) {
+		$item['status'] = 'skipped';
+		$item['reason'] = $reason;
+		return $item;
+	}
+
+	/**
+	 * Add discount amount and percentage to a price state.
+	 *
+	 * @param array $prices Price state.
+	 * @return array
+	 */
+	private function with_discount( $prices ) {
+		$regular = floatval( $prices['regular_price'] );
+		$sale    = '' === $prices['sale_price'] ? $regular : floatval( $prices['sale_price'] );
+
+		$prices['discount_amount'] = $regular > 0 ? round( $regular - $sale, 2 ) : 0;
+		$prices['discount_pct']    = $regular > 0 ? round( ( ( $regular - $sale ) / $regular ) * 100, 2 ) : 0;
+
+		return $prices;
+	}
+
+	/**
+	 * Save a product's new sale price and dates.
+	 *
+	 * @param WC_Product $product Product object.
+	 * @param array      $after   Resulting price state.
+	 */
+	private function apply_item( $product, $after ) {
+		$product->set_sale_price( $after['sale_price'] );
+		$product->set_date_on_sale_from( $after['sale_start'] ? $after['sale_start'] : '' );
+		$product->set_date_on_sale_to( $after['sale_end'] ? $after['sale_end'] : '' );
+		$product->save();
+	}
+}
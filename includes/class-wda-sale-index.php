@@ -0,0 +1,793 @@
+<?php
+/**
+ * Sale Index class.
+ *
+ * Keeps a table of products and variations with a sale price so the
+ * Current Discounts report can filter, sort and paginate in SQL instead
+ * of loading the whole catalogue.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_Sale_Index
+ *
+ * Manages the sale index table, keeps it in sync with product changes
+ * and queries it for reports.
+ */
+class WDA_Sale_Index {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_Sale_Index
+	 */
+	private static $instance = null;
+
+	/**
+	 * Table name.
+	 *
+	 * @var string
+	 */
+	const TABLE_NAME = 'wc_sale_price_index';
+
+	/**
+	 * Table schema version.
+	 *
+	 * @var string
+	 */
+	const DB_VERSION = '1.1.0';
+
+	/**
+	 * Option holding the installed schema version.
+	 *
+	 * @var string
+	 */
+	const VERSION_OPTION = 'wda_sale_index_version';
+
+	/**
+	 * Option holding the time the index was last fully rebuilt.
+	 *
+	 * @var string
+	 */
+	const BUILT_OPTION = 'wda_sale_index_built';
+
+	/**
+	 * Action Scheduler hook that indexes the next batch of a rebuild.
+	 *
+	 * @var string
+	 */
+	const REBUILD_HOOK = 'wda_rebuild_sale_index';
+
+	/**
+	 * Action Scheduler group for rebuild batches.
+	 *
+	 * @var string
+	 */
+	const GROUP = 'woo-discount-analytics-sale-index';
+
+	/**
+	 * Option holding the last product ID indexed by a running rebuild.
+	 *
+	 * @var string
+	 */
+	const REBUILD_CURSOR_OPTION = 'wda_sale_index_rebuild_cursor';
+
+	/**
+	 * Products loaded per batch during a rebuild.
+	 *
+	 * @var int
+	 */
+	const BATCH_SIZE = 200;
+
+	/**
+	 * Product types that are indexed.
+	 *
+	 * @var string[]
+	 */
+	const PRODUCT_TYPES = array( 'simple', 'variable', 'external', 'grouped', 'variation' );
+
+	/**
+	 * Columns the report can sort by.
+	 *
+	 * @var string[]
+	 */
+	const SORT_COLUMNS = array( 'id', 'name', 'type', 'sku', 'regular_price', 'sale_price', 'discount_amount', 'discount_pct', 'sale_start', 'sale_end', 'sale_status', 'stock_status', 'stock_quantity' );
+
+	/**
+	 * Whether the table exists (cached per request).
+	 *
+	 * @var bool|null
+	 */
+	private $table_exists = null;
+
+	/**
+	 * Whether a rebuild batch is running.
+	 *
+	 * @var bool
+	 */
+	private $rebuilding = false;
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_Sale_Index
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		// Variations save with the same object type as products.
+		add_action( 'woocommerce_after_product_object_save', array( $this, 'on_product_save' ), 20, 1 );
+
+		// Stock updates from orders bypass the product save.
+		add_action( 'woocommerce_product_set_stock', array( $this, 'on_product_save' ), 10, 1 );
+		add_action( 'woocommerce_variation_set_stock', array( $this, 'on_product_save' ), 10, 1 );
+		add_action( 'woocommerce_product_set_stock_status', array( $this, 'on_stock_status_change' ), 10, 3 );
+		add_action( 'woocommerce_variation_set_stock_status', array( $this, 'on_stock_status_change' ), 10, 3 );
+
+		// Scheduled sales starting and ending.
+		add_action( 'wc_after_products_starting_sales', array( $this, 'sync_products' ), 10, 1 );
+		add_action( 'wc_after_products_ending_sales', array( $this, 'sync_products' ), 10, 1 );
+
+		// Trash, restore and delete.
+		add_action( 'trashed_post', array( $this, 'on_post_removed' ), 10, 1 );
+		add_action( 'before_delete_post', array( $this, 'on_post_removed' ), 10, 1 );
+		add_action( 'untrashed_post', array( $this, 'on_post_restored' ), 10, 1 );
+
+		add_action( self::REBUILD_HOOK, array( $this, 'run_rebuild_batch' ) );
+	}
+
+	/**
+	 * Get table name with WordPress prefix.
+	 *
+	 * @return string
+	 */
+	public static function get_table_name() {
+		global $wpdb;
+		return $wpdb->prefix . self::TABLE_NAME;
+	}
+
+	/**
+	 * Create the sale index table and schedule its first build.
+	 *
+	 * @return bool True on success, false on failure.
+	 */
+	public function create_table() {
+		global $wpdb;
+
+		// An existing table is upgraded in place rather than recreated.
+		if ( $this->table_exists() ) {
+			return $this->maybe_upgrade_table();
+		}
+
+		$table_name = self::get_table_name();
+		$charset_collate = $wpdb->get_charset_collate();
+
+		$sql = "CREATE TABLE IF NOT EXISTS {$table_name} (
+			product_id BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+			parent_id BIGINT UNSIGNED NOT NULL DEFAULT 0,
+			name VARCHAR(255) NOT NULL DEFAULT '',
+			type VARCHAR(20) NOT NULL DEFAULT '',
+			sku VARCHAR(100) NOT NULL DEFAULT '',
+			regular_price DECIMAL(19,4) NOT NULL,
+			sale_price DECIMAL(19,4) NOT NULL,
+			discount_amount DECIMAL(19,4) NOT NULL,
+			discount_pct DECIMAL(5,2) NOT NULL,
+			sale_start DATETIME DEFAULT NULL,
+			sale_end DATETIME DEFAULT NULL,
+			stock_status VARCHAR(20) NOT NULL DEFAULT '',
+			stock_quantity DECIMAL(10,2) DEFAULT NULL,
+			violations VARCHAR(255) NOT NULL DEFAULT '',
+			INDEX idx_parent_id (parent_id),
+			INDEX idx_discount_pct (discount_pct),
+			INDEX idx_sale_start (sale_start),
+			INDEX idx_sale_end (sale_end)
+		) {$charset_collate};";
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+		dbDelta( $sql );
+
+		$this->table_exists = null;
+
+		if ( ! $this->table_exists() ) {
+			return false;
+		}
+
+		update_option( self::VERSION_OPTION, self::DB_VERSION );
+
+		$this->schedule_rebuild();
+
+		return true;
+	}
+
+	/**
+	 * Bring an existing table up to the current schema version.
+	 *
+	 * @return bool True if the table is current, false on failure.
+	 */
+	public function maybe_upgrade_table() {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return false;
+		}
+
+		if ( version_compare( get_option( self::VERSION_OPTION, '1.0.0' ), self::DB_VERSION, '>=' ) ) {
+			return true;
+		}
+
+		$table_name = self::get_table_name();
+		$columns    = $wpdb->get_col( "SHOW COLUMNS FROM {$table_name}" );
+
+		// 1.1.0: guardrail violations per sale.
+		if ( ! in_array( 'violations', $columns, true ) ) {
+			if ( false === $wpdb->query( "ALTER TABLE {$table_name} ADD COLUMN violations VARCHAR(255) NOT NULL DEFAULT '' AFTER stock_quantity" ) ) {
+				return false;
+			}
+
+			$this->schedule_rebuild();
+		}
+
+		update_option( self::VERSION_OPTION, self::DB_VERSION );
+
+		return true;
+	}
+
+	/**
+	 * Check if table exists.
+	 *
+	 * @return bool
+	 */
+	public function table_exists() {
+		global $wpdb;
+
+		if ( null === $this->table_exists ) {
+			$table_name = self::get_table_name();
+			$this->table_exists = $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $table_name ) ) === $table_name;
+		}
+
+		return $this->table_exists;
+	}
+
+	/**
+	 * Check whether the index has been fully built and can answer reports.
+	 *
+	 * @return bool
+	 */
+	public function is_built() {
+		return (bool) get_option( self::BUILT_OPTION ) && $this->table_exists();
+	}
+
+	/**
+	 * Schedule a full rebuild in the background.
+	 *
+	 * The index keeps answering reports while it rebuilds. A rebuild that is
+	 * already running starts over from the first product.
+	 */
+	public function schedule_rebuild() {
+		update_option( self::REBUILD_CURSOR_OPTION, 0, false );
+
+		// Action Scheduler is not loaded when activating without WooCommerce; cron runs the first batch later.
+		if ( ! function_exists( 'as_enqueue_async_action' ) ) {
+			if ( ! wp_next_scheduled( self::REBUILD_HOOK ) ) {
+				wp_schedule_single_event( time(), self::REBUILD_HOOK );
+			}
+			return;
+		}
+
+		if ( ! as_has_scheduled_action( self::REBUILD_HOOK, array(), self::GROUP ) ) {
+			as_enqueue_async_action( self::REBUILD_HOOK, array(), self::GROUP );
+		}
+	}
+
+	/**
+	 * Keep a saved product or variation in sync.
+	 *
+	 * Variations show their parent's name, so saving a variable product
+	 * also refreshes its variations.
+	 *
+	 * @param WC_Product $product Saved product.
+	 */
+	public function on_product_save( $product ) {
+		if ( ! $product instanceof WC_Product || ! $product->get_id() ) {
+			return;
+		}
+
+		$this->index_product( $product );
+
+		if ( $product->is_type( 'variable' ) ) {
+			$this->sync_products( $product->get_children() );
+		}
+	}
+
+	/**
+	 * Keep a product in sync after its stock status changes.
+	 *
+	 * @param int        $product_id   Product or variation ID.
+	 * @param string     $stock_status New stock status.
+	 * @param WC_Product $product      Product object.
+	 */
+	public function on_stock_status_change( $product_id, $stock_status, $product = null ) {
+		if ( $product instanceof WC_Product ) {
+			$this->index_product( $product );
+		} else {
+			$this->sync_product( $product_id );
+		}
+	}
+
+	/**
+	 * Remove a trashed or deleted product from the index.
+	 *
+	 * @param int $post_id Post ID.
+	 */
+	public function on_post_removed( $post_id ) {
+		if ( in_array( get_post_type( $post_id ), array( 'product', 'product_variation' ), true ) ) {
+			$this->remove_product( $post_id );
+		}
+	}
+
+	/**
+	 * Re-index a product restored from the trash.
+	 *
+	 * @param int $post_id Post ID.
+	 */
+	public function on_post_restored( $post_id ) {
+		if ( in_array( get_post_type( $post_id ), array( 'product', 'product_variation' ), true ) ) {
+			$this->sync_product( $post_id );
+		}
+	}
+
+	/**
+	 * Re-index products by ID.
+	 *
+	 * @param int[] $product_ids Product or variation IDs.
+	 */
+	public function sync_products( $product_ids ) {
+		foreach ( (array) $product_ids as $product_id ) {
+			$this->sync_product( $product_id );
+		}
+	}
+
+	/**
+	 * Re-index a product by ID, removing it if it no longer exists.
+	 *
+	 * @param int $product_id Product or variation ID.
+	 */
+	public function sync_product( $product_id ) {
+		$product = wc_get_product( $product_id );
+
+		if ( $product ) {
+			$this->index_product( $product );
+		} else {
+			$this->remove_product( $product_id );
+		}
+	}
+
+	/**
+	 * Add, update or remove a product's index row from its current data.
+	 *
+	 * Only published products and variations of the supported types whose
+	 * sale price is below a positive regular price are indexed.
+	 *
+	 * @param WC_Product $product Product or variation.
+	 */
+	public function index_product( $product ) {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return;
+		}
+
+		$regular_price = floatval( $product->get_regular_price() );
+		$sale_price    = floatval( $product->get_sale_price() );
+
+		if ( 'publish' !== $product->get_status() || ! in_array( $product->get_type(), self::PRODUCT_TYPES, true ) || empty( $sale_price ) || $sale_price >= $regular_price || $regular_price <= 0 ) {
+			$this->remove_product( $product->get_id() );
+			return;
+		}
+
+		$product_id        = $product->get_id();
+		$parent_id         = $product->is_type( 'variation' ) ? $product->get_parent_id() : 0;
+		$discount_amount   = $regular_price - $sale_price;
+		$discount_pct      = round( ( $discount_amount / $regular_price ) * 100, 2 );
+		$date_on_sale_from = $product->get_date_on_sale_from();
+		$date_on_sale_to   = $product->get_date_on_sale_to();
+
+		$violations = WDA_Guardrails::evaluate( array(
+			'id'           => $product_id,
+			'parent_id'    => $parent_id,
+			'sale_price'   => $sale_price,
+			'discount_pct' => $discount_pct,
+			'sale_start'   => $date_on_sale_from ? $date_on_sale_from->date( 'Y-m-d H:i:s' ) : null,
+			'sale_end'     => $date_on_sale_to ? $date_on_sale_to->date( 'Y-m-d H:i:s' ) : null,
+		) );
+
+		$previous = array();
+		if ( ! $this->rebuilding ) {
+			$previous = $this->split_violations( $wpdb->get_var( $wpdb->prepare( 'SELECT violations FROM ' . self::get_table_name() . ' WHERE product_id = %d', $product_id ) ) );
+		}
+
+		// Sale dates are stored in UTC so status can be compared with UTC_TIMESTAMP().
+		$wpdb->replace(
+			self::get_table_name(),
+			array(
+				'product_id'      => $product_id,
+				'parent_id'       => $parent_id,
+				'name'            => $product->get_name(),
+				'type'            => $product->get_type(),
+				'sku'             => $product->get_sku(),
+				'regular_price'   => $regular_price,
+				'sale_price'      => $sale_price,
+				'discount_amount' => round( $discount_amount, 4 ),
+				'discount_pct'    => $discount_pct,
+				'sale_start'      => $date_on_sale_from ? gmdate( 'Y-m-d H:i:s', $date_on_sale_from->getTimestamp() ) : null,
+				'sale_end'        => $date_on_sale_to ? gmdate( 'Y-m-d H:i:s', $date_on_sale_to->getTimestamp() ) : null,
+				'stock_status'    => $product->get_stock_status(),
+				'stock_quantity'  => $product->get_stock_quantity(),
+				'violations'      => implode( ',', $violations ),
+			)
+		);
+
+		if ( ! $this->rebuilding && $violations !== $previous ) {
+			/**
+			 * Fires when the guardrail rules a sale breaks change.
+			 *
+			 * @param int      $product_id Product or variation ID.
+			 * @param string[] $violations Rule codes the sale breaks now.
+			 * @param string[] $previous   Rule codes it broke before.
+			 */
+			do_action( 'wda_sale_violations_changed', $product_id, $violations, $previous );
+		}
+	}
+
+	/**
+	 * Remove a product, and any of its variations, from the index.
+	 *
+	 * @param int $product_id Product or variation ID.
+	 */
+	public function remove_product( $product_id ) {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return;
+		}
+
+		$table_name = self::get_table_name();
+
+		$wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$table_name} WHERE product_id = %d OR parent_id = %d",
+				absint( $product_id ),
+				absint( $product_id )
+			)
+		);
+	}
+
+	/**
+	 * Index the next batch of a rebuild, then queue the one after it.
+	 *
+	 * Only products and variations with a sale price are loaded. Rows are
+	 * replaced in place, so reports keep reading the previous index until
+	 * the last batch removes the rows no longer on sale and marks it built.
+	 */
+	public function run_rebuild_batch() {
+		global $wpdb;
+
+		$last_id = get_option( self::REBUILD_CURSOR_OPTION );
+		if ( false === $last_id || ! $this->table_exists() ) {
+			return;
+		}
+
+		$table_name = self::get_table_name();
+
+		$product_ids = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT p.ID FROM {$wpdb->posts} p
+				INNER JOIN {$wpdb->postmeta} m ON m.post_id = p.ID AND m.meta_key = '_sale_price' AND m.meta_value <> ''
+				WHERE p.ID > %d AND p.post_type IN ( 'product', 'product_variation' ) AND p.post_status = 'publish'
+				ORDER BY p.ID ASC LIMIT %d",
+				absint( $last_id ),
+				self::BATCH_SIZE
+			)
+		);
+
+		// Stored violations may be missing after an upgrade, so every sale would look newly flagged.
+		$this->rebuilding = true;
+
+		foreach ( $product_ids as $product_id ) {
+			$product = wc_get_product( $product_id );
+			if ( $product ) {
+				$this->index_product( $product );
+			}
+			$last_id = absint( $product_id );
+		}
+
+		$this->rebuilding = false;
+
+		// Loaded products are not needed again; keep memory flat on large catalogues.
+		wp_cache_flush_runtime();
+
+		if ( count( $product_ids ) === self::BATCH_SIZE ) {
+			update_option( self::REBUILD_CURSOR_OPTION, $last_id, false );
+
+			// This action still counts as scheduled while it runs, so skip schedule_rebuild()'s check.
+			as_enqueue_async_action( self::REBUILD_HOOK, array(), self::GROUP );
+			return;
+		}
+
+		// Drop rows the batches did not reach: products no longer on sale, published or present.
+		$wpdb->query(
+			"DELETE s FROM {$table_name} s
+			LEFT JOIN {$wpdb->posts} p ON p.ID = s.product_id AND p.post_status = 'publish'
+			LEFT JOIN {$wpdb->postmeta} m ON m.post_id = s.product_id AND m.meta_key = '_sale_price' AND m.meta_value <> ''
+			WHERE p.ID IS NULL OR m.post_id IS NULL"
+		);
+
+		delete_option( self::REBUILD_CURSOR_OPTION );
+		update_option( self::BUILT_OPTION, time(), false );
+	}
+
+	/**
+	 * Query indexed sales.
+	 *
+	 * @param array  $filters  Filters: category (IDs), product_type, discount_min, discount_max, sale_status, ends_within (days), violation (rule code or any).
+	 * @param string $orderby  Sort column (one of SORT_COLUMNS).
+	 * @param string $order    Sort direction (ASC or DESC).
+	 * @param int    $page     Page number.
+	 * @param int    $per_page Items per page.
+	 * @return array Array with items and total.
+	 */
+	public function query( $filters, $orderby, $order, $page, $per_page ) {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$status_sql = self::get_status_sql();
+		$where      = array();
+
+		// Variations use their parent's categories.
+		if ( ! empty( $filters['category'] ) ) {
+			$where[] = "EXISTS ( SELECT 1 FROM {$wpdb->term_relationships} tr
+				INNER JOIN {$wpdb->term_taxonomy} tt ON tt.term_taxonomy_id = tr.term_taxonomy_id AND tt.taxonomy = 'product_cat'
+				WHERE tr.object_id = IF( s.parent_id > 0, s.parent_id, s.product_id ) AND tt.term_id IN ( " . implode( ',', array_map( 'absint', $filters['category'] ) ) . ' ) )';
+		}
+
+		if ( ! empty( $filters['product_type'] ) ) {
+			$where[] = $wpdb->prepare( 's.type = %s', $filters['product_type'] );
+		}
+
+		$where[] = $wpdb->prepare( 's.discount_pct >= %f AND s.discount_pct <= %f', $filters['discount_min'], $filters['discount_max'] );
+
+		if ( ! empty( $filters['sale_status'] ) && 'all' !== $filters['sale_status'] ) {
+			$where[] = $wpdb->prepare( "{$status_sql} = %s", $filters['sale_status'] );
+		}
+
+		if ( ! empty( $filters['ends_within'] ) ) {
+			$where[] = $wpdb->prepare( 's.sale_end IS NOT NULL AND s.sale_end <= DATE_ADD( UTC_TIMESTAMP(), INTERVAL %d DAY )', $filters['ends_within'] );
+		}
+
+		if ( 'any' === $filters['violation'] ) {
+			$where[] = "s.violations <> ''";
+		} elseif ( ! empty( $filters['violation'] ) ) {
+			$where[] = $wpdb->prepare( 'FIND_IN_SET( %s, s.violations )', $filters['violation'] );
+		}
+
+		$where_clause = 'WHERE ' . implode( ' AND ', $where );
+		$sort         = in_array( $orderby, self::SORT_COLUMNS, true ) ? $orderby : 'discount_pct';
+		$sort         = 'id' === $sort ? 'product_id' : $sort;
+		$direction    = 'ASC' === $order ? 'ASC' : 'DESC';
+
+		$total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table_name} s {$where_clause}" );
+
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT s.*, {$status_sql} AS sale_status FROM {$table_name} s {$where_clause}
+				ORDER BY {$sort} {$direction}, s.product_id {$direction}
+				LIMIT %d OFFSET %d",
+				$per_page,
+				( $page - 1 ) * $per_page
+			),
+			ARRAY_A
+		);
+
+		$items = array();
+		foreach ( $rows ? $rows : array() as $row ) {
+			$items[] = $this->row_to_item( $row );
+		}
+
+		return array(
+			'items' => $items,
+			'total' => $total,
+		);
+	}
+
+	/**
+	 * Re-evaluate the guardrail rules for every indexed sale.
+	 *
+	 * Only rows whose violations change are written.
+	 *
+	 * @return int Number of sales whose violations changed.
+	 */
+	public function refresh_violations() {
+		global $wpdb;
+
+		if ( ! $this->is_built() ) {
+			return 0;
+		}
+
+		$table_name = self::get_table_name();
+		$status_sql = self::get_status_sql();
+		$changed    = 0;
+		$last_id    = 0;
+
+		do {
+			$rows = $wpdb->get_results(
+				$wpdb->prepare(
+					"SELECT s.*, {$status_sql} AS sale_status FROM {$table_name} s
+					WHERE s.product_id > %d ORDER BY s.product_id ASC LIMIT %d",
+					$last_id,
+					self::BATCH_SIZE
+				),
+				ARRAY_A
+			);
+
+			// Costs are read from post meta; load it for the whole batch at once.
+			$post_ids = array_merge( wp_list_pluck( $rows, 'product_id' ), wp_list_pluck( $rows, 'parent_id' ) );
+			update_meta_cache( 'post', array_filter( array_map( 'absint', $post_ids ) ) );
+
+			foreach ( $rows as $row ) {
+				$item       = $this->row_to_item( $row );
+				$violations = WDA_Guardrails::evaluate( $item );
+				$last_id    = $item['id'];
+
+				if ( $violations === $item['violations'] ) {
+					continue;
+				}
+
+				$wpdb->update( $table_name, array( 'violations' => implode( ',', $violations ) ), array( 'product_id' => $item['id'] ) );
+				++$changed;
+
+				/** This action is documented in includes/class-wda-sale-index.php */
+				do_action( 'wda_sale_violations_changed', $item['id'], $violations, $item['violations'] );
+			}
+
+			wp_cache_flush_runtime();
+		} while ( count( $rows ) === self::BATCH_SIZE );
+
+		return $changed;
+	}
+
+	/**
+	 * Get indexed sales that break a guardrail rule.
+	 *
+	 * @param int[] $product_ids Limit to these products and their variations. All sales when empty.
+	 * @param int   $limit       Maximum number of sales.
+	 * @return array Items, as returned by query().
+	 */
+	public function get_violating_items( $product_ids = array(), $limit = 100 ) {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return array();
+		}
+
+		$table_name = self::get_table_name();
+		$where      = "s.violations <> ''";
+
+		if ( ! empty( $product_ids ) ) {
+			$ids    = implode( ',', array_map( 'absint', $product_ids ) );
+			$where .= " AND ( s.product_id IN ( {$ids} ) OR s.parent_id IN ( {$ids} ) )";
+		}
+
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				'SELECT s.*, ' . self::get_status_sql() . " AS sale_status FROM {$table_name} s
+				WHERE {$where} ORDER BY s.discount_pct DESC, s.product_id ASC LIMIT %d",
+				$limit
+			),
+			ARRAY_A
+		);
+
+		return array_map( array( $this, 'row_to_item' ), $rows ? $rows : array() );
+	}
+
+	/**
+	 * Count indexed sales that break a guardrail rule.
+	 *
+	 * @return int
+	 */
+	public function count_violations() {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return 0;
+		}
+
+		$table_name = self::get_table_name();
+
+		return (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table_name} WHERE violations <> ''" );
+	}
+
+	/**
+	 * Get the SQL expression for a row's sale status.
+	 *
+	 * @return string
+	 */
+	private static function get_status_sql() {
+		return "CASE WHEN s.sale_start IS NOT NULL AND s.sale_start > UTC_TIMESTAMP() THEN 'scheduled' WHEN s.sale_end IS NOT NULL AND s.sale_end < UTC_TIMESTAMP() THEN 'expired' ELSE 'active' END";
+	}
+
+	/**
+	 * Convert an index row to a report item.
+	 *
+	 * @param array $row Row, with a computed sale_status.
+	 * @return array
+	 */
+	private function row_to_item( $row ) {
+		$parent_id = absint( $row['parent_id'] );
+
+		return array(
+			'id'              => absint( $row['product_id'] ),
+			'parent_id'       => $parent_id,
+			'name'            => $row['name'],
+			'type'            => $row['type'],
+			'sku'             => $row['sku'],
+			'regular_price'   => floatval( $row['regular_price'] ),
+			'sale_price'      => floatval( $row['sale_price'] ),
+			'discount_amount' => round( floatval( $row['discount_amount'] ), 2 ),
+			'discount_pct'    => round( floatval( $row['discount_pct'] ), 2 ),
+			'sale_start'      => $row['sale_start'] ? get_date_from_gmt( $row['sale_start'] ) : null,
+			'sale_end'        => $row['sale_end'] ? get_date_from_gmt( $row['sale_end'] ) : null,
+			'sale_status'     => $row['sale_status'],
+			'stock_status'    => $row['stock_status'],
+			'stock_quantity'  => null === $row['stock_quantity'] ? null : (int) $row['stock_quantity'],
+			'violations'      => $this->split_violations( $row['violations'] ),
+			'edit_link'       => get_edit_post_link( $parent_id ? $parent_id : absint( $row['product_id'] ), 'raw' ),
+		);
+	}
+
+	/**
+	 * Split a stored violations list into rule codes.
+	 *
+	 * @param string|null $value Comma-separated rule codes.
+	 * @return string[]
+	 */
+	private function split_violations( $value ) {
+		return '' === (string) $value ? array() : explode( ',', $value );
+	}
+
+	/**
+	 * Drop the sale index table.
+	 *
+	 * @return bool True on success, false on failure.
+	 */
+	public function drop_table() {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$result = $wpdb->query( "DROP TABLE IF EXISTS {$table_name}" );
+
+		delete_option( self::BUILT_OPTION );
+		delete_option( self::VERSION_OPTION );
+		delete_option( self::REBUILD_CURSOR_OPTION );
+		$this->table_exists = null;
+
+		return $result !== false;
+	}
+}
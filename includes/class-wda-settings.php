@@ -0,0 +1,303 @@
+<?php
+/**
+ * Settings class.
+ *
+ * Stores the plugin settings and exposes them over REST for the settings page.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_Settings
+ *
+ * Reads, validates and saves plugin settings.
+ */
+class WDA_Settings {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_Settings
+	 */
+	private static $instance = null;
+
+	/**
+	 * Option holding the settings.
+	 *
+	 * @var string
+	 */
+	const OPTION = 'wda_settings';
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_Settings
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Register REST API routes.
+	 */
+	public function register_routes() {
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/settings', array(
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_settings' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+			),
+			array(
+				'methods'             => WP_REST_Server::EDITABLE,
+				'callback'            => array( $this, 'update_settings' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+			),
+		) );
+	}
+
+	/**
+	 * Check user permission.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function check_permission() {
+		if ( ! current_user_can( WDA_Admin_Reports::get_capability() ) ) {
+			return new WP_Error(
+				'wda_rest_forbidden',
+				__( 'You do not have permission to manage these settings.', 'woo-discount-analytics' ),
+				array( 'status' => 403 )
+			);
+		}
+		return true;
+	}
+
+	/**
+	 * Get the settings fields.
+	 *
+	 * Each field is a JSON schema with a default and a sanitize_callback,
+	 * plus an optional validate_callback for checks the schema can't express.
+	 *
+	 * @return array Fields keyed by setting name.
+	 */
+	public static function get_fields() {
+		return apply_filters( 'wda_settings_fields', array(
+			'digest_enabled'         => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'digest_recipients'      => array(
+				'type'              => 'string',
+				'default'           => '',
+				'validate_callback' => array( __CLASS__, 'validate_email_list' ),
+				'sanitize_callback' => array( __CLASS__, 'sanitize_email_list' ),
+			),
+			'digest_frequency'       => array(
+				'type'              => 'string',
+				'default'           => 'weekly',
+				'enum'              => array( 'daily', 'weekly', 'monthly' ),
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'digest_window'          => array(
+				'type'              => 'integer',
+				'default'           => 7,
+				'minimum'           => 1,
+				'maximum'           => 366,
+				'sanitize_callback' => 'absint',
+			),
+			'digest_attach_csv'      => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'guardrail_max_discount' => array(
+				'type'              => 'number',
+				'default'           => 0,
+				'minimum'           => 0,
+				'maximum'           => 100,
+				'sanitize_callback' => 'floatval',
+			),
+			'guardrail_max_duration' => array(
+				'type'              => 'integer',
+				'default'           => 0,
+				'minimum'           => 0,
+				'maximum'           => 3650,
+				'sanitize_callback' => 'absint',
+			),
+			'guardrail_no_end_date'  => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'guardrail_below_cost'   => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'cost_meta_key'          => array(
+				'type'              => 'string',
+				'default'           => '_wc_cog_cost',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'guardrail_email'        => array(
+				'type'              => 'boolean',
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			'guardrail_recipients'   => array(
+				'type'              => 'string',
+				'default'           => '',
+				'validate_callback' => array( __CLASS__, 'validate_email_list' ),
+				'sanitize_callback' => array( __CLASS__, 'sanitize_email_list' ),
+			),
+			'export_expiry_hours'    => array(
+				'type'              => 'integer',
+				'default'           => 24,
+				'minimum'           => 1,
+				'maximum'           => 720,
+				'sanitize_callback' => 'absint',
+			),
+		) );
+	}
+
+	/**
+	 * Get all settings, with defaults for anything not saved yet.
+	 *
+	 * @return array
+	 */
+	public static function get_all() {
+		$saved    = get_option( self::OPTION, array() );
+		$settings = array();
+
+		foreach ( self::get_fields() as $key => $field ) {
+			$settings[ $key ] = is_array( $saved ) && array_key_exists( $key, $saved ) ? $saved[ $key ] : $field['default'];
+		}
+
+		return $settings;
+	}
+
+	/**
+	 * Get a single setting.
+	 *
+	 * @param string $key Setting name.
+	 * @return mixed Setting value, or null for an unknown setting.
+	 */
+	public static function get( $key ) {
+		$settings = self::get_all();
+		return array_key_exists( $key, $settings ) ? $settings[ $key ] : null;
+	}
+
+	/**
+	 * Get the settings.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_settings( $request ) {
+		return new WP_REST_Response( self::get_all(), 200 );
+	}
+
+	/**
+	 * Update the settings sent in the request body.
+	 *
+	 * Settings that are not sent keep their current value. Nothing is saved
+	 * if any value is invalid.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function update_settings( $request ) {
+		$old      = self::get_all();
+		$settings = $old;
+		$params   = $request->get_json_params();
+
+		foreach ( self::get_fields() as $key => $field ) {
+			if ( ! is_array( $params ) || ! array_key_exists( $key, $params ) ) {
+				continue;
+			}
+
+			$valid = rest_validate_value_from_schema( $params[ $key ], $field, $key );
+			if ( ! is_wp_error( $valid ) && isset( $field['validate_callback'] ) ) {
+				$valid = call_user_func( $field['validate_callback'], $params[ $key ] );
+			}
+
+			if ( is_wp_error( $valid ) ) {
+				$valid->add_data( array( 'status' => 400 ) );
+				return $valid;
+			}
+
+			$settings[ $key ] = call_user_func( $field['sanitize_callback'], $params[ $key ] );
+		}
+
+		update_option( self::OPTION, $settings, false );
+
+		do_action( 'wda_settings_updated', $settings, $old );
+
+		return new WP_REST_Response( $settings, 200 );
+	}
+
+	/**
+	 * Validate a comma-separated list of email addresses.
+	 *
+	 * @param string $value Email addresses.
+	 * @return true|WP_Error
+	 */
+	public static function validate_email_list( $value ) {
+		$invalid = array();
+
+		foreach ( array_filter( array_map( 'trim', explode( ',', (string) $value ) ) ) as $email ) {
+			if ( ! is_email( $email ) ) {
+				$invalid[] = $email;
+			}
+		}
+
+		if ( ! empty( $invalid ) ) {
+			return new WP_Error(
+				'wda_invalid_email',
+				/* translators: %s: email addresses */
+				sprintf( __( 'Invalid email address: %s', 'woo-discount-analytics' ), implode( ', ', $invalid ) )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Sanitize a comma-separated list of email addresses.
+	 *
+	 * @param string $value Email addresses.
+	 * @return string Addresses separated by ", ".
+	 */
+	public static function sanitize_email_list( $value ) {
+		return implode( ', ', array_filter( array_map( 'sanitize_email', explode( ',', (string) $value ) ) ) );
+	}
+
+	/**
+	 * Split a sanitized email list into addresses.
+	 *
+	 * @param string $value Email addresses separated by commas.
+	 * @return string[]
+	 */
+	public static function parse_email_list( $value ) {
+		return array_values( array_filter( array_map( 'trim', explode( ',', (string) $value ) ) ) );
+	}
+}
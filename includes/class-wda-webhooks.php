@@ -0,0 +1,1009 @@
+<?php
+/**
+ * Webhooks class.
+ *
+ * Sends captured discounts and refunds to external systems, such as an ERP,
+ * as signed JSON payloads.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_Webhooks
+ *
+ * Manages the webhook endpoints and their deliveries table, which is both
+ * the retry queue and the delivery log.
+ */
+class WDA_Webhooks {
+
+	/**
+	 * Single instance of the class.
+	 *
+	 * @var WDA_Webhooks
+	 */
+	private static $instance = null;
+
+	/**
+	 * Deliveries table name.
+	 *
+	 * @var string
+	 */
+	const TABLE_NAME = 'wc_sale_price_webhook_deliveries';
+
+	/**
+	 * Option holding the webhooks, keyed by ID.
+	 *
+	 * @var string
+	 */
+	const OPTION = 'wda_webhooks';
+
+	/**
+	 * Action Scheduler hook that sends one delivery.
+	 *
+	 * @var string
+	 */
+	const DELIVER_HOOK = 'wda_deliver_webhook';
+
+	/**
+	 * Action Scheduler group for deliveries.
+	 *
+	 * @var string
+	 */
+	const GROUP = 'woo-discount-analytics-webhooks';
+
+	/**
+	 * Cron hook that requeues stalled deliveries and prunes the log.
+	 *
+	 * @var string
+	 */
+	const MAINTENANCE_HOOK = 'wda_webhook_maintenance';
+
+	/**
+	 * Seconds to wait before each retry. A delivery fails for good once
+	 * these run out.
+	 *
+	 * @var int[]
+	 */
+	const RETRY_DELAYS = array( 60, 300, 1800, 7200, 21600, 86400 );
+
+	/**
+	 * Days finished deliveries are kept in the log.
+	 *
+	 * @var int
+	 */
+	const LOG_DAYS = 30;
+
+	/**
+	 * Characters of the response body kept in the log.
+	 *
+	 * @var int
+	 */
+	const RESPONSE_LENGTH = 2000;
+
+	/**
+	 * Whether the table exists (cached per request).
+	 *
+	 * @var bool|null
+	 */
+	private $table_exists = null;
+
+	/**
+	 * Get the single instance.
+	 *
+	 * @return WDA_Webhooks
+	 */
+	public static function instance() {
+		if ( is_null( self::$instance ) ) {
+			self::$instance = new self();
+		}
+		return self::$instance;
+	}
+
+	/**
+	 * Constructor.
+	 */
+	private function __construct() {
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 */
+	private function init_hooks() {
+		add_action( 'wda_discount_data_captured', array( $this, 'on_order_captured' ), 10, 2 );
+		add_action( 'wda_refund_processed', array( $this, 'on_refund_processed' ), 10, 2 );
+		add_action( 'wda_refund_deleted', array( $this, 'on_refund_processed' ), 10, 2 );
+		add_action( self::DELIVER_HOOK, array( $this, 'deliver' ) );
+		add_action( self::MAINTENANCE_HOOK, array( $this, 'run_maintenance' ) );
+		add_action( 'admin_init', array( $this, 'maybe_schedule' ) );
+		add_action( 'rest_api_init', array( $this, 'register_routes' ) );
+	}
+
+	/**
+	 * Get table name with WordPress prefix.
+	 *
+	 * @return string
+	 */
+	public static function get_table_name() {
+		global $wpdb;
+		return $wpdb->prefix . self::TABLE_NAME;
+	}
+
+	/**
+	 * Create the deliveries table.
+	 *
+	 * Dates are in UTC so they can be compared with the current timestamp.
+	 *
+	 * @return bool True on success, false on failure.
+	 */
+	public function create_table() {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$charset_collate = $wpdb->get_charset_collate();
+
+		$sql = "CREATE TABLE IF NOT EXISTS {$table_name} (
+			id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			webhook_id VARCHAR(32) NOT NULL,
+			event VARCHAR(50) NOT NULL,
+			resource_id BIGINT UNSIGNED NOT NULL DEFAULT 0,
+			payload LONGTEXT NOT NULL,
+			status VARCHAR(20) NOT NULL DEFAULT 'pending',
+			attempts SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+			response_code SMALLINT UNSIGNED DEFAULT NULL,
+			response_body TEXT DEFAULT NULL,
+			error TEXT DEFAULT NULL,
+			created_at DATETIME NOT NULL,
+			last_attempt_at DATETIME DEFAULT NULL,
+			next_attempt_at DATETIME DEFAULT NULL,
+			INDEX idx_webhook (webhook_id),
+			INDEX idx_status_next (status, next_attempt_at),
+			INDEX idx_created (created_at)
+		) {$charset_collate};";
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+		dbDelta( $sql );
+
+		$this->table_exists = null;
+
+		return $this->table_exists();
+	}
+
+	/**
+	 * Check if table exists.
+	 *
+	 * @return bool
+	 */
+	public function table_exists() {
+		global $wpdb;
+
+		if ( null === $this->table_exists ) {
+			$table_name = self::get_table_name();
+			$this->table_exists = $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $table_name ) ) === $table_name;
+		}
+
+		return $this->table_exists;
+	}
+
+	/**
+	 * Schedule the hourly maintenance if it is missing.
+	 */
+	public function maybe_schedule() {
+		if ( ! wp_next_scheduled( self::MAINTENANCE_HOOK ) ) {
+			wp_schedule_event( time(), 'hourly', self::MAINTENANCE_HOOK );
+		}
+	}
+
+	/**
+	 * Get the events webhooks can subscribe to.
+	 *
+	 * @return array Labels keyed by event.
+	 */
+	public static function get_events() {
+		return array(
+			'order.captured'   => __( 'Order captured', 'woo-discount-analytics' ),
+			'refund.processed' => __( 'Refund processed', 'woo-discount-analytics' ),
+		);
+	}
+
+	/**
+	 * Register REST API routes.
+	 */
+	public function register_routes() {
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/webhooks', array(
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_webhooks' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+			),
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'create_webhook' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+				'args'                => $this->get_webhook_args( true ),
+			),
+		) );
+
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/webhooks/(?P<id>[a-z0-9]+)', array(
+			array(
+				'methods'             => WP_REST_Server::EDITABLE,
+				'callback'            => array( $this, 'update_webhook' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+				'args'                => $this->get_webhook_args( false ),
+			),
+			array(
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => array( $this, 'delete_webhook' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+			),
+		) );
+
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/webhook-deliveries', array(
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => array( $this, 'get_deliveries' ),
+			'permission_callback' => array( $this, 'check_permission' ),
+			'args'                => array(
+				'webhook_id' => array(
+					'type'              => 'string',
+					'default'           => '',
+					'sanitize_callback' => 'sanitize_key',
+				),
+				'status'     => array(
+					'type'              => 'string',
+					'default'           => '',
+					'enum'              => array( '', 'pending', 'retrying', 'delivered', 'failed' ),
+					'sanitize_callback' => 'sanitize_text_field',
+				),
+				'page'       => array(
+					'type'              => 'integer',
+					'default'           => 1,
+					'minimum'           => 1,
+					'sanitize_callback' => 'absint',
+				),
+				'per_page'   => array(
+					'type'              => 'integer',
+					'default'           => 20,
+					'minimum'           => 1,
+					'maximum'           => 100,
+					'sanitize_callback' => 'absint',
+				),
+			),
+		) );
+
+		register_rest_route( WDA_REST_Reports::NAMESPACE, '/webhook-deliveries/(?P<id>\d+)/redeliver', array(
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => array( $this, 'redeliver' ),
+			'permission_callback' => array( $this, 'check_permission' ),
+		) );
+	}
+
+	/**
+	 * Get the args of the create and update routes.
+	 *
+	 * @param bool $creating Whether the name and URL are required.
+	 * @return array
+	 */
+	private function get_webhook_args( $creating ) {
+		return array(
+			'name'   => array(
+				'type'              => 'string',
+				'required'          => $creating,
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'url'    => array(
+				'type'              => 'string',
+				'required'          => $creating,
+				'validate_callback' => array( __CLASS__, 'validate_url' ),
+				'sanitize_callback' => 'esc_url_raw',
+			),
+			'secret' => array(
+				'type'              => 'string',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'events' => array(
+				'type'  => 'array',
+				'items' => array(
+					'type' => 'string',
+					'enum' => array_keys( self::get_events() ),
+				),
+			),
+			'active' => array(
+				'type'              => 'boolean',
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+		);
+	}
+
+	/**
+	 * Validate a delivery URL.
+	 *
+	 * @param string $value Value to check.
+	 * @return true|WP_Error
+	 */
+	public static function validate_url( $value ) {
+		if ( ! is_string( $value ) || ! wp_http_validate_url( $value ) ) {
+			return new WP_Error(
+				'wda_invalid_webhook_url',
+				__( 'Enter a public http or https delivery URL.', 'woo-discount-analytics' ),
+				array( 'status' => 400 )
+			);
+		}
+		return true;
+	}
+
+	/**
+	 * Check user permission.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function check_permission() {
+		if ( ! current_user_can( WDA_Admin_Reports::get_capability() ) ) {
+			return new WP_Error(
+				'wda_rest_forbidden',
+				__( 'You do not have permission to manage webhooks.', 'woo-discount-analytics' ),
+				array( 'status' => 403 )
+			);
+		}
+		return true;
+	}
+
+	/**
+	 * List the webhooks with their delivery counts.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_webhooks( $request ) {
+		global $wpdb;
+
+		$counts = array();
+		if ( $this->table_exists() ) {
+			$table_name = self::get_table_name();
+			$rows       = $wpdb->get_results( "SELECT webhook_id, status, COUNT(*) AS count FROM {$table_name} GROUP BY webhook_id, status", ARRAY_A );
+			foreach ( $rows as $row ) {
+				$counts[ $row['webhook_id'] ][ $row['status'] ] = (int) $row['count'];
+			}
+		}
+
+		$items = array();
+		foreach ( self::get_webhooks_option() as $webhook ) {
+			$webhook['counts'] = isset( $counts[ $webhook['id'] ] ) ? $counts[ $webhook['id'] ] : array();
+			$items[]           = $webhook;
+		}
+
+		return new WP_REST_Response( array(
+			'items'  => $items,
+			'events' => self::get_events(),
+		), 200 );
+	}
+
+	/**
+	 * Add a webhook.
+	 *
+	 * A secret is generated when none is given.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_webhook( $request ) {
+		$webhook = array(
+			'id'         => strtolower( wp_generate_password( 12, false ) ),
+			'name'       => '',
+			'url'        => '',
+			'secret'     => '',
+			'events'     => array_keys( self::get_events() ),
+			'active'     => true,
+			'created_at' => current_time( 'mysql' ),
+		);
+
+		$webhook = $this->apply_request( $webhook, $request );
+		if ( is_wp_error( $webhook ) ) {
+			return $webhook;
+		}
+
+		$webhooks                   = self::get_webhooks_option();
+		$webhooks[ $webhook['id'] ] = $webhook;
+		update_option( self::OPTION, $webhooks, false );
+
+		return new WP_REST_Response( $webhook, 201 );
+	}
+
+	/**
+	 * Update a webhook.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function update_webhook( $request ) {
+		$webhooks = self::get_webhooks_option();
+		$id       = $request->get_param( 'id' );
+
+		if ( ! isset( $webhooks[ $id ] ) ) {
+			return $this->get_not_found_error();
+		}
+
+		$webhook = $this->apply_request( $webhooks[ $id ], $request );
+		if ( is_wp_error( $webhook ) ) {
+			return $webhook;
+		}
+
+		$webhooks[ $id ] = $webhook;
+		update_option( self::OPTION, $webhooks, false );
+
+		return new WP_REST_Response( $webhook, 200 );
+	}
+
+	/**
+	 * Delete a webhook. Its queued deliveries fail when they next run.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function delete_webhook( $request ) {
+		$webhooks = self::get_webhooks_option();
+		$id       = $request->get_param( 'id' );
+
+		if ( ! isset( $webhooks[ $id ] ) ) {
+			return $this->get_not_found_error();
+		}
+
+		unset( $webhooks[ $id ] );
+		update_option( self::OPTION, $webhooks, false );
+
+		return new WP_REST_Response( array(
+			'id'      => $id,
+			'deleted' => true,
+		), 200 );
+	}
+
+	/**
+	 * Copy the request's fields onto a webhook.
+	 *
+	 * @param array           $webhook Webhook.
+	 * @param WP_REST_Request $request Request object.
+	 * @return array|WP_Error
+	 */
+	private function apply_request( $webhook, $request ) {
+		foreach ( array( 'name', 'url', 'secret', 'active' ) as $field ) {
+			if ( null !== $request->get_param( $field ) ) {
+				$webhook[ $field ] = $request->get_param( $field );
+			}
+		}
+
+		if ( null !== $request->get_param( 'events' ) ) {
+			$webhook['events'] = array_values( array_unique( $request->get_param( 'events' ) ) );
+		}
+
+		if ( '' === trim( $webhook['name'] ) ) {
+			$webhook['name'] = wp_parse_url( $webhook['url'], PHP_URL_HOST );
+		}
+
+		if ( '' === $webhook['secret'] ) {
+			$webhook['secret'] = wp_generate_password( 40, false );
+		}
+
+		if ( empty( $webhook['events'] ) ) {
+			return new WP_Error(
+				'wda_webhook_no_events',
+				__( 'Choose at least one event.', 'woo-discount-analytics' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return $webhook;
+	}
+
+	/**
+	 * List deliveries, newest first.
+	 *
+	 * Dates are returned in the site's timezone.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_deliveries( $request ) {
+		global $wpdb;
+
+		$page     = $request->get_param( 'page' );
+		$per_page = $request->get_param( 'per_page' );
+
+		if ( ! $this->table_exists() ) {
+			return new WP_REST_Response( array(
+				'items'       => array(),
+				'total'       => 0,
+				'total_pages' => 0,
+			), 200 );
+		}
+
+		$table_name = self::get_table_name();
+		$where      = array( '1=1' );
+
+		if ( '' !== $request->get_param( 'webhook_id' ) ) {
+			$where[] = $wpdb->prepare( 'webhook_id = %s', $request->get_param( 'webhook_id' ) );
+		}
+
+		if ( '' !== $request->get_param( 'status' ) ) {
+			$where[] = $wpdb->prepare( 'status = %s', $request->get_param( 'status' ) );
+		}
+
+		$where_sql = implode( ' AND ', $where );
+		$total     = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table_name} WHERE {$where_sql}" );
+		$rows      = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT * FROM {$table_name} WHERE {$where_sql} ORDER BY id DESC LIMIT %d OFFSET %d",
+				$per_page,
+				( $page - 1 ) * $per_page
+			),
+			ARRAY_A
+		);
+
+		$webhooks = self::get_webhooks_option();
+		$items    = array();
+		foreach ( $rows as $row ) {
+			$items[] = array(
+				'id'              => absint( $row['id'] ),
+				'webhook_id'      => $row['webhook_id'],
+				'webhook_name'    => isset( $webhooks[ $row['webhook_id'] ] ) ? $webhooks[ $row['webhook_id'] ]['name'] : null,
+				'event'           => $row['event'],
+				'resource_id'     => absint( $row['resource_id'] ),
+				'status'          => $row['status'],
+				'attempts'        => absint( $row['attempts'] ),
+				'response_code'   => null === $row['response_code'] ? null : absint( $row['response_code'] ),
+				'response_body'   => $row['response_body'],
+				'error'           => $row['error'],
+				'payload'         => json_decode( $row['payload'], true ),
+				'created_at'      => get_date_from_gmt( $row['created_at'] ),
+				'last_attempt_at' => $row['last_attempt_at'] ? get_date_from_gmt( $row['last_attempt_at'] ) : null,
+				'next_attempt_at' => $row['next_attempt_at'] ? get_date_from_gmt( $row['next_attempt_at'] ) : null,
+			);
+		}
+
+		return new WP_REST_Response( array(
+			'items'       => $items,
+			'total'       => $total,
+			'total_pages' => (int) ceil( $total / $per_page ),
+		), 200 );
+	}
+
+	/**
+	 * Send a delivery's payload again, as a new delivery.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function redeliver( $request ) {
+		$delivery = $this->get_delivery( $request->get_param( 'id' ) );
+
+		if ( ! $delivery ) {
+			return new WP_Error(
+				'wda_delivery_not_found',
+				__( 'Delivery not found. It may have been removed from the log.', 'woo-discount-analytics' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$webhook = self::get_webhook( $delivery['webhook_id'] );
+		if ( ! $webhook ) {
+			return $this->get_not_found_error();
+		}
+
+		if ( ! $webhook['active'] ) {
+			return new WP_Error(
+				'wda_webhook_disabled',
+				__( 'Enable the webhook to redeliver to it.', 'woo-discount-analytics' ),
+				array( 'status' => 409 )
+			);
+		}
+
+		$id = $this->queue_delivery( $webhook, $delivery['event'], $delivery['resource_id'], $delivery['payload'] );
+		if ( ! $id ) {
+			return new WP_Error(
+				'wda_delivery_failed',
+				__( 'Could not queue the delivery.', 'woo-discount-analytics' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return new WP_REST_Response( array(
+			'id'          => $id,
+			'redelivered' => absint( $delivery['id'] ),
+		), 201 );
+	}
+
+	/**
+	 * Queue the order.captured event for an order with captured discounts.
+	 *
+	 * Orders captured by a backfill are historical, so they are not sent;
+	 * otherwise a backfill would flood the receiver with old orders.
+	 *
+	 * @param WC_Order $order  Order object.
+	 * @param string   $source What triggered the capture: order or backfill.
+	 */
+	public function on_order_captured( $order, $source = 'order' ) {
+		if ( 'backfill' === $source ) {
+			return;
+		}
+
+		$webhooks = $this->get_subscribed_webhooks( 'order.captured' );
+		if ( ! $webhooks ) {
+			return;
+		}
+
+		$payload = $this->build_payload( 'order.captured', $order );
+		if ( ! $payload ) {
+			return;
+		}
+
+		foreach ( $webhooks as $webhook ) {
+			$this->queue_delivery( $webhook, 'order.captured', $order->get_id(), $payload );
+		}
+	}
+
+	/**
+	 * Queue the refund.processed event when a refund is created or deleted.
+	 *
+	 * @param int $refund_id Refund ID.
+	 * @param int $order_id  Parent order ID.
+	 */
+	public function on_refund_processed( $refund_id, $order_id ) {
+		$webhooks = $this->get_subscribed_webhooks( 'refund.processed' );
+		if ( ! $webhooks ) {
+			return;
+		}
+
+		$order   = wc_get_order( $order_id );
+		$payload = $order ? $this->build_payload( 'refund.processed', $order, $refund_id ) : null;
+		if ( ! $payload ) {
+			return;
+		}
+
+		foreach ( $webhooks as $webhook ) {
+			$this->queue_delivery( $webhook, 'refund.processed', $refund_id, $payload );
+		}
+	}
+
+	/**
+	 * Build an event payload.
+	 *
+	 * Lines carry the history report's ERP price decomposition for the full
+	 * ordered quantity, with the refunded units alongside, so the receiver
+	 * can net out refunds itself.
+	 *
+	 * @param string   $event     Event.
+	 * @param WC_Order $order     Order object.
+	 * @param int      $refund_id Refund ID, for refund events.
+	 * @return string|null JSON payload, or null if the order has no captured lines.
+	 */
+	private function build_payload( $event, $order, $refund_id = 0 ) {
+		$rows = WDA_Database::instance()->get_discounts_by_order_id( $order->get_id() );
+		if ( ! $rows ) {
+			return null;
+		}
+
+		$reports = WDA_REST_Reports::instance();
+		$lines   = array();
+		$totals  = array(
+			'gross_amount'         => 0,
+			'line_discount_amount' => 0,
+			'coupon_discount'      => 0,
+			'net_amount'           => 0,
+			'refunded_quantity'    => 0,
+			'refunded_amount'      => 0,
+		);
+
+		foreach ( $rows as $row ) {
+			$line                         = $reports->format_history_table_row( $row, true );
+			$line['refunded_amount']      = floatval( $row['refunded_amount'] );
+			$line['line_discount_amount'] = $line['line_discount'] * $line['ordered_quantity'];
+			$lines[]                      = $line;
+
+			$totals['gross_amount']         += $line['gross_unit_price'] * $line['ordered_quantity'];
+			$totals['line_discount_amount'] += $line['line_discount_amount'];
+			$totals['coupon_discount']      += $line['coupon_discount'] * $line['ordered_quantity'];
+			$totals['net_amount']           += $line['net_line_amount'];
+			$totals['refunded_quantity']    += $line['refunded_quantity'];
+			$totals['refunded_amount']      += $line['refunded_amount'];
+		}
+
+		$date    = $order->get_date_created();
+		$payload = array(
+			'event'      => $event,
+			'created_at' => gmdate( 'c' ),
+			'site_url'   => home_url(),
+			'order'      => array(
+				'id'            => $order->get_id(),
+				'number'        => $order->get_order_number(),
+				'status'        => $order->get_status(),
+				'date_created'  => $date ? $date->format( 'c' ) : null,
+				'customer_id'   => $order->get_customer_id(),
+				'currency'      => $order->get_currency(),
+				'exchange_rate' => $lines[0]['exchange_rate'],
+				'totals'        => array_map( function( $value ) {
+					return round( $value, 4 );
+				}, $totals ),
+			),
+			'lines'      => $lines,
+		);
+
+		if ( 'refund.processed' === $event ) {
+			$refund            = wc_get_order( $refund_id );
+			$payload['refund'] = $refund instanceof WC_Order_Refund ? array(
+				'id'           => $refund->get_id(),
+				'amount'       => floatval( $refund->get_amount() ),
+				'reason'       => $refund->get_reason(),
+				'date_created' => $refund->get_date_created() ? $refund->get_date_created()->format( 'c' ) : null,
+				'deleted'      => false,
+			) : array(
+				'id'      => absint( $refund_id ),
+				'deleted' => true,
+			);
+		}
+
+		/**
+		 * Filters a webhook payload before it is queued.
+		 *
+		 * @param array    $payload Payload.
+		 * @param string   $event   Event.
+		 * @param WC_Order $order   Order object.
+		 */
+		$payload = apply_filters( 'wda_webhook_payload', $payload, $event, $order );
+
+		return wp_json_encode( $payload );
+	}
+
+	/**
+	 * Add a delivery to the queue and schedule it.
+	 *
+	 * @param array  $webhook     Webhook.
+	 * @param string $event       Event.
+	 * @param int    $resource_id Order or refund ID.
+	 * @param string $payload     JSON payload.
+	 * @return int|false Delivery ID, or false if it could not be queued.
+	 */
+	private function queue_delivery( $webhook, $event, $resource_id, $payload ) {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return false;
+		}
+
+		$now    = current_time( 'mysql', true );
+		$result = $wpdb->insert(
+			self::get_table_name(),
+			array(
+				'webhook_id'      => $webhook['id'],
+				'event'           => $event,
+				'resource_id'     => absint( $resource_id ),
+				'payload'         => $payload,
+				'status'          => 'pending',
+				'created_at'      => $now,
+				'next_attempt_at' => $now,
+			),
+			array( '%s', '%s', '%d', '%s', '%s', '%s', '%s' )
+		);
+
+		if ( false === $result ) {
+			return false;
+		}
+
+		$id = (int) $wpdb->insert_id;
+		as_enqueue_async_action( self::DELIVER_HOOK, array( $id ), self::GROUP );
+
+		return $id;
+	}
+
+	/**
+	 * Send a queued delivery.
+	 *
+	 * Any 2xx response counts as delivered. Anything else is retried after
+	 * the next of the RETRY_DELAYS until they run out.
+	 *
+	 * @param int $delivery_id Delivery ID.
+	 */
+	public function deliver( $delivery_id ) {
+		$delivery = $this->get_delivery( $delivery_id );
+
+		if ( ! $delivery || ! in_array( $delivery['status'], array( 'pending', 'retrying' ), true ) ) {
+			return;
+		}
+
+		$webhook = self::get_webhook( $delivery['webhook_id'] );
+
+		if ( ! $webhook ) {
+			$this->update_delivery( $delivery['id'], array(
+				'status'          => 'failed',
+				'error'           => __( 'The webhook was deleted.', 'woo-discount-analytics' ),
+				'next_attempt_at' => null,
+			) );
+			return;
+		}
+
+		if ( ! $webhook['active'] ) {
+			$this->update_delivery( $delivery['id'], array(
+				'status'          => 'failed',
+				'error'           => __( 'The webhook is disabled.', 'woo-discount-analytics' ),
+				'next_attempt_at' => null,
+			) );
+			return;
+		}
+
+		$attempts = absint( $delivery['attempts'] ) + 1;
+		$response = wp_safe_remote_post( $webhook['url'], array(
+			'timeout'     => 15,
+			'redirection' => 0,
+			'user-agent'  => 'WooDiscountAnalytics/' . WDA_VERSION . '; ' . home_url(),
+			'headers'     => array(
+				'Content-Type'    => 'application/json',
+				'X-WDA-Event'     => $delivery['event'],
+				'X-WDA-Delivery'  => $delivery['id'],
+				'X-WDA-Webhook'   => $webhook['id'],
+				'X-WDA-Signature' => self::sign( $delivery['payload'], $webhook['secret'] ),
+			),
+			'body'        => $delivery['payload'],
+		) );
+
+		$code = is_wp_error( $response ) ? null : (int) wp_remote_retrieve_response_code( $response );
+		$data = array(
+			'attempts'        => $attempts,
+			'response_code'   => $code,
+			'response_body'   => is_wp_error( $response ) ? null : substr( wp_remote_retrieve_body( $response ), 0, self::RESPONSE_LENGTH ),
+			'error'           => is_wp_error( $response ) ? $response->get_error_message() : null,
+			'last_attempt_at' => current_time( 'mysql', true ),
+			'next_attempt_at' => null,
+		);
+
+		if ( $code >= 200 && $code < 300 ) {
+			$data['status'] = 'delivered';
+		} elseif ( $attempts <= count( self::RETRY_DELAYS ) ) {
+			$retry_at                = time() + self::RETRY_DELAYS[ $attempts - 1 ];
+			$data['status']          = 'retrying';
+			$data['next_attempt_at'] = gmdate( 'Y-m-d H:i:s', $retry_at );
+		} else {
+			$data['status'] = 'failed';
+		}
+
+		if ( ! $code && ! $data['error'] ) {
+			$data['error'] = __( 'No response.', 'woo-discount-analytics' );
+		} elseif ( $code && 'delivered' !== $data['status'] ) {
+			/* translators: %d: HTTP status code */
+			$data['error'] = sprintf( __( 'The endpoint responded with HTTP %d.', 'woo-discount-analytics' ), $code );
+		}
+
+		$this->update_delivery( $delivery['id'], $data );
+
+		if ( 'retrying' === $data['status'] ) {
+			as_schedule_single_action( $retry_at, self::DELIVER_HOOK, array( absint( $delivery['id'] ) ), self::GROUP );
+		}
+
+		/**
+		 * Fires after a webhook delivery attempt.
+		 *
+		 * @param int    $delivery_id Delivery ID.
+		 * @param string $status      delivered, retrying or failed.
+		 * @param array  $webhook     Webhook.
+		 */
+		do_action( 'wda_webhook_delivered', absint( $delivery['id'] ), $data['status'], $webhook );
+	}
+
+	/**
+	 * Requeue deliveries that are due but have no scheduled action, e.g.
+	 * after Action Scheduler's queue was cleared, and prune the log.
+	 */
+	public function run_maintenance() {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return;
+		}
+
+		$table_name = self::get_table_name();
+
+		$due = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT id FROM {$table_name} WHERE status IN ( 'pending', 'retrying' ) AND next_attempt_at <= %s ORDER BY id ASC LIMIT 100",
+				gmdate( 'Y-m-d H:i:s', time() - HOUR_IN_SECONDS )
+			)
+		);
+
+		foreach ( $due as $id ) {
+			if ( ! as_has_scheduled_action( self::DELIVER_HOOK, array( absint( $id ) ), self::GROUP ) ) {
+				as_enqueue_async_action( self::DELIVER_HOOK, array( absint( $id ) ), self::GROUP );
+			}
+		}
+
+		$wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$table_name} WHERE status IN ( 'delivered', 'failed' ) AND created_at < %s",
+				gmdate( 'Y-m-d H:i:s', time() - self::LOG_DAYS * DAY_IN_SECONDS )
+			)
+		);
+	}
+
+	/**
+	 * Sign a payload: the base64-encoded HMAC-SHA256 of the body with the
+	 * webhook's secret, as WooCommerce signs its own webhooks.
+	 *
+	 * @param string $payload JSON payload.
+	 * @param string $secret  Webhook secret.
+	 * @return string
+	 */
+	public static function sign( $payload, $secret ) {
+		return base64_encode( hash_hmac( 'sha256', $payload, $secret, true ) );
+	}
+
+	/**
+	 * Get the active webhooks subscribed to an event.
+	 *
+	 * @param string $event Event.
+	 * @return array
+	 */
+	private function get_subscribed_webhooks( $event ) {
+		return array_filter( self::get_webhooks_option(), function( $webhook ) use ( $event ) {
+			return $webhook['active'] && in_array( $event, $webhook['events'], true );
+		} );
+	}
+
+	/**
+	 * Get all webhooks.
+	 *
+	 * @return array Webhooks keyed by ID.
+	 */
+	public static function get_webhooks_option() {
+		return (array) get_option( self::OPTION, array() );
+	}
+
+	/**
+	 * Get a webhook.
+	 *
+	 * @param string $id Webhook ID.
+	 * @return array|null
+	 */
+	public static function get_webhook( $id ) {
+		$webhooks = self::get_webhooks_option();
+		return isset( $webhooks[ $id ] ) ? $webhooks[ $id ] : null;
+	}
+
+	/**
+	 * Get a delivery row.
+	 *
+	 * @param int $id Delivery ID.
+	 * @return array|null
+	 */
+	private function get_delivery( $id ) {
+		global $wpdb;
+
+		if ( ! $this->table_exists() ) {
+			return null;
+		}
+
+		$table_name = self::get_table_name();
+
+		return $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table_name} WHERE id = %d", absint( $id ) ), ARRAY_A );
+	}
+
+	/**
+	 * Update a delivery row.
+	 *
+	 * @param int   $id   Delivery ID.
+	 * @param array $data Columns to update.
+	 */
+	private function update_delivery( $id, $data ) {
+		global $wpdb;
+		$wpdb->update( self::get_table_name(), $data, array( 'id' => absint( $id ) ) );
+	}
+
+	/**
+	 * Get the error for an unknown webhook.
+	 *
+	 * @return WP_Error
+	 */
+	private function get_not_found_error() {
+		return new WP_Error(
+			'wda_webhook_not_found',
+			__( 'Webhook not found.', 'woo-discount-analytics' ),
+			array( 'status' => 404 )
+		);
+	}
+}
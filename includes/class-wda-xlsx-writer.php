@@ -0,0 +1,238 @@
+<?php
+/**
+ * XLSX Writer class.
+ *
+ * Writes a single-sheet Excel workbook from export headers and rows.
+ *
+ * @package WooDiscountAnalytics
+ */
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Class WDA_XLSX_Writer
+ *
+ * Builds the minimal set of Office Open XML parts with ZipArchive. Numbers
+ * are written as numeric cells and everything else as text, so values such
+ * as SKUs with leading zeros are kept as they are.
+ */
+class WDA_XLSX_Writer {
+
+	/**
+	 * Check whether workbooks can be written on this server.
+	 *
+	 * @return bool
+	 */
+	public static function is_available() {
+		return class_exists( 'ZipArchive' );
+	}
+
+	/**
+	 * Write a workbook.
+	 *
+	 * The header row is bold and frozen. Rows can be any iterable, such as a
+	 * generator reading them from disk; the worksheet is streamed to a
+	 * temporary file rather than built in memory.
+	 *
+	 * @param string   $file       Path to write to.
+	 * @param array    $headers    Header labels.
+	 * @param iterable $rows       Rows of cell values.
+	 * @param string   $sheet_name Worksheet name.
+	 * @return true|WP_Error
+	 */
+	public static function write( $file, $headers, $rows, $sheet_name = 'Sheet1' ) {
+		if ( ! self::is_available() ) {
+			return new WP_Error( 'wda_xlsx_unavailable', __( 'XLSX export needs the PHP zip extension.', 'woo-discount-analytics' ) );
+		}
+
+		$sheet = self::write_sheet( $headers, $rows );
+		if ( ! $sheet ) {
+			return new WP_Error( 'wda_xlsx_failed', __( 'Could not create the XLSX file.', 'woo-discount-analytics' ) );
+		}
+
+		$zip = new ZipArchive();
+		if ( true !== $zip->open( $file, ZipArchive::CREATE | ZipArchive::OVERWRITE ) ) {
+			unlink( $sheet );
+			return new WP_Error( 'wda_xlsx_failed', __( 'Could not create the XLSX file.', 'woo-discount-analytics' ) );
+		}
+
+		$zip->addFromString( '[Content_Types].xml', self::get_content_types() );
+		$zip->addFromString( '_rels/.rels', self::get_root_rels() );
+		$zip->addFromString( 'xl/workbook.xml', self::get_workbook( $sheet_name ) );
+		$zip->addFromString( 'xl/_rels/workbook.xml.rels', self::get_workbook_rels() );
+		$zip->addFromString( 'xl/styles.xml', self::get_styles() );
+		$zip->addFile( $sheet, 'xl/worksheets/sheet1.xml' );
+
+		// The sheet file is only read when the archive is closed.
+		$closed = $zip->close();
+		unlink( $sheet );
+
+		if ( ! $closed ) {
+			return new WP_Error( 'wda_xlsx_failed', __( 'Could not create the XLSX file.', 'woo-discount-analytics' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Write the worksheet XML to a temporary file.
+	 *
+	 * @param array    $headers Header labels.
+	 * @param iterable $rows    Rows of cell values.
+	 * @return string|false Path of the temporary file, or false on failure.
+	 */
+	private static function write_sheet( $headers, $rows ) {
+		$file   = tempnam( get_temp_dir(), 'wda' );
+		$handle = $file ? fopen( $file, 'w' ) : false;
+
+		if ( ! $handle ) {
+			return false;
+		}
+
+		fwrite( $handle, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' );
+		fwrite( $handle, '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' );
+		fwrite( $handle, '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' );
+		fwrite( $handle, '<sheetData>' );
+		fwrite( $handle, self::get_row( 1, $headers, 1 ) );
+
+		$number = 2;
+		foreach ( $rows as $row ) {
+			fwrite( $handle, self::get_row( $number++, $row ) );
+		}
+
+		fwrite( $handle, '</sheetData></worksheet>' );
+		fclose( $handle );
+
+		return $file;
+	}
+
+	/**
+	 * Build a row's XML.
+	 *
+	 * @param int   $number Row number, from 1.
+	 * @param array $values Cell values.
+	 * @param int   $style  Cell style index (1 for bold).
+	 * @return string
+	 */
+	private static function get_row( $number, $values, $style = 0 ) {
+		$xml   = '<row r="' . $number . '">';
+		$style = $style ? ' s="' . $style . '"' : '';
+
+		foreach ( array_values( $values ) as $index => $value ) {
+			if ( null === $value || '' === $value ) {
+				continue;
+			}
+
+			$ref = self::get_column_letter( $index ) . $number;
+
+			if ( is_int( $value ) || is_float( $value ) ) {
+				$xml .= '<c r="' . $ref . '"' . $style . '><v>' . ( is_finite( $value ) ? $value : 0 ) . '</v></c>';
+			} else {
+				$xml .= '<c r="' . $ref . '"' . $style . ' t="inlineStr"><is><t xml:space="preserve">' . self::escape( is_bool( $value ) ? ( $value ? 'Yes' : 'No' ) : (string) $value ) . '</t></is></c>';
+			}
+		}
+
+		return $xml . '</row>';
+	}
+
+	/**
+	 * Get the letters of a column (A, B, ..., Z, AA, ...).
+	 *
+	 * @param int $index Column index, from 0.
+	 * @return string
+	 */
+	private static function get_column_letter( $index ) {
+		$letter = '';
+
+		for ( $index++; $index > 0; $index = intdiv( $index - 1, 26 ) ) {
+			$letter = chr( 65 + ( $index - 1 ) % 26 ) . $letter;
+		}
+
+		return $letter;
+	}
+
+	/**
+	 * Escape text for XML, dropping characters XML can't hold.
+	 *
+	 * @param string $text Text.
+	 * @return string
+	 */
+	private static function escape( $text ) {
+		$text = preg_replace( '/[^\x{9}\x{A}\x{D}\x{20}-\x{D7FF}\x{E000}-\x{FFFD}\x{10000}-\x{10FFFF}]/u', '', $text );
+
+		return htmlspecialchars( (string) $text, ENT_QUOTES | ENT_XML1, 'UTF-8' );
+	}
+
+	/**
+	 * Build the workbook XML.
+	 *
+	 * @param string $sheet_name Worksheet name.
+	 * @return string
+	 */
+	private static function get_workbook( $sheet_name ) {
+		// Excel limits sheet names to 31 characters and a few forbidden ones.
+		$sheet_name = substr( str_replace( array( '[', ']', ':', '*', '?', '/', '\\' ), '', $sheet_name ), 0, 31 );
+
+		return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+			. '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+			. '<sheets><sheet name="' . self::escape( '' !== $sheet_name ? $sheet_name : 'Sheet1' ) . '" sheetId="1" r:id="rId1"/></sheets>'
+			. '</workbook>';
+	}
+
+	/**
+	 * Build the styles XML: a default style and a bold one.
+	 *
+	 * @return string
+	 */
+	private static function get_styles() {
+		return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+			. '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+			. '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+			. '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+			. '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+			. '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+			. '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+			. '</styleSheet>';
+	}
+
+	/**
+	 * Build the content types XML.
+	 *
+	 * @return string
+	 */
+	private static function get_content_types() {
+		return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+			. '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+			. '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+			. '<Default Extension="xml" ContentType="application/xml"/>'
+			. '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+			. '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+			. '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+			. '</Types>';
+	}
+
+	/**
+	 * Build the package relationships XML.
+	 *
+	 * @return string
+	 */
+	private static function get_root_rels() {
+		return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+			. '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+			. '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+			. '</Relationships>';
+	}
+
+	/**
+	 * Build the workbook relationships XML.
+	 *
+	 * @return string
+	 */
+	private static function get_workbook_rels() {
+		return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+			. '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+			. '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+			. '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+			. '</Relationships>';
+	}
+}
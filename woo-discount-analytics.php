@@ -3,7 +3,7 @@
  * Plugin Name: WooCommerce Discount Analytics
  * Plugin URI: https://github.com/kiunye/woo-discount-analytics
  * Description: Provides visibility and reporting for products discounted via sale prices in WooCommerce.
- * Version: 1.1.0
+ * Version: 1.2.0
  * Author: Chris Mucheke
  * Author URI: https://github.com/kiunye
  * License: GPL-2.0+
@@ -23,7 +23,7 @@ defined( 'ABSPATH' ) || exit;
 /**
  * Plugin constants.
  */
-define( 'WDA_VERSION', '1.1.0' );
+define( 'WDA_VERSION', '1.2.0' );
 define( 'WDA_PLUGIN_FILE', __FILE__ );
 define( 'WDA_PLUGIN_DIR', plugin_dir_path( __FILE__ ) );
 define( 'WDA_PLUGIN_URL', plugin_dir_url( __FILE__ ) );
@@ -34,6 +34,13 @@ define( 'WDA_PLUGIN_BASENAME', plugin_basename( __FILE__ ) );
  */
 final class WooDiscountAnalytics {
 
+	/**
+	 * Option held while a schema upgrade runs, so concurrent requests don't repeat it.
+	 *
+	 * @var string
+	 */
+	const UPGRADE_LOCK_OPTION = 'wda_schema_upgrade_lock';
+
 	/**
 	 * Single instance of the class.
 	 *
@@ -126,9 +133,26 @@ final class WooDiscountAnalytics {
 	 */
 	private function includes() {
 		require_once WDA_PLUGIN_DIR . 'includes/class-wda-database.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-price-history.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-sale-index.php';
 		require_once WDA_PLUGIN_DIR . 'includes/class-wda-discount-capture.php';
 		require_once WDA_PLUGIN_DIR . 'includes/class-wda-admin-reports.php';
 		require_once WDA_PLUGIN_DIR . 'includes/class-wda-rest-reports.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-xlsx-writer.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-rest-sale-actions.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-backfill.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-export-jobs.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-settings.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-email-digest.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-guardrails.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-product-cost.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-analytics.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-dashboard-widget.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-webhooks.php';
+
+		if ( defined( 'WP_CLI' ) && WP_CLI ) {
+			require_once WDA_PLUGIN_DIR . 'includes/class-wda-cli.php';
+		}
 	}
 
 	/**
@@ -136,9 +160,25 @@ final class WooDiscountAnalytics {
 	 */
 	private function init_classes() {
 		WDA_Database::instance();
+		WDA_Price_History::instance();
+		WDA_Sale_Index::instance();
 		WDA_Discount_Capture::instance();
 		WDA_Admin_Reports::instance();
 		WDA_REST_Reports::instance();
+		WDA_REST_Sale_Actions::instance();
+		WDA_Backfill::instance();
+		WDA_Export_Jobs::instance();
+		WDA_Settings::instance();
+		WDA_Email_Digest::instance();
+		WDA_Guardrails::instance();
+		WDA_Product_Cost::instance();
+		WDA_Analytics::instance();
+		WDA_Dashboard_Widget::instance();
+		WDA_Webhooks::instance();
+
+		if ( defined( 'WP_CLI' ) && WP_CLI ) {
+			WP_CLI::add_command( 'wda', 'WDA_CLI' );
+		}
 
 		// Check for database migration on plugin load.
 		$this->check_database_migration();
@@ -152,12 +192,20 @@ final class WooDiscountAnalytics {
 			return;
 		}
 
-		// Load database class for table creation.
+		// Load database classes for table creation.
 		require_once WDA_PLUGIN_DIR . 'includes/class-wda-database.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-price-history.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-sale-index.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-webhooks.php';
 
-		// Create custom table.
+		// Create custom tables.
 		$database = WDA_Database::instance();
 		$database->create_table();
+		WDA_Price_History::instance()->create_table();
+		WDA_Webhooks::instance()->create_table();
+
+		// Creating the sale index schedules its first build.
+		WDA_Sale_Index::instance()->create_table();
 
 		// Set version option.
 		$old_version = get_option( 'wda_version', '0.0.0' );
@@ -181,19 +229,56 @@ final class WooDiscountAnalytics {
 			return;
 		}
 
+		// Load the classes that own scheduled events; WooCommerce may be inactive.
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-backfill.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-sale-index.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-export-jobs.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-email-digest.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-guardrails.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-dashboard-widget.php';
+		require_once WDA_PLUGIN_DIR . 'includes/class-wda-webhooks.php';
+
+		// Clear cron events; each class restores its own on admin_init after reactivation.
+		$cron_hooks = array(
+			WDA_Guardrails::CHECK_HOOK,
+			WDA_Email_Digest::CRON_HOOK,
+			WDA_Export_Jobs::CLEANUP_HOOK,
+			WDA_Dashboard_Widget::CRON_HOOK,
+			WDA_Webhooks::MAINTENANCE_HOOK,
+			WDA_Sale_Index::REBUILD_HOOK,
+		);
+
+		foreach ( $cron_hooks as $hook ) {
+			wp_clear_scheduled_hook( $hook );
+		}
+
+		// Cancel queued background work.
+		if ( function_exists( 'as_unschedule_all_actions' ) ) {
+			$groups = array(
+				WDA_Backfill::GROUP,
+				WDA_Sale_Index::GROUP,
+				WDA_Export_Jobs::GROUP,
+				WDA_Webhooks::GROUP,
+			);
+
+			foreach ( $groups as $group ) {
+				as_unschedule_all_actions( '', array(), $group );
+			}
+		}
+
 		// Flush rewrite rules.
 		flush_rewrite_rules();
 	}
 
 	/**
 	 * Check if database migration is needed.
+	 *
+	 * Schema versions are compared on every request, so front-end checkouts
+	 * and REST calls never write to an out-of-date table while waiting for
+	 * an admin page load. The version options are autoloaded, so this costs
+	 * no queries.
 	 */
 	private function check_database_migration() {
-		// Only run in admin and if migration is pending.
-		if ( ! is_admin() ) {
-			return;
-		}
-
 		// Ensure database class is loaded.
 		if ( ! class_exists( 'WDA_Database' ) ) {
 			return;
@@ -202,15 +287,69 @@ final class WooDiscountAnalytics {
 		try {
 			$migration_pending = get_option( 'wda_migration_pending', false );
 			$db_version = get_option( 'wda_db_version', '0.0.0' );
+			$old_version = get_option( 'wda_version', '0.0.0' );
+
+			$database          = WDA_Database::instance();
+			$sale_index        = WDA_Sale_Index::instance();
+			$database_behind   = $database && version_compare( $db_version, WDA_Database::DB_VERSION, '<' );
+			$sale_index_behind = version_compare( get_option( WDA_Sale_Index::VERSION_OPTION, '1.0.0' ), WDA_Sale_Index::DB_VERSION, '<' );
+
+			// Upgrades backfill whole tables; only one request runs them, and
+			// each bumps its schema version once it has finished.
+			if ( ( $database_behind || $sale_index_behind ) && $this->acquire_upgrade_lock() ) {
+				if ( $database_behind ) {
+					if ( $database->table_exists() ) {
+						$database->maybe_upgrade_table();
+					} else {
+						$database->create_table();
+					}
+				}
+
+				if ( $sale_index_behind ) {
+					if ( $sale_index->table_exists() ) {
+						$sale_index->maybe_upgrade_table();
+					} else {
+						$sale_index->create_table();
+					}
+				}
+
+				delete_option( self::UPGRADE_LOCK_OPTION );
+			}
 
-			// If table doesn't exist or migration is pending, ensure table exists.
-			$database = WDA_Database::instance();
-			if ( $database && ! $database->table_exists() ) {
-				$database->create_table();
+			// Checking every table exists costs a query each, so only do it in
+			// admin and once after a plugin update that skipped activation.
+			if ( is_admin() || version_compare( $old_version, WDA_VERSION, '<' ) ) {
+				if ( $database && ! $database->table_exists() ) {
+					$database->create_table();
+				}
+
+				$price_history = WDA_Price_History::instance();
+				if ( ! $price_history->table_exists() ) {
+					$price_history->create_table();
+				}
+
+				if ( ! $sale_index->table_exists() ) {
+					$sale_index->create_table();
+				}
+
+				$webhooks = WDA_Webhooks::instance();
+				if ( ! $webhooks->table_exists() ) {
+					$webhooks->create_table();
+				}
+
+				if ( version_compare( $old_version, WDA_VERSION, '<' ) ) {
+					update_option( 'wda_version', WDA_VERSION );
+
+					// Same as on activation: upgrading from 1.0.0 needs the meta migration.
+					if ( version_compare( $old_version, '1.1.0', '<' ) && version_compare( $old_version, '1.0.0', '>=' ) ) {
+						update_option( 'wda_migration_pending', true );
+						$migration_pending = true;
+					}
+				}
 			}
 
 			// Run migration if pending and table exists.
-			if ( $migration_pending && $database && $database->table_exists() ) {
+			if ( $migration_pending && is_admin() && $database && $database->table_exists() ) {
 				// Run migration in background (non-blocking).
 				add_action( 'admin_init', array( $this, 'run_migration' ), 20 );
 			}
@@ -220,6 +359,30 @@ final class WooDiscountAnalytics {
 		}
 	}
 
+	/**
+	 * Take the schema upgrade lock.
+	 *
+	 * add_option() fails when the option exists, so only one request gets
+	 * the lock. A lock older than ten minutes is left from an upgrade that
+	 * died, and is taken over.
+	 *
+	 * @return bool True if this request holds the lock.
+	 */
+	private function acquire_upgrade_lock() {
+		if ( add_option( self::UPGRADE_LOCK_OPTION, time(), '', 'no' ) ) {
+			return true;
+		}
+
+		$locked_at = (int) get_option( self::UPGRADE_LOCK_OPTION );
+		if ( $locked_at && $locked_at > time() - 10 * MINUTE_IN_SECONDS ) {
+			return false;
+		}
+
+		delete_option( self::UPGRADE_LOCK_OPTION );
+
+		return add_option( self::UPGRADE_LOCK_OPTION, time(), '', 'no' );
+	}
+
 	/**
 	 * Run database migration.
 	 */